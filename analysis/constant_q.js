@@ -0,0 +1,218 @@
+import { fftInPlace } from './stft.js';
+import { frequencyToMidiFloat, frequencyToNote, midiToFrequency } from './pitch.js';
+
+/**
+ * @typedef {Object} ConstantQKernel
+ * @property {number} sampleRate
+ * @property {number} fftSize Frame length (power of two ≥ the longest bin's window)
+ * @property {number} binsPerOctave
+ * @property {Float32Array} frequencies Centre frequency per bin (geometric from minFrequency)
+ * @property {Int32Array} windowLengths Samples in each bin's analysis window (Q × sampleRate / f)
+ * @property {Int32Array} kernelStarts First FFT bin of each bin's sparse spectral kernel
+ * @property {Int32Array} kernelOffsets Offset of each bin's kernel in kernelReal / kernelImag (length bins + 1)
+ * @property {Float32Array} kernelReal
+ * @property {Float32Array} kernelImag
+ * @property {Float32Array} real FFT scratch
+ * @property {Float32Array} imag FFT scratch
+ */
+
+/**
+ * @typedef {Object} LoudNote
+ * @property {number} midi
+ * @property {string} label e.g. "A#3"
+ * @property {number} levelDb
+ */
+
+export const PIANO_LOWEST_MIDI = 21;  // A0
+export const PIANO_HIGHEST_MIDI = 108; // C8
+
+const KERNEL_HALF_WIDTH = 4; // Spectral kernel half-width in resolution bins of each window (Hann sidelobes beyond are below -60 dB)
+
+/**
+ * Σ e^{iαm} for m = 0..length-1, as [re, im].
+ *
+ * @param {number} alpha
+ * @param {number} length
+ * @returns {number[]}
+ */
+function geometricPhasorSum(alpha, length) {
+    const denominatorRe = 1 - Math.cos(alpha);
+    const denominatorIm = -Math.sin(alpha);
+    const denominatorPower = denominatorRe * denominatorRe + denominatorIm * denominatorIm;
+    if (denominatorPower < 1e-18) {
+        return [length, 0];
+    }
+
+    const numeratorRe = 1 - Math.cos(alpha * length);
+    const numeratorIm = -Math.sin(alpha * length);
+    return [
+        (numeratorRe * denominatorRe + numeratorIm * denominatorIm) / denominatorPower,
+        (numeratorIm * denominatorRe - numeratorRe * denominatorIm) / denominatorPower
+    ];
+}
+
+/**
+ * Sparse spectral kernel of a constant-Q transform (Brown & Puckette 1992).
+ * Bin k analyses a Hann-windowed complex exponential at f_k over Q × sampleRate / f_k samples,
+ * aligned with the end of the frame so every bin sees the most recent audio. The kernel's DFT is
+ * evaluated in closed form (three geometric sums) only around f_k, so building it is cheap.
+ *
+ * @param {{sampleRate: number, minFrequency?: number, maxFrequency?: number, binsPerOctave?: number}} config
+ *        Defaults span the piano (A0 to C8) at 36 bins per octave
+ * @returns {ConstantQKernel}
+ */
+export function createConstantQKernel(config) {
+    const { sampleRate } = config;
+    const minFrequency = config.minFrequency ?? midiToFrequency(PIANO_LOWEST_MIDI);
+    const maxFrequency = config.maxFrequency ?? midiToFrequency(PIANO_HIGHEST_MIDI);
+    const binsPerOctave = config.binsPerOctave ?? 36;
+
+    const q = 1 / (Math.pow(2, 1 / binsPerOctave) - 1);
+    const binCount = Math.floor(binsPerOctave * Math.log2(maxFrequency / minFrequency) + 1e-9) + 1;
+    const frequencies = new Float32Array(binCount);
+    const windowLengths = new Int32Array(binCount);
+    for (let k = 0; k < binCount; k++) {
+        frequencies[k] = minFrequency * Math.pow(2, k / binsPerOctave);
+        windowLengths[k] = Math.round((q * sampleRate) / frequencies[k]);
+    }
+
+    let fftSize = 1;
+    while (fftSize < windowLengths[0]) fftSize *= 2;
+
+    const kernelStarts = new Int32Array(binCount);
+    const kernelOffsets = new Int32Array(binCount + 1);
+    const real = [];
+    const imag = [];
+
+    for (let k = 0; k < binCount; k++) {
+        const length = windowLengths[k];
+        const omega = (2 * Math.PI * frequencies[k]) / sampleRate;
+        const gamma = (2 * Math.PI) / length;
+        const frameOffset = fftSize - length;
+        const centre = (frequencies[k] * fftSize) / sampleRate;
+        const halfWidth = (KERNEL_HALF_WIDTH * fftSize) / length;
+        const first = Math.max(0, Math.floor(centre - halfWidth));
+        const last = Math.min(fftSize / 2, Math.ceil(centre + halfWidth));
+
+        kernelStarts[k] = first;
+        kernelOffsets[k] = real.length;
+        for (let j = first; j <= last; j++) {
+            const beta = (2 * Math.PI * j) / fftSize;
+            const delta = omega - beta;
+
+            // Periodic Hann: 0.5 − 0.25 e^{iγm} − 0.25 e^{−iγm}
+            const centreSum = geometricPhasorSum(delta, length);
+            const upperSum = geometricPhasorSum(delta + gamma, length);
+            const lowerSum = geometricPhasorSum(delta - gamma, length);
+            const sumRe = (0.5 * centreSum[0] - 0.25 * upperSum[0] - 0.25 * lowerSum[0]) / length;
+            const sumIm = (0.5 * centreSum[1] - 0.25 * upperSum[1] - 0.25 * lowerSum[1]) / length;
+
+            // Shift to the end of the frame: × e^{−iβ·offset}
+            const shift = -beta * frameOffset;
+            real.push(sumRe * Math.cos(shift) - sumIm * Math.sin(shift));
+            imag.push(sumRe * Math.sin(shift) + sumIm * Math.cos(shift));
+        }
+    }
+    kernelOffsets[binCount] = real.length;
+
+    return {
+        sampleRate,
+        fftSize,
+        binsPerOctave,
+        frequencies,
+        windowLengths,
+        kernelStarts,
+        kernelOffsets,
+        kernelReal: Float32Array.from(real),
+        kernelImag: Float32Array.from(imag),
+        real: new Float32Array(fftSize),
+        imag: new Float32Array(fftSize)
+    };
+}
+
+/**
+ * Constant-Q level spectrum of one frame. A full-scale (0 dBFS peak) sine at a bin's centre
+ * frequency reads 0 dB.
+ *
+ * @param {ConstantQKernel} kernel
+ * @param {Float32Array} samples kernel.fftSize samples, most recent last
+ * @param {Float32Array} outDb One value per kernel bin
+ * @returns {Float32Array} outDb
+ */
+export function computeConstantQSpectrum(kernel, samples, outDb) {
+    const { fftSize, real, imag, kernelReal, kernelImag, kernelStarts, kernelOffsets } = kernel;
+    real.set(samples.subarray(0, fftSize));
+    imag.fill(0);
+    fftInPlace(real, imag);
+
+    // Parseval: Σ x[n] conj(k[n]) = (1/N) Σ X[j] conj(K[j]); a cosine of amplitude A gives A/4
+    const scale = 4 / fftSize;
+    for (let k = 0; k < outDb.length; k++) {
+        let sumRe = 0;
+        let sumIm = 0;
+        let j = kernelStarts[k];
+        for (let index = kernelOffsets[k]; index < kernelOffsets[k + 1]; index++, j++) {
+            sumRe += real[j] * kernelReal[index] + imag[j] * kernelImag[index];
+            sumIm += imag[j] * kernelReal[index] - real[j] * kernelImag[index];
+        }
+        const amplitude = Math.sqrt(sumRe * sumRe + sumIm * sumIm) * scale;
+        outDb[k] = amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+    }
+    return outDb;
+}
+
+/**
+ * Level per equal-tempered note: the loudest bin within half a semitone of each note.
+ *
+ * @param {ConstantQKernel} kernel
+ * @param {Float32Array} cqDb From computeConstantQSpectrum
+ * @param {number} firstMidi Note stored at index 0 of out
+ * @param {Float32Array} out One value per note
+ * @returns {Float32Array} out
+ */
+export function constantQNoteLevels(kernel, cqDb, firstMidi, out) {
+    out.fill(-Infinity);
+    for (let k = 0; k < cqDb.length; k++) {
+        const index = Math.round(frequencyToMidiFloat(kernel.frequencies[k])) - firstMidi;
+        if (index >= 0 && index < out.length && cqDb[k] > out[index]) {
+            out[index] = cqDb[k];
+        }
+    }
+    return out;
+}
+
+/**
+ * The loudest notes, skipping those far below the loudest one or under an absolute floor.
+ * A note only counts when it is a local maximum against its semitone neighbours, so the skirt of
+ * a loud note does not light up the keys next to it.
+ *
+ * @param {Float32Array} noteLevels From constantQNoteLevels
+ * @param {number} firstMidi
+ * @param {{count?: number, rangeDb?: number, floorDb?: number}} [options]
+ * @returns {LoudNote[]} Loudest first
+ */
+export function findLoudestNotes(noteLevels, firstMidi, options = {}) {
+    const count = options.count ?? 6;
+    const rangeDb = options.rangeDb ?? 24;
+    const floorDb = options.floorDb ?? -70;
+
+    let maxDb = -Infinity;
+    for (let i = 0; i < noteLevels.length; i++) {
+        if (noteLevels[i] > maxDb) maxDb = noteLevels[i];
+    }
+    const thresholdDb = Math.max(floorDb, maxDb - rangeDb);
+
+    const notes = [];
+    for (let i = 0; i < noteLevels.length; i++) {
+        const level = noteLevels[i];
+        if (!(level >= thresholdDb)) continue;
+        if (i > 0 && noteLevels[i - 1] > level) continue;
+        if (i < noteLevels.length - 1 && noteLevels[i + 1] >= level) continue;
+
+        const midi = firstMidi + i;
+        notes.push({ midi, label: frequencyToNote(midiToFrequency(midi)).label, levelDb: level });
+    }
+
+    notes.sort((a, b) => b.levelDb - a.levelDb);
+    return notes.slice(0, count);
+}
@@ -0,0 +1,89 @@
+/**
+ * @typedef {Object} SpectralDescriptors
+ * @property {number} centroid Amplitude-weighted mean frequency in Hz ("brightness")
+ * @property {number} spread Amplitude-weighted standard deviation around the centroid in Hz
+ * @property {number} flatness Geometric over arithmetic mean of the power (0 = tonal, 1 = white noise)
+ * @property {number} rolloff85 Frequency below which 85% of the power lies
+ * @property {number} rolloff95 Frequency below which 95% of the power lies
+ * @property {number} flux Rectified change of the level-normalised magnitude spectrum since the previous frame (0..1)
+ * @property {number} crestDb Peak over mean power in dB (0 dB = flat)
+ */
+
+const POWER_FLOOR = 1e-12; // -120 dB, stands in for silent bins in the flatness log-mean
+
+/**
+ * Spectral shape descriptors of one frame, over the bins between minFrequency and maxFrequency.
+ * Centroid and spread weight by amplitude, flatness, rolloff and crest by power.
+ * Flux compares against previousMagnitudes when given (one value per bin; zero-filled, so the first frame reads 1),
+ * which is then overwritten with this frame's normalised magnitudes for the next call.
+ * A silent frame returns zeros (and leaves previousMagnitudes untouched).
+ *
+ * @param {Float32Array} spectrumDb fftSize / 2 bins
+ * @param {number} sampleRate
+ * @param {{minFrequency?: number, maxFrequency?: number, previousMagnitudes?: Float32Array}} [options]
+ *        Defaults: 20 Hz to 20 kHz
+ * @returns {SpectralDescriptors}
+ */
+export function computeSpectralDescriptors(spectrumDb, sampleRate, options = {}) {
+    const binWidthHz = sampleRate / (spectrumDb.length * 2);
+    const firstBin = Math.max(1, Math.ceil((options.minFrequency ?? 20) / binWidthHz));
+    const lastBin = Math.min(spectrumDb.length - 1, Math.floor((options.maxFrequency ?? 20000) / binWidthHz));
+    const previous = options.previousMagnitudes;
+
+    let amplitudeSum = 0;
+    let weightedFrequencySum = 0;
+    let powerSum = 0;
+    let logPowerSum = 0;
+    let maxPower = 0;
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+        const db = spectrumDb[bin];
+        const amplitude = isFinite(db) ? Math.pow(10, db / 20) : 0;
+        const power = amplitude * amplitude;
+        amplitudeSum += amplitude;
+        weightedFrequencySum += amplitude * bin * binWidthHz;
+        powerSum += power;
+        logPowerSum += Math.log(Math.max(power, POWER_FLOOR));
+        if (power > maxPower) maxPower = power;
+    }
+
+    const binCount = lastBin - firstBin + 1;
+    if (binCount <= 0 || amplitudeSum <= 0) {
+        return { centroid: 0, spread: 0, flatness: 0, rolloff85: 0, rolloff95: 0, flux: 0, crestDb: 0 };
+    }
+
+    const centroid = weightedFrequencySum / amplitudeSum;
+    let varianceSum = 0;
+    let cumulativePower = 0;
+    let rolloff85 = 0;
+    let rolloff95 = 0;
+    let fluxSquareSum = 0;
+    const norm = Math.sqrt(powerSum);
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+        const db = spectrumDb[bin];
+        const amplitude = isFinite(db) ? Math.pow(10, db / 20) : 0;
+        const frequency = bin * binWidthHz;
+        varianceSum += amplitude * (frequency - centroid) * (frequency - centroid);
+
+        cumulativePower += amplitude * amplitude;
+        if (!rolloff85 && cumulativePower >= 0.85 * powerSum) rolloff85 = frequency;
+        if (!rolloff95 && cumulativePower >= 0.95 * powerSum) rolloff95 = frequency;
+
+        if (previous) {
+            const normalized = amplitude / norm;
+            const rise = normalized - previous[bin];
+            if (rise > 0) fluxSquareSum += rise * rise;
+            previous[bin] = normalized;
+        }
+    }
+
+    const meanPower = powerSum / binCount;
+    return {
+        centroid,
+        spread: Math.sqrt(varianceSum / amplitudeSum),
+        flatness: Math.exp(logPowerSum / binCount) / meanPower,
+        rolloff85,
+        rolloff95,
+        flux: Math.sqrt(fluxSquareSum),
+        crestDb: 10 * Math.log10(maxPower / meanPower)
+    };
+}
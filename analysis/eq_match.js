@@ -0,0 +1,267 @@
+/**
+ * @typedef {Object} EqBand
+ * @property {'peaking' | 'lowshelf' | 'highshelf'} type
+ * @property {number} frequency Centre (peaking) or corner (shelf) frequency in Hz
+ * @property {number} gainDb
+ * @property {number} q
+ */
+
+/**
+ * @typedef {Object} EqFitOptions
+ * @property {number} [maxBands] Upper limit on the number of bands (default 6)
+ * @property {number} [maxGainDb] Largest boost or cut per band (default 6)
+ * @property {number} [sampleRate] Sample rate the band responses are evaluated at (default 48000)
+ * @property {number} [toleranceDb] Stop adding bands once the residual stays within this (default 0.5)
+ */
+
+const SHELF_Q = Math.SQRT1_2;
+const MIN_Q = 0.3;
+const MAX_Q = 10;
+const LOW_SHELF_MAX_HZ = 120;
+const HIGH_SHELF_MIN_HZ = 6000;
+const GAIN_REFINE_PASSES = 4;
+
+/**
+ * Log-spaced frequency grid.
+ *
+ * @param {number} minFreq
+ * @param {number} maxFreq
+ * @param {number} pointsPerOctave
+ * @returns {Float64Array}
+ */
+export function logFrequencyGrid(minFreq, maxFreq, pointsPerOctave) {
+    const count = Math.floor(Math.log2(maxFreq / minFreq) * pointsPerOctave) + 1;
+    const grid = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+        grid[i] = minFreq * Math.pow(2, i / pointsPerOctave);
+    }
+    return grid;
+}
+
+/**
+ * Correction needed to move a mix towards a reference (reference − mix), sampled on a frequency grid.
+ * The mean difference is removed so the EQ matches tonal balance rather than overall level.
+ * Frequencies where either spectrum is silent get no correction.
+ *
+ * @param {Float32Array} referenceDb Per-bin levels (ideally already fractional-octave smoothed)
+ * @param {Float32Array} mixDb Per-bin levels on the same bin grid
+ * @param {number} sampleRate
+ * @param {Float64Array} frequencies Grid to sample the difference on
+ * @returns {{targetDb: Float64Array, offsetDb: number}} offsetDb is the removed level difference
+ */
+export function computeEqMatchTarget(referenceDb, mixDb, sampleRate, frequencies) {
+    const binCount = Math.min(referenceDb.length, mixDb.length);
+    const binWidthHz = sampleRate / (2 * binCount);
+    const targetDb = new Float64Array(frequencies.length);
+    const valid = new Uint8Array(frequencies.length);
+    let sum = 0;
+    let count = 0;
+
+    const sample = (spectrum, position) => {
+        const lower = Math.min(binCount - 1, Math.floor(position));
+        const upper = Math.min(binCount - 1, lower + 1);
+        const fraction = position - lower;
+        return spectrum[lower] + (spectrum[upper] - spectrum[lower]) * Math.min(1, fraction);
+    };
+
+    for (let i = 0; i < frequencies.length; i++) {
+        const position = frequencies[i] / binWidthHz;
+        if (position > binCount - 1) continue;
+
+        const difference = sample(referenceDb, position) - sample(mixDb, position);
+        if (isFinite(difference)) {
+            targetDb[i] = difference;
+            valid[i] = 1;
+            sum += difference;
+            count++;
+        }
+    }
+
+    const offsetDb = count > 0 ? sum / count : 0;
+    for (let i = 0; i < targetDb.length; i++) {
+        targetDb[i] = valid[i] ? targetDb[i] - offsetDb : 0;
+    }
+
+    return { targetDb, offsetDb };
+}
+
+/**
+ * Magnitude response of one RBJ-cookbook biquad band.
+ *
+ * @param {EqBand} band
+ * @param {number} frequency
+ * @param {number} sampleRate
+ * @returns {number} dB
+ */
+export function eqBandResponseDb(band, frequency, sampleRate) {
+    const A = Math.pow(10, band.gainDb / 40);
+    const w0 = (2 * Math.PI * band.frequency) / sampleRate;
+    const cosW0 = Math.cos(w0);
+    const alpha = Math.sin(w0) / (2 * band.q);
+    let b0, b1, b2, a0, a1, a2;
+
+    if (band.type === 'lowshelf' || band.type === 'highshelf') {
+        const sign = band.type === 'lowshelf' ? 1 : -1;
+        const twoSqrtAAlpha = 2 * Math.sqrt(A) * alpha;
+        b0 = A * ((A + 1) - sign * (A - 1) * cosW0 + twoSqrtAAlpha);
+        b1 = sign * 2 * A * ((A - 1) - sign * (A + 1) * cosW0);
+        b2 = A * ((A + 1) - sign * (A - 1) * cosW0 - twoSqrtAAlpha);
+        a0 = (A + 1) + sign * (A - 1) * cosW0 + twoSqrtAAlpha;
+        a1 = -sign * 2 * ((A - 1) + sign * (A + 1) * cosW0);
+        a2 = (A + 1) + sign * (A - 1) * cosW0 - twoSqrtAAlpha;
+    } else {
+        b0 = 1 + alpha * A;
+        b1 = -2 * cosW0;
+        b2 = 1 - alpha * A;
+        a0 = 1 + alpha / A;
+        a1 = -2 * cosW0;
+        a2 = 1 - alpha / A;
+    }
+
+    // |H(e^jw)|² from the coefficients: |b0 + b1 z^-1 + b2 z^-2|² / |a0 + a1 z^-1 + a2 z^-2|²
+    const w = (2 * Math.PI * frequency) / sampleRate;
+    const cosW = Math.cos(w);
+    const cos2W = Math.cos(2 * w);
+    const numerator = b0 * b0 + b1 * b1 + b2 * b2 + 2 * (b0 * b1 + b1 * b2) * cosW + 2 * b0 * b2 * cos2W;
+    const denominator = a0 * a0 + a1 * a1 + a2 * a2 + 2 * (a0 * a1 + a1 * a2) * cosW + 2 * a0 * a2 * cos2W;
+
+    return 10 * Math.log10(numerator / denominator);
+}
+
+/**
+ * Summed response of a set of bands (cascaded filters add in dB).
+ *
+ * @param {EqBand[]} bands
+ * @param {Float64Array | number[]} frequencies
+ * @param {number} sampleRate
+ * @returns {Float64Array}
+ */
+export function eqResponseDb(bands, frequencies, sampleRate) {
+    const response = new Float64Array(frequencies.length);
+    bands.forEach(band => {
+        for (let i = 0; i < frequencies.length; i++) {
+            response[i] += eqBandResponseDb(band, frequencies[i], sampleRate);
+        }
+    });
+    return response;
+}
+
+/**
+ * Greedy parametric EQ fit: each new band goes where the residual is largest, its width taken from
+ * where the residual falls to half, and all gains are re-solved (least squares on the band shapes)
+ * after every addition. Shelves are used when the largest residual reaches the edge of the grid
+ * at the low or high end.
+ *
+ * @param {Float64Array} frequencies Log-spaced grid (see logFrequencyGrid)
+ * @param {Float64Array} targetDb Desired correction on that grid
+ * @param {EqFitOptions} [options]
+ * @returns {EqBand[]} Bands sorted by frequency
+ */
+export function fitParametricEq(frequencies, targetDb, options = {}) {
+    const maxBands = options.maxBands ?? 6;
+    const maxGainDb = options.maxGainDb ?? 6;
+    const sampleRate = options.sampleRate ?? 48000;
+    const toleranceDb = options.toleranceDb ?? 0.5;
+    const clampGain = (gain) => Math.max(-maxGainDb, Math.min(maxGainDb, gain));
+    const last = frequencies.length - 1;
+    const bands = [];
+
+    const residualFor = () => {
+        const response = eqResponseDb(bands, frequencies, sampleRate);
+        return targetDb.map((value, i) => value - response[i]);
+    };
+
+    for (let k = 0; k < maxBands; k++) {
+        const residual = residualFor();
+
+        let peakIndex = 0;
+        for (let i = 1; i <= last; i++) {
+            if (Math.abs(residual[i]) > Math.abs(residual[peakIndex])) {
+                peakIndex = i;
+            }
+        }
+        const peakDb = residual[peakIndex];
+        if (Math.abs(peakDb) < toleranceDb) break;
+
+        // Half-gain edges of the region around the peak
+        const isInRegion = (i) => Math.sign(residual[i]) === Math.sign(peakDb) && Math.abs(residual[i]) >= Math.abs(peakDb) / 2;
+        let low = peakIndex;
+        let high = peakIndex;
+        while (low > 0 && isInRegion(low - 1)) low--;
+        while (high < last && isInRegion(high + 1)) high++;
+
+        // Refine the grid positions between points: the peak by parabolic interpolation,
+        // the half-gain edges by linear interpolation of the crossing
+        const magnitude = (i) => Math.abs(residual[i]);
+        const frequencyAt = (position) => {
+            const lower = Math.max(0, Math.min(last - 1, Math.floor(position)));
+            return frequencies[lower] * Math.pow(frequencies[lower + 1] / frequencies[lower], position - lower);
+        };
+        let peakPosition = peakIndex;
+        if (peakIndex > 0 && peakIndex < last) {
+            const curvature = magnitude(peakIndex - 1) - 2 * magnitude(peakIndex) + magnitude(peakIndex + 1);
+            if (curvature < 0) {
+                peakPosition += Math.max(-0.5, Math.min(0.5, (0.5 * (magnitude(peakIndex - 1) - magnitude(peakIndex + 1))) / curvature));
+            }
+        }
+        const halfMagnitude = Math.abs(peakDb) / 2;
+        const crossing = (inside, outside) => {
+            if (outside < 0 || outside > last || Math.sign(residual[outside]) !== Math.sign(peakDb)) return inside;
+            const span = magnitude(inside) - magnitude(outside);
+            return span > 0 ? inside + (outside - inside) * ((magnitude(inside) - halfMagnitude) / span) : inside;
+        };
+        const lowPosition = crossing(low, low - 1);
+        const highPosition = crossing(high, high + 1);
+
+        let band;
+        if (low === 0 && frequencies[peakIndex] <= LOW_SHELF_MAX_HZ) {
+            band = { type: 'lowshelf', frequency: frequencyAt(highPosition), gainDb: clampGain(peakDb), q: SHELF_Q };
+        } else if (high === last && frequencies[peakIndex] >= HIGH_SHELF_MIN_HZ) {
+            band = { type: 'highshelf', frequency: frequencyAt(lowPosition), gainDb: clampGain(peakDb), q: SHELF_Q };
+        } else {
+            // Half-gain bandwidth in octaves → Q, at least a sixth of an octave wide
+            const bandwidthOct = Math.max(1 / 6, Math.log2(frequencyAt(highPosition) / frequencyAt(lowPosition)));
+            const ratio = Math.pow(2, bandwidthOct);
+            const q = Math.max(MIN_Q, Math.min(MAX_Q, Math.sqrt(ratio) / (ratio - 1)));
+            band = { type: 'peaking', frequency: frequencyAt(peakPosition), gainDb: clampGain(peakDb), q };
+        }
+        bands.push(band);
+
+        // Re-solve the gains: bands overlap, so a new band changes what the others should do
+        for (let pass = 0; pass < GAIN_REFINE_PASSES; pass++) {
+            bands.forEach(current => {
+                if (current.gainDb === 0) return;
+                const others = residualFor();
+                let dot = 0;
+                let norm = 0;
+                for (let i = 0; i <= last; i++) {
+                    const shape = eqBandResponseDb(current, frequencies[i], sampleRate) / current.gainDb;
+                    dot += shape * others[i];
+                    norm += shape * shape;
+                }
+                if (norm > 0) {
+                    current.gainDb = clampGain(current.gainDb + dot / norm);
+                }
+            });
+        }
+    }
+
+    return bands
+        .filter(band => Math.abs(band.gainDb) >= 0.1)
+        .sort((a, b) => a.frequency - b.frequency);
+}
+
+/**
+ * @param {EqBand[]} bands
+ * @returns {string} One band per line, e.g. "1. Peak  250 Hz  -3.5 dB  Q 1.41"
+ */
+export function formatEqBandsText(bands) {
+    const typeLabels = { peaking: 'Peak', lowshelf: 'Low Shelf', highshelf: 'High Shelf' };
+    return bands
+        .map((band, index) => {
+            const frequency = band.frequency >= 1000 ? `${(band.frequency / 1000).toFixed(2)} kHz` : `${Math.round(band.frequency)} Hz`;
+            const gain = `${band.gainDb >= 0 ? '+' : ''}${band.gainDb.toFixed(1)} dB`;
+            return `${index + 1}. ${typeLabels[band.type] || band.type}  ${frequency}  ${gain}  Q ${band.q.toFixed(2)}`;
+        })
+        .join('\n');
+}
@@ -0,0 +1,230 @@
+import { createHannWindow, fftInPlace } from './stft.js';
+
+/**
+ * @typedef {'hann' | 'hamming' | 'blackman-harris' | 'flattop' | 'kaiser'} WindowType
+ */
+
+/**
+ * @typedef {Object} FftEngineState
+ * @property {number} fftSize
+ * @property {number} hopSize Samples between frame starts (fftSize × (1 − overlap))
+ * @property {Float32Array} window
+ * @property {number} coherentGain Mean of the window (amplitude scaling of a windowed sinusoid)
+ * @property {Float32Array[]} history Circular sample history per channel
+ * @property {number} written Total samples pushed per channel
+ * @property {number} nextFrameEnd Sample position (in `written` units) where the next frame ends
+ * @property {Float32Array} real FFT scratch
+ * @property {Float32Array} imag FFT scratch
+ * @property {Float64Array} powerSum Per-bin accumulator for averaging overlapped frames
+ */
+
+export const WINDOW_TYPES = Object.freeze(['hann', 'hamming', 'blackman-harris', 'flattop', 'kaiser']);
+
+const DEFAULT_KAISER_BETA = 8.6;
+const HISTORY_FRAMES = 2; // History length in FFT frames; older frames are dropped if the reader falls behind
+
+/**
+ * Sum of cosines window: a0 − a1 cos(x) + a2 cos(2x) − a3 cos(3x) + ...
+ *
+ * @param {number} size
+ * @param {number[]} coefficients
+ * @returns {Float32Array}
+ */
+function cosineSumWindow(size, coefficients) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        const x = (2 * Math.PI * i) / (size - 1);
+        let value = 0;
+        coefficients.forEach((coefficient, k) => {
+            value += (k % 2 === 0 ? 1 : -1) * coefficient * Math.cos(k * x);
+        });
+        window[i] = value;
+    }
+    return window;
+}
+
+/**
+ * Zeroth-order modified Bessel function of the first kind (power series).
+ *
+ * @param {number} x
+ * @returns {number}
+ */
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    const quarterXSquared = (x * x) / 4;
+    for (let k = 1; k < 50; k++) {
+        term *= quarterXSquared / (k * k);
+        sum += term;
+        if (term < sum * 1e-12) break;
+    }
+    return sum;
+}
+
+/**
+ * Analysis window (symmetric, like createHannWindow).
+ * Flat-top uses the 5-term coefficients that keep scalloping loss under 0.01 dB, so tones read
+ * their true amplitude wherever they fall between bins.
+ *
+ * @param {WindowType} type Unknown types fall back to Hann
+ * @param {number} size
+ * @param {{kaiserBeta?: number}} [options]
+ * @returns {Float32Array}
+ */
+export function createAnalysisWindow(type, size, options = {}) {
+    switch (type) {
+        case 'hamming':
+            return cosineSumWindow(size, [0.54, 0.46]);
+        case 'blackman-harris':
+            return cosineSumWindow(size, [0.35875, 0.48829, 0.14128, 0.01168]);
+        case 'flattop':
+            return cosineSumWindow(size, [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368]);
+        case 'kaiser': {
+            const beta = options.kaiserBeta ?? DEFAULT_KAISER_BETA;
+            const window = new Float32Array(size);
+            const denominator = besselI0(beta);
+            for (let i = 0; i < size; i++) {
+                const ratio = (2 * i) / (size - 1) - 1;
+                window[i] = besselI0(beta * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / denominator;
+            }
+            return window;
+        }
+        case 'hann':
+        default:
+            return createHannWindow(size);
+    }
+}
+
+/**
+ * @param {Float32Array} window
+ * @returns {number} Coherent gain (mean window value)
+ */
+export function windowCoherentGain(window) {
+    let sum = 0;
+    for (let i = 0; i < window.length; i++) {
+        sum += window[i];
+    }
+    return sum / window.length;
+}
+
+/**
+ * @param {{fftSize: number, windowType?: WindowType, overlap?: number, kaiserBeta?: number, channels?: number}} config
+ *        overlap is the fraction shared by consecutive frames (0 to 0.875)
+ * @returns {FftEngineState}
+ */
+export function createFftEngineState(config) {
+    const { fftSize } = config;
+    const overlap = Math.max(0, Math.min(0.875, config.overlap ?? 0.5));
+    const window = createAnalysisWindow(config.windowType ?? 'hann', fftSize, { kaiserBeta: config.kaiserBeta });
+    const channels = config.channels ?? 2;
+
+    return {
+        fftSize,
+        hopSize: Math.max(1, Math.round(fftSize * (1 - overlap))),
+        window,
+        coherentGain: windowCoherentGain(window),
+        history: Array.from({ length: channels }, () => new Float32Array(fftSize * HISTORY_FRAMES)),
+        written: 0,
+        nextFrameEnd: fftSize,
+        real: new Float32Array(fftSize),
+        imag: new Float32Array(fftSize),
+        powerSum: new Float64Array(fftSize / 2)
+    };
+}
+
+/**
+ * Append captured samples (one block per channel, equal lengths) to the history.
+ *
+ * @param {FftEngineState} state
+ * @param {Float32Array[]} channelBlocks Missing channels repeat the first one
+ */
+export function pushEngineSamples(state, channelBlocks) {
+    const length = channelBlocks[0].length;
+    const capacity = state.history[0].length;
+
+    state.history.forEach((history, channel) => {
+        const block = channelBlocks[channel] || channelBlocks[0];
+        let writeIndex = state.written % capacity;
+        for (let i = 0; i < length; i++) {
+            history[writeIndex] = block[i];
+            writeIndex = writeIndex + 1 === capacity ? 0 : writeIndex + 1;
+        }
+    });
+
+    state.written += length;
+}
+
+/**
+ * Frames that became complete since the last call (their end positions), advancing the hop clock.
+ * Frames that have already left the history are skipped.
+ *
+ * @param {FftEngineState} state
+ * @returns {number[]}
+ */
+export function collectEngineFrames(state) {
+    const capacity = state.history[0].length;
+    const oldestEnd = state.written - capacity + state.fftSize;
+    if (state.nextFrameEnd < oldestEnd) {
+        state.nextFrameEnd += Math.ceil((oldestEnd - state.nextFrameEnd) / state.hopSize) * state.hopSize;
+    }
+
+    const frameEnds = [];
+    while (state.nextFrameEnd <= state.written) {
+        frameEnds.push(state.nextFrameEnd);
+        state.nextFrameEnd += state.hopSize;
+    }
+    return frameEnds;
+}
+
+/**
+ * Level spectrum of a channel mix, power-averaged over the given frames.
+ * Scaled by 2 / (N × coherent gain), so a full-scale (0 dBFS peak) sine on a bin reads 0 dB
+ * whatever the window.
+ *
+ * @param {FftEngineState} state
+ * @param {number[]} frameEnds From collectEngineFrames
+ * @param {number[]} mix Gain per channel, e.g. [1, 0] = left, [0.5, 0.5] = mid, [0.5, -0.5] = side
+ * @param {Float32Array} outDb fftSize / 2 bins (bin i at i × sampleRate / fftSize)
+ * @returns {boolean} False when there were no frames (outDb untouched)
+ */
+export function computeEngineSpectrum(state, frameEnds, mix, outDb) {
+    if (frameEnds.length === 0) {
+        return false;
+    }
+
+    const { fftSize, window, real, imag, powerSum, history } = state;
+    const capacity = history[0].length;
+    const binCount = fftSize / 2;
+    const amplitudeScale = 2 / (fftSize * state.coherentGain);
+    powerSum.fill(0);
+
+    frameEnds.forEach(frameEnd => {
+        let readIndex = (((frameEnd - fftSize) % capacity) + capacity) % capacity;
+        for (let i = 0; i < fftSize; i++) {
+            let sample = 0;
+            for (let channel = 0; channel < history.length; channel++) {
+                if (mix[channel]) {
+                    sample += mix[channel] * history[channel][readIndex];
+                }
+            }
+            real[i] = sample * window[i];
+            imag[i] = 0;
+            readIndex = readIndex + 1 === capacity ? 0 : readIndex + 1;
+        }
+
+        fftInPlace(real, imag);
+
+        for (let bin = 0; bin < binCount; bin++) {
+            // DC has no mirrored negative-frequency half, so it is not doubled
+            const scale = bin === 0 ? amplitudeScale / 2 : amplitudeScale;
+            const amplitude = Math.sqrt(real[bin] * real[bin] + imag[bin] * imag[bin]) * scale;
+            powerSum[bin] += amplitude * amplitude;
+        }
+    });
+
+    for (let bin = 0; bin < binCount; bin++) {
+        const meanPower = powerSum[bin] / frameEnds.length;
+        outDb[bin] = meanPower > 0 ? 10 * Math.log10(meanPower) : -Infinity;
+    }
+    return true;
+}
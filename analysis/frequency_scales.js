@@ -0,0 +1,53 @@
+/**
+ * @typedef {'linear' | 'log' | 'mel' | 'bark' | 'erb'} FrequencyScale
+ */
+
+/**
+ * Forward (Hz → scale units) and inverse mappings of the supported frequency axes.
+ * mel: O'Shaughnessy (2595 log10(1 + f/700)); Bark: Traunmüller (1990);
+ * ERB: Glasberg & Moore ERB-rate (21.4 log10(1 + 0.00437 f)).
+ */
+const SCALES = {
+    linear: {
+        toScale: (hz) => hz,
+        toHz: (value) => value
+    },
+    log: {
+        toScale: (hz) => Math.log10(hz),
+        toHz: (value) => Math.pow(10, value)
+    },
+    mel: {
+        toScale: (hz) => 2595 * Math.log10(1 + hz / 700),
+        toHz: (mel) => 700 * (Math.pow(10, mel / 2595) - 1)
+    },
+    bark: {
+        toScale: (hz) => (26.81 * hz) / (1960 + hz) - 0.53,
+        toHz: (bark) => (1960 * (bark + 0.53)) / (26.28 - bark)
+    },
+    erb: {
+        toScale: (hz) => 21.4 * Math.log10(1 + 0.00437 * hz),
+        toHz: (erb) => (Math.pow(10, erb / 21.4) - 1) / 0.00437
+    }
+};
+
+export const FREQUENCY_SCALES = Object.freeze(Object.keys(SCALES));
+
+/**
+ * @param {number} frequencyHz
+ * @param {FrequencyScale} scale Unknown scales fall back to log
+ * @returns {number} Position in the scale's units (Hz, log10 Hz, mel, Bark or ERB-number)
+ */
+export function frequencyToScale(frequencyHz, scale) {
+    return (SCALES[scale] || SCALES.log).toScale(frequencyHz);
+}
+
+/**
+ * Inverse of frequencyToScale.
+ *
+ * @param {number} value
+ * @param {FrequencyScale} scale
+ * @returns {number} Frequency in Hz
+ */
+export function scaleToFrequency(value, scale) {
+    return (SCALES[scale] || SCALES.log).toHz(value);
+}
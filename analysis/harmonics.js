@@ -0,0 +1,170 @@
+import { NOTE_NAMES } from './chords.js';
+import { findSpectralPeaks, interpolatePeak } from './peaks.js';
+import { frequencyToNote, midiToFrequency } from './pitch.js';
+
+/**
+ * @typedef {Object} HarmonicLevel
+ * @property {number} number 1 = fundamental
+ * @property {number} expectedFrequency number × fundamental
+ * @property {number} frequency Measured (interpolated) peak frequency near the expected one
+ * @property {number} db Peak level
+ * @property {number} relativeDb Level relative to the fundamental
+ */
+
+const FLAT_TO_SHARP = { Db: 'C#', Eb: 'D#', Fb: 'E', Gb: 'F#', Ab: 'G#', Bb: 'A#', Cb: 'B' };
+
+/**
+ * Parse a typed pitch: a frequency ("55", "55.2 Hz", "1.2k", "1.2 kHz") or a note with octave
+ * ("A1", "C#3", "Bb2", optionally followed by cents such as "A1 +6c").
+ *
+ * @param {string} text
+ * @param {number} [a4Hz]
+ * @returns {number | null} Frequency in Hz, or null when the text is neither
+ */
+export function parsePitchInput(text, a4Hz = 440) {
+    const trimmed = String(text).trim();
+
+    const frequencyMatch = /^(\d+(?:\.\d+)?)\s*(k(?:hz)?|hz)?$/i.exec(trimmed);
+    if (frequencyMatch) {
+        const value = parseFloat(frequencyMatch[1]) * (/^k/i.test(frequencyMatch[2] || '') ? 1000 : 1);
+        return value > 0 ? value : null;
+    }
+
+    const noteMatch = /^([A-Ga-g])([#b]?)(-?\d)\s*(?:([+-]\d+(?:\.\d+)?)\s*c)?$/.exec(trimmed);
+    if (!noteMatch) {
+        return null;
+    }
+
+    let name = noteMatch[1].toUpperCase() + noteMatch[2];
+    let octave = parseInt(noteMatch[3], 10);
+    if (FLAT_TO_SHARP[name]) {
+        // Cb belongs to the octave below its spelling
+        if (name === 'Cb') octave -= 1;
+        name = FLAT_TO_SHARP[name];
+    }
+    const pitchClass = NOTE_NAMES.indexOf(name);
+    if (pitchClass < 0) {
+        return null;
+    }
+
+    const cents = noteMatch[4] ? parseFloat(noteMatch[4]) : 0;
+    return midiToFrequency((octave + 1) * 12 + pitchClass + cents / 100, a4Hz);
+}
+
+/**
+ * Highest interpolated peak within a window around a frequency.
+ *
+ * @param {Float32Array} spectrumDb
+ * @param {number} frequency
+ * @param {number} binWidthHz
+ * @param {number} searchCents Half-width of the window (at least one bin)
+ * @returns {{frequency: number, db: number}}
+ */
+function measurePeakNear(spectrumDb, frequency, binWidthHz, searchCents) {
+    const ratio = Math.pow(2, searchCents / 1200);
+    const centreBin = frequency / binWidthHz;
+    const first = Math.max(1, Math.min(Math.floor(centreBin - 1), Math.floor(frequency / ratio / binWidthHz)));
+    const last = Math.min(spectrumDb.length - 2, Math.max(Math.ceil(centreBin + 1), Math.ceil((frequency * ratio) / binWidthHz)));
+
+    let bestBin = Math.max(1, Math.min(spectrumDb.length - 2, Math.round(centreBin)));
+    for (let bin = first; bin <= last; bin++) {
+        if (spectrumDb[bin] > spectrumDb[bestBin]) bestBin = bin;
+    }
+
+    const peak = interpolatePeak(spectrumDb, bestBin);
+    return { frequency: peak.bin * binWidthHz, db: peak.db };
+}
+
+/**
+ * Levels of a fundamental and its harmonics, each read from the highest peak within searchCents
+ * of n × f0 (so slightly inharmonic partials are still found).
+ *
+ * @param {Float32Array} spectrumDb fftSize / 2 bins
+ * @param {number} fundamentalHz
+ * @param {number} sampleRate
+ * @param {{maxFrequency?: number, searchCents?: number}} [options] Defaults: 20 kHz, ±30 cents
+ * @returns {HarmonicLevel[]}
+ */
+export function measureHarmonics(spectrumDb, fundamentalHz, sampleRate, options = {}) {
+    const maxFrequency = Math.min(options.maxFrequency ?? 20000, sampleRate / 2);
+    const searchCents = options.searchCents ?? 30;
+    const binWidthHz = sampleRate / (spectrumDb.length * 2);
+    if (!(fundamentalHz > 0) || spectrumDb.length < 3) {
+        return [];
+    }
+
+    const harmonics = [];
+    for (let number = 1; number * fundamentalHz <= maxFrequency; number++) {
+        const expectedFrequency = number * fundamentalHz;
+        const peak = measurePeakNear(spectrumDb, expectedFrequency, binWidthHz, searchCents);
+        harmonics.push({ number, expectedFrequency, frequency: peak.frequency, db: peak.db, relativeDb: 0 });
+    }
+
+    const fundamentalDb = harmonics.length > 0 ? harmonics[0].db : -Infinity;
+    harmonics.forEach(harmonic => {
+        harmonic.relativeDb = isFinite(fundamentalDb) && isFinite(harmonic.db) ? harmonic.db - fundamentalDb : -Infinity;
+    });
+    return harmonics;
+}
+
+/**
+ * Fundamental of the dominant harmonic series: among the prominent peaks in range, the one whose
+ * harmonics (first `harmonicCount`) carry the most amplitude. Only actual peaks are candidates,
+ * so a missing fundamental is not reconstructed and subharmonics are never chosen.
+ *
+ * @param {Float32Array} spectrumDb fftSize / 2 bins
+ * @param {number} sampleRate
+ * @param {{minFrequency?: number, maxFrequency?: number, harmonicCount?: number, minProminenceDb?: number, minDb?: number}} [options]
+ *        Defaults: 30 Hz to 1 kHz, 8 harmonics, 6 dB prominence, -80 dB floor
+ * @returns {number | null} Fundamental in Hz
+ */
+export function estimateFundamental(spectrumDb, sampleRate, options = {}) {
+    const minFrequency = options.minFrequency ?? 30;
+    const maxFrequency = options.maxFrequency ?? 1000;
+    const harmonicCount = options.harmonicCount ?? 8;
+    const binWidthHz = sampleRate / (spectrumDb.length * 2);
+
+    const candidates = findSpectralPeaks(spectrumDb, {
+        maxPeaks: 12,
+        minProminenceDb: options.minProminenceDb ?? 6,
+        minDb: options.minDb ?? -80,
+        minBin: Math.floor(minFrequency / binWidthHz),
+        maxBin: Math.ceil(maxFrequency / binWidthHz)
+    });
+
+    let best = null;
+    let bestScore = 0;
+    candidates.forEach(candidate => {
+        const fundamentalHz = candidate.bin * binWidthHz;
+        let score = 0;
+        for (let number = 1; number <= harmonicCount && number * fundamentalHz < sampleRate / 2; number++) {
+            const { db } = measurePeakNear(spectrumDb, number * fundamentalHz, binWidthHz, 30);
+            if (isFinite(db)) score += Math.pow(10, db / 20);
+        }
+        if (score > bestScore) {
+            best = fundamentalHz;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+/**
+ * @param {HarmonicLevel[]} harmonics
+ * @returns {string} CSV with a header row (levels to 0.1 dB, frequencies to 0.01 Hz)
+ */
+export function formatHarmonicsCsv(harmonics) {
+    const rows = harmonics.map(harmonic => {
+        const note = frequencyToNote(harmonic.frequency);
+        return [
+            harmonic.number,
+            harmonic.expectedFrequency.toFixed(2),
+            harmonic.frequency.toFixed(2),
+            note ? note.label : '',
+            note ? Math.round(note.cents) : '',
+            isFinite(harmonic.db) ? harmonic.db.toFixed(1) : '',
+            isFinite(harmonic.relativeDb) ? harmonic.relativeDb.toFixed(1) : ''
+        ].join(',');
+    });
+    return ['harmonic,expected_hz,measured_hz,note,cents,level_db,relative_db', ...rows].join('\n');
+}
@@ -9,7 +9,80 @@ export { splitMelodyHarmony } from './melody_harmony_split.js';
 export { exportToMidi } from './midi_export.js';
 export { preprocessAudio, normalizePeak, toMono } from './preprocess.js';
 export { transcribeV1 } from './transcription.js';
+export {
+    measureRmsDbfs,
+    computeLoudnessMatchGains,
+    kWeightingCoefficients,
+    createLoudnessMeter,
+    resetLoudnessMeter,
+    pushLoudnessSamples,
+    readLoudness,
+    measureIntegratedLoudness
+} from './loudness.js';
+export { computeOctaveSmoothingRanges, applyOctaveSmoothing } from './spectral_smoothing.js';
+export { frequencyToMidiFloat, midiToFrequency, frequencyToNote, formatCents } from './pitch.js';
+export { interpolatePeak, findNearestPeak, findSpectralPeaks, trackSpectralPeaks } from './peaks.js';
+export {
+    createSpectrumSnapshot,
+    resampleSnapshotSpectrum,
+    serializeSnapshots,
+    parseSnapshots
+} from './snapshots.js';
+export {
+    logFrequencyGrid,
+    computeEqMatchTarget,
+    eqBandResponseDb,
+    eqResponseDb,
+    fitParametricEq,
+    formatEqBandsText
+} from './eq_match.js';
+export { FREQUENCY_SCALES, frequencyToScale, scaleToFrequency } from './frequency_scales.js';
 export { computeStftFrames, fftInPlace, createHannWindow } from './stft.js';
+export {
+    WINDOW_TYPES,
+    createAnalysisWindow,
+    windowCoherentGain,
+    createFftEngineState,
+    pushEngineSamples,
+    collectEngineFrames,
+    computeEngineSpectrum
+} from './fft_engine.js';
+export { stitchMultiResolutionSpectra } from './multires.js';
+export {
+    PIANO_LOWEST_MIDI,
+    PIANO_HIGHEST_MIDI,
+    createConstantQKernel,
+    computeConstantQSpectrum,
+    constantQNoteLevels,
+    findLoudestNotes
+} from './constant_q.js';
+export {
+    parsePitchInput,
+    measureHarmonics,
+    estimateFundamental,
+    formatHarmonicsCsv
+} from './harmonics.js';
+export {
+    computeResonanceBaseline,
+    findResonanceCandidates,
+    updateResonanceTracks,
+    rankResonances
+} from './resonances.js';
+export {
+    computeClashScores,
+    createClashTimeline,
+    addClashFrame,
+    clashTimelineValue,
+    findClashRegions
+} from './masking.js';
+export { computeSpectralDescriptors } from './descriptors.js';
+export {
+    dbfsToGain,
+    generateSineTones,
+    generateLogSweep,
+    generateNoise,
+    generateImpulseTrain
+} from './test_signals.js';
 export {
     DEFAULT_ANALYSIS_OPTIONS,
     mergeAnalysisOptions,
@@ -0,0 +1,366 @@
+/**
+ * @typedef {Object} BiquadCoefficients
+ * @property {number} b0
+ * @property {number} b1
+ * @property {number} b2
+ * @property {number} a1
+ * @property {number} a2
+ */
+
+/**
+ * @typedef {Object} LoudnessMeter
+ * @property {number} sampleRate
+ * @property {number} channelCount
+ * @property {BiquadCoefficients[]} filters K-weighting stages (high shelf, then high-pass)
+ * @property {Float64Array} filterState Two state values per stage per channel
+ * @property {number} subBlockLength Samples per 100 ms step
+ * @property {number} subBlockFilled Samples of the current step so far
+ * @property {Float64Array} subBlockSum Sum of squared K-weighted samples per channel in the current step
+ * @property {Float64Array} recentPowers Channel-summed mean square of the last 30 steps (circular)
+ * @property {number} stepCount Completed 100 ms steps since the last reset
+ * @property {Uint32Array} blockCounts Histogram of gated 400 ms block loudness (integrated)
+ * @property {Float64Array} blockPowers Summed block power per histogram bin
+ * @property {Uint32Array} shortTermCounts Histogram of 3 s short-term loudness (loudness range)
+ * @property {Float64Array} shortTermPowers Summed short-term power per histogram bin
+ */
+
+/**
+ * @typedef {Object} LoudnessReading
+ * @property {number} momentaryLufs 400 ms window (-Infinity until it has filled)
+ * @property {number} shortTermLufs 3 s window (-Infinity until it has filled)
+ * @property {number} integratedLufs Gated over everything since the last reset
+ * @property {number} loudnessRangeLu LRA (EBU Tech 3342), 0 until there is a short-term distribution
+ */
+
+const MOMENTARY_STEPS = 4;           // 400 ms blocks, 75% overlap
+const SHORT_TERM_STEPS = 30;         // 3 s windows, updated every 100 ms
+const ABSOLUTE_GATE_LUFS = -70;
+const INTEGRATED_RELATIVE_GATE_LU = -10;
+const RANGE_RELATIVE_GATE_LU = -20;
+const HISTOGRAM_STEP_LU = 0.01;      // Gating and percentiles resolve to 0.01 LU
+const HISTOGRAM_BINS = Math.round((10 - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU); // -70 to +10 LUFS
+
+/**
+ * RMS level of one or more channels in dBFS (a full-scale sine reads -3 dBFS).
+ * Channels are power-averaged, so identical left/right channels read the same as one channel.
+ *
+ * @param {Float32Array[]} channels
+ * @returns {number} -Infinity for silence
+ */
+export function measureRmsDbfs(channels) {
+    let sumSquares = 0;
+    let count = 0;
+
+    for (const channel of channels) {
+        for (let i = 0; i < channel.length; i++) {
+            sumSquares += channel[i] * channel[i];
+        }
+        count += channel.length;
+    }
+
+    if (count === 0 || sumSquares === 0) {
+        return -Infinity;
+    }
+
+    return 10 * Math.log10(sumSquares / count);
+}
+
+/**
+ * Gains that bring two sources to the same level. The louder source is turned down rather than
+ * the quieter one turned up, so matching can never push a source into clipping.
+ *
+ * @param {number} levelA Level of source A in dB (any consistent scale)
+ * @param {number} levelB Level of source B in dB
+ * @returns {{gainDbA: number, gainDbB: number}}
+ */
+export function computeLoudnessMatchGains(levelA, levelB) {
+    if (!isFinite(levelA) || !isFinite(levelB)) {
+        return { gainDbA: 0, gainDbB: 0 };
+    }
+
+    return {
+        gainDbA: Math.min(0, levelB - levelA),
+        gainDbB: Math.min(0, levelA - levelB)
+    };
+}
+
+/**
+ * K-weighting pre-filter (ITU-R BS.1770-4) for any sample rate: the head-related high shelf
+ * followed by the RLB high-pass, derived from their analogue prototypes so 48 kHz reproduces the
+ * coefficient table in the recommendation.
+ *
+ * @param {number} sampleRate
+ * @returns {BiquadCoefficients[]}
+ */
+export function kWeightingCoefficients(sampleRate) {
+    const shelfK = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+    const shelfQ = 0.7071752935439;
+    const vh = Math.pow(10, 3.999843853973347 / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    const shelfA0 = 1 + shelfK / shelfQ + shelfK * shelfK;
+
+    const highPassK = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+    const highPassQ = 0.5003270373238773;
+    const highPassA0 = 1 + highPassK / highPassQ + highPassK * highPassK;
+
+    return [
+        {
+            b0: (vh + (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+            b1: (2 * (shelfK * shelfK - vh)) / shelfA0,
+            b2: (vh - (vb * shelfK) / shelfQ + shelfK * shelfK) / shelfA0,
+            a1: (2 * (shelfK * shelfK - 1)) / shelfA0,
+            a2: (1 - shelfK / shelfQ + shelfK * shelfK) / shelfA0
+        },
+        {
+            b0: 1,
+            b1: -2,
+            b2: 1,
+            a1: (2 * (highPassK * highPassK - 1)) / highPassA0,
+            a2: (1 - highPassK / highPassQ + highPassK * highPassK) / highPassA0
+        }
+    ];
+}
+
+/**
+ * Loudness meter state (ITU-R BS.1770-4 / EBU R128). Every channel is weighted 1, which is right
+ * for mono, stereo and the front channels of surround (no +1.5 dB surround weighting).
+ *
+ * @param {number} sampleRate
+ * @param {number} [channelCount] Default 2
+ * @returns {LoudnessMeter}
+ */
+export function createLoudnessMeter(sampleRate, channelCount = 2) {
+    return {
+        sampleRate,
+        channelCount,
+        filters: kWeightingCoefficients(sampleRate),
+        filterState: new Float64Array(channelCount * 4),
+        subBlockLength: Math.round(sampleRate / 10),
+        subBlockFilled: 0,
+        subBlockSum: new Float64Array(channelCount),
+        recentPowers: new Float64Array(SHORT_TERM_STEPS),
+        stepCount: 0,
+        blockCounts: new Uint32Array(HISTOGRAM_BINS),
+        blockPowers: new Float64Array(HISTOGRAM_BINS),
+        shortTermCounts: new Uint32Array(HISTOGRAM_BINS),
+        shortTermPowers: new Float64Array(HISTOGRAM_BINS)
+    };
+}
+
+/**
+ * Start measuring from scratch (filter state, windows, integrated and range histories).
+ *
+ * @param {LoudnessMeter} meter
+ */
+export function resetLoudnessMeter(meter) {
+    meter.filterState.fill(0);
+    meter.subBlockFilled = 0;
+    meter.subBlockSum.fill(0);
+    meter.recentPowers.fill(0);
+    meter.stepCount = 0;
+    meter.blockCounts.fill(0);
+    meter.blockPowers.fill(0);
+    meter.shortTermCounts.fill(0);
+    meter.shortTermPowers.fill(0);
+}
+
+/**
+ * @param {number} power Channel-summed mean square
+ * @returns {number} LUFS
+ */
+function powerToLufs(power) {
+    return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+/**
+ * Add a window's power to a histogram when it passes the absolute gate.
+ *
+ * @param {Uint32Array} counts
+ * @param {Float64Array} powers
+ * @param {number} power
+ */
+function addToHistogram(counts, powers, power) {
+    const lufs = powerToLufs(power);
+    if (!(lufs > ABSOLUTE_GATE_LUFS)) return;
+    const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor((lufs - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU));
+    counts[bin]++;
+    powers[bin] += power;
+}
+
+/**
+ * Histogram bin of the relative gate: `gateLu` below the mean power of all absolute-gated entries.
+ *
+ * @param {Uint32Array} counts
+ * @param {Float64Array} powers
+ * @param {number} gateLu
+ * @returns {number} First bin that passes, or -1 when the histogram is empty
+ */
+function relativeGateBin(counts, powers, gateLu) {
+    let count = 0;
+    let power = 0;
+    for (let bin = 0; bin < HISTOGRAM_BINS; bin++) {
+        count += counts[bin];
+        power += powers[bin];
+    }
+    if (count === 0) return -1;
+
+    const gateLufs = powerToLufs(power / count) + gateLu;
+    return Math.max(0, Math.floor((gateLufs - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU));
+}
+
+/**
+ * Mean power of the most recent steps.
+ *
+ * @param {LoudnessMeter} meter
+ * @param {number} steps
+ * @returns {number}
+ */
+function windowPower(meter, steps) {
+    let sum = 0;
+    for (let i = 1; i <= steps; i++) {
+        sum += meter.recentPowers[(meter.stepCount - i) % SHORT_TERM_STEPS];
+    }
+    return sum / steps;
+}
+
+/**
+ * Close a 100 ms step: update the sliding windows and the gating histograms.
+ *
+ * @param {LoudnessMeter} meter
+ */
+function finishStep(meter) {
+    let power = 0;
+    for (let channel = 0; channel < meter.channelCount; channel++) {
+        power += meter.subBlockSum[channel] / meter.subBlockLength;
+        meter.subBlockSum[channel] = 0;
+    }
+    meter.recentPowers[meter.stepCount % SHORT_TERM_STEPS] = power;
+    meter.stepCount++;
+    meter.subBlockFilled = 0;
+
+    if (meter.stepCount >= MOMENTARY_STEPS) {
+        addToHistogram(meter.blockCounts, meter.blockPowers, windowPower(meter, MOMENTARY_STEPS));
+    }
+    if (meter.stepCount >= SHORT_TERM_STEPS) {
+        addToHistogram(meter.shortTermCounts, meter.shortTermPowers, windowPower(meter, SHORT_TERM_STEPS));
+    }
+}
+
+/**
+ * K-weight and accumulate a block of samples (any length, one array per channel).
+ * A missing channel repeats the last one given, so a mono block feeds a stereo meter as dual mono.
+ *
+ * @param {LoudnessMeter} meter
+ * @param {Float32Array[]} channels
+ * @returns {number} 100 ms steps completed by this block (new readings are available when > 0)
+ */
+export function pushLoudnessSamples(meter, channels) {
+    const length = channels[0].length;
+    const [shelf, highPass] = meter.filters;
+    const state = meter.filterState;
+    const stepsBefore = meter.stepCount;
+
+    let offset = 0;
+    while (offset < length) {
+        const count = Math.min(length - offset, meter.subBlockLength - meter.subBlockFilled);
+        for (let channel = 0; channel < meter.channelCount; channel++) {
+            const input = channels[Math.min(channel, channels.length - 1)];
+            const base = channel * 4;
+            let s1 = state[base];
+            let s2 = state[base + 1];
+            let s3 = state[base + 2];
+            let s4 = state[base + 3];
+            let sum = 0;
+
+            // Transposed direct form II, both stages
+            for (let i = offset; i < offset + count; i++) {
+                const x = input[i];
+                const y = shelf.b0 * x + s1;
+                s1 = shelf.b1 * x - shelf.a1 * y + s2;
+                s2 = shelf.b2 * x - shelf.a2 * y;
+                const z = highPass.b0 * y + s3;
+                s3 = highPass.b1 * y - highPass.a1 * z + s4;
+                s4 = highPass.b2 * y - highPass.a2 * z;
+                sum += z * z;
+            }
+
+            state[base] = s1;
+            state[base + 1] = s2;
+            state[base + 2] = s3;
+            state[base + 3] = s4;
+            meter.subBlockSum[channel] += sum;
+        }
+
+        meter.subBlockFilled += count;
+        offset += count;
+        if (meter.subBlockFilled === meter.subBlockLength) {
+            finishStep(meter);
+        }
+    }
+    return meter.stepCount - stepsBefore;
+}
+
+/**
+ * Current momentary, short-term, integrated loudness and loudness range.
+ * Integrated: 400 ms blocks gated at -70 LUFS, then 10 LU below their mean (BS.1770-4).
+ * Range: 3 s short-term values gated at -70 LUFS and 20 LU below their mean; the spread between
+ * the 10th and 95th percentiles (EBU Tech 3342).
+ *
+ * @param {LoudnessMeter} meter
+ * @returns {LoudnessReading}
+ */
+export function readLoudness(meter) {
+    const reading = {
+        momentaryLufs: meter.stepCount >= MOMENTARY_STEPS ? powerToLufs(windowPower(meter, MOMENTARY_STEPS)) : -Infinity,
+        shortTermLufs: meter.stepCount >= SHORT_TERM_STEPS ? powerToLufs(windowPower(meter, SHORT_TERM_STEPS)) : -Infinity,
+        integratedLufs: -Infinity,
+        loudnessRangeLu: 0
+    };
+
+    const integratedGate = relativeGateBin(meter.blockCounts, meter.blockPowers, INTEGRATED_RELATIVE_GATE_LU);
+    if (integratedGate >= 0) {
+        let count = 0;
+        let power = 0;
+        for (let bin = integratedGate; bin < HISTOGRAM_BINS; bin++) {
+            count += meter.blockCounts[bin];
+            power += meter.blockPowers[bin];
+        }
+        if (count > 0) reading.integratedLufs = powerToLufs(power / count);
+    }
+
+    const rangeGate = relativeGateBin(meter.shortTermCounts, meter.shortTermPowers, RANGE_RELATIVE_GATE_LU);
+    if (rangeGate >= 0) {
+        let count = 0;
+        for (let bin = rangeGate; bin < HISTOGRAM_BINS; bin++) {
+            count += meter.shortTermCounts[bin];
+        }
+        if (count > 0) {
+            const percentile = (fraction) => {
+                // Nearest rank; the value is the centre of the bin holding it
+                const rank = Math.round((count - 1) * fraction);
+                let seen = 0;
+                for (let bin = rangeGate; bin < HISTOGRAM_BINS; bin++) {
+                    seen += meter.shortTermCounts[bin];
+                    if (seen > rank) return ABSOLUTE_GATE_LUFS + (bin + 0.5) * HISTOGRAM_STEP_LU;
+                }
+                return ABSOLUTE_GATE_LUFS + HISTOGRAM_BINS * HISTOGRAM_STEP_LU;
+            };
+            reading.loudnessRangeLu = percentile(0.95) - percentile(0.1);
+        }
+    }
+    return reading;
+}
+
+/**
+ * Gated integrated loudness of a whole signal (ITU-R BS.1770-4).
+ * Offline helper for complete buffers; the live meter runs createLoudnessMeter in the worklet instead.
+ *
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {number} LUFS; -Infinity when nothing passes the gates (silence, or shorter than 400 ms)
+ */
+export function measureIntegratedLoudness(channels, sampleRate) {
+    const meter = createLoudnessMeter(sampleRate, channels.length);
+    pushLoudnessSamples(meter, channels);
+    return readLoudness(meter).integratedLufs;
+}
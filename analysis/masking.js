@@ -0,0 +1,153 @@
+/**
+ * @typedef {Object} ClashTimeline
+ * @property {number} columns Time slots across the track
+ * @property {number} bandCount
+ * @property {Float32Array} sums Summed clash scores, column-major (column × bandCount + band)
+ * @property {Uint32Array} counts Frames added per cell
+ */
+
+/**
+ * @typedef {Object} ClashRegion
+ * @property {number} firstBand
+ * @property {number} lastBand
+ * @property {number} minFreq
+ * @property {number} maxFreq
+ * @property {number} score Mean clash score of the region's bands over the whole timeline (0..1)
+ * @property {number} peakScore Highest single cell in the region (0..1)
+ */
+
+/**
+ * How strongly two sources compete in each band this frame (0..1).
+ * A band is significant for a source when it is within rangeDb of that source's loudest band
+ * (and above floorDb), so a quiet stem's important bands still count. The clash score is the
+ * smaller of the two significances: high only where both sources matter at the same time.
+ *
+ * @param {Float32Array|number[]} levelsA Band levels in dB
+ * @param {Float32Array|number[]} levelsB
+ * @param {Float32Array} out
+ * @param {{floorDb?: number, rangeDb?: number}} [options] Defaults: -70 dB, 24 dB
+ * @returns {Float32Array} out
+ */
+export function computeClashScores(levelsA, levelsB, out, options = {}) {
+    const floorDb = options.floorDb ?? -70;
+    const rangeDb = options.rangeDb ?? 24;
+    const loudest = (levels) => {
+        let max = -Infinity;
+        for (let i = 0; i < levels.length; i++) {
+            if (levels[i] > max) max = levels[i];
+        }
+        return max;
+    };
+    const maxA = loudest(levelsA);
+    const maxB = loudest(levelsB);
+    const significance = (level, max) => (isFinite(level) && level >= floorDb ? Math.max(0, 1 - (max - level) / rangeDb) : 0);
+
+    for (let band = 0; band < out.length; band++) {
+        out[band] = Math.min(significance(levelsA[band], maxA), significance(levelsB[band], maxB));
+    }
+    return out;
+}
+
+/**
+ * @param {number} columns
+ * @param {number} bandCount
+ * @returns {ClashTimeline}
+ */
+export function createClashTimeline(columns, bandCount) {
+    return {
+        columns,
+        bandCount,
+        sums: new Float32Array(columns * bandCount),
+        counts: new Uint32Array(columns * bandCount)
+    };
+}
+
+/**
+ * Add one frame of clash scores at a position in the track.
+ *
+ * @param {ClashTimeline} timeline
+ * @param {number} position Fraction of the track (0..1)
+ * @param {Float32Array} scores From computeClashScores
+ * @returns {number} The column the frame went into
+ */
+export function addClashFrame(timeline, position, scores) {
+    const column = Math.max(0, Math.min(timeline.columns - 1, Math.floor(position * timeline.columns)));
+    const offset = column * timeline.bandCount;
+    for (let band = 0; band < timeline.bandCount; band++) {
+        timeline.sums[offset + band] += scores[band];
+        timeline.counts[offset + band]++;
+    }
+    return column;
+}
+
+/**
+ * @param {ClashTimeline} timeline
+ * @param {number} column
+ * @param {number} band
+ * @returns {number} Mean clash score of the cell, or -1 when nothing was recorded there
+ */
+export function clashTimelineValue(timeline, column, band) {
+    const index = column * timeline.bandCount + band;
+    return timeline.counts[index] > 0 ? timeline.sums[index] / timeline.counts[index] : -1;
+}
+
+/**
+ * Frequency regions that clash over the recorded timeline: runs of adjacent bands whose mean score
+ * reaches the threshold, most severe first.
+ *
+ * @param {ClashTimeline} timeline
+ * @param {{min: number, max: number}[]} bands Band edges in Hz (timeline.bandCount entries)
+ * @param {{threshold?: number}} [options] Default 0.35
+ * @returns {ClashRegion[]}
+ */
+export function findClashRegions(timeline, bands, options = {}) {
+    const threshold = options.threshold ?? 0.35;
+    const bandMeans = [];
+    const bandPeaks = [];
+
+    for (let band = 0; band < timeline.bandCount; band++) {
+        let sum = 0;
+        let count = 0;
+        let peak = 0;
+        for (let column = 0; column < timeline.columns; column++) {
+            const index = column * timeline.bandCount + band;
+            sum += timeline.sums[index];
+            count += timeline.counts[index];
+            if (timeline.counts[index] > 0) {
+                peak = Math.max(peak, timeline.sums[index] / timeline.counts[index]);
+            }
+        }
+        bandMeans.push(count > 0 ? sum / count : 0);
+        bandPeaks.push(peak);
+    }
+
+    const regions = [];
+    let band = 0;
+    while (band < timeline.bandCount) {
+        if (bandMeans[band] < threshold) {
+            band++;
+            continue;
+        }
+        const firstBand = band;
+        while (band + 1 < timeline.bandCount && bandMeans[band + 1] >= threshold) band++;
+        const lastBand = band;
+
+        let scoreSum = 0;
+        let peakScore = 0;
+        for (let i = firstBand; i <= lastBand; i++) {
+            scoreSum += bandMeans[i];
+            peakScore = Math.max(peakScore, bandPeaks[i]);
+        }
+        regions.push({
+            firstBand,
+            lastBand,
+            minFreq: bands[firstBand].min,
+            maxFreq: bands[lastBand].max,
+            score: scoreSum / (lastBand - firstBand + 1),
+            peakScore
+        });
+        band++;
+    }
+
+    return regions.sort((a, b) => b.score - a.score);
+}
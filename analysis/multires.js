@@ -0,0 +1,95 @@
+/**
+ * @typedef {Object} ResolutionLayer
+ * @property {Float32Array} spectrumDb Per-bin levels (fftSize / 2 bins)
+ * @property {number} fftSize
+ */
+
+/**
+ * Level of a layer at an arbitrary frequency (linear interpolation between its bins).
+ *
+ * @param {ResolutionLayer} layer
+ * @param {number} frequency
+ * @param {number} sampleRate
+ * @returns {number}
+ */
+function sampleLayer(layer, frequency, sampleRate) {
+    const { spectrumDb } = layer;
+    const position = (frequency * layer.fftSize) / sampleRate;
+    const lower = Math.min(spectrumDb.length - 1, Math.floor(position));
+    const upper = Math.min(spectrumDb.length - 1, lower + 1);
+    const fraction = position - lower;
+    const a = spectrumDb[lower];
+    const b = spectrumDb[upper];
+
+    if (!isFinite(a) || !isFinite(b)) {
+        return fraction < 0.5 ? a : b;
+    }
+    return a + (b - a) * fraction;
+}
+
+/**
+ * Stitch spectra of several FFT sizes into one array on the finest layer's bin grid: the longest
+ * FFT below the first crossover, the next one up to the second crossover, and so on. Around each
+ * crossover the layers are crossfaded (in dB, linearly in log frequency) so the seam is not visible.
+ *
+ * Levels of tones line up across layers (every layer is an amplitude spectrum); broadband noise
+ * reads lower in the longer FFTs because each of their bins is narrower.
+ *
+ * The crossfades read layers[0], so stitching in place (layers[0].spectrumDb === outDb) overwrites
+ * the long layer with a blend; that is fine once, but a caller that stitches again before the long
+ * layer is refreshed must keep it in its own buffer, or the blends drift toward the shorter layers.
+ *
+ * @param {ResolutionLayer[]} layers Longest FFT first
+ * @param {number[]} crossoversHz Ascending, one fewer than layers
+ * @param {number} sampleRate
+ * @param {Float32Array} outDb layers[0].fftSize / 2 bins
+ * @param {{blendOctaves?: number}} [options] Width of each crossfade (default 1/2 octave)
+ * @returns {Float32Array} outDb
+ */
+export function stitchMultiResolutionSpectra(layers, crossoversHz, sampleRate, outDb, options = {}) {
+    const halfBlendRatio = Math.pow(2, (options.blendOctaves ?? 0.5) / 2);
+    const base = layers[0];
+    const binWidthHz = sampleRate / base.fftSize;
+    const firstBlendStart = crossoversHz.length > 0 ? crossoversHz[0] / halfBlendRatio : Infinity;
+
+    for (let bin = 0; bin < outDb.length; bin++) {
+        const frequency = bin * binWidthHz;
+
+        if (frequency < firstBlendStart) {
+            outDb[bin] = base.spectrumDb[bin];
+            continue;
+        }
+
+        // Layer whose region contains the frequency
+        let layerIndex = 0;
+        while (layerIndex < crossoversHz.length && frequency >= crossoversHz[layerIndex]) {
+            layerIndex++;
+        }
+
+        const level = sampleLayer(layers[layerIndex], frequency, sampleRate);
+
+        // Crossfade with the neighbouring layer inside a blend window
+        const below = layerIndex > 0 ? crossoversHz[layerIndex - 1] : null;
+        const above = layerIndex < crossoversHz.length ? crossoversHz[layerIndex] : null;
+        let neighbourIndex = -1;
+        let neighbourWeight = 0;
+        if (below !== null && frequency < below * halfBlendRatio) {
+            neighbourIndex = layerIndex - 1;
+            neighbourWeight = 0.5 - Math.log2(frequency / below) / (2 * Math.log2(halfBlendRatio));
+        } else if (above !== null && frequency >= above / halfBlendRatio) {
+            neighbourIndex = layerIndex + 1;
+            neighbourWeight = 0.5 - Math.log2(above / frequency) / (2 * Math.log2(halfBlendRatio));
+        }
+
+        if (neighbourIndex >= 0 && neighbourWeight > 0) {
+            const neighbourLevel = neighbourIndex === 0 ? base.spectrumDb[bin] : sampleLayer(layers[neighbourIndex], frequency, sampleRate);
+            outDb[bin] = isFinite(level) && isFinite(neighbourLevel)
+                ? level * (1 - neighbourWeight) + neighbourLevel * neighbourWeight
+                : Math.max(level, neighbourLevel);
+        } else {
+            outDb[bin] = level;
+        }
+    }
+
+    return outDb;
+}
@@ -0,0 +1,191 @@
+/**
+ * @typedef {Object} InterpolatedPeak
+ * @property {number} bin Fractional bin position of the peak
+ * @property {number} db Interpolated peak level in dB
+ */
+
+/**
+ * Parabolic (quadratic) interpolation of a spectral peak from the bin and its two neighbours.
+ * Fitting the parabola to dB values recovers the true frequency of a windowed sinusoid to a
+ * small fraction of a bin.
+ *
+ * @param {Float32Array} spectrumDb
+ * @param {number} bin Index of a local maximum
+ * @returns {InterpolatedPeak}
+ */
+export function interpolatePeak(spectrumDb, bin) {
+    const center = spectrumDb[bin];
+    const left = spectrumDb[bin - 1];
+    const right = spectrumDb[bin + 1];
+
+    if (bin <= 0 || bin >= spectrumDb.length - 1 || !isFinite(left) || !isFinite(center) || !isFinite(right)) {
+        return { bin, db: center };
+    }
+
+    const denominator = left - 2 * center + right;
+    if (denominator >= 0) {
+        // Flat or not a maximum: nothing to refine
+        return { bin, db: center };
+    }
+
+    const offset = Math.max(-0.5, Math.min(0.5, (0.5 * (left - right)) / denominator));
+    return {
+        bin: bin + offset,
+        db: center - 0.25 * (left - right) * offset
+    };
+}
+
+/**
+ * Peak reached by climbing uphill from a starting bin (the peak whose slope the bin sits on).
+ *
+ * @param {Float32Array} spectrumDb
+ * @param {number} startBin
+ * @param {{minDb?: number}} [options] minDb: ignore peaks below this level (default -Infinity)
+ * @returns {InterpolatedPeak | null}
+ */
+export function findNearestPeak(spectrumDb, startBin, options = {}) {
+    const length = spectrumDb.length;
+    if (length === 0) {
+        return null;
+    }
+
+    let bin = Math.max(0, Math.min(length - 1, Math.round(startBin)));
+    const valueAt = (index) => (index >= 0 && index < length && isFinite(spectrumDb[index]) ? spectrumDb[index] : -Infinity);
+
+    for (;;) {
+        const here = valueAt(bin);
+        const left = valueAt(bin - 1);
+        const right = valueAt(bin + 1);
+
+        if (right > here && right >= left) {
+            bin += 1;
+        } else if (left > here) {
+            bin -= 1;
+        } else {
+            break;
+        }
+    }
+
+    const minDb = options.minDb ?? -Infinity;
+    if (!isFinite(valueAt(bin)) || valueAt(bin) < minDb) {
+        return null;
+    }
+
+    return interpolatePeak(spectrumDb, bin);
+}
+
+/**
+ * @typedef {Object} SpectralPeak
+ * @property {number} bin Fractional bin position (parabolic interpolation)
+ * @property {number} db Interpolated peak level in dB
+ * @property {number} prominenceDb Height above the higher of the two valleys separating it from taller peaks
+ */
+
+/**
+ * @typedef {Object} PeakTrack
+ * @property {number} id Stable identifier for the life of the track
+ * @property {number} frequency Smoothed frequency in Hz
+ * @property {number} db Smoothed level in dB
+ * @property {number} age Frames the track has been matched
+ * @property {number} missed Consecutive frames without a match
+ */
+
+/**
+ * The most prominent local maxima of a spectrum, loudest first.
+ * Prominence is measured like a mountain's: walk each way until reaching a taller bin (or the
+ * search range edge) and take the higher of the two lowest points passed.
+ *
+ * @param {Float32Array} spectrumDb
+ * @param {{maxPeaks?: number, minProminenceDb?: number, minDb?: number, minBin?: number, maxBin?: number}} [options]
+ *        Defaults: 5 peaks, 10 dB prominence, -90 dB floor, whole spectrum (excluding DC)
+ * @returns {SpectralPeak[]}
+ */
+export function findSpectralPeaks(spectrumDb, options = {}) {
+    const maxPeaks = options.maxPeaks ?? 5;
+    const minProminenceDb = options.minProminenceDb ?? 10;
+    const minDb = options.minDb ?? -90;
+    const minBin = Math.max(1, options.minBin ?? 1);
+    const maxBin = Math.min(spectrumDb.length - 2, options.maxBin ?? spectrumDb.length - 2);
+    const valueAt = (index) => (isFinite(spectrumDb[index]) ? spectrumDb[index] : -Infinity);
+
+    const peaks = [];
+    for (let bin = minBin; bin <= maxBin; bin++) {
+        const here = valueAt(bin);
+        if (here < minDb || !(here > valueAt(bin - 1)) || !(here >= valueAt(bin + 1))) continue;
+
+        let leftMin = here;
+        for (let i = bin - 1; i >= minBin - 1 && valueAt(i) <= here; i--) {
+            leftMin = Math.min(leftMin, valueAt(i));
+        }
+        let rightMin = here;
+        for (let i = bin + 1; i <= maxBin + 1 && valueAt(i) <= here; i++) {
+            rightMin = Math.min(rightMin, valueAt(i));
+        }
+
+        const prominenceDb = here - Math.max(leftMin, rightMin);
+        if (prominenceDb >= minProminenceDb) {
+            peaks.push({ ...interpolatePeak(spectrumDb, bin), prominenceDb });
+        }
+    }
+
+    peaks.sort((a, b) => b.db - a.db);
+    return peaks.slice(0, maxPeaks);
+}
+
+/**
+ * Match this frame's peaks to existing tracks so labels stay put instead of flickering.
+ * Each peak continues the nearest unmatched track within the tolerance (loudest peaks claim first);
+ * unmatched peaks start new tracks and tracks unmatched for more than holdFrames are dropped.
+ * Any other properties of a peak are copied onto its track (latest values win), and properties a
+ * caller adds to a track are carried along.
+ *
+ * @param {PeakTrack[]} tracks From the previous call (not modified)
+ * @param {{frequency: number, db: number}[]} peaks Extra properties are allowed
+ * @param {{toleranceCents?: number, holdFrames?: number, smoothing?: number, nextId?: number}} [options]
+ *        smoothing: weight of the previous value (0 = follow the peak exactly, default 0.6);
+ *        nextId: first id for new tracks (default one above the largest existing id)
+ * @returns {PeakTrack[]}
+ */
+export function trackSpectralPeaks(tracks, peaks, options = {}) {
+    const toleranceCents = options.toleranceCents ?? 50;
+    const holdFrames = options.holdFrames ?? 8;
+    const smoothing = options.smoothing ?? 0.6;
+    let nextId = options.nextId ?? tracks.reduce((max, track) => Math.max(max, track.id + 1), 1);
+
+    const matched = new Set();
+    const result = [];
+    [...peaks].sort((a, b) => b.db - a.db).forEach(peak => {
+        let best = null;
+        let bestCents = toleranceCents;
+        tracks.forEach(track => {
+            if (matched.has(track)) return;
+            const cents = Math.abs(1200 * Math.log2(peak.frequency / track.frequency));
+            if (cents <= bestCents) {
+                best = track;
+                bestCents = cents;
+            }
+        });
+
+        if (best) {
+            matched.add(best);
+            result.push({
+                ...best,
+                ...peak,
+                id: best.id,
+                frequency: best.frequency * smoothing + peak.frequency * (1 - smoothing),
+                db: best.db * smoothing + peak.db * (1 - smoothing),
+                age: best.age + 1,
+                missed: 0
+            });
+        } else {
+            result.push({ ...peak, id: nextId++, age: 1, missed: 0 });
+        }
+    });
+
+    tracks.forEach(track => {
+        if (!matched.has(track) && track.missed < holdFrames) {
+            result.push({ ...track, missed: track.missed + 1 });
+        }
+    });
+    return result;
+}
@@ -0,0 +1,63 @@
+import { NOTE_NAMES } from './chords.js';
+
+/**
+ * @typedef {Object} NoteInfo
+ * @property {number} midi Nearest MIDI note number
+ * @property {string} name Pitch-class name, e.g. "A#"
+ * @property {number} octave Scientific octave number (A4 = 440 Hz)
+ * @property {string} label Name with octave, e.g. "A#3"
+ * @property {number} cents Offset from the nearest note in cents (-50..+50)
+ */
+
+/**
+ * @param {number} frequencyHz
+ * @param {number} [a4Hz]
+ * @returns {number} Fractional MIDI note number
+ */
+export function frequencyToMidiFloat(frequencyHz, a4Hz = 440) {
+    return 69 + 12 * Math.log2(frequencyHz / a4Hz);
+}
+
+/**
+ * @param {number} midi
+ * @param {number} [a4Hz]
+ * @returns {number}
+ */
+export function midiToFrequency(midi, a4Hz = 440) {
+    return a4Hz * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Nearest equal-tempered note for a frequency.
+ *
+ * @param {number} frequencyHz
+ * @param {number} [a4Hz]
+ * @returns {NoteInfo | null} null for non-positive or non-finite frequencies
+ */
+export function frequencyToNote(frequencyHz, a4Hz = 440) {
+    if (!(frequencyHz > 0) || !isFinite(frequencyHz)) {
+        return null;
+    }
+
+    const midiFloat = frequencyToMidiFloat(frequencyHz, a4Hz);
+    const midi = Math.round(midiFloat);
+    const name = NOTE_NAMES[((midi % 12) + 12) % 12];
+    const octave = Math.floor(midi / 12) - 1;
+
+    return {
+        midi,
+        name,
+        octave,
+        label: `${name}${octave}`,
+        cents: (midiFloat - midi) * 100
+    };
+}
+
+/**
+ * @param {number} cents
+ * @returns {string} Signed whole cents, e.g. "+6c", "-12c", "+0c"
+ */
+export function formatCents(cents) {
+    const rounded = Math.round(cents);
+    return `${rounded < 0 ? '-' : '+'}${Math.abs(rounded)}c`;
+}
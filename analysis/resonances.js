@@ -0,0 +1,164 @@
+import { interpolatePeak, trackSpectralPeaks } from './peaks.js';
+
+/**
+ * @typedef {Object} ResonanceCandidate
+ * @property {number} frequency Interpolated peak frequency in Hz
+ * @property {number} db Peak level
+ * @property {number} excessDb Height above the baseline
+ * @property {number} q Centre frequency over the -3 dB bandwidth
+ */
+
+/**
+ * @typedef {Object} ResonanceTrack
+ * @property {number} id
+ * @property {number} frequency Smoothed frequency in Hz
+ * @property {number} db Smoothed excess above the baseline (the tracked value)
+ * @property {number} levelDb Latest peak level
+ * @property {number} q Latest Q estimate
+ * @property {number} firstSeenSec Time the track started
+ * @property {number} age
+ * @property {number} missed
+ */
+
+/**
+ * Baseline for resonance hunting: the mean in dB (not power) over each bin's smoothing window, so a
+ * narrow peak barely lifts the baseline it is measured against.
+ *
+ * @param {Float32Array} spectrumDb
+ * @param {{starts: Int32Array, ends: Int32Array}} ranges From computeOctaveSmoothingRanges
+ * @param {Float32Array} outDb
+ * @param {Float64Array} [scratch] Reusable buffer of length spectrumDb.length + 1
+ * @param {number} [floorDb] Stand-in for -Infinity bins (default -120)
+ * @returns {Float32Array} outDb
+ */
+export function computeResonanceBaseline(spectrumDb, ranges, outDb, scratch, floorDb = -120) {
+    const length = spectrumDb.length;
+    const prefix = scratch && scratch.length >= length + 1 ? scratch : new Float64Array(length + 1);
+    prefix[0] = 0;
+    for (let i = 0; i < length; i++) {
+        const db = spectrumDb[i];
+        prefix[i + 1] = prefix[i] + (isFinite(db) ? Math.max(floorDb, db) : floorDb);
+    }
+
+    for (let i = 0; i < length; i++) {
+        const start = ranges.starts[i];
+        const end = ranges.ends[i];
+        outDb[i] = (prefix[end + 1] - prefix[start]) / (end - start + 1);
+    }
+    return outDb;
+}
+
+/**
+ * Fractional bin where the spectrum first falls below a level, walking away from a peak.
+ *
+ * @param {Float32Array} spectrumDb
+ * @param {number} peakBin
+ * @param {number} levelDb
+ * @param {number} step -1 or +1
+ * @param {number} limitBin Last bin to look at
+ * @returns {number | null}
+ */
+function findCrossing(spectrumDb, peakBin, levelDb, step, limitBin) {
+    for (let bin = peakBin; bin !== limitBin; bin += step) {
+        const here = spectrumDb[bin];
+        const next = spectrumDb[bin + step];
+        if (!(next >= levelDb)) {
+            const fraction = isFinite(next) ? (here - levelDb) / (here - next) : 0;
+            return bin + step * fraction;
+        }
+    }
+    return null;
+}
+
+/**
+ * Narrow peaks standing more than thresholdDb above the baseline in this frame.
+ * Q comes from the interpolated -3 dB points (one side is mirrored when the other is not found
+ * within an octave); peaks broader than minQ are ignored, they are tonal balance rather than
+ * resonances.
+ *
+ * @param {Float32Array} spectrumDb
+ * @param {Float32Array} baselineDb From computeResonanceBaseline
+ * @param {number} sampleRate
+ * @param {{thresholdDb?: number, minQ?: number, minFrequency?: number, maxFrequency?: number}} [options]
+ *        Defaults: 6 dB, Q 2, 20 Hz to 20 kHz
+ * @returns {ResonanceCandidate[]}
+ */
+export function findResonanceCandidates(spectrumDb, baselineDb, sampleRate, options = {}) {
+    const thresholdDb = options.thresholdDb ?? 6;
+    const minQ = options.minQ ?? 2;
+    const binWidthHz = sampleRate / (spectrumDb.length * 2);
+    const firstBin = Math.max(1, Math.ceil((options.minFrequency ?? 20) / binWidthHz));
+    const lastBin = Math.min(spectrumDb.length - 2, Math.floor((options.maxFrequency ?? 20000) / binWidthHz));
+
+    const candidates = [];
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+        const here = spectrumDb[bin];
+        if (!isFinite(here) || !(here > spectrumDb[bin - 1]) || !(here >= spectrumDb[bin + 1])) continue;
+        if (here - baselineDb[bin] < thresholdDb) continue;
+
+        const peak = interpolatePeak(spectrumDb, bin);
+        const halfPowerDb = peak.db - 3;
+        const octaveBelow = Math.max(0, Math.floor(bin / 2));
+        const octaveAbove = Math.min(spectrumDb.length - 1, bin * 2);
+        const lower = findCrossing(spectrumDb, bin, halfPowerDb, -1, octaveBelow);
+        const upper = findCrossing(spectrumDb, bin, halfPowerDb, 1, octaveAbove);
+        if (lower === null && upper === null) continue;
+
+        const bandwidthBins = lower !== null && upper !== null
+            ? upper - lower
+            : 2 * (lower !== null ? peak.bin - lower : upper - peak.bin);
+        const q = peak.bin / Math.max(bandwidthBins, 1e-6);
+        if (q < minQ) continue;
+
+        candidates.push({
+            frequency: peak.bin * binWidthHz,
+            db: peak.db,
+            excessDb: peak.db - baselineDb[bin],
+            q
+        });
+    }
+    return candidates;
+}
+
+/**
+ * Follow resonance candidates over time (see trackSpectralPeaks); the tracked level is the excess
+ * above the baseline, and each track records when it first appeared.
+ *
+ * @param {ResonanceTrack[]} tracks From the previous call
+ * @param {ResonanceCandidate[]} candidates
+ * @param {number} timeSec Current time
+ * @param {{toleranceCents?: number, holdFrames?: number}} [options] Defaults: 35 cents, 15 frames
+ * @returns {ResonanceTrack[]}
+ */
+export function updateResonanceTracks(tracks, candidates, timeSec, options = {}) {
+    const peaks = candidates.map(candidate => ({
+        frequency: candidate.frequency,
+        db: candidate.excessDb,
+        levelDb: candidate.db,
+        q: candidate.q
+    }));
+
+    const updated = trackSpectralPeaks(tracks, peaks, {
+        toleranceCents: options.toleranceCents ?? 35,
+        holdFrames: options.holdFrames ?? 15,
+        smoothing: 0.8
+    });
+    updated.forEach(track => {
+        if (track.firstSeenSec === undefined) track.firstSeenSec = timeSec;
+    });
+    return updated;
+}
+
+/**
+ * Resonances that have persisted for at least minDurationSec, most severe (highest excess) first.
+ *
+ * @param {ResonanceTrack[]} tracks
+ * @param {number} timeSec
+ * @param {number} minDurationSec
+ * @returns {ResonanceTrack[]}
+ */
+export function rankResonances(tracks, timeSec, minDurationSec) {
+    return tracks
+        .filter(track => timeSec - track.firstSeenSec >= minDurationSec)
+        .sort((a, b) => b.db - a.db);
+}
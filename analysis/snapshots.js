@@ -0,0 +1,118 @@
+export const SNAPSHOT_FILE_FORMAT = 'rta-spectrum-snapshots';
+export const SNAPSHOT_FILE_VERSION = 1;
+
+/**
+ * @typedef {Object} SpectrumSnapshot
+ * @property {string} name
+ * @property {number} sampleRate Sample rate of the analyser the spectrum came from
+ * @property {number} createdAt Capture time (ms since epoch)
+ * @property {Float32Array} db Per-bin levels in dB (bin i sits at i * sampleRate / (2 * db.length))
+ */
+
+/**
+ * Freeze a copy of a dB spectrum.
+ *
+ * @param {string} name
+ * @param {Float32Array} spectrumDb
+ * @param {number} sampleRate
+ * @param {number} [createdAt]
+ * @returns {SpectrumSnapshot}
+ */
+export function createSpectrumSnapshot(name, spectrumDb, sampleRate, createdAt = Date.now()) {
+    return {
+        name,
+        sampleRate,
+        createdAt,
+        db: Float32Array.from(spectrumDb)
+    };
+}
+
+/**
+ * Map a snapshot onto another bin grid (different FFT size or sample rate) by linear interpolation
+ * in frequency. Bins above the snapshot's Nyquist frequency are -Infinity.
+ *
+ * @param {SpectrumSnapshot} snapshot
+ * @param {number} binCount
+ * @param {number} sampleRate
+ * @returns {Float32Array}
+ */
+export function resampleSnapshotSpectrum(snapshot, binCount, sampleRate) {
+    const source = snapshot.db;
+    const output = new Float32Array(binCount);
+
+    if (source.length === binCount && snapshot.sampleRate === sampleRate) {
+        output.set(source);
+        return output;
+    }
+
+    const sourceBinWidth = snapshot.sampleRate / (2 * source.length);
+    const targetBinWidth = sampleRate / (2 * binCount);
+
+    for (let bin = 0; bin < binCount; bin++) {
+        const position = (bin * targetBinWidth) / sourceBinWidth;
+        const lower = Math.floor(position);
+
+        if (lower >= source.length - 1) {
+            output[bin] = lower === source.length - 1 && position === lower ? source[lower] : -Infinity;
+            continue;
+        }
+
+        const fraction = position - lower;
+        const a = source[lower];
+        const b = source[lower + 1];
+        if (!isFinite(a) || !isFinite(b)) {
+            output[bin] = fraction < 0.5 ? a : b;
+        } else {
+            output[bin] = a + (b - a) * fraction;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * @param {SpectrumSnapshot[]} snapshots
+ * @returns {string} JSON document; levels are rounded to 0.01 dB and silent bins stored as null
+ */
+export function serializeSnapshots(snapshots) {
+    return JSON.stringify({
+        format: SNAPSHOT_FILE_FORMAT,
+        version: SNAPSHOT_FILE_VERSION,
+        snapshots: snapshots.map(snapshot => ({
+            name: snapshot.name,
+            sampleRate: snapshot.sampleRate,
+            createdAt: snapshot.createdAt,
+            db: Array.from(snapshot.db, value => (isFinite(value) ? Math.round(value * 100) / 100 : null))
+        }))
+    });
+}
+
+/**
+ * Inverse of serializeSnapshots.
+ *
+ * @param {string} text
+ * @returns {SpectrumSnapshot[]}
+ * @throws {Error} When the document is not a snapshot file or an entry is malformed
+ */
+export function parseSnapshots(text) {
+    const document = JSON.parse(text);
+
+    if (!document || document.format !== SNAPSHOT_FILE_FORMAT || !Array.isArray(document.snapshots)) {
+        throw new Error('Not a spectrum snapshot file');
+    }
+    if (document.version > SNAPSHOT_FILE_VERSION) {
+        throw new Error(`Unsupported snapshot file version ${document.version}`);
+    }
+
+    return document.snapshots.map((entry, index) => {
+        if (!entry || typeof entry.name !== 'string' || !(entry.sampleRate > 0) || !Array.isArray(entry.db) || entry.db.length < 2) {
+            throw new Error(`Snapshot ${index + 1} is malformed`);
+        }
+        return {
+            name: entry.name,
+            sampleRate: entry.sampleRate,
+            createdAt: Number.isFinite(entry.createdAt) ? entry.createdAt : 0,
+            db: Float32Array.from(entry.db, value => (typeof value === 'number' ? value : -Infinity))
+        };
+    });
+}
@@ -0,0 +1,63 @@
+/**
+ * @typedef {Object} SmoothingRanges
+ * @property {Int32Array} starts First bin of each bin's smoothing window (inclusive)
+ * @property {Int32Array} ends Last bin of each bin's smoothing window (inclusive)
+ */
+
+/**
+ * Per-bin window for 1/N-octave smoothing: each bin averages the bins within ±1/(2N) octave of its
+ * own frequency. Windows never shrink below the bin itself, so low bins stay unsmoothed where the
+ * FFT resolution is already coarser than the requested fraction.
+ *
+ * @param {number} binCount
+ * @param {number} sampleRate
+ * @param {number} fractionDenominator N in 1/N octave (1, 3, 6, 12, 24, ...)
+ * @returns {SmoothingRanges}
+ */
+export function computeOctaveSmoothingRanges(binCount, sampleRate, fractionDenominator) {
+    const starts = new Int32Array(binCount);
+    const ends = new Int32Array(binCount);
+    const binWidthHz = sampleRate / (2 * binCount);
+    const halfBandRatio = Math.pow(2, 1 / (2 * fractionDenominator));
+
+    for (let bin = 0; bin < binCount; bin++) {
+        const frequency = bin * binWidthHz;
+        const low = Math.ceil(frequency / halfBandRatio / binWidthHz);
+        const high = Math.floor((frequency * halfBandRatio) / binWidthHz);
+        starts[bin] = Math.max(0, Math.min(bin, low));
+        ends[bin] = Math.min(binCount - 1, Math.max(bin, high));
+    }
+
+    return { starts, ends };
+}
+
+/**
+ * Fractional-octave smoothing of a dB spectrum. Bins are averaged as power (not dB), so a single
+ * loud bin among quiet ones raises the band level the way an analog 1/N-octave filter bank would.
+ *
+ * @param {Float32Array} inputDb
+ * @param {Float32Array} outputDb Same length as inputDb (may not alias it)
+ * @param {SmoothingRanges} ranges From computeOctaveSmoothingRanges for the same bin count
+ * @param {Float64Array} [scratch] Reusable buffer of length inputDb.length + 1
+ * @returns {Float32Array} outputDb
+ */
+export function applyOctaveSmoothing(inputDb, outputDb, ranges, scratch) {
+    const length = inputDb.length;
+    const prefix = scratch && scratch.length >= length + 1 ? scratch : new Float64Array(length + 1);
+
+    // Prefix sums of linear power make every window an O(1) lookup
+    prefix[0] = 0;
+    for (let i = 0; i < length; i++) {
+        const db = inputDb[i];
+        prefix[i + 1] = prefix[i] + (isFinite(db) ? Math.pow(10, db / 10) : 0);
+    }
+
+    for (let i = 0; i < length; i++) {
+        const start = ranges.starts[i];
+        const end = ranges.ends[i];
+        const meanPower = (prefix[end + 1] - prefix[start]) / (end - start + 1);
+        outputDb[i] = meanPower > 0 ? 10 * Math.log10(meanPower) : -Infinity;
+    }
+
+    return outputDb;
+}
@@ -0,0 +1,153 @@
+import { normalizePeak } from './preprocess.js';
+
+/**
+ * @typedef {Object} SignalOptions
+ * @property {number} sampleRate
+ * @property {number} durationSec
+ * @property {number} [levelDbfs] Peak level of the generated signal (default 0 dBFS)
+ */
+
+/**
+ * @param {number} levelDbfs
+ * @returns {number}
+ */
+export function dbfsToGain(levelDbfs) {
+    return Math.pow(10, levelDbfs / 20);
+}
+
+/**
+ * @param {SignalOptions} options
+ * @returns {number}
+ */
+function sampleCount(options) {
+    return Math.max(1, Math.round(options.sampleRate * options.durationSec));
+}
+
+/**
+ * Sum of sines with equal amplitude, scaled so the worst-case peak of the sum sits at levelDbfs.
+ * A single frequency therefore produces a sine whose peak is exactly levelDbfs.
+ *
+ * @param {number[]} frequencies
+ * @param {SignalOptions & {phaseRad?: number}} options
+ * @returns {Float32Array}
+ */
+export function generateSineTones(frequencies, options) {
+    const length = sampleCount(options);
+    const out = new Float32Array(length);
+
+    if (!frequencies.length) {
+        return out;
+    }
+
+    const amplitude = dbfsToGain(options.levelDbfs ?? 0) / frequencies.length;
+    const phase = options.phaseRad || 0;
+
+    for (let f = 0; f < frequencies.length; f++) {
+        const omega = (2 * Math.PI * frequencies[f]) / options.sampleRate;
+        for (let i = 0; i < length; i++) {
+            out[i] += amplitude * Math.sin(omega * i + phase);
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Exponential (log) sine sweep, constant time per octave (Farina).
+ *
+ * @param {number} startHz
+ * @param {number} endHz
+ * @param {SignalOptions} options
+ * @returns {Float32Array}
+ */
+export function generateLogSweep(startHz, endHz, options) {
+    const length = sampleCount(options);
+    const out = new Float32Array(length);
+    const amplitude = dbfsToGain(options.levelDbfs ?? 0);
+    const ratioLog = Math.log(endHz / startHz);
+
+    if (!isFinite(ratioLog) || ratioLog === 0) {
+        return generateSineTones([startHz], options);
+    }
+
+    const rate = (2 * Math.PI * startHz * options.durationSec) / ratioLog;
+
+    for (let i = 0; i < length; i++) {
+        const t = i / options.sampleRate;
+        out[i] = amplitude * Math.sin(rate * (Math.exp((t / options.durationSec) * ratioLog) - 1));
+    }
+
+    return out;
+}
+
+/**
+ * White, pink (-3 dB/oct) or brown (-6 dB/oct) noise, peak-normalized to levelDbfs.
+ * Pink uses Paul Kellet's refined filter; brown is leaky-integrated white noise.
+ *
+ * @param {'white'|'pink'|'brown'} color
+ * @param {SignalOptions & {random?: () => number}} options
+ * @returns {Float32Array}
+ */
+export function generateNoise(color, options) {
+    const length = sampleCount(options);
+    const out = new Float32Array(length);
+    const random = options.random || Math.random;
+
+    let b0 = 0;
+    let b1 = 0;
+    let b2 = 0;
+    let b3 = 0;
+    let b4 = 0;
+    let b5 = 0;
+    let b6 = 0;
+    let brown = 0;
+
+    for (let i = 0; i < length; i++) {
+        const white = random() * 2 - 1;
+
+        if (color === 'pink') {
+            b0 = 0.99886 * b0 + white * 0.0555179;
+            b1 = 0.99332 * b1 + white * 0.0750759;
+            b2 = 0.969 * b2 + white * 0.153852;
+            b3 = 0.8665 * b3 + white * 0.3104856;
+            b4 = 0.55 * b4 + white * 0.5329522;
+            b5 = -0.7616 * b5 - white * 0.016898;
+            out[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+            b6 = white * 0.115926;
+        } else if (color === 'brown') {
+            brown = 0.998 * brown + white * 0.02;
+            out[i] = brown;
+        } else {
+            out[i] = white;
+        }
+    }
+
+    // Remove the DC offset the integrators can accumulate before normalizing
+    if (color !== 'white') {
+        let mean = 0;
+        for (let i = 0; i < length; i++) {
+            mean += out[i];
+        }
+        mean /= length;
+        for (let i = 0; i < length; i++) {
+            out[i] -= mean;
+        }
+    }
+
+    return normalizePeak(out, dbfsToGain(options.levelDbfs ?? 0));
+}
+
+/**
+ * One period of an impulse train: a single full-level sample followed by silence.
+ * Looping the buffer produces impulses at exactly rateHz (rounded to whole samples).
+ *
+ * @param {number} rateHz
+ * @param {{sampleRate: number, levelDbfs?: number}} options
+ * @returns {Float32Array}
+ */
+export function generateImpulseTrain(rateHz, options) {
+    const period = Math.max(1, Math.round(options.sampleRate / Math.max(0.01, rateHz)));
+    const out = new Float32Array(period);
+    out[0] = dbfsToGain(options.levelDbfs ?? 0);
+    return out;
+}
@@ -1,4 +1,56 @@
-import { analyzeSampleToMidi, exportToMidi } from './analysis/index.js';
+import {
+    analyzeSampleToMidi,
+    exportToMidi,
+    dbfsToGain,
+    generateLogSweep,
+    generateNoise,
+    generateImpulseTrain,
+    measureRmsDbfs,
+    computeLoudnessMatchGains,
+    computeOctaveSmoothingRanges,
+    applyOctaveSmoothing,
+    frequencyToNote,
+    formatCents,
+    findNearestPeak,
+    findSpectralPeaks,
+    trackSpectralPeaks,
+    parsePitchInput,
+    measureHarmonics,
+    estimateFundamental,
+    formatHarmonicsCsv,
+    computeResonanceBaseline,
+    findResonanceCandidates,
+    updateResonanceTracks,
+    rankResonances,
+    computeClashScores,
+    createClashTimeline,
+    addClashFrame,
+    clashTimelineValue,
+    findClashRegions,
+    computeSpectralDescriptors,
+    createSpectrumSnapshot,
+    resampleSnapshotSpectrum,
+    serializeSnapshots,
+    parseSnapshots,
+    logFrequencyGrid,
+    computeEqMatchTarget,
+    fitParametricEq,
+    eqResponseDb,
+    formatEqBandsText,
+    frequencyToScale,
+    scaleToFrequency,
+    createFftEngineState,
+    pushEngineSamples,
+    collectEngineFrames,
+    computeEngineSpectrum,
+    stitchMultiResolutionSpectra,
+    PIANO_LOWEST_MIDI,
+    PIANO_HIGHEST_MIDI,
+    createConstantQKernel,
+    computeConstantQSpectrum,
+    constantQNoteLevels,
+    findLoudestNotes
+} from './analysis/index.js';
 
 // Audio context and analysers (shared across all sources)
 let audioContext = null;
@@ -6,6 +58,10 @@ let analyserLeft = null; // For spectrum visualization
 let analyserRight = null; // For spectrum visualization
 let analyser = null; // Alias for analyserLeft (backward compatibility)
 let channelSplitter = null;
+let channelUpmix = null; // Gain node forcing 2-channel "speakers" up-mix ahead of the splitter
+let analyserMid = null;  // (L + R) / 2, built in the graph for the Mid / M+S spectrum modes
+let analyserSide = null; // (L - R) / 2, built in the graph for the Side / M+S spectrum modes
+let midSideNodes = [];   // ±0.5 gain nodes forming the M/S matrix (disconnected in cleanupTestAudio)
 
 // Crossover frequency constants (4-band crossover)
 const CROSSOVER_SUB_LOW = 120;
@@ -40,6 +96,19 @@ let filterHighR = null;
 let fftData = null;
 let smoothedData = null; // Fast/Live data (fixed fast smoothing)
 let averageData = null;  // Long-term average data (variable smoothing from slider)
+let peakHoldData = null; // Per-bin max-hold trace (dB)
+let liveDisplayData = null;    // smoothedData after fractional-octave smoothing (what the live bars draw)
+let secondaryFftData = null;          // Second channel of the overlay modes (R in L+R, Side in M+S)
+let secondarySmoothedData = null;
+let secondaryAverageData = null;
+let secondaryLiveDisplayData = null;
+let secondaryAverageDisplayData = null;
+let secondaryDataInitialized = false;
+let averageDisplayData = null; // averageData after fractional-octave smoothing (what the average curve draws)
+let compareDisplayDataA = null; // A/B compare averages after fractional-octave smoothing (reused every frame)
+let compareDisplayDataB = null;
+let snapshotDisplayData = null; // Scratch for each snapshot curve after fractional-octave smoothing (reused every frame)
+let peakHoldTimes = null; // Time (s) each bin's held peak was captured
 let frequencyBinCount = 0;
 
 // Animation loop
@@ -65,16 +134,237 @@ const CANVAS_ASPECT_RATIO = 2;
 let currentAudioElement = null;
 let currentAudioSource = null;
 
+// Live input state (microphone / line-in via getUserMedia)
+const LIVE_INPUT_SOURCE = 'live-input'; // Value of the "Live Input" option in the audio source dropdown
+const TAB_CAPTURE_SOURCE = 'tab-capture'; // Value of the "Capture Tab Audio" option
+let currentMediaStream = null; // Active MediaStream (stopped in cleanupTestAudio)
+let currentSourceKind = null;  // 'file' | 'live' | 'tab' | 'generator' | 'compare'
+let liveInputRequestToken = 0; // Guards against overlapping getUserMedia / getDisplayMedia requests
+
+// Session files (local files opened via the file picker or drag-and-drop)
+// Keyed by object URL, which is also the value of the file's dropdown option
+const sessionFiles = new Map(); // objectUrl → { name: string, file: File }
+const SUPPORTED_AUDIO_EXTENSIONS = ['wav', 'mp3', 'flac', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'webm'];
+
+// Test signal generator state
+const GENERATOR_SOURCE = 'generator'; // Value of the "Test Signal Generator" option
+const NOISE_LOOP_SECONDS = 10;        // Length of the looped noise buffer
+let generatorNodes = [];              // Oscillators / buffer sources and routing gains (stopped in cleanupTestAudio)
+
+// A/B reference compare state
+const AB_COMPARE_SOURCE = 'ab-compare'; // Value of the "A/B Reference Compare" option
+const COMPARE_SWITCH_TIME_CONSTANT = 0.002; // Seconds; fast enough to feel instant, slow enough not to click
+const COMPARE_DIFF_RANGE_DB = 24;       // Difference curve spans ±this many dB around the canvas centre
+let compareState = null;                // { buffers, paths, sources, trimGains, selectGains, bus, matchGainsDb, active, startedAt, offsetSec }
+let compareRequestToken = 0;            // Guards against overlapping decode requests
+let compareAnalyserA = null;            // Always-on analysers so both averages update whichever source is audible
+let compareAnalyserB = null;
+let compareFftA = null;
+let compareFftB = null;
+let compareAverageA = null;
+let compareAverageB = null;
+let compareAverageInitialized = false;
+
+// Masking / clash detection between the A and B compare sources (per log band, over track time)
+const CLASH_BAND_COUNT = 30;              // Log bands from generateLogBands (1/3 octave over 20 Hz - 20 kHz)
+const CLASH_TIMELINE_COLUMNS = 240;       // Time slots across the track
+const CLASH_REGION_THRESHOLD = 0.35;      // Mean score for a band to count as clashing
+const CLASH_MAX_REGIONS = 6;
+const CLASH_LIST_INTERVAL_MS = 500;
+const CLASH_TIMELINE_ASPECT_RATIO = 6;    // 960x160 = 6:1
+let clashEnabled = false;
+let clashBands = null;                    // generateLogBands + startBin / endBin for the current bin count
+let clashLevelsA = null;
+let clashLevelsB = null;
+let clashScores = null;                   // This frame's clash score per band
+let clashTimeline = null;                 // From createClashTimeline
+let clashTimelineCache = null;            // Offscreen canvas, one pixel per timeline cell (repainted a column at a time)
+let clashRegions = [];                    // From findClashRegions (most severe first)
+let clashListUpdatedAt = 0;
+
+// Spectral descriptor panel (computed from the raw FFT frame, one sparkline per descriptor)
+const DESCRIPTOR_HISTORY_LENGTH = 180;    // Frames of sparkline history (~3 s at 60 fps)
+const DESCRIPTOR_TEXT_INTERVAL_MS = 200;  // Numeric readouts refresh slower than the sparklines
+const DESCRIPTOR_SPARKLINE_COLOR = '#38bdf8'; // sky-400
+const SPECTRAL_DESCRIPTORS = [
+    { key: 'centroid', label: 'Centroid', format: value => formatFrequencyLabel(value) },
+    { key: 'spread', label: 'Spread', format: value => formatFrequencyLabel(value) },
+    { key: 'flatness', label: 'Flatness', format: value => value.toFixed(3) },
+    { key: 'rolloff85', label: 'Rolloff 85%', format: value => formatFrequencyLabel(value) },
+    { key: 'rolloff95', label: 'Rolloff 95%', format: value => formatFrequencyLabel(value) },
+    { key: 'flux', label: 'Flux', format: value => value.toFixed(3) },
+    { key: 'crestDb', label: 'Crest', format: value => `${value.toFixed(1)} dB` }
+];
+let descriptorsEnabled = false;
+let descriptorPreviousMagnitudes = null;  // Last frame's normalised magnitudes (for flux)
+let descriptorHistory = null;             // key -> Float32Array ring buffer
+let descriptorHistoryIndex = 0;           // Next write position
+let descriptorHistoryCount = 0;
+let descriptorViews = [];                 // { descriptor, valueEl, canvas, ctx } per panel cell
+let descriptorTextUpdatedAt = 0;
+
+// Spectrum snapshots (frozen average curves overlaid on the live spectrum)
+const SNAPSHOT_STORAGE_KEY = 'rta.spectrumSnapshots';
+const SNAPSHOT_COLORS = ['#fb7185', '#a3e635', '#a78bfa', '#5eead4', '#f9a8d4', '#a5b4fc']; // rose, lime, violet, teal, pink, indigo
+const MAX_SNAPSHOTS = SNAPSHOT_COLORS.length;
+let spectrumSnapshots = []; // { snapshot, color, visible, resampled, resampledKey }
+let snapshotDiffIndex = -1; // Snapshot compared against the live average (-1 = none)
+
+// EQ match (parametric bands fitted to reference − mix)
+const EQ_MATCH_SMOOTHING_FRACTION = 3;    // 1/3-octave smoothing before the difference is taken
+const EQ_MATCH_POINTS_PER_OCTAVE = 12;    // Resolution of the fitting grid
+const EQ_MATCH_CURVE_COLOR = '#f8fafc';   // slate-50
+let eqMatchResult = null;                 // { referenceName, offsetDb, sampleRate, bands, grid, targetDb }
+
+// Harmonic series overlay: markers at 2f, 3f, ... with levels relative to the fundamental
+const HARMONIC_COLOR = '#c084fc';         // purple-400
+const HARMONIC_AUTO_SWITCH_FRAMES = 6;    // Frames a different fundamental must persist before auto mode jumps to it
+const HARMONIC_AUTO_SMOOTHING = 0.8;      // Weight of the previous fundamental while auto mode follows small drifts
+const HARMONIC_SAME_NOTE_CENTS = 50;      // Estimates closer than this count as the same fundamental
+const HARMONIC_LIST_INTERVAL_MS = 250;    // Throttle for the level table while audio is running
+const HARMONIC_LABEL_MIN_GAP_PX = 30;     // Closer harmonics keep their line but lose the label
+let harmonicMode = 'off';                 // 'off' | 'manual' | 'auto'
+let harmonicFundamentalHz = null;
+let harmonicLevels = [];                  // From measureHarmonics
+let harmonicPendingHz = null;             // Auto mode: differing estimate waiting to persist
+let harmonicPendingFrames = 0;
+let harmonicListUpdatedAt = 0;
+
+// Resonance detector: narrow peaks of the long-term average that stay above a smoothed baseline
+const RESONANCE_BASELINE_FRACTION = 1;    // Baseline = 1-octave mean (in dB) of the average spectrum
+const RESONANCE_MIN_Q = 2;                // Broader bumps are tonal balance, not resonances
+const RESONANCE_MAX_LISTED = 8;
+const RESONANCE_COLOR = '#f87171';        // red-400
+const RESONANCE_LIST_INTERVAL_MS = 500;
+let resonanceEnabled = false;
+let resonanceThresholdDb = 6;
+let resonanceMinDurationSec = 2;
+let resonanceTracks = [];                 // From updateResonanceTracks
+let resonanceResults = [];                // From rankResonances (most severe first, at most RESONANCE_MAX_LISTED)
+let resonanceBaselineRanges = null;       // Smoothing windows for the current bin count
+let resonanceBaselineData = null;
+let resonanceBaselineScratch = null;      // Prefix sums for computeResonanceBaseline (reused every frame)
+let resonanceListUpdatedAt = 0;
+
 // UI elements
 const audioSourceSelect = document.getElementById('audio-source');
 const playPauseBtn = document.getElementById('play-pause-btn');
+const inputDeviceContainer = document.getElementById('input-device-container');
+const inputDeviceSelect = document.getElementById('input-device-select');
+const sourceStatus = document.getElementById('source-status');
+const openFilesBtn = document.getElementById('open-files-btn');
+const audioFileInput = document.getElementById('audio-file-input');
+const dropOverlay = document.getElementById('drop-overlay');
+const transportTime = document.getElementById('transport-time');
+const transportTimeline = document.getElementById('transport-timeline');
+const transportProgress = document.getElementById('transport-progress');
+const transportLoopRegion = document.getElementById('transport-loop-region');
+const loopSetABtn = document.getElementById('loop-set-a-btn');
+const loopSetBBtn = document.getElementById('loop-set-b-btn');
+const loopToggleBtn = document.getElementById('loop-toggle-btn');
+const loopClearBtn = document.getElementById('loop-clear-btn');
+const loopSnapCheck = document.getElementById('loop-snap-check');
+const loopLengthSelect = document.getElementById('loop-length-select');
+const playbackRateSelect = document.getElementById('playback-rate-select');
+const loopInfo = document.getElementById('loop-info');
+const analysisOptLoopRegion = document.getElementById('analysis-opt-loop-region');
+const generatorControls = document.getElementById('generator-controls');
+const generatorTypeSelect = document.getElementById('generator-type');
+const generatorFrequencyInput = document.getElementById('generator-frequency');
+const generatorFrequencyContainer = document.getElementById('generator-frequency-container');
+const generatorTonesInput = document.getElementById('generator-tones');
+const generatorTonesContainer = document.getElementById('generator-tones-container');
+const generatorSweepContainer = document.getElementById('generator-sweep-container');
+const generatorSweepStartInput = document.getElementById('generator-sweep-start');
+const generatorSweepEndInput = document.getElementById('generator-sweep-end');
+const generatorSweepDurationInput = document.getElementById('generator-sweep-duration');
+const generatorLevelSlider = document.getElementById('generator-level');
+const generatorLevelValue = document.getElementById('generator-level-value');
+const generatorChannelsSelect = document.getElementById('generator-channels');
+const generatorInvertCheck = document.getElementById('generator-invert-right');
+const compareControls = document.getElementById('compare-controls');
+const compareSelectA = document.getElementById('compare-select-a');
+const compareSelectB = document.getElementById('compare-select-b');
+const compareSwitchBtn = document.getElementById('compare-switch-btn');
+const compareMatchCheck = document.getElementById('compare-match-check');
+const compareOverlayCheck = document.getElementById('compare-overlay-check');
+const compareDiffCheck = document.getElementById('compare-diff-check');
+const compareInfo = document.getElementById('compare-info');
+const viewMinFreqInput = document.getElementById('view-min-freq');
+const viewMaxFreqInput = document.getElementById('view-max-freq');
+const viewMinDbInput = document.getElementById('view-min-db');
+const viewMaxDbInput = document.getElementById('view-max-db');
+const viewResetBtn = document.getElementById('view-reset-btn');
+const frequencyScaleSelect = document.getElementById('frequency-scale-select');
+const snapshotNameInput = document.getElementById('snapshot-name-input');
+const snapshotCaptureBtn = document.getElementById('snapshot-capture-btn');
+const snapshotDiffSelect = document.getElementById('snapshot-diff-select');
+const snapshotExportBtn = document.getElementById('snapshot-export-btn');
+const snapshotImportBtn = document.getElementById('snapshot-import-btn');
+const snapshotFileInput = document.getElementById('snapshot-file-input');
+const snapshotList = document.getElementById('snapshot-list');
+const snapshotStatus = document.getElementById('snapshot-status');
+const eqMatchReferenceSelect = document.getElementById('eq-match-reference-select');
+const eqMatchBandsSelect = document.getElementById('eq-match-bands-select');
+const eqMatchMaxGainSelect = document.getElementById('eq-match-max-gain-select');
+const eqMatchFitBtn = document.getElementById('eq-match-fit-btn');
+const eqMatchShowCheck = document.getElementById('eq-match-show-check');
+const eqMatchExportJsonBtn = document.getElementById('eq-match-export-json-btn');
+const eqMatchExportTextBtn = document.getElementById('eq-match-export-text-btn');
+const eqMatchStatus = document.getElementById('eq-match-status');
+const eqMatchBandList = document.getElementById('eq-match-band-list');
+const harmonicsModeSelect = document.getElementById('harmonics-mode-select');
+const harmonicsFundamentalInput = document.getElementById('harmonics-fundamental-input');
+const harmonicsSetBtn = document.getElementById('harmonics-set-btn');
+const harmonicsExportBtn = document.getElementById('harmonics-export-btn');
+const harmonicsStatus = document.getElementById('harmonics-status');
+const harmonicsList = document.getElementById('harmonics-list');
+const resonanceEnableCheck = document.getElementById('resonance-enable-check');
+const resonanceThresholdSelect = document.getElementById('resonance-threshold-select');
+const resonanceDurationSelect = document.getElementById('resonance-duration-select');
+const resonanceStatus = document.getElementById('resonance-status');
+const resonanceList = document.getElementById('resonance-list');
+const clashEnableCheck = document.getElementById('clash-enable-check');
+const clashResetBtn = document.getElementById('clash-reset-btn');
+const clashStatus = document.getElementById('clash-status');
+const clashList = document.getElementById('clash-list');
+const clashTimelineCanvas = document.getElementById('clash-timeline-canvas');
+const clashTimelineCtx = clashTimelineCanvas ? clashTimelineCanvas.getContext('2d') : null;
+const descriptorEnableCheck = document.getElementById('descriptor-enable-check');
+const descriptorGrid = document.getElementById('descriptor-grid');
+const loudnessMomentaryValue = document.getElementById('loudness-momentary-value');
+const loudnessMomentaryBar = document.getElementById('loudness-momentary-bar');
+const loudnessShortTermValue = document.getElementById('loudness-short-term-value');
+const loudnessShortTermBar = document.getElementById('loudness-short-term-bar');
+const loudnessIntegratedValue = document.getElementById('loudness-integrated-value');
+const loudnessIntegratedBar = document.getElementById('loudness-integrated-bar');
+const loudnessRangeValue = document.getElementById('loudness-range-value');
+const loudnessResetBtn = document.getElementById('loudness-reset-btn');
+const loudnessStatus = document.getElementById('loudness-status');
 const smoothingSlider = document.getElementById('smoothing-slider');
 const smoothingValue = document.getElementById('smoothing-value');
 const viewLengthSelect = document.getElementById('view-length');
 const decaySpeedSlider = document.getElementById('decay-speed-slider');
 const decaySpeedValue = document.getElementById('decay-speed-value');
 const fftSizeSelect = document.getElementById('fft-size-select');
+const octaveSmoothingSelect = document.getElementById('octave-smoothing-select');
+const tiltSelect = document.getElementById('tilt-select');
+const channelModeSelect = document.getElementById('channel-mode-select');
+const fftEngineSelect = document.getElementById('fft-engine-select');
+const fftWindowSelect = document.getElementById('fft-window-select');
+const fftOverlapSelect = document.getElementById('fft-overlap-select');
+const tiltPivotInput = document.getElementById('tilt-pivot-input');
 const monoScopeCheck = document.getElementById('mono-scope-check');
+const peakHoldCheck = document.getElementById('peak-hold-check');
+const peakHoldInfiniteCheck = document.getElementById('peak-hold-infinite-check');
+const peakHoldTimeSlider = document.getElementById('peak-hold-time-slider');
+const peakHoldTimeValue = document.getElementById('peak-hold-time-value');
+const peakHoldDecaySlider = document.getElementById('peak-hold-decay-slider');
+const peakHoldDecayValue = document.getElementById('peak-hold-decay-value');
+const peakHoldResetBtn = document.getElementById('peak-hold-reset-btn');
+const peakLabelsCheck = document.getElementById('peak-labels-check');
+const peakLabelsCountSelect = document.getElementById('peak-labels-count-select');
+const peakLabelsProminenceSelect = document.getElementById('peak-labels-prominence-select');
 const analyzeSampleBtn = document.getElementById('analyze-sample-btn');
 const cancelAnalysisBtn = document.getElementById('cancel-analysis-btn');
 const exportMidiBtn = document.getElementById('export-midi-btn');
@@ -91,6 +381,12 @@ const analysisPianoRoll = document.getElementById('analysis-pianoroll');
 // Hardcoded BPM
 const HARDCODED_BPM = 140;
 
+// Transport state (seek, A/B loop, playback rate) - applies to file sources
+let loopStartSec = null;   // Loop point A in seconds (null = not set)
+let loopEndSec = null;     // Loop point B in seconds (null = not set)
+let loopEnabled = false;
+let playbackRate = 1.0;    // Applied to every file source's <audio> element
+
 // Offline analysis state
 let offlineAnalysisResult = null;
 let analysisRunToken = 0;
@@ -121,6 +417,51 @@ let waveformWriteIndex = 0; // Current write position in circular buffer
 let lastTimeDomainSampleIdx = 0; // Track which samples we've already added to buffer
 const OSCILLOSCOPE_ASPECT_RATIO = 4; // 800x200 = 4:1
 
+// Scrolling spectrogram (time runs right to left, log frequency bottom to top)
+const spectrogramCanvas = document.getElementById('spectrogram-canvas');
+const spectrogramCtx = spectrogramCanvas ? spectrogramCanvas.getContext('2d') : null;
+const spectrogramContainer = spectrogramCanvas ? spectrogramCanvas.parentElement : null;
+const spectrogramColormapSelect = document.getElementById('spectrogram-colormap');
+const spectrogramFloorSelect = document.getElementById('spectrogram-floor');
+const spectrogramCeilingSelect = document.getElementById('spectrogram-ceiling');
+const spectrogramSpeedSelect = document.getElementById('spectrogram-speed');
+const spectrogramPauseBtn = document.getElementById('spectrogram-pause-btn');
+const spectrogramReadout = document.getElementById('spectrogram-readout');
+const SPECTROGRAM_ASPECT_RATIO = 4;      // 800x200 = 4:1
+const SPECTROGRAM_AXIS_WIDTH = 44;       // Left gutter for frequency labels
+const SPECTROGRAM_TICK_MIN_GAP_PX = 24;  // Minimum vertical distance between frequency labels
+let spectrogramImageCanvas = null;       // Offscreen history image (plot area only), scrolled in place
+let spectrogramImageCtx = null;
+let spectrogramColumns = [];             // One entry per pixel column, oldest first: { values: Float32Array (dB per row), wallTime, trackTime }
+let spectrogramColumnValues = null;      // Scratch column (dB per row) for the current frame
+let spectrogramScrollAccumulator = 0;    // Fractional pixels carried between frames at slow speeds
+let spectrogramPaused = false;
+let spectrogramHover = null;             // { x, y } in canvas pixels while hovering
+let spectrogramLut = null;               // Colormap lookup (256 RGB triplets)
+
+// Constant-Q view: piano keyboard axis (A0 to C8), computed from AudioWorklet-captured samples
+const constantQCanvas = document.getElementById('constant-q-canvas');
+const constantQCtx = constantQCanvas ? constantQCanvas.getContext('2d') : null;
+const constantQContainer = constantQCanvas ? constantQCanvas.parentElement : null;
+const constantQEnableCheck = document.getElementById('constant-q-enable-check');
+const constantQNotesEl = document.getElementById('constant-q-notes');
+const CONSTANT_Q_BINS_PER_OCTAVE = 36;
+const CONSTANT_Q_HOP = 4096;             // New samples between transforms (~85 ms at 48 kHz)
+const CONSTANT_Q_ASPECT_RATIO = 5;       // 800x160 = 5:1
+const CONSTANT_Q_KEYBOARD_HEIGHT = 28;   // Keyboard strip along the bottom
+const CONSTANT_Q_HIGHLIGHT_COUNT = 6;    // Loudest notes highlighted on the keyboard
+const PIANO_NOTE_COUNT = PIANO_HIGHEST_MIDI - PIANO_LOWEST_MIDI + 1;
+const BLACK_KEY_PITCH_CLASSES = new Set([1, 3, 6, 8, 10]);
+let constantQEnabled = false;
+let constantQKernel = null;              // Spectral kernel for the current sample rate
+let constantQHistory = null;             // [left, right] circular sample buffers (kernel.fftSize each)
+let constantQWritten = 0;                // Total samples pushed per channel
+let constantQLastTransform = 0;          // constantQWritten at the last transform
+let constantQFrame = null;               // Channel-mode mix of the most recent kernel.fftSize samples
+let constantQData = null;                // dB per constant-Q bin
+let constantQNoteData = null;            // dB per piano key
+let constantQLoudNotes = [];             // From findLoudestNotes, loudest first
+
 // Frequency band definitions for color calculation
 const FREQ_BAND_LOWS_MIN = 20;    // 20 Hz
 const FREQ_BAND_LOWS_MAX = 250;   // 250 Hz
@@ -147,6 +488,11 @@ const BAND_COUNT = 17;
 const BAND_MIN_FREQ = 20;
 const BAND_MAX_FREQ = 20000;
 
+// Category edges: the 3rd and 12th edges of the 17 log-spaced bands (~102 Hz and ~2.6 kHz),
+// so categories follow frequency rather than band index when bands are re-spaced on another axis scale
+const BAND_SUB_BASS_MAX_FREQ = BAND_MIN_FREQ * Math.pow(BAND_MAX_FREQ / BAND_MIN_FREQ, 3 / BAND_COUNT);
+const BAND_MIDS_MAX_FREQ = BAND_MIN_FREQ * Math.pow(BAND_MAX_FREQ / BAND_MIN_FREQ, 12 / BAND_COUNT);
+
 /**
  * Generate logarithmically-spaced frequency bands
  * @param {number} count - Number of bands
@@ -178,6 +524,31 @@ function generateLogBands(count, minFreq, maxFreq) {
     return bands;
 }
 
+/**
+ * Generate bands evenly spaced on the current frequency axis scale
+ * (identical to generateLogBands on the default log axis)
+ * @param {number} count - Number of bands
+ * @param {number} minFreq - Minimum frequency in Hz
+ * @param {number} maxFreq - Maximum frequency in Hz
+ * @returns {Array<{min: number, max: number, center: number}>} Array of band definitions
+ */
+function generateScaleBands(count, minFreq, maxFreq) {
+    const start = frequencyToNormalized(minFreq);
+    const end = frequencyToNormalized(maxFreq);
+    const step = (end - start) / count;
+    const bands = [];
+    
+    for (let i = 0; i < count; i++) {
+        bands.push({
+            min: normalizedToFrequency(start + i * step),
+            max: normalizedToFrequency(start + (i + 1) * step),
+            center: normalizedToFrequency(start + (i + 0.5) * step)
+        });
+    }
+    
+    return bands;
+}
+
 // Initialize band definitions
 let bandDefinitions = generateLogBands(BAND_COUNT, BAND_MIN_FREQ, BAND_MAX_FREQ);
 
@@ -287,11 +658,13 @@ function initializeBandStates() {
     for (let i = 0; i < BAND_COUNT; i++) {
         const band = bandDefinitions[i];
         
-        // Determine category
+        // Determine category from the band's centre frequency
+        const isSubBass = band.center < BAND_SUB_BASS_MAX_FREQ;
+        const isMids = !isSubBass && band.center < BAND_MIDS_MAX_FREQ;
         let category;
-        if (i < 3) {
+        if (isSubBass) {
             category = 'Sub-bass';
-        } else if (i < 12) {
+        } else if (isMids) {
             category = 'Mids';
         } else {
             category = 'Highs';
@@ -299,9 +672,9 @@ function initializeBandStates() {
         
         // Updated thresholds: Sub-bass: -80, Mids: -75, Highs: -78
         let threshold;
-        if (i < 3) {
+        if (isSubBass) {
             threshold = -80; // Sub-bass
-        } else if (i < 12) {
+        } else if (isMids) {
             threshold = -75; // Mids
         } else {
             threshold = -78; // Highs
@@ -309,9 +682,9 @@ function initializeBandStates() {
         
         // Default decay multiplier: Sub-bass: 0.8x, Mids: 1.2x, Highs: 1.6x
         let decayMultiplier;
-        if (i < 3) {
+        if (isSubBass) {
             decayMultiplier = 0.8; // Sub-bass
-        } else if (i < 12) {
+        } else if (isMids) {
             decayMultiplier = 1.2; // Mids
         } else {
             decayMultiplier = 1.6; // Highs
@@ -340,10 +713,17 @@ initializeBandStates();
 
 /**
  * Get category gain (tilt compensation) for frequency bands
+ * When a spectral tilt is selected, the band uses the same slope as the spectrum display
+ * (evaluated at its centre frequency); otherwise the fixed per-category gains apply.
  * @param {string} category - Band category: 'Sub-bass' | 'Mids' | 'Highs'
+ * @param {number} [centerFreq] - Band centre frequency in Hz (needed for the tilt)
  * @returns {number} Gain in dB to apply
  */
-function getCategoryGain(category) {
+function getCategoryGain(category, centerFreq) {
+    if (spectralTiltDbPerOct > 0 && isFinite(centerFreq)) {
+        return getTiltDb(centerFreq);
+    }
+    
     switch (category) {
         case 'Sub-bass':
             return 0;   // no boost
@@ -364,6 +744,79 @@ let averageDataAlpha = 0.5; // Variable alpha for average data (controlled by sl
 let emaInitialized = false;
 let averageDataInitialized = false;
 
+// Peak-hold trace settings (controlled from the settings menu)
+let peakHoldEnabled = true;
+let peakHoldInfinite = false;     // Never decay (catch the loudest moments across a whole song)
+let peakHoldTimeSec = 2.0;        // Time a peak is held before it starts to fall
+let peakHoldDecayDbPerSec = 12;   // Fall rate once the hold time has elapsed
+let peakHoldInitialized = false;
+let lastPeakHoldUpdateSec = 0;    // Timestamp of the previous peak-hold update
+const PEAK_HOLD_MAX_STEP_SEC = 0.1; // Clamp frame gaps (pause / background tab) so peaks do not drop at once
+
+// Automatic peak labels (frequency, note and cents of the top spectral peaks, tracked across frames)
+let peakLabelsEnabled = false;
+let peakLabelCount = 5;
+let peakLabelProminenceDb = 10;   // Minimum height above the surrounding valleys
+let peakTracks = [];              // From trackSpectralPeaks
+const PEAK_LABEL_MIN_AGE = 3;     // Frames a peak must persist before it is labelled
+const PEAK_LABEL_HOLD_FRAMES = 8; // Frames a label survives after its peak disappears
+const PEAK_LABEL_MIN_DB = -90;
+
+// Spectral tilt (slope) compensation for the display: levels are raised by this many dB per octave
+// above the pivot and lowered below it, so pink-noise-like material reads flat
+let spectralTiltDbPerOct = 0;
+let spectralTiltPivotHz = 1000;
+
+// Spectrum channel mode: which signal(s) the main spectrum shows
+// 'left' | 'right' | 'lr' (L + R overlay) | 'mid' | 'side' | 'ms' (Mid + Side overlay)
+let spectrumChannelMode = 'mid';
+const CHANNEL_MODE_LABELS = {
+    left: ['L'],
+    right: ['R'],
+    lr: ['L', 'R'],
+    mid: ['Mid'],
+    side: ['Side'],
+    ms: ['Mid', 'Side']
+};
+const SECONDARY_CURVE_COLOR = '#fb923c'; // orange-400 (R or Side in the overlay modes)
+
+// Spectrum engine: the built-in AnalyserNode, or our own FFT (analysis/fft_engine.js) fed by an
+// AudioWorklet sample capture, with a selectable window and coherent-gain compensation
+const CAPTURE_BLOCK_SIZE = 1024; // Samples per worklet → main thread message
+const CHANNEL_MIX_GAINS = { left: [1, 0], right: [0, 1], mid: [0.5, 0.5], side: [0.5, -0.5] };
+let fftEngineType = 'analyser';  // 'analyser' | 'custom'
+let fftWindowType = 'hann';
+let fftOverlap = 0.5;
+let fftEngineState = null;       // Sample history and FFT scratch (rebuilt on FFT size / window / overlap change)
+let captureNode = null;          // AudioWorkletNode fed by channelUpmix
+const workletModules = new WeakMap(); // AudioContext → Map of worklet module URL → addModule promise
+
+// Multi-resolution mode: a long FFT for the lows, shorter ones (faster time response) for the mids
+// and highs, stitched at the band crossovers onto the long FFT's bin grid (analysis/multires.js)
+const MULTIRES_FFT_SIZES = [16384, 4096, 1024]; // Longest first; the first is the main analysers' size
+const MULTIRES_CROSSOVERS_HZ = [CROSSOVER_LOW_MID, CROSSOVER_MID_HIGH];
+let multiResolutionEnabled = false;
+let multiResAnalysers = null;    // { left, right, mid, side } → analysers for MULTIRES_FFT_SIZES[1..]
+let multiResLayerData = {};      // signal → raw per-bin dB arrays for every MULTIRES_FFT_SIZES entry (stitched into fftData etc.)
+let multiResEngineStates = [];   // Custom-engine states for MULTIRES_FFT_SIZES[1..]
+
+// Loudness meter (ITU-R BS.1770 / EBU R128): momentary, short-term, gated integrated and LRA,
+// measured on the audio thread (worklets/loudness-processor.js) from the up-mixed stereo source
+const LOUDNESS_BAR_MIN_LUFS = -60;
+const LOUDNESS_BAR_MAX_LUFS = 0;
+let loudnessNode = null;          // AudioWorkletNode fed by channelUpmix
+
+// Crosshair readout and pinned markers on the spectrum canvas
+let crosshairPosition = null;        // { x, y } in canvas pixels while the pointer is over the canvas
+let pinnedMarkers = [];              // Frequencies (Hz) pinned by clicking the spectrum
+const MAX_PINNED_MARKERS = 8;        // Oldest marker is dropped when pinning more
+const MARKER_HIT_TOLERANCE_PX = 5;   // Clicking this close to a marker removes it
+
+// Fractional-octave smoothing across frequency (0 = off, otherwise N in 1/N octave)
+let octaveSmoothingFraction = 0;
+let octaveSmoothingRanges = null;  // Per-bin windows for the current FFT size (see updateOctaveSmoothingRanges)
+let octaveSmoothingScratch = null; // Reusable prefix-sum buffer
+
 // Global decay speed multiplier for energy density bands
 // 1.0 = current behavior, >1 = faster decay, <1 = slower decay
 let globalDecaySpeed = 1.0;
@@ -372,12 +825,30 @@ let globalDecaySpeed = 1.0;
 const MIN_FREQ = 20;    // 20 Hz
 const MAX_FREQ = 20000; // 20 kHz
 
+// Frequency axis scale shared by the spectrum, markers, bands and spectrogram
+// 'log' | 'linear' | 'mel' | 'bark' | 'erb' (see analysis/frequency_scales.js)
+let frequencyAxisScale = 'log';
+
 // dB mapping constants
 // Web Audio API getFloatFrequencyData returns dB values from -Infinity to 0 dB (full scale)
 // Some implementations may return slightly positive values, so we allow up to +6 dB for headroom
 const MIN_DB = -100;    // Minimum dB value (silence threshold)
 const MAX_DB = 0;        // Maximum dB value (full scale, 0 dB = maximum digital level)
 
+// Spectrum viewport (zoom / pan). Frequencies stay within MIN_FREQ..MAX_FREQ; the dB range may
+// extend past MIN_DB / MAX_DB so quiet noise floors and inter-sample overs can be inspected.
+const VIEW_DB_LOWER_LIMIT = -160;
+const VIEW_DB_UPPER_LIMIT = 20;
+const MIN_VIEW_SPAN_NORMALIZED = 0.03; // About 1/3 octave on the log axis
+const MIN_VIEW_SPAN_DB = 6;
+const VIEW_WHEEL_ZOOM_STEP = 1.15;     // Span factor per wheel notch
+const DRAG_THRESHOLD_PX = 4;           // Pointer travel before a press becomes a pan (shorter = click)
+const FREQUENCY_TICK_MIN_GAP_PX = 56;
+const DB_TICK_MIN_GAP_PX = 22;
+let spectrumView = { minFreq: MIN_FREQ, maxFreq: MAX_FREQ, minDb: MIN_DB, maxDb: MAX_DB };
+let spectrumDrag = null;               // { startX, startY, startView, moved } while the mouse button is down
+let suppressNextSpectrumClick = false; // Set when a press turned into a pan, so releasing it does not pin a marker
+
 // Energy density band dynamic range
 // dB window above threshold for full scale (wider range = less pegging)
 const ENERGY_DYNAMIC_RANGE_DB = 40; // dB window above threshold for full scale
@@ -406,22 +877,48 @@ function binFrequency(i, sampleRate, binCount) {
 }
 
 /**
- * Map a frequency to an X coordinate on the canvas using logarithmic scale
+ * Map a frequency to the 0-1 position of the frequency axis (in the selected axis scale)
+ * Shared by the spectrum (horizontal axis) and the spectrogram (vertical axis)
  * @param {number} freq - Frequency in Hz
- * @param {number} width - Canvas width in pixels
- * @returns {number} X coordinate (accounting for left padding)
+ * @returns {number} Normalized position (0 = MIN_FREQ, 1 = MAX_FREQ)
  */
-function frequencyToX(freq, width) {
+function frequencyToNormalized(freq) {
     // Clamp frequency to valid range
     const clampedFreq = Math.max(MIN_FREQ, Math.min(MAX_FREQ, freq));
     
-    // Log10 mapping: map frequency to 0-1 range using log scale
-    const logMin = Math.log10(MIN_FREQ);
-    const logMax = Math.log10(MAX_FREQ);
-    const logFreq = Math.log10(clampedFreq);
+    // Map frequency to 0-1 range in scale units (log10 Hz, Hz, mel, Bark or ERB-number)
+    const scaleMin = frequencyToScale(MIN_FREQ, frequencyAxisScale);
+    const scaleMax = frequencyToScale(MAX_FREQ, frequencyAxisScale);
+    const scaleFreq = frequencyToScale(clampedFreq, frequencyAxisScale);
+    
+    return (scaleFreq - scaleMin) / (scaleMax - scaleMin);
+}
+
+/**
+ * Map a 0-1 axis position back to a frequency (inverse of frequencyToNormalized)
+ * @param {number} normalized - Normalized position (clamped to 0-1)
+ * @returns {number} Frequency in Hz
+ */
+function normalizedToFrequency(normalized) {
+    const clampedNormalized = Math.max(0, Math.min(1, normalized));
     
-    // Normalize to 0-1 range
-    const normalized = (logFreq - logMin) / (logMax - logMin);
+    // Interpolate in scale units, then convert back to Hz
+    const scaleMin = frequencyToScale(MIN_FREQ, frequencyAxisScale);
+    const scaleMax = frequencyToScale(MAX_FREQ, frequencyAxisScale);
+    return scaleToFrequency(scaleMin + clampedNormalized * (scaleMax - scaleMin), frequencyAxisScale);
+}
+
+/**
+ * Map a frequency to an X coordinate on the canvas using logarithmic scale
+ * Honors the zoomed viewport: frequencies outside spectrumView land outside the plot area
+ * @param {number} freq - Frequency in Hz
+ * @param {number} width - Canvas width in pixels
+ * @returns {number} X coordinate (accounting for left padding)
+ */
+function frequencyToX(freq, width) {
+    const viewStart = frequencyToNormalized(spectrumView.minFreq);
+    const viewEnd = frequencyToNormalized(spectrumView.maxFreq);
+    const normalized = (frequencyToNormalized(freq) - viewStart) / (viewEnd - viewStart);
     
     // Map to active draw area (accounting for left and right margins)
     const activeWidth = width - MARGIN_LEFT - MARGIN_RIGHT;
@@ -439,24 +936,23 @@ function xToFrequency(x, width) {
     // Account for left and right margins
     const activeWidth = width - MARGIN_LEFT - MARGIN_RIGHT;
     
-    // Get position in active draw area (0 to activeWidth)
+    // Get position in active draw area (0 to activeWidth), normalized to 0-1
     const xInActiveArea = x - MARGIN_LEFT;
-    
-    // Normalize to 0-1 range
     const normalized = activeWidth > 0 ? xInActiveArea / activeWidth : 0;
     
-    // Clamp normalized value to valid range
-    const clampedNormalized = Math.max(0, Math.min(1, normalized));
-    
-    // Inverse logarithmic mapping: freq = min * (max/min)^normalized
-    // Using log10 for consistency with frequencyToX:
-    // log10(freq) = log10(MIN_FREQ) + normalized * (log10(MAX_FREQ) - log10(MIN_FREQ))
-    const logMin = Math.log10(MIN_FREQ);
-    const logMax = Math.log10(MAX_FREQ);
-    const logFreq = logMin + clampedNormalized * (logMax - logMin);
-    const freq = Math.pow(10, logFreq);
-    
-    return freq;
+    // Position within the viewport → position on the full axis
+    const viewStart = frequencyToNormalized(spectrumView.minFreq);
+    const viewEnd = frequencyToNormalized(spectrumView.maxFreq);
+    return normalizedToFrequency(viewStart + normalized * (viewEnd - viewStart));
+}
+
+/**
+ * Check whether a frequency is inside the zoomed viewport
+ * @param {number} freq - Frequency in Hz
+ * @returns {boolean} True when the frequency is visible on the spectrum
+ */
+function isFrequencyInView(freq) {
+    return freq >= spectrumView.minFreq && freq <= spectrumView.maxFreq;
 }
 
 /**
@@ -492,17 +988,55 @@ function dbToY(db, height) {
         return height - MARGIN_BOTTOM;
     }
     
-    // Clamp dB to valid range
-    const clampedDb = Math.max(MIN_DB, Math.min(MAX_DB, db));
+    // Clamp dB to the viewport's range
+    const { minDb, maxDb } = spectrumView;
+    const clampedDb = Math.max(minDb, Math.min(maxDb, db));
     
     // Normalize dB to 0-1 range (inverted: higher dB = lower Y)
-    const normalized = (clampedDb - MIN_DB) / (MAX_DB - MIN_DB);
+    const normalized = (clampedDb - minDb) / (maxDb - minDb);
     
     // Map to active draw area (accounting for top and bottom margins, inverted: 0 at top, height at bottom)
     const activeHeight = height - MARGIN_TOP - MARGIN_BOTTOM;
     return MARGIN_TOP + (1 - normalized) * activeHeight;
 }
 
+/**
+ * Map a Y coordinate to a dB value (inverse of dbToY, without clamping)
+ * @param {number} y - Y coordinate in pixels
+ * @param {number} height - Canvas height in pixels
+ * @returns {number} dB value
+ */
+function yToDb(y, height) {
+    const activeHeight = height - MARGIN_TOP - MARGIN_BOTTOM;
+    const normalized = activeHeight > 0 ? 1 - (y - MARGIN_TOP) / activeHeight : 0;
+    return spectrumView.minDb + normalized * (spectrumView.maxDb - spectrumView.minDb);
+}
+
+/**
+ * Get the display tilt at a frequency
+ * @param {number} freq - Frequency in Hz
+ * @returns {number} Gain in dB (0 at the pivot, +slope per octave above it)
+ */
+function getTiltDb(freq) {
+    if (spectralTiltDbPerOct === 0 || !(freq > 0)) {
+        return 0;
+    }
+    return spectralTiltDbPerOct * Math.log2(freq / spectralTiltPivotHz);
+}
+
+/**
+ * Convert a relative dB value (difference curves) to Y coordinate
+ * 0 dB sits at the vertical centre of the active area; ±COMPARE_DIFF_RANGE_DB reach the edges
+ * @param {number} diffDb - Relative level in dB
+ * @param {number} height - Canvas height
+ * @returns {number} Y coordinate
+ */
+function diffDbToY(diffDb, height) {
+    const activeHeight = height - MARGIN_TOP - MARGIN_BOTTOM;
+    const clamped = Math.max(-COMPARE_DIFF_RANGE_DB, Math.min(COMPARE_DIFF_RANGE_DB, diffDb));
+    return MARGIN_TOP + activeHeight / 2 - (clamped / COMPARE_DIFF_RANGE_DB) * (activeHeight / 2);
+}
+
 /**
  * Get the sample rate from the audio context
  * @returns {number} Sample rate in Hz
@@ -566,7 +1100,9 @@ function initializeAudioContext() {
         // Read initial FFT size from dropdown, or default to 4096
         let initialFFTSize = 4096; // Default
         if (fftSizeSelect && fftSizeSelect.value) {
-            initialFFTSize = parseInt(fftSizeSelect.value, 10);
+            const selection = parseFftSizeSelection(fftSizeSelect.value);
+            initialFFTSize = selection.fftSize;
+            multiResolutionEnabled = selection.multiResolution;
             if (!isFinite(initialFFTSize) || initialFFTSize < 32) {
                 console.warn('Invalid FFT size from dropdown, using default 4096');
                 initialFFTSize = 4096;
@@ -584,6 +1120,14 @@ function initializeAudioContext() {
         fftData = new Float32Array(frequencyBinCount);
         smoothedData = new Float32Array(frequencyBinCount); // Fast/Live data
         averageData = new Float32Array(frequencyBinCount);  // Long-term average data
+        peakHoldData = new Float32Array(frequencyBinCount); // Max-hold trace
+        peakHoldTimes = new Float64Array(frequencyBinCount);
+        liveDisplayData = new Float32Array(frequencyBinCount);
+        averageDisplayData = new Float32Array(frequencyBinCount);
+        compareDisplayDataA = new Float32Array(frequencyBinCount);
+        compareDisplayDataB = new Float32Array(frequencyBinCount);
+        snapshotDisplayData = new Float32Array(frequencyBinCount);
+        updateOctaveSmoothingRanges();
         
         // Allocate reusable time-domain data arrays for both channels (reused every frame to avoid allocations)
         timeDomainDataLeft = new Float32Array(analyserLeft.fftSize);
@@ -592,6 +1136,14 @@ function initializeAudioContext() {
         // Set analyser alias for backward compatibility
         analyser = analyserLeft;
         
+        // Mid / Side analysers (fed by the M/S matrix in connectSourceToAnalysers)
+        analyserMid = audioContext.createAnalyser();
+        analyserSide = audioContext.createAnalyser();
+        analyserMid.fftSize = initialFFTSize;
+        analyserSide.fftSize = initialFFTSize;
+        allocateSecondarySpectrumData();
+        updateMultiResolutionAnalysis();
+        
         // Create multi-band analysers (4 bands × 2 channels = 8 analysers)
         analyserSubL = audioContext.createAnalyser();
         analyserSubR = audioContext.createAnalyser();
@@ -673,6 +1225,8 @@ function updateFFTSize(newSize) {
     // Update analyser FFT sizes
     analyserLeft.fftSize = newSize;
     analyserRight.fftSize = newSize;
+    analyserMid.fftSize = newSize;
+    analyserSide.fftSize = newSize;
     
     // Update analyser alias for backward compatibility
     analyser = analyserLeft;
@@ -684,6 +1238,19 @@ function updateFFTSize(newSize) {
     fftData = new Float32Array(frequencyBinCount);
     smoothedData = new Float32Array(frequencyBinCount); // Fast/Live data
     averageData = new Float32Array(frequencyBinCount);  // Long-term average data
+    peakHoldData = new Float32Array(frequencyBinCount); // Max-hold trace
+    peakHoldTimes = new Float64Array(frequencyBinCount);
+    liveDisplayData = new Float32Array(frequencyBinCount);
+    averageDisplayData = new Float32Array(frequencyBinCount);
+    compareDisplayDataA = new Float32Array(frequencyBinCount);
+    compareDisplayDataB = new Float32Array(frequencyBinCount);
+    snapshotDisplayData = new Float32Array(frequencyBinCount);
+    
+    allocateSecondarySpectrumData();
+    updateMultiResolutionAnalysis();
+    
+    // Smoothing windows are defined in bins, so they change with the bin count
+    updateOctaveSmoothingRanges();
     
     // Re-allocate time-domain data arrays
     timeDomainDataLeft = new Float32Array(analyserLeft.fftSize);
@@ -692,13 +1259,200 @@ function updateFFTSize(newSize) {
     // Re-compute band bin indices for the new FFT size
     computeBandBinIndices();
     
+    // Keep the A/B compare analysers on the same bin layout
+    if (compareAnalyserA) {
+        ensureCompareAnalysers();
+    }
+    
+    // The custom FFT engine's frame length follows the FFT size too
+    if (fftEngineType === 'custom') {
+        rebuildFftEngineState();
+    }
+    
     // Reset state flags to prevent data mismatches
     emaInitialized = false;
     averageDataInitialized = false;
+    peakHoldInitialized = false;
     
     console.log(`FFT size updated successfully. New frequencyBinCount: ${frequencyBinCount}`);
 }
 
+/**
+ * Route a source node through the channel splitter, 4-band crossover and analysers
+ * Shared by every source type (test files, live input) so they all feed the same chain
+ * @param {AudioNode} audioSource - Source node to analyse (mono or stereo)
+ * @param {{monitor?: boolean}} [options] - monitor: also connect the source to the speakers (default true)
+ */
+function connectSourceToAnalysers(audioSource, options = {}) {
+    const ctx = audioContext;
+    const monitor = options.monitor !== false;
+    
+    // Create ChannelSplitterNode to split stereo channels
+    channelSplitter = ctx.createChannelSplitter(2);
+    
+    // Up-mix stage: the splitter interprets its input discretely, so a mono source
+    // (e.g. a single-channel microphone) would leave the right output silent.
+    // A 2-channel "speakers" gain node copies mono to both sides and passes stereo unchanged.
+    channelUpmix = ctx.createGain();
+    channelUpmix.channelCount = 2;
+    channelUpmix.channelCountMode = 'explicit';
+    channelUpmix.channelInterpretation = 'speakers';
+    
+    // IMPORTANT: When using MediaElementAudioSourceNode, the audio element
+    // should NOT be connected to its default destination. The source node
+    // handles the connection.
+    // Connect: audio source → up-mix → splitter
+    audioSource.connect(channelUpmix);
+    channelUpmix.connect(channelSplitter);
+    
+    // ===== CREATE 4-BAND CROSSOVER FILTERS =====
+    // Left channel filters
+    
+    // Sub Band: Lowpass @ CROSSOVER_SUB_LOW (120Hz)
+    filterSubL = ctx.createBiquadFilter();
+    filterSubL.type = 'lowpass';
+    filterSubL.frequency.value = CROSSOVER_SUB_LOW;
+    
+    // Low Band: Highpass @ CROSSOVER_SUB_LOW -> Lowpass @ CROSSOVER_LOW_MID
+    filterLowL = ctx.createBiquadFilter();
+    filterLowL.type = 'highpass';
+    filterLowL.frequency.value = CROSSOVER_SUB_LOW;
+    filterLowL_LP = ctx.createBiquadFilter();
+    filterLowL_LP.type = 'lowpass';
+    filterLowL_LP.frequency.value = CROSSOVER_LOW_MID;
+    filterLowL.connect(filterLowL_LP);
+    
+    // Mid Band: Highpass @ CROSSOVER_LOW_MID -> Lowpass @ CROSSOVER_MID_HIGH
+    filterMidL = ctx.createBiquadFilter();
+    filterMidL.type = 'highpass';
+    filterMidL.frequency.value = CROSSOVER_LOW_MID;
+    filterMidL_LP = ctx.createBiquadFilter();
+    filterMidL_LP.type = 'lowpass';
+    filterMidL_LP.frequency.value = CROSSOVER_MID_HIGH;
+    filterMidL.connect(filterMidL_LP);
+    
+    // High Band: Highpass @ CROSSOVER_MID_HIGH (2500Hz)
+    filterHighL = ctx.createBiquadFilter();
+    filterHighL.type = 'highpass';
+    filterHighL.frequency.value = CROSSOVER_MID_HIGH;
+    
+    // Right channel filters (same structure as left)
+    
+    // Sub Band: Lowpass @ CROSSOVER_SUB_LOW (120Hz)
+    filterSubR = ctx.createBiquadFilter();
+    filterSubR.type = 'lowpass';
+    filterSubR.frequency.value = CROSSOVER_SUB_LOW;
+    
+    // Low Band: Highpass @ CROSSOVER_SUB_LOW -> Lowpass @ CROSSOVER_LOW_MID
+    filterLowR = ctx.createBiquadFilter();
+    filterLowR.type = 'highpass';
+    filterLowR.frequency.value = CROSSOVER_SUB_LOW;
+    filterLowR_LP = ctx.createBiquadFilter();
+    filterLowR_LP.type = 'lowpass';
+    filterLowR_LP.frequency.value = CROSSOVER_LOW_MID;
+    filterLowR.connect(filterLowR_LP);
+    
+    // Mid Band: Highpass @ CROSSOVER_LOW_MID -> Lowpass @ CROSSOVER_MID_HIGH
+    filterMidR = ctx.createBiquadFilter();
+    filterMidR.type = 'highpass';
+    filterMidR.frequency.value = CROSSOVER_LOW_MID;
+    filterMidR_LP = ctx.createBiquadFilter();
+    filterMidR_LP.type = 'lowpass';
+    filterMidR_LP.frequency.value = CROSSOVER_MID_HIGH;
+    filterMidR.connect(filterMidR_LP);
+    
+    // High Band: Highpass @ CROSSOVER_MID_HIGH (2500Hz)
+    filterHighR = ctx.createBiquadFilter();
+    filterHighR.type = 'highpass';
+    filterHighR.frequency.value = CROSSOVER_MID_HIGH;
+    
+    // ===== CONNECT SPLITTER TO FILTERS =====
+    // Left channel (output 0) → filters
+    channelSplitter.connect(filterSubL, 0);
+    channelSplitter.connect(filterLowL, 0);
+    channelSplitter.connect(filterMidL, 0);
+    channelSplitter.connect(filterHighL, 0);
+    
+    // Right channel (output 1) → filters
+    channelSplitter.connect(filterSubR, 1);
+    channelSplitter.connect(filterLowR, 1);
+    channelSplitter.connect(filterMidR, 1);
+    channelSplitter.connect(filterHighR, 1);
+    
+    // ===== CONNECT FILTERS TO ANALYSERS =====
+    // Left channel filters → analysers
+    filterSubL.connect(analyserSubL);
+    filterLowL_LP.connect(analyserLowL);  // Connect the lowpass stage of Low band
+    filterMidL_LP.connect(analyserMidL);  // Connect the lowpass stage of Mid band
+    filterHighL.connect(analyserHighL);
+    
+    // Right channel filters → analysers
+    filterSubR.connect(analyserSubR);
+    filterLowR_LP.connect(analyserLowR);  // Connect the lowpass stage of Low band
+    filterMidR_LP.connect(analyserMidR);  // Connect the lowpass stage of Mid band
+    filterHighR.connect(analyserHighR);
+    
+    // ===== CONNECT TO SPECTRUM ANALYSERS =====
+    // Also connect splitter outputs to analyserLeft/analyserRight for spectrum visualization
+    channelSplitter.connect(analyserLeft, 0);
+    channelSplitter.connect(analyserRight, 1);
+    
+    // ===== MID / SIDE MATRIX =====
+    // Mid = (L + R) / 2 and Side = (L - R) / 2; an analyser sums everything connected to its input
+    const leftHalf = ctx.createGain();
+    const rightHalf = ctx.createGain();
+    const rightHalfInverted = ctx.createGain();
+    leftHalf.gain.value = 0.5;
+    rightHalf.gain.value = 0.5;
+    rightHalfInverted.gain.value = -0.5;
+    channelSplitter.connect(leftHalf, 0);
+    channelSplitter.connect(rightHalf, 1);
+    channelSplitter.connect(rightHalfInverted, 1);
+    leftHalf.connect(analyserMid);
+    rightHalf.connect(analyserMid);
+    leftHalf.connect(analyserSide);
+    rightHalfInverted.connect(analyserSide);
+    midSideNodes = [leftHalf, rightHalf, rightHalfInverted];
+    
+    // ===== SAMPLE CAPTURE (custom FFT engine / constant-Q view) =====
+    if (isSampleCaptureNeeded()) {
+        connectCaptureNode();
+    }
+    
+    // ===== LOUDNESS METER (restarts for every new source) =====
+    connectLoudnessNode();
+    
+    // ===== CONNECT TO AUDIO OUTPUT =====
+    // Connect source to destination for audio playback (maintains full stereo output)
+    // Captured inputs skip this to avoid feedback between speakers and microphone
+    if (monitor) {
+        audioSource.connect(ctx.destination);
+    }
+    
+    // Verify connection
+    console.log('Audio node connections:', {
+        sourceConnected: audioSource.numberOfOutputs > 0,
+        splitterCreated: !!channelSplitter,
+        filtersCreated: {
+            left: { sub: !!filterSubL, low: !!filterLowL, mid: !!filterMidL, high: !!filterHighL },
+            right: { sub: !!filterSubR, low: !!filterLowR, mid: !!filterMidR, high: !!filterHighR }
+        },
+        analyserLeftConnected: analyserLeft.numberOfInputs > 0 && analyserLeft.numberOfOutputs > 0,
+        analyserRightConnected: analyserRight.numberOfInputs > 0 && analyserRight.numberOfOutputs > 0,
+        multiBandAnalysersConnected: {
+            subL: analyserSubL.numberOfInputs > 0,
+            subR: analyserSubR.numberOfInputs > 0,
+            lowL: analyserLowL.numberOfInputs > 0,
+            lowR: analyserLowR.numberOfInputs > 0,
+            midL: analyserMidL.numberOfInputs > 0,
+            midR: analyserMidR.numberOfInputs > 0,
+            highL: analyserHighL.numberOfInputs > 0,
+            highR: analyserHighR.numberOfInputs > 0
+        },
+        monitored: monitor
+    });
+}
+
 /**
  * Set up test audio file playback
  * @param {string} audioPath - Path to the audio file
@@ -768,7 +1522,7 @@ function setupTestAudio(audioPath) {
             } else if (error.code === 3 || error.code === 4) {
                 userMessage += '\n\nPossible causes:\n- Audio format not supported\n- File is corrupted';
             }
-            userMessage += `\n\nFile: ${audioPath}`;
+            userMessage += `\n\nFile: ${getSourceDisplayName(audioPath)}`;
             
             alert(userMessage);
         } else {
@@ -785,9 +1539,13 @@ function setupTestAudio(audioPath) {
     // Note: crossOrigin not needed for same-origin files, and can cause issues
     audioElement.preload = 'auto';
     audioElement.volume = 1.0; // Ensure volume is at maximum
+    // load() resets playbackRate to defaultPlaybackRate, so set both
+    audioElement.defaultPlaybackRate = playbackRate;
+    audioElement.playbackRate = playbackRate;
     
     // Store reference early
     currentAudioElement = audioElement;
+    currentSourceKind = 'file';
     
     // Wait for audio to be ready before creating source node
     const setupSourceNode = () => {
@@ -812,133 +1570,8 @@ function setupTestAudio(audioPath) {
             // Create MediaElementAudioSourceNode
             const audioSource = ctx.createMediaElementSource(audioElement);
             
-            // Create ChannelSplitterNode to split stereo channels
-            channelSplitter = ctx.createChannelSplitter(2);
-            
-            // IMPORTANT: When using MediaElementAudioSourceNode, the audio element
-            // should NOT be connected to its default destination. The source node
-            // handles the connection.
-            // Connect: audio source → splitter
-            audioSource.connect(channelSplitter);
-            
-            // ===== CREATE 4-BAND CROSSOVER FILTERS =====
-            // Left channel filters
-            
-            // Sub Band: Lowpass @ CROSSOVER_SUB_LOW (120Hz)
-            filterSubL = ctx.createBiquadFilter();
-            filterSubL.type = 'lowpass';
-            filterSubL.frequency.value = CROSSOVER_SUB_LOW;
-            
-            // Low Band: Highpass @ CROSSOVER_SUB_LOW -> Lowpass @ CROSSOVER_LOW_MID
-            filterLowL = ctx.createBiquadFilter();
-            filterLowL.type = 'highpass';
-            filterLowL.frequency.value = CROSSOVER_SUB_LOW;
-            filterLowL_LP = ctx.createBiquadFilter();
-            filterLowL_LP.type = 'lowpass';
-            filterLowL_LP.frequency.value = CROSSOVER_LOW_MID;
-            filterLowL.connect(filterLowL_LP);
-            
-            // Mid Band: Highpass @ CROSSOVER_LOW_MID -> Lowpass @ CROSSOVER_MID_HIGH
-            filterMidL = ctx.createBiquadFilter();
-            filterMidL.type = 'highpass';
-            filterMidL.frequency.value = CROSSOVER_LOW_MID;
-            filterMidL_LP = ctx.createBiquadFilter();
-            filterMidL_LP.type = 'lowpass';
-            filterMidL_LP.frequency.value = CROSSOVER_MID_HIGH;
-            filterMidL.connect(filterMidL_LP);
-            
-            // High Band: Highpass @ CROSSOVER_MID_HIGH (2500Hz)
-            filterHighL = ctx.createBiquadFilter();
-            filterHighL.type = 'highpass';
-            filterHighL.frequency.value = CROSSOVER_MID_HIGH;
-            
-            // Right channel filters (same structure as left)
-            
-            // Sub Band: Lowpass @ CROSSOVER_SUB_LOW (120Hz)
-            filterSubR = ctx.createBiquadFilter();
-            filterSubR.type = 'lowpass';
-            filterSubR.frequency.value = CROSSOVER_SUB_LOW;
-            
-            // Low Band: Highpass @ CROSSOVER_SUB_LOW -> Lowpass @ CROSSOVER_LOW_MID
-            filterLowR = ctx.createBiquadFilter();
-            filterLowR.type = 'highpass';
-            filterLowR.frequency.value = CROSSOVER_SUB_LOW;
-            filterLowR_LP = ctx.createBiquadFilter();
-            filterLowR_LP.type = 'lowpass';
-            filterLowR_LP.frequency.value = CROSSOVER_LOW_MID;
-            filterLowR.connect(filterLowR_LP);
-            
-            // Mid Band: Highpass @ CROSSOVER_LOW_MID -> Lowpass @ CROSSOVER_MID_HIGH
-            filterMidR = ctx.createBiquadFilter();
-            filterMidR.type = 'highpass';
-            filterMidR.frequency.value = CROSSOVER_LOW_MID;
-            filterMidR_LP = ctx.createBiquadFilter();
-            filterMidR_LP.type = 'lowpass';
-            filterMidR_LP.frequency.value = CROSSOVER_MID_HIGH;
-            filterMidR.connect(filterMidR_LP);
-            
-            // High Band: Highpass @ CROSSOVER_MID_HIGH (2500Hz)
-            filterHighR = ctx.createBiquadFilter();
-            filterHighR.type = 'highpass';
-            filterHighR.frequency.value = CROSSOVER_MID_HIGH;
-            
-            // ===== CONNECT SPLITTER TO FILTERS =====
-            // Left channel (output 0) → filters
-            channelSplitter.connect(filterSubL, 0);
-            channelSplitter.connect(filterLowL, 0);
-            channelSplitter.connect(filterMidL, 0);
-            channelSplitter.connect(filterHighL, 0);
-            
-            // Right channel (output 1) → filters
-            channelSplitter.connect(filterSubR, 1);
-            channelSplitter.connect(filterLowR, 1);
-            channelSplitter.connect(filterMidR, 1);
-            channelSplitter.connect(filterHighR, 1);
-            
-            // ===== CONNECT FILTERS TO ANALYSERS =====
-            // Left channel filters → analysers
-            filterSubL.connect(analSubL);
-            filterLowL_LP.connect(analLowL);  // Connect the lowpass stage of Low band
-            filterMidL_LP.connect(analMidL);  // Connect the lowpass stage of Mid band
-            filterHighL.connect(analHighL);
-            
-            // Right channel filters → analysers
-            filterSubR.connect(analSubR);
-            filterLowR_LP.connect(analLowR);  // Connect the lowpass stage of Low band
-            filterMidR_LP.connect(analMidR);  // Connect the lowpass stage of Mid band
-            filterHighR.connect(analHighR);
-            
-            // ===== CONNECT TO SPECTRUM ANALYSERS =====
-            // Also connect splitter outputs to analyserLeft/analyserRight for spectrum visualization
-            channelSplitter.connect(analLeft, 0);
-            channelSplitter.connect(analRight, 1);
-            
-            // ===== CONNECT TO AUDIO OUTPUT =====
-            // Connect source to destination for audio playback (maintains full stereo output)
-            audioSource.connect(ctx.destination);
-            
-            // Verify connection
-            console.log('Audio node connections:', {
-                sourceConnected: audioSource.numberOfOutputs > 0,
-                splitterCreated: !!channelSplitter,
-                filtersCreated: {
-                    left: { sub: !!filterSubL, low: !!filterLowL, mid: !!filterMidL, high: !!filterHighL },
-                    right: { sub: !!filterSubR, low: !!filterLowR, mid: !!filterMidR, high: !!filterHighR }
-                },
-                analyserLeftConnected: analLeft.numberOfInputs > 0 && analLeft.numberOfOutputs > 0,
-                analyserRightConnected: analRight.numberOfInputs > 0 && analRight.numberOfOutputs > 0,
-                multiBandAnalysersConnected: {
-                    subL: analSubL.numberOfInputs > 0,
-                    subR: analSubR.numberOfInputs > 0,
-                    lowL: analLowL.numberOfInputs > 0,
-                    lowR: analLowR.numberOfInputs > 0,
-                    midL: analMidL.numberOfInputs > 0,
-                    midR: analMidR.numberOfInputs > 0,
-                    highL: analHighL.numberOfInputs > 0,
-                    highR: analHighR.numberOfInputs > 0
-                },
-                destinationConnected: ctx.destination.numberOfInputs > 0
-            });
+            // Route through splitter → crossovers → analysers (and to the speakers)
+            connectSourceToAnalysers(audioSource);
             
             // Store reference
             currentAudioSource = audioSource;
@@ -1016,12 +1649,14 @@ function setupTestAudio(audioPath) {
     // Set src and load the audio
     // URL encode the path to handle spaces and special characters like #
     // Split by / and encode each segment, then rejoin
-    const pathSegments = audioPath.split('/');
-    const encodedPath = pathSegments.map(segment => encodeURIComponent(segment)).join('/');
+    // Session files are object URLs and must be used as-is
+    const encodedPath = sessionFiles.has(audioPath) ? audioPath : encodeAudioPath(audioPath);
     
-    console.log('Setting audio src to:', audioPath);
+    console.log('Setting audio src to:', getSourceDisplayName(audioPath));
     console.log('Encoded path:', encodedPath);
-    console.log('Full URL will be:', window.location.origin + '/' + encodedPath);
+    if (!sessionFiles.has(audioPath)) {
+        console.log('Full URL will be:', window.location.origin + '/' + encodedPath);
+    }
     
     audioElement.src = encodedPath;
     audioElement.load();
@@ -1056,6 +1691,15 @@ function setupTestAudio(audioPath) {
         stopVisualization();
     });
     
+    // Keep the transport readout current while paused (the animation loop handles playback)
+    audioElement.addEventListener('loadedmetadata', updateTransportDisplay);
+    audioElement.addEventListener('seeked', updateTransportDisplay);
+    audioElement.addEventListener('timeupdate', () => {
+        if (!isAnimating) {
+            updateTransportDisplay();
+        }
+    });
+    
     // Return audio element (audioSource will be set up asynchronously)
     return { audioElement, audioSource: null };
 }
@@ -1070,31 +1714,72 @@ function cleanupTestAudio() {
     // Reset EMA initialization flags for fresh start
     emaInitialized = false;
     averageDataInitialized = false;
+    peakHoldInitialized = false;
     
     if (currentAudioElement) {
         // Stop playback
         currentAudioElement.pause();
         currentAudioElement.src = '';
         
-        // Disconnect source node if it exists
-        if (currentAudioSource) {
-            try {
-                currentAudioSource.disconnect();
-            } catch (e) {
-                // Ignore disconnect errors (node may already be disconnected)
-            }
-        }
-        
         // Remove audio element from DOM if it was added
         if (currentAudioElement.parentNode) {
             currentAudioElement.parentNode.removeChild(currentAudioElement);
         }
         
         currentAudioElement = null;
+    }
+    
+    // Disconnect source node if it exists (media element or media stream source)
+    if (currentAudioSource) {
+        try {
+            currentAudioSource.disconnect();
+        } catch (e) {
+            // Ignore disconnect errors (node may already be disconnected)
+        }
         currentAudioSource = null;
     }
     
-    // Disconnect and reset channel splitter reference
+    // Stop live input tracks so the browser releases the device (and its recording indicator)
+    if (currentMediaStream) {
+        currentMediaStream.getTracks().forEach(track => track.stop());
+        currentMediaStream = null;
+    }
+    
+    // Stop and disconnect generator oscillators / buffer sources
+    generatorNodes.forEach(node => {
+        try {
+            if (typeof node.stop === 'function') {
+                node.stop();
+            }
+            node.disconnect();
+        } catch (e) {
+            // Ignore errors from nodes that were never started or are already disconnected
+        }
+    });
+    generatorNodes = [];
+    
+    // Stop the A/B compare sources and release their decoded buffers
+    if (compareState) {
+        stopCompareSources();
+        [...compareState.trimGains, ...compareState.selectGains, compareState.bus].forEach(node => node.disconnect());
+        compareState = null;
+    }
+    if (compareAnalyserA) compareAnalyserA.disconnect();
+    if (compareAnalyserB) compareAnalyserB.disconnect();
+    compareRequestToken++;
+    
+    currentSourceKind = null;
+    
+    // Disconnect and reset up-mix and channel splitter references
+    if (channelUpmix) {
+        try {
+            channelUpmix.disconnect();
+        } catch (e) {
+            // Ignore disconnect errors (node may already be disconnected)
+        }
+        channelUpmix = null;
+    }
+    
     if (channelSplitter) {
         try {
             channelSplitter.disconnect();
@@ -1104,6 +1789,11 @@ function cleanupTestAudio() {
         channelSplitter = null;
     }
     
+    // Disconnect the Mid/Side matrix
+    midSideNodes.forEach(node => node.disconnect());
+    midSideNodes = [];
+    secondaryDataInitialized = false;
+    
     // Disconnect and reset crossover filter references
     const filters = [
         filterSubL, filterSubR,
@@ -1137,1369 +1827,4799 @@ function cleanupTestAudio() {
 }
 
 /**
- * Apply Exponential Moving Average (EMA) smoothing to FFT data
- * @param {Float32Array} fftData - Raw FFT frequency data
- * @param {Float32Array} smoothed - Persistent smoothed data array
- * @param {number} alpha - Smoothing factor (0-1, higher = more smoothing)
+ * Show a short message under the audio source dropdown
+ * @param {string} message - Text to display (empty string hides the line)
+ * @param {'idle'|'running'|'success'|'error'} state - Visual state of the message
  */
-function updateEMA(fftData, smoothed, alpha) {
-    if (!fftData || !smoothed || fftData.length !== smoothed.length) {
-        return;
-    }
-    
-    // On first call, initialize smoothed array with raw FFT data
-    if (!emaInitialized) {
-        for (let i = 0; i < fftData.length; i++) {
-            smoothed[i] = fftData[i];
-        }
-        emaInitialized = true;
-        return;
+function setSourceStatus(message, state = 'idle') {
+    if (!sourceStatus) return;
+    sourceStatus.textContent = message;
+    sourceStatus.className = 'text-xs';
+    sourceStatus.classList.toggle('hidden', !message);
+    if (state === 'running') {
+        sourceStatus.classList.add('text-amber-300');
+    } else if (state === 'success') {
+        sourceStatus.classList.add('text-emerald-300');
+    } else if (state === 'error') {
+        sourceStatus.classList.add('text-red-300');
+    } else {
+        sourceStatus.classList.add('text-gray-400');
     }
-    
-    // Apply EMA smoothing: smoothed[i] = alpha * newValue + (1 - alpha) * oldValue
-    // Note: Lower alpha = more smoothing (slower response), Higher alpha = less smoothing (faster response)
-    // For dB values, we need to handle -Infinity specially
-    for (let i = 0; i < fftData.length; i++) {
-        const newVal = fftData[i];
-        const oldVal = smoothed[i];
-        
-        // Handle -Infinity: if new value is -Infinity, keep old value (don't smooth to -Infinity)
-        // If old value is -Infinity but new is finite, use new value
-        if (!isFinite(newVal) && newVal === -Infinity) {
-            // New value is silence, keep old smoothed value (don't update)
-            continue;
-        } else if (!isFinite(oldVal) && oldVal === -Infinity) {
-            // Old value was silence, new value has signal - use new value
-            smoothed[i] = newVal;
-        } else {
-            // Both values are finite, apply normal EMA
-            smoothed[i] = alpha * newVal + (1 - alpha) * oldVal;
-        }
+}
+
+/**
+ * Show a small status line next to a panel's controls
+ * @param {HTMLElement|null} element - Status element (missing elements are ignored)
+ * @param {string} message - Text to display
+ * @param {'idle'|'running'|'success'|'error'} state - Visual state of the message
+ */
+function setStatusText(element, message, state = 'idle') {
+    if (!element) return;
+    element.textContent = message;
+    element.className = 'text-xs';
+    if (state === 'running') {
+        element.classList.add('text-amber-300');
+    } else if (state === 'success') {
+        element.classList.add('text-emerald-300');
+    } else if (state === 'error') {
+        element.classList.add('text-red-300');
+    } else {
+        element.classList.add('text-gray-400');
     }
 }
 
 /**
- * Calculate view duration in seconds based on BPM and number of bars
- * @param {number} bpm - Beats per minute
- * @param {number} bars - Number of bars (1, 4, or 8)
- * @returns {number} Duration in seconds
+ * Fill the input device dropdown with the available audio inputs
+ * Device labels are only exposed after microphone permission has been granted
  */
-function calculateViewDuration(bpm, bars) {
-    const beats = bars * 4; // 4 beats per bar
-    const durationSeconds = (beats / bpm) * 60;
-    return durationSeconds;
+async function populateInputDevices() {
+    if (!inputDeviceSelect || !navigator.mediaDevices?.enumerateDevices) return;
+    
+    const previousValue = inputDeviceSelect.value;
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const inputs = devices.filter(device => device.kind === 'audioinput');
+    
+    inputDeviceSelect.innerHTML = '';
+    
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = 'Default input';
+    inputDeviceSelect.appendChild(defaultOption);
+    
+    inputs.forEach((device, index) => {
+        // The "default" pseudo-device duplicates a real one, the empty value already covers it
+        if (device.deviceId === 'default' || !device.deviceId) return;
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label || `Input ${index + 1}`;
+        inputDeviceSelect.appendChild(option);
+    });
+    
+    // Keep the previous selection if that device is still present
+    if (Array.from(inputDeviceSelect.options).some(option => option.value === previousValue)) {
+        inputDeviceSelect.value = previousValue;
+    }
 }
 
 /**
- * Update waveform buffer size based on current view duration
- * Calculates how many samples are needed to store the requested time duration
+ * Set up live microphone / line-in capture as the audio source
+ * Browser processing (echo cancellation, noise suppression, AGC) is disabled so the
+ * analyser sees the signal as it arrives, and stereo is requested when the device supports it.
+ * @param {string} [deviceId] - Input device ID (empty for the browser default)
+ * @returns {Promise<boolean>} True if the stream is connected to the analysers
  */
-function updateWaveformBufferSize() {
-    if (!analyserLeft || !audioContext) return;
+async function setupLiveInput(deviceId = '') {
+    // Tear down the current source (file or previous stream) through the shared cleanup path
+    cleanupTestAudio();
     
-    const bpm = HARDCODED_BPM;
-    const bars = parseInt(viewLengthSelect.value) || 4;
-    const viewDuration = calculateViewDuration(bpm, bars);
+    if (!navigator.mediaDevices?.getUserMedia) {
+        setSourceStatus('Live input is not supported in this browser (requires HTTPS or localhost).', 'error');
+        return false;
+    }
     
-    const sampleRate = getSampleRate();
+    const { audioContext: ctx } = initializeAudioContext();
+    const requestToken = ++liveInputRequestToken;
+    
+    const constraints = {
+        audio: {
+            deviceId: deviceId ? { exact: deviceId } : undefined,
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false,
+            channelCount: { ideal: 2 },
+            sampleRate: { ideal: ctx.sampleRate }
+        },
+        video: false
+    };
     
-    // Calculate how many samples we need to store for the view duration
-    const totalSamplesNeeded = Math.ceil(viewDuration * sampleRate);
+    setSourceStatus('Requesting input access...', 'running');
     
-    // Buffer size should be at least the number of samples needed
-    // Add some headroom to ensure smooth scrolling
-    waveformBufferSize = Math.max(1024, totalSamplesNeeded);
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia(constraints);
+    } catch (error) {
+        console.error('getUserMedia failed:', error);
+        if (requestToken === liveInputRequestToken) {
+            const reason = error.name === 'NotAllowedError'
+                ? 'Microphone permission was denied.'
+                : error.name === 'NotFoundError' || error.name === 'OverconstrainedError'
+                    ? 'The selected input device is not available.'
+                    : error.message || 'Unknown error';
+            setSourceStatus(`Live input failed: ${reason}`, 'error');
+        }
+        return false;
+    }
     
-    // Resize buffers if needed
-    if (waveformBuffer.length !== waveformBufferSize) {
-        const oldBuffer = waveformBuffer;
-        const oldColorBuffer = waveformColorBuffer;
-        waveformBuffer = new Array(waveformBufferSize).fill(0);
-        waveformColorBuffer = new Array(waveformBufferSize).fill('#808080'); // Default gray color
-        
-        // Copy old data if buffer is growing (preserve recent history)
-        if (oldBuffer.length > 0) {
-            const copyLength = Math.min(oldBuffer.length, waveformBufferSize);
-            const oldStart = Math.max(0, oldBuffer.length - copyLength);
-            for (let i = 0; i < copyLength; i++) {
-                waveformBuffer[waveformBufferSize - copyLength + i] = oldBuffer[oldStart + i];
-                waveformColorBuffer[waveformBufferSize - copyLength + i] = oldColorBuffer[oldStart + i] || '#808080';
+    // Another source was selected while the permission prompt was open
+    if (requestToken !== liveInputRequestToken || audioSourceSelect.value !== LIVE_INPUT_SOURCE) {
+        stream.getTracks().forEach(track => track.stop());
+        return false;
+    }
+    
+    const [track] = stream.getAudioTracks();
+    const settings = track ? track.getSettings() : {};
+    
+    currentMediaStream = stream;
+    currentSourceKind = 'live';
+    currentAudioSource = ctx.createMediaStreamSource(stream);
+    
+    // Not monitored: playing the input back out of the speakers would feed back into a mic
+    connectSourceToAnalysers(currentAudioSource, { monitor: false });
+    
+    // Reset smoothing so the new input does not blend with the previous source
+    emaInitialized = false;
+    averageDataInitialized = false;
+    
+    // If the device is unplugged, fall back to an idle state instead of analysing silence
+    if (track) {
+        track.addEventListener('ended', () => {
+            if (currentMediaStream === stream) {
+                cleanupTestAudio();
+                playPauseBtn.textContent = 'Play';
+                setSourceStatus('Live input ended (device disconnected).', 'error');
             }
-        }
-        
-        // Reset write index if buffer shrunk significantly
-        if (waveformBufferSize < oldBuffer.length) {
-            waveformWriteIndex = 0;
-        }
+        });
     }
     
-    console.log('Waveform buffer updated:', {
-        viewDuration: viewDuration.toFixed(3) + 's',
-        bars: bars,
-        sampleRate: sampleRate,
-        bufferSize: waveformBufferSize,
-        samplesNeeded: totalSamplesNeeded
+    console.log('Live input connected:', {
+        label: track ? track.label : 'unknown',
+        channelCount: settings.channelCount,
+        sampleRate: settings.sampleRate,
+        echoCancellation: settings.echoCancellation,
+        autoGainControl: settings.autoGainControl,
+        noiseSuppression: settings.noiseSuppression
     });
+    
+    const channelLabel = settings.channelCount === 1 ? 'mono' : 'stereo';
+    setSourceStatus(`Listening: ${track ? track.label || 'input' : 'input'} (${channelLabel})`, 'success');
+    
+    // Labels become available once permission is granted
+    populateInputDevices().catch(err => console.warn('Could not list input devices:', err));
+    
+    return true;
 }
 
 /**
- * Calculate frequency band energy and convert to RGB color
- * @param {Float32Array} fftData - Current FFT frequency data in dB
- * @param {number} fftSize - FFT size
- * @returns {string} RGB color string (e.g., "rgb(255, 50, 100)")
+ * Check whether the open MediaStream belongs to the given source
+ * (switching between live input and tab capture must not reuse the other one's stream)
+ * @param {'live'|'tab'} kind - Source kind the stream was set up for
+ * @returns {boolean} True if a stream of that kind is open
  */
-function calculateFrequencyColor(fftData, fftSize) {
-    if (!fftData || !audioContext) {
-        return 'rgb(128, 128, 128)'; // Default gray
+function hasMediaStreamOfKind(kind) {
+    return !!currentMediaStream && currentSourceKind === kind;
+}
+
+/**
+ * Start live input capture and visualization (or resume visualization of an open stream)
+ * A stream opened for tab capture is torn down by setupLiveInput's cleanup and replaced.
+ */
+async function startLiveInput() {
+    if (!hasMediaStreamOfKind('live')) {
+        const connected = await setupLiveInput(inputDeviceSelect ? inputDeviceSelect.value : '');
+        if (!connected) {
+            playPauseBtn.textContent = 'Play';
+            return;
+        }
     }
     
-    const sampleRate = getSampleRate();
-    const binCount = fftSize / 2;
-    
-    // Calculate bin indices for frequency bands
-    const lowsStartBin = getBinIndex(FREQ_BAND_LOWS_MIN, fftSize);
-    const lowsEndBin = getBinIndex(FREQ_BAND_LOWS_MAX, fftSize);
-    const midsStartBin = getBinIndex(FREQ_BAND_MIDS_MIN, fftSize);
-    const midsEndBin = getBinIndex(FREQ_BAND_MIDS_MAX, fftSize);
-    const highsStartBin = getBinIndex(FREQ_BAND_HIGHS_MIN, fftSize);
-    const highsEndBin = getBinIndex(FREQ_BAND_HIGHS_MAX, fftSize);
+    playPauseBtn.textContent = 'Pause';
+    startVisualization();
+}
+
+/**
+ * Handle input device dropdown change (re-open the stream on the new device)
+ */
+function handleInputDeviceChange() {
+    if (audioSourceSelect.value !== LIVE_INPUT_SOURCE) return;
     
-    // Calculate energy in each band (convert dB to linear, sum, then back to dB)
-    let lowsEnergy = 0;
-    let midsEnergy = 0;
-    let highsEnergy = 0;
-    let lowsCount = 0;
-    let midsCount = 0;
-    let highsCount = 0;
+    cleanupTestAudio();
+    startLiveInput();
+}
+
+/**
+ * Set up tab / system audio capture as the audio source
+ * getDisplayMedia always asks for a surface to share (Chrome rejects audio-only requests), so video is
+ * requested too and simply ignored. Audio is only included when the user ticks "Share tab audio"
+ * (or "Share system audio") in the browser's picker, which is why a missing audio track is reported.
+ * @returns {Promise<boolean>} True if the stream is connected to the analysers
+ */
+async function setupTabCapture() {
+    cleanupTestAudio();
     
-    for (let i = 0; i < fftData.length; i++) {
-        const dbValue = fftData[i];
-        if (!isFinite(dbValue) || dbValue === -Infinity) {
-            continue;
-        }
-        
-        // Convert dB to linear scale for energy calculation
-        const linearValue = Math.pow(10, dbValue / 20);
-        const energy = linearValue * linearValue;
-        
-        if (i >= lowsStartBin && i <= lowsEndBin) {
-            lowsEnergy += energy;
-            lowsCount++;
-        } else if (i >= midsStartBin && i <= midsEndBin) {
-            midsEnergy += energy;
-            midsCount++;
-        } else if (i >= highsStartBin && i <= highsEndBin) {
-            highsEnergy += energy;
-            highsCount++;
-        }
+    if (!navigator.mediaDevices?.getDisplayMedia) {
+        setSourceStatus('Tab audio capture is not supported in this browser.', 'error');
+        return false;
     }
     
-    // Calculate average energy per band (avoid division by zero)
-    const lowsAvg = lowsCount > 0 ? lowsEnergy / lowsCount : 0;
-    const midsAvg = midsCount > 0 ? midsEnergy / midsCount : 0;
-    const highsAvg = highsCount > 0 ? highsEnergy / highsCount : 0;
+    const { audioContext: ctx } = initializeAudioContext();
+    const requestToken = ++liveInputRequestToken;
     
-    // Total energy for normalization
-    const totalEnergy = lowsAvg + midsAvg + highsAvg;
+    setSourceStatus('Choose a tab to share and tick "Share tab audio"...', 'running');
     
-    // Normalize band energies (0.0 to 1.0)
-    let lowsNorm = 0, midsNorm = 0, highsNorm = 0;
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getDisplayMedia({
+            video: true,
+            audio: {
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            },
+            // Chrome hints: offer tabs first and allow whole-system audio when sharing a screen
+            preferCurrentTab: false,
+            selfBrowserSurface: 'exclude',
+            systemAudio: 'include'
+        });
+    } catch (error) {
+        console.error('getDisplayMedia failed:', error);
+        if (requestToken === liveInputRequestToken) {
+            const reason = error.name === 'NotAllowedError'
+                ? 'Sharing was cancelled or blocked.'
+                : error.message || 'Unknown error';
+            setSourceStatus(`Tab capture failed: ${reason}`, 'error');
+        }
+        return false;
+    }
     
-    if (totalEnergy > 0) {
-        lowsNorm = lowsAvg / totalEnergy;
-        midsNorm = midsAvg / totalEnergy;
-        highsNorm = highsAvg / totalEnergy;
+    // Another source was selected while the share picker was open
+    if (requestToken !== liveInputRequestToken || audioSourceSelect.value !== TAB_CAPTURE_SOURCE) {
+        stream.getTracks().forEach(track => track.stop());
+        return false;
     }
     
-    // Map to Cool Color Palette (Blues, Cyans, Whites)
-    // Formula:
-    // R = highsNorm * 255  (Highs -> Red channel: High Treble + Cyan + Blue = White)
-    // G = midsNorm * 255   (Mids -> Green channel: High Mids -> Cyan)
-    // B = 150 + (lowsNorm * 105)  (Base Blue 150 + Lows contribution: Bass-heavy -> Deep Blue)
+    const [track] = stream.getAudioTracks();
+    if (!track) {
+        stream.getTracks().forEach(track => track.stop());
+        setSourceStatus('The shared surface has no audio. Share again and tick "Share tab audio" (Chrome/Edge; other browsers may not capture audio).', 'error');
+        return false;
+    }
     
-    // Clamp normalized values to [0, 1] for safety
-    lowsNorm = Math.max(0, Math.min(1, lowsNorm));
-    midsNorm = Math.max(0, Math.min(1, midsNorm));
-    highsNorm = Math.max(0, Math.min(1, highsNorm));
+    currentMediaStream = stream;
+    currentSourceKind = 'tab';
+    currentAudioSource = ctx.createMediaStreamSource(stream);
     
-    // Calculate RGB values
-    const r = Math.floor(highsNorm * 255);
-    const g = Math.floor(midsNorm * 255);
-    const b = Math.floor(150 + (lowsNorm * 105)); // Base blue of 150, plus lows up to 255
+    // Not monitored: the captured tab is still playing through the speakers itself
+    connectSourceToAnalysers(currentAudioSource, { monitor: false });
     
-    // Clamp RGB values to valid range [0, 255]
-    const clampedR = Math.max(0, Math.min(255, r));
-    const clampedG = Math.max(0, Math.min(255, g));
-    const clampedB = Math.max(0, Math.min(255, b));
+    emaInitialized = false;
+    averageDataInitialized = false;
     
-    return `rgb(${clampedR}, ${clampedG}, ${clampedB})`;
+    // "Stop sharing" in the browser UI ends the video track; closing the tab ends the audio track
+    stream.getTracks().forEach(streamTrack => {
+        streamTrack.addEventListener('ended', () => {
+            if (currentMediaStream === stream) {
+                cleanupTestAudio();
+                playPauseBtn.textContent = 'Play';
+                setSourceStatus('Tab sharing stopped. Press Play to share again.', 'error');
+            }
+        });
+    });
+    
+    const settings = track.getSettings();
+    console.log('Tab audio connected:', {
+        label: track.label,
+        channelCount: settings.channelCount,
+        sampleRate: settings.sampleRate
+    });
+    
+    setSourceStatus(`Capturing: ${track.label || 'shared audio'}`, 'success');
+    return true;
 }
 
 /**
- * Get color from circular buffer at a given index (handles wrapping)
- * @param {number} index - Index in the circular buffer
- * @returns {string} RGB color string
+ * Start tab capture and visualization (or resume visualization of an open capture)
+ * A live input stream is torn down by setupTabCapture's cleanup and replaced.
  */
-function getBufferColor(index) {
-    // Handle negative indices and wrap around
-    while (index < 0) {
-        index += waveformBufferSize;
+async function startTabCapture() {
+    if (!hasMediaStreamOfKind('tab')) {
+        const connected = await setupTabCapture();
+        if (!connected) {
+            playPauseBtn.textContent = 'Play';
+            return;
+        }
     }
-    index = index % waveformBufferSize;
-    return waveformColorBuffer[index] || 'rgb(128, 128, 128)';
+    
+    playPauseBtn.textContent = 'Pause';
+    startVisualization();
 }
 
 /**
- * Update waveform buffer with new time-domain data and calculate colors from frequency data
- * Supports mono sum mode for phase cancellation visualization
+ * Read the generator settings from the UI
+ * @returns {{type: string, frequency: number, tones: number[], sweepStart: number, sweepEnd: number, sweepDuration: number, levelDbfs: number, channels: string, invertRight: boolean}}
  */
-function updateWaveform() {
-    if (!analyserLeft || !analyserRight || !timeDomainDataLeft || !timeDomainDataRight || waveformBufferSize === 0 || !fftData) return;
-    
-    // Get time-domain data for both channels (raw audio samples) - reuse the same arrays
-    analyserLeft.getFloatTimeDomainData(timeDomainDataLeft);
-    analyserRight.getFloatTimeDomainData(timeDomainDataRight);
+function getGeneratorSettings() {
+    const readNumber = (input, fallback) => {
+        const value = input ? parseFloat(input.value) : NaN;
+        return isFinite(value) ? value : fallback;
+    };
     
-    // Read checkbox state for mono sum mode
-    const useMonoSum = monoScopeCheck && monoScopeCheck.checked;
+    const nyquist = getSampleRate() / 2;
+    const clampFreq = (freq) => Math.max(1, Math.min(nyquist - 1, freq));
     
-    // Estimate: at 60fps, we get ~800 new samples per frame at 48kHz
-    // Add samples from the last portion of time-domain data
-    const samplesToAdd = Math.min(1024, timeDomainDataLeft.length);
-    const startIdx = Math.max(0, timeDomainDataLeft.length - samplesToAdd);
+    // Multi-tone list: "100, 1000, 10k" style (k suffix allowed)
+    const tones = (generatorTonesInput ? generatorTonesInput.value : '')
+        .split(/[\s,;]+/)
+        .map(token => {
+            const match = token.match(/^([\d.]+)\s*(k?)$/i);
+            if (!match) return NaN;
+            return parseFloat(match[1]) * (match[2] ? 1000 : 1);
+        })
+        .filter(freq => isFinite(freq) && freq > 0)
+        .map(clampFreq);
     
-    // Iterate through new samples and add to circular buffer
-    for (let i = startIdx; i < timeDomainDataLeft.length; i++) {
-        let sample;
-        
-        if (useMonoSum) {
-            // Mono Mode: Calculate mono sum (left + right) / 2
-            // This helps visualize phase cancellation:
-            // If mono sum is quieter than individual channels, there's phase cancellation
-            const left = timeDomainDataLeft[i];
-            const right = timeDomainDataRight[i];
-            
-            if (isFinite(left) && isFinite(right)) {
-                sample = (left + right) / 2;
-            } else if (isFinite(left)) {
-                sample = left;
-            } else if (isFinite(right)) {
-                sample = right;
-            } else {
-                sample = 0; // Both invalid, use zero
-            }
-        } else {
-            // Normal Mode: Use left channel only
-            sample = timeDomainDataLeft[i];
-        }
-        
-        // Push calculated sample into waveform buffer
-        // Color is now calculated dynamically in drawOscilloscope based on amplitude
-        waveformBuffer[waveformWriteIndex] = sample;
-        waveformWriteIndex = (waveformWriteIndex + 1) % waveformBufferSize;
-    }
+    return {
+        type: generatorTypeSelect ? generatorTypeSelect.value : 'sine',
+        frequency: clampFreq(readNumber(generatorFrequencyInput, 1000)),
+        tones: tones.length > 0 ? tones : [100, 1000, 10000],
+        sweepStart: clampFreq(readNumber(generatorSweepStartInput, 20)),
+        sweepEnd: clampFreq(readNumber(generatorSweepEndInput, 20000)),
+        sweepDuration: Math.max(0.5, Math.min(60, readNumber(generatorSweepDurationInput, 10))),
+        levelDbfs: Math.min(0, readNumber(generatorLevelSlider, -18)),
+        channels: generatorChannelsSelect ? generatorChannelsSelect.value : 'stereo',
+        invertRight: !!(generatorInvertCheck && generatorInvertCheck.checked)
+    };
 }
 
 /**
- * Calculate Pearson correlation coefficient between two audio buffers
- * Measures phase correlation: -1 (180° out of phase) to +1 (perfect mono)
- * @param {Float32Array} leftBuffer - Left channel time-domain data
- * @param {Float32Array} rightBuffer - Right channel time-domain data
- * @returns {number} Correlation coefficient (-1 to +1)
+ * Create a looping AudioBufferSourceNode from mono samples
+ * @param {BaseAudioContext} ctx - Audio context
+ * @param {Float32Array} samples - Mono samples for one loop
+ * @returns {AudioBufferSourceNode} Looping buffer source (not started)
  */
-function calculateCorrelation(leftBuffer, rightBuffer) {
-    if (!leftBuffer || !rightBuffer || leftBuffer.length === 0 || rightBuffer.length === 0) {
-        return 0;
-    }
-    
-    const minLength = Math.min(leftBuffer.length, rightBuffer.length);
-    if (minLength === 0) {
-        return 0;
-    }
-    
-    // Calculate sums for Pearson correlation coefficient
-    let sumLR = 0;  // Sum of (L[i] * R[i])
-    let sumL2 = 0;  // Sum of (L[i]^2)
-    let sumR2 = 0;  // Sum of (R[i]^2)
+function createLoopingBufferSource(ctx, samples) {
+    const buffer = ctx.createBuffer(1, samples.length, ctx.sampleRate);
+    buffer.copyToChannel(samples, 0);
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    return source;
+}
+
+/**
+ * Set up the test signal generator as the audio source
+ * Periodic waveforms use OscillatorNodes; sweeps, noise and impulse trains are synthesized
+ * into looping AudioBuffers. All signal types are generated mono and routed to L/R through
+ * per-channel gains, so channel selection and polarity inversion work for every type.
+ * Every level is a peak level: the signal peaks at the requested dBFS value.
+ */
+function setupGenerator() {
+    // Tear down the previous source through the shared cleanup path
+    cleanupTestAudio();
     
-    for (let i = 0; i < minLength; i++) {
-        const left = leftBuffer[i];
-        const right = rightBuffer[i];
-        
-        // Skip invalid samples
-        if (!isFinite(left) || !isFinite(right)) {
-            continue;
+    const { audioContext: ctx } = initializeAudioContext();
+    const settings = getGeneratorSettings();
+    const gain = dbfsToGain(settings.levelDbfs);
+    const sampleRate = ctx.sampleRate;
+    
+    // Mono generator bus → per-channel gains → stereo merger
+    const monoBus = ctx.createGain();
+    const leftGain = ctx.createGain();
+    const rightGain = ctx.createGain();
+    const merger = ctx.createChannelMerger(2);
+    
+    leftGain.gain.value = settings.channels === 'right' ? 0 : 1;
+    rightGain.gain.value = settings.channels === 'left' ? 0 : (settings.invertRight ? -1 : 1);
+    
+    monoBus.connect(leftGain);
+    monoBus.connect(rightGain);
+    leftGain.connect(merger, 0, 0);
+    rightGain.connect(merger, 0, 1);
+    
+    const sources = [];
+    
+    switch (settings.type) {
+        case 'sine':
+        case 'square':
+        case 'sawtooth': {
+            const oscillator = ctx.createOscillator();
+            oscillator.type = settings.type;
+            oscillator.frequency.value = settings.frequency;
+            const level = ctx.createGain();
+            level.gain.value = gain;
+            oscillator.connect(level);
+            level.connect(monoBus);
+            sources.push(oscillator, level);
+            break;
         }
-        
-        sumLR += left * right;
-        sumL2 += left * left;
-        sumR2 += right * right;
+        case 'multitone': {
+            // Equal amplitudes scaled so the summed peak cannot exceed the requested level
+            settings.tones.forEach(freq => {
+                const oscillator = ctx.createOscillator();
+                oscillator.type = 'sine';
+                oscillator.frequency.value = freq;
+                const level = ctx.createGain();
+                level.gain.value = gain / settings.tones.length;
+                oscillator.connect(level);
+                level.connect(monoBus);
+                sources.push(oscillator, level);
+            });
+            break;
+        }
+        case 'sweep': {
+            const samples = generateLogSweep(settings.sweepStart, settings.sweepEnd, {
+                sampleRate,
+                durationSec: settings.sweepDuration,
+                levelDbfs: settings.levelDbfs
+            });
+            const source = createLoopingBufferSource(ctx, samples);
+            source.connect(monoBus);
+            sources.push(source);
+            break;
+        }
+        case 'white':
+        case 'pink':
+        case 'brown': {
+            const samples = generateNoise(settings.type, {
+                sampleRate,
+                durationSec: NOISE_LOOP_SECONDS,
+                levelDbfs: settings.levelDbfs
+            });
+            const source = createLoopingBufferSource(ctx, samples);
+            source.connect(monoBus);
+            sources.push(source);
+            break;
+        }
+        case 'impulse': {
+            const samples = generateImpulseTrain(settings.frequency, {
+                sampleRate,
+                levelDbfs: settings.levelDbfs
+            });
+            const source = createLoopingBufferSource(ctx, samples);
+            source.connect(monoBus);
+            sources.push(source);
+            break;
+        }
+        default:
+            console.warn('Unknown generator type:', settings.type);
     }
     
-    // Calculate denominator: sqrt(Sum(L[i]^2)) * sqrt(Sum(R[i]^2))
-    const denominator = Math.sqrt(sumL2) * Math.sqrt(sumR2);
+    sources.forEach(node => {
+        if (typeof node.start === 'function') {
+            node.start();
+        }
+    });
     
-    // Avoid division by zero
-    if (denominator === 0 || !isFinite(denominator)) {
-        return 0;
-    }
+    generatorNodes = [...sources, monoBus, leftGain, rightGain];
+    currentAudioSource = merger;
+    currentSourceKind = 'generator';
     
-    // Pearson correlation coefficient: Sum(L[i] * R[i]) / (sqrt(Sum(L[i]^2)) * sqrt(Sum(R[i]^2)))
-    const correlation = sumLR / denominator;
+    // Generated signals are monitored like file playback
+    connectSourceToAnalysers(merger);
     
-    // Clamp to valid range [-1, 1]
-    return Math.max(-1, Math.min(1, correlation));
+    console.log('Test signal generator started:', settings);
+    setSourceStatus(`Generator: ${describeGeneratorSettings(settings)}`, 'success');
 }
 
 /**
- * Get phase correlation color and glow style based on correlation value and band type
- * @param {number} correlation - Correlation coefficient (-1 to +1)
- * @param {string} bandType - Band type: 'low', 'mid', or 'high'
- * @returns {Object} Object with `color` (CSS color string) and `glow` (CSS box-shadow string)
+ * Build a short description of the generator settings for the status line
+ * @param {ReturnType<typeof getGeneratorSettings>} settings - Generator settings
+ * @returns {string} Description, e.g. "sine 1000 Hz @ -18 dBFS"
  */
-function getPhaseColor(correlation, bandType) {
-    if (!isFinite(correlation)) {
-        return { color: '#6b7280', glow: '0 0 0px rgba(107, 114, 128, 0)' }; // gray-500, no glow
+function describeGeneratorSettings(settings) {
+    let signal;
+    switch (settings.type) {
+        case 'multitone':
+            signal = `${settings.tones.length} tones`;
+            break;
+        case 'sweep':
+            signal = `sweep ${settings.sweepStart}-${settings.sweepEnd} Hz / ${settings.sweepDuration} s`;
+            break;
+        case 'white':
+        case 'pink':
+        case 'brown':
+            signal = `${settings.type} noise`;
+            break;
+        case 'impulse':
+            signal = `impulses @ ${settings.frequency} Hz`;
+            break;
+        default:
+            signal = `${settings.type} ${settings.frequency} Hz`;
+    }
+    const routing = settings.channels === 'stereo' ? '' : ` (${settings.channels} only)`;
+    const polarity = settings.invertRight && settings.channels === 'stereo' ? ', R inverted' : '';
+    return `${signal} @ ${settings.levelDbfs} dBFS${routing}${polarity}`;
+}
+
+/**
+ * Start the generator and visualization
+ */
+function startGenerator() {
+    if (currentSourceKind !== 'generator') {
+        setupGenerator();
+    }
+    playPauseBtn.textContent = 'Pause';
+    startVisualization();
+}
+
+/**
+ * Show only the generator fields relevant to the selected signal type
+ */
+function updateGeneratorFieldVisibility() {
+    const type = generatorTypeSelect ? generatorTypeSelect.value : 'sine';
+    if (generatorFrequencyContainer) {
+        generatorFrequencyContainer.classList.toggle('hidden', !['sine', 'square', 'sawtooth', 'impulse'].includes(type));
+    }
+    if (generatorTonesContainer) {
+        generatorTonesContainer.classList.toggle('hidden', type !== 'multitone');
+    }
+    if (generatorSweepContainer) {
+        generatorSweepContainer.classList.toggle('hidden', type !== 'sweep');
     }
+}
+
+/**
+ * Handle any generator setting change: rebuild the signal if the generator is the active source
+ */
+function handleGeneratorSettingChange() {
+    if (generatorLevelValue && generatorLevelSlider) {
+        generatorLevelValue.textContent = generatorLevelSlider.value;
+    }
+    updateGeneratorFieldVisibility();
     
-    let color;
-    let glowColor;
-    let glowIntensity;
-    
-    // Define thresholds and colors based on band type (4-band system)
-    if (bandType === 'sub') {
-        // Sub: Strict Mono. Green > 0.95, else Yellow/Red
-        if (correlation > 0.95) {
-            color = '#22c55e'; // green-500
-            glowColor = 'rgba(34, 197, 94, 0.8)'; // green-500 with alpha
-            glowIntensity = 8;
-        } else if (correlation > 0.8) {
-            color = '#eab308'; // yellow-500
-            glowColor = 'rgba(234, 179, 8, 0.6)'; // yellow-500 with alpha
-            glowIntensity = 6;
-        } else {
-            color = '#ef4444'; // red-500
-            glowColor = 'rgba(239, 68, 68, 0.4)'; // red-500 with alpha
-            glowIntensity = 4;
-        }
-    } else if (bandType === 'low') {
-        // Low: Mostly Mono. Green > 0.8, else Yellow/Red
-        if (correlation > 0.8) {
-            color = '#22c55e'; // green-500
-            glowColor = 'rgba(34, 197, 94, 0.8)'; // green-500 with alpha
-            glowIntensity = 8;
-        } else if (correlation > 0.5) {
-            color = '#eab308'; // yellow-500
-            glowColor = 'rgba(234, 179, 8, 0.6)'; // yellow-500 with alpha
-            glowIntensity = 6;
-        } else {
-            color = '#ef4444'; // red-500
-            glowColor = 'rgba(239, 68, 68, 0.4)'; // red-500 with alpha
-            glowIntensity = 4;
-        }
-    } else if (bandType === 'mid') {
-        // Mid: Focused. Green > 0.5, else Yellow/Red
-        if (correlation > 0.5) {
-            color = '#22c55e'; // green-500
-            glowColor = 'rgba(34, 197, 94, 0.8)'; // green-500 with alpha
-            glowIntensity = 8;
-        } else if (correlation > 0.0) {
-            color = '#eab308'; // yellow-500
-            glowColor = 'rgba(234, 179, 8, 0.6)'; // yellow-500 with alpha
-            glowIntensity = 6;
-        } else {
-            color = '#ef4444'; // red-500
-            glowColor = 'rgba(239, 68, 68, 0.4)'; // red-500 with alpha
-            glowIntensity = 4;
-        }
-    } else if (bandType === 'high') {
-        // High: Wide. Green > 0.0, else Yellow/Red
-        if (correlation > 0.0) {
-            color = '#22c55e'; // green-500
-            glowColor = 'rgba(34, 197, 94, 0.8)'; // green-500 with alpha
-            glowIntensity = 8;
-        } else if (correlation > -0.5) {
-            color = '#eab308'; // yellow-500
-            glowColor = 'rgba(234, 179, 8, 0.6)'; // yellow-500 with alpha
-            glowIntensity = 6;
-        } else {
-            color = '#ef4444'; // red-500
-            glowColor = 'rgba(239, 68, 68, 0.4)'; // red-500 with alpha
-            glowIntensity = 4;
+    if (currentSourceKind === 'generator') {
+        const wasRunning = isAnimating;
+        setupGenerator();
+        if (wasRunning) {
+            startVisualization();
         }
-    } else {
-        // Default fallback
-        color = '#6b7280'; // gray-500
-        glowColor = 'rgba(107, 114, 128, 0)'; // gray-500, no glow
-        glowIntensity = 0;
     }
+}
+
+/**
+ * Fill the A and B selects with every file source in the main dropdown (bundled and session files)
+ * Keeps the current selections when they still exist
+ */
+function populateCompareSelects() {
+    if (!compareSelectA || !compareSelectB) return;
     
-    // Create glow style string (box-shadow)
-    const glow = `0 0 ${glowIntensity}px ${glowColor}`;
+    const fileOptions = Array.from(audioSourceSelect.options).filter(option =>
+        ![LIVE_INPUT_SOURCE, TAB_CAPTURE_SOURCE, GENERATOR_SOURCE, AB_COMPARE_SOURCE].includes(option.value)
+    );
     
-    return { color, glow };
+    [compareSelectA, compareSelectB].forEach((select, index) => {
+        const previous = select.value;
+        select.innerHTML = '';
+        fileOptions.forEach(option => {
+            const copy = document.createElement('option');
+            copy.value = option.value;
+            copy.textContent = option.textContent.trim();
+            select.appendChild(copy);
+        });
+        
+        if (fileOptions.some(option => option.value === previous)) {
+            select.value = previous;
+        } else if (fileOptions.length > index) {
+            // Default to different files for A and B when possible
+            select.value = fileOptions[index].value;
+        }
+    });
 }
 
 /**
- * Get color for waveform based on frequency content at a given sample
- * Uses FFT data to determine frequency coloring
- * @param {number} sampleIndex - Index in the waveform buffer
- * @param {number} bufferLength - Total buffer length
- * @returns {string} CSS color string
+ * Create (or resize) the per-source compare analysers and their data arrays
+ * Uses the main analyser FFT size so the A, B and live curves share one bin layout
  */
-function getWaveformColor(sampleIndex, bufferLength) {
-    if (!fftData || !smoothedData || smoothedData.length === 0) {
-        // Default high-contrast color if no FFT data
-        return '#3b82f6'; // blue-500
+function ensureCompareAnalysers() {
+    const ctx = audioContext;
+    if (!compareAnalyserA) {
+        compareAnalyserA = ctx.createAnalyser();
+        compareAnalyserB = ctx.createAnalyser();
     }
     
-    // Map sample position to frequency bin (approximate)
-    // Lower frequencies are typically more prominent in the waveform
-    // We'll use a simple mapping: earlier samples = lower frequencies
-    const normalizedPos = sampleIndex / bufferLength;
-    
-    // Map to frequency bins (inverse: lower position = lower frequency)
-    const freqBinIndex = Math.floor((1 - normalizedPos) * smoothedData.length);
-    const binIndex = Math.max(0, Math.min(smoothedData.length - 1, freqBinIndex));
-    
-    // Get energy level from FFT data
-    const energy = smoothedData[binIndex];
-    const normalizedEnergy = isFinite(energy) ? Math.max(0, Math.min(1, (energy - MIN_DB) / (MAX_DB - MIN_DB))) : 0;
+    compareAnalyserA.fftSize = analyserLeft.fftSize;
+    compareAnalyserB.fftSize = analyserLeft.fftSize;
+    compareFftA = new Float32Array(compareAnalyserA.frequencyBinCount);
+    compareFftB = new Float32Array(compareAnalyserB.frequencyBinCount);
+    compareAverageA = new Float32Array(compareAnalyserA.frequencyBinCount);
+    compareAverageB = new Float32Array(compareAnalyserB.frequencyBinCount);
+    compareAverageInitialized = false;
+}
+
+/**
+ * Stop both compare buffer sources (they are one-shot, so seeking creates new ones)
+ */
+function stopCompareSources() {
+    if (!compareState) return;
+    compareState.sources.forEach(source => {
+        try {
+            source.onended = null;
+            source.stop();
+            source.disconnect();
+        } catch (e) {
+            // Ignore sources that already ended
+        }
+    });
+    compareState.sources = [];
+}
+
+/**
+ * Start both compare sources at the given offset
+ * A and B are started with the same start time and offset, so they stay sample-synced
+ * @param {number} offsetSec - Position in seconds
+ */
+function startCompareSources(offsetSec) {
+    if (!compareState) return;
+    const ctx = audioContext;
+    
+    stopCompareSources();
+    
+    const startAt = ctx.currentTime;
+    compareState.sources = compareState.buffers.map((buffer, index) => {
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = playbackRate;
+        source.connect(compareState.trimGains[index]);
+        if (offsetSec < buffer.duration) {
+            source.start(startAt, offsetSec);
+        }
+        return source;
+    });
     
-    // Color scheme: lows (blue) -> mids (purple) -> highs (red)
-    // Based on position in buffer and energy
-    if (normalizedPos < 0.33) {
-        // Low frequencies - blue to cyan
-        const intensity = 0.4 + normalizedEnergy * 0.6;
-        return `rgba(59, 130, 246, ${intensity})`; // blue-500
-    } else if (normalizedPos < 0.66) {
-        // Mid frequencies - purple
-        const intensity = 0.4 + normalizedEnergy * 0.6;
-        return `rgba(168, 85, 247, ${intensity})`; // purple-500
-    } else {
-        // High frequencies - red to orange
-        const intensity = 0.4 + normalizedEnergy * 0.6;
-        return `rgba(239, 68, 68, ${intensity})`; // red-500
-    }
+    compareState.startedAt = startAt;
+    compareState.offsetSec = offsetSec;
 }
 
 /**
- * Draw the amplitude axis with dBFS tick marks
- * Shows -INF at center line and one reference line at 0 dBFS (full scale)
- * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
+ * Get the current compare playback position
+ * Derived from the AudioContext clock, which stops while the context is suspended (paused)
+ * @returns {number} Position in seconds
  */
-function drawAmplitudeAxis(ctx, width, height) {
-    if (!ctx) return;
+function getComparePosition() {
+    if (!compareState) return 0;
+    return compareState.offsetSec + (audioContext.currentTime - compareState.startedAt) * playbackRate;
+}
+
+/**
+ * Set the loudness-match trims from the measured levels (or bypass them)
+ */
+function applyCompareLoudnessMatch() {
+    if (!compareState) return;
     
-    const centerY = height / 2;
-    const waveformHeight = height * 0.4; // 80% of height for waveform (40% above and below center)
+    const enabled = !compareMatchCheck || compareMatchCheck.checked;
+    const [levelA, levelB] = compareState.levelsDb;
+    const { gainDbA, gainDbB } = enabled ? computeLoudnessMatchGains(levelA, levelB) : { gainDbA: 0, gainDbB: 0 };
     
-    // Clear canvas
-    ctx.fillStyle = '#030712'; // gray-950
-    ctx.fillRect(0, 0, width, height);
+    compareState.matchGainsDb = [gainDbA, gainDbB];
+    compareState.trimGains[0].gain.value = dbfsToGain(gainDbA);
+    compareState.trimGains[1].gain.value = dbfsToGain(gainDbB);
     
-    // Set up drawing style (matching existing UI)
-    ctx.strokeStyle = '#4b5563'; // gray-600
-    ctx.lineWidth = 1;
-    ctx.font = '11px system-ui, -apple-system, sans-serif';
-    ctx.fillStyle = '#9ca3af'; // gray-400
-    ctx.textAlign = 'left';
-    ctx.textBaseline = 'middle';
+    updateCompareInfo();
+}
+
+/**
+ * Make A or B the audible (and analysed) source
+ * Both sources keep running, so switching is instant and never loses sync
+ * @param {'A'|'B'} which - Source to listen to
+ */
+function setCompareActive(which) {
+    if (!compareState) return;
+    const ctx = audioContext;
+    
+    compareState.active = which;
+    compareState.selectGains[0].gain.setTargetAtTime(which === 'A' ? 1 : 0, ctx.currentTime, COMPARE_SWITCH_TIME_CONSTANT);
+    compareState.selectGains[1].gain.setTargetAtTime(which === 'B' ? 1 : 0, ctx.currentTime, COMPARE_SWITCH_TIME_CONSTANT);
+    
+    if (compareSwitchBtn) {
+        compareSwitchBtn.textContent = `Listening: ${which}`;
+        compareSwitchBtn.classList.toggle('bg-amber-600', which === 'A');
+        compareSwitchBtn.classList.toggle('bg-fuchsia-700', which === 'B');
+    }
     
-    // Draw center line (-INF at 0 amplitude)
-    const tickStartX = 2; // Start 2px from left edge
-    const tickEndX = width - 2; // End 2px from right edge
+    // The live bars follow the audible source; restart their smoothing so A's data does not bleed into B
+    emaInitialized = false;
+    averageDataInitialized = false;
+}
+
+/**
+ * Show levels and applied match gains under the compare controls
+ */
+function updateCompareInfo() {
+    if (!compareInfo) return;
+    if (!compareState) {
+        compareInfo.textContent = '';
+        return;
+    }
     
-    ctx.strokeStyle = 'rgba(107, 114, 128, 0.5)'; // gray-500 with transparency
-    ctx.beginPath();
-    ctx.moveTo(tickStartX, centerY);
-    ctx.lineTo(tickEndX, centerY);
-    ctx.stroke();
+    const formatDb = (db) => (isFinite(db) ? `${db.toFixed(1)} dB` : '-inf dB');
+    const formatGain = (db) => (db === 0 ? '0 dB' : `${db.toFixed(1)} dB`);
+    const [levelA, levelB] = compareState.levelsDb;
+    const [gainA, gainB] = compareState.matchGainsDb;
+    compareInfo.textContent = `A ${formatDb(levelA)} RMS (trim ${formatGain(gainA)}) · B ${formatDb(levelB)} RMS (trim ${formatGain(gainB)})`;
+}
+
+/**
+ * Load the selected A and B files and route them for sample-synced A/B playback
+ * Each source: buffer source → loudness trim → (compare analyser) → A/B select gain → shared bus
+ * The bus feeds the normal analyser chain and the speakers, so everything downstream shows the audible source.
+ */
+async function setupCompare() {
+    cleanupTestAudio();
     
-    // Draw -INF label at center
-    const centerLabel = '-INF';
-    const labelX = 4; // Position label 4px from left edge
-    const centerTextHeight = 12;
-    const centerPadding = 2;
+    if (!compareSelectA || !compareSelectB || !compareSelectA.value || !compareSelectB.value) {
+        setSourceStatus('Choose a reference (A) and a mix (B) file.', 'error');
+        return;
+    }
     
-    // Measure text to ensure it fits
-    const centerTextMetrics = ctx.measureText(centerLabel);
-    const centerTextWidth = centerTextMetrics.width;
+    const { audioContext: ctx } = initializeAudioContext();
+    const paths = [compareSelectA.value, compareSelectB.value];
+    const requestToken = ++compareRequestToken;
     
-    // Draw label background (ensure it doesn't exceed canvas width)
-    const bgWidth = Math.min(centerTextWidth + centerPadding * 2, width - labelX - 2);
-    ctx.fillStyle = 'rgba(3, 7, 18, 0.7)'; // gray-950 with transparency
-    ctx.fillRect(
-        labelX,
-        centerY - centerTextHeight / 2 - 1,
-        bgWidth,
-        centerTextHeight + 2
-    );
+    setSourceStatus('Loading A/B files...', 'running');
     
-    // Draw center label text
-    ctx.fillStyle = '#9ca3af'; // gray-400
-    ctx.fillText(centerLabel, labelX + centerPadding, centerY);
+    let buffers;
+    try {
+        buffers = await Promise.all(paths.map(path => decodeAudioFile(path)));
+    } catch (error) {
+        if (requestToken !== compareRequestToken) return;
+        console.error('Failed to load A/B files:', error);
+        setSourceStatus(`Could not load A/B files: ${error.message || error}`, 'error');
+        return;
+    }
     
-    // Draw reference line at 0 dBFS (full scale, top of waveform area)
-    // 0 dBFS = amplitude 1.0, maps to top: centerY - waveformHeight
-    const referenceY = centerY - waveformHeight;
+    // A newer request (or a source change) superseded this one while decoding
+    if (requestToken !== compareRequestToken) return;
     
-    ctx.strokeStyle = '#4b5563'; // gray-600
-    ctx.beginPath();
-    ctx.moveTo(tickStartX, referenceY);
-    ctx.lineTo(tickEndX, referenceY);
-    ctx.stroke();
+    const levelsDb = buffers.map(buffer => {
+        const channels = [];
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            channels.push(buffer.getChannelData(channel));
+        }
+        return measureRmsDbfs(channels);
+    });
     
-    // Draw 0 dBFS label
-    const referenceLabel = '0 dBFS';
-    const referenceTextMetrics = ctx.measureText(referenceLabel);
-    const referenceTextWidth = referenceTextMetrics.width;
+    ensureCompareAnalysers();
     
-    // Draw label background (ensure it doesn't exceed canvas width)
-    const refBgWidth = Math.min(referenceTextWidth + centerPadding * 2, width - labelX - 2);
-    ctx.fillStyle = 'rgba(3, 7, 18, 0.7)';
-    ctx.fillRect(
-        labelX,
-        referenceY - centerTextHeight / 2 - 1,
-        refBgWidth,
-        centerTextHeight + 2
-    );
+    const bus = ctx.createGain();
+    const trimGains = buffers.map(() => ctx.createGain());
+    const selectGains = buffers.map(() => ctx.createGain());
     
-    ctx.fillStyle = '#9ca3af';
-    ctx.fillText(referenceLabel, labelX + centerPadding, referenceY);
+    trimGains.forEach((trim, index) => {
+        trim.connect(selectGains[index]);
+        selectGains[index].connect(bus);
+    });
+    trimGains[0].connect(compareAnalyserA);
+    trimGains[1].connect(compareAnalyserB);
+    
+    compareState = {
+        buffers,
+        paths,
+        levelsDb,
+        sources: [],
+        trimGains,
+        selectGains,
+        bus,
+        matchGainsDb: [0, 0],
+        active: 'A',
+        startedAt: ctx.currentTime,
+        offsetSec: 0
+    };
     
-    // Draw second reference line at 0 dBFS (full scale, bottom of waveform area)
-    // 0 dBFS = amplitude 1.0, maps to bottom: centerY + waveformHeight
-    const referenceYBottom = centerY + waveformHeight;
+    currentAudioSource = bus;
+    currentSourceKind = 'compare';
+    connectSourceToAnalysers(bus);
     
-    ctx.strokeStyle = '#4b5563'; // gray-600
-    ctx.beginPath();
-    ctx.moveTo(tickStartX, referenceYBottom);
-    ctx.lineTo(tickEndX, referenceYBottom);
-    ctx.stroke();
+    applyCompareLoudnessMatch();
+    setCompareActive('A');
+    startCompareSources(0);
     
-    // Draw 0 dBFS label at bottom
-    const refBgWidthBottom = Math.min(referenceTextWidth + centerPadding * 2, width - labelX - 2);
-    ctx.fillStyle = 'rgba(3, 7, 18, 0.7)';
-    ctx.fillRect(
-        labelX,
-        referenceYBottom - centerTextHeight / 2 - 1,
-        refBgWidthBottom,
-        centerTextHeight + 2
-    );
+    // Wait for Play; the context is suspended so the sources hold at 0:00
+    stopVisualization();
+    playPauseBtn.textContent = 'Play';
     
-    ctx.fillStyle = '#9ca3af';
-    ctx.fillText(referenceLabel, labelX + centerPadding, referenceYBottom);
+    setSourceStatus(`A: ${getSourceDisplayName(paths[0])} · B: ${getSourceDisplayName(paths[1])}`, 'success');
+    updateTransportDisplay();
+    resetClashDetection();
 }
 
 /**
- * Get sample from circular buffer at a given index (handles wrapping)
- * @param {number} index - Index in the circular buffer (can be negative or beyond buffer size)
- * @returns {number} Sample value
+ * Toggle between A and B
+ */
+function handleCompareSwitch() {
+    if (!compareState) return;
+    setCompareActive(compareState.active === 'A' ? 'B' : 'A');
+}
+
+/**
+ * Reload when the A or B file selection changes
+ */
+function handleCompareSelectionChange() {
+    if (audioSourceSelect.value === AB_COMPARE_SOURCE) {
+        setupCompare();
+    }
+}
+
+/**
+ * Update the A/B averages from the always-on compare analysers
+ */
+function updateCompareAverages() {
+    if (!compareState || !compareAnalyserA || !compareFftA || compareFftA.length !== frequencyBinCount) return;
+    
+    compareAnalyserA.getFloatFrequencyData(compareFftA);
+    compareAnalyserB.getFloatFrequencyData(compareFftB);
+    
+    if (!compareAverageInitialized) {
+        compareAverageA.set(compareFftA);
+        compareAverageB.set(compareFftB);
+        compareAverageInitialized = true;
+    } else {
+        updateEMA(compareFftA, compareAverageA, averageDataAlpha);
+        updateEMA(compareFftB, compareAverageB, averageDataAlpha);
+    }
+}
+
+/**
+ * Start the clash analysis over (new files, new bin layout or the reset button)
+ */
+function resetClashDetection() {
+    clashBands = null;
+    clashTimeline = null;
+    clashTimelineCache = null;
+    clashRegions = [];
+    renderClashList();
+    drawClashTimeline();
+}
+
+/**
+ * Score this frame's per-band clashes between A and B and add them to the timeline
+ * Band levels come from calculateBandEnergy on the compare analysers' latest spectra.
+ */
+function updateClashDetection() {
+    if (!compareState || !compareFftA || !compareFftB || compareFftA.length !== frequencyBinCount) return;
+    
+    if (!clashBands || clashBands.binCount !== frequencyBinCount) {
+        const fftSize = frequencyBinCount * 2;
+        clashBands = generateLogBands(CLASH_BAND_COUNT, MIN_FREQ, MAX_FREQ).map(band => {
+            const startBin = getBinIndex(band.min, fftSize);
+            return { ...band, startBin, endBin: Math.max(startBin, getBinIndex(band.max, fftSize) - 1) };
+        });
+        clashBands.binCount = frequencyBinCount;
+        clashLevelsA = new Float32Array(CLASH_BAND_COUNT);
+        clashLevelsB = new Float32Array(CLASH_BAND_COUNT);
+        clashScores = new Float32Array(CLASH_BAND_COUNT);
+        clashTimeline = createClashTimeline(CLASH_TIMELINE_COLUMNS, CLASH_BAND_COUNT);
+        clashTimelineCache = document.createElement('canvas');
+        clashTimelineCache.width = CLASH_TIMELINE_COLUMNS;
+        clashTimelineCache.height = CLASH_BAND_COUNT;
+    }
+    
+    clashBands.forEach((band, index) => {
+        clashLevelsA[index] = calculateBandEnergy(compareFftA, band);
+        clashLevelsB[index] = calculateBandEnergy(compareFftB, band);
+    });
+    computeClashScores(clashLevelsA, clashLevelsB, clashScores);
+    
+    const duration = getTransportDuration();
+    const column = addClashFrame(clashTimeline, duration > 0 ? getTransportPosition() / duration : 0, clashScores);
+    paintClashTimelineColumn(column);
+    
+    if (performance.now() - clashListUpdatedAt >= CLASH_LIST_INTERVAL_MS) {
+        clashListUpdatedAt = performance.now();
+        clashRegions = findClashRegions(clashTimeline, clashBands, { threshold: CLASH_REGION_THRESHOLD }).slice(0, CLASH_MAX_REGIONS);
+        renderClashList();
+    }
+}
+
+/**
+ * Show a clash detection status message
+ * @param {string} message - Message to display
+ * @param {string} state - 'idle', 'success' or 'error'
+ */
+function setClashStatus(message, state = 'idle') {
+    setStatusText(clashStatus, message, state);
+}
+
+/**
+ * Render the clash region list (frequency range and score per region) and the status line
+ */
+function renderClashList() {
+    if (clashList) {
+        clashList.textContent = clashRegions.map((region, index) =>
+            `${index + 1}. ${formatFrequencyLabel(region.minFreq)} – ${formatFrequencyLabel(region.maxFreq)}  `
+            + `clash ${Math.round(region.score * 100)}% (peak ${Math.round(region.peakScore * 100)}%)`
+        ).join('\n');
+    }
+    
+    if (!clashEnabled) {
+        setClashStatus('Needs the A/B Reference Compare source');
+    } else if (!compareState) {
+        setClashStatus('Load A and B in A/B Reference Compare, then play', 'error');
+    } else if (!clashTimeline) {
+        setClashStatus('Play to analyse where A and B overlap');
+    } else if (clashRegions.length > 0) {
+        setClashStatus(`${clashRegions.length} clashing region${clashRegions.length === 1 ? '' : 's'}`);
+    } else {
+        setClashStatus('No clashing regions so far', 'success');
+    }
+}
+
+/**
+ * Shade the clashing regions on the spectrum (stronger clashes are more opaque)
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawClashRegions(ctx, width, height) {
+    if (!clashEnabled || clashRegions.length === 0) return;
+    
+    ctx.save();
+    ctx.font = '10px system-ui';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    clashRegions.forEach(region => {
+        if (region.maxFreq < spectrumView.minFreq || region.minFreq > spectrumView.maxFreq) return;
+        const left = frequencyToX(Math.max(region.minFreq, spectrumView.minFreq), width);
+        const right = frequencyToX(Math.min(region.maxFreq, spectrumView.maxFreq), width);
+    
+        ctx.fillStyle = `rgba(248, 113, 113, ${(0.08 + 0.22 * region.score).toFixed(3)})`; // red-400
+        ctx.fillRect(left, MARGIN_TOP, right - left, height - MARGIN_TOP - MARGIN_BOTTOM);
+        ctx.fillStyle = '#fca5a5'; // red-300
+        ctx.fillText(`clash ${Math.round(region.score * 100)}%`, (left + right) / 2, height - MARGIN_BOTTOM - 4);
+    });
+    ctx.restore();
+}
+
+/**
+ * Resize the clash timeline canvas to its container width
+ */
+function resizeClashTimelineCanvas() {
+    if (!clashTimelineCanvas || clashTimelineCanvas.classList.contains('hidden')) return;
+    
+    const width = Math.floor(clashTimelineCanvas.clientWidth);
+    if (width <= 0) return;
+    clashTimelineCanvas.width = width;
+    clashTimelineCanvas.height = Math.floor(width / CLASH_TIMELINE_ASPECT_RATIO);
+    drawClashTimeline();
+}
+
+/**
+ * Repaint one timeline column in the offscreen cache (the only column a frame changes)
+ * @param {number} column - Column returned by addClashFrame
+ */
+function paintClashTimelineColumn(column) {
+    const cacheCtx = clashTimelineCache ? clashTimelineCache.getContext('2d') : null;
+    if (!cacheCtx || !clashTimeline) return;
+    
+    cacheCtx.clearRect(column, 0, 1, clashTimeline.bandCount);
+    for (let band = 0; band < clashTimeline.bandCount; band++) {
+        const value = clashTimelineValue(clashTimeline, column, band);
+        if (value <= 0) continue;
+        cacheCtx.fillStyle = `rgba(248, 113, 113, ${value.toFixed(3)})`; // red-400
+        cacheCtx.fillRect(column, clashTimeline.bandCount - 1 - band, 1, 1);
+    }
+}
+
+/**
+ * Draw the clash timeline: track time left to right, bands low to high, red intensity = clash score
+ * The cached cells are scaled up in one blit; the guides and playhead are drawn on top.
+ */
+function drawClashTimeline() {
+    if (!clashTimelineCtx || !clashTimelineCanvas || !clashEnabled) return;
+    
+    const width = clashTimelineCanvas.width;
+    const height = clashTimelineCanvas.height;
+    clashTimelineCtx.fillStyle = '#030712'; // gray-950
+    clashTimelineCtx.fillRect(0, 0, width, height);
+    if (!clashTimeline || !clashTimelineCache) return;
+    
+    clashTimelineCtx.imageSmoothingEnabled = false;
+    clashTimelineCtx.drawImage(clashTimelineCache, 0, 0, width, height);
+    
+    // Frequency guides (bands are log-spaced from MIN_FREQ to MAX_FREQ)
+    clashTimelineCtx.font = '9px system-ui';
+    clashTimelineCtx.textAlign = 'left';
+    clashTimelineCtx.textBaseline = 'middle';
+    clashTimelineCtx.fillStyle = '#6b7280'; // gray-500
+    [100, 1000, 10000].forEach(freq => {
+        const normalized = Math.log10(freq / MIN_FREQ) / Math.log10(MAX_FREQ / MIN_FREQ);
+        clashTimelineCtx.fillText(formatFrequencyLabel(freq), 3, height * (1 - normalized));
+    });
+    
+    const duration = getTransportDuration();
+    if (duration > 0) {
+        const x = Math.round((getTransportPosition() / duration) * width) + 0.5;
+        clashTimelineCtx.strokeStyle = 'rgba(243, 244, 246, 0.7)'; // gray-100
+        clashTimelineCtx.beginPath();
+        clashTimelineCtx.moveTo(x, 0);
+        clashTimelineCtx.lineTo(x, height);
+        clashTimelineCtx.stroke();
+    }
+}
+
+/**
+ * Handle the clash detection toggle
+ */
+function handleClashToggle() {
+    clashEnabled = !!(clashEnableCheck && clashEnableCheck.checked);
+    if (clashTimelineCanvas) clashTimelineCanvas.classList.toggle('hidden', !clashEnabled);
+    resetClashDetection();
+    resizeClashTimelineCanvas();
+    redrawIfPaused();
+}
+
+/**
+ * Get the playback rate of the current source (live inputs always run at 1x)
+ * @returns {number} Playback rate multiplier
+ */
+function getEffectivePlaybackRate() {
+    return currentSourceKind === 'file' || currentSourceKind === 'compare' ? playbackRate : 1.0;
+}
+
+/**
+ * Get the duration of the current file source (the longer of A and B in compare mode)
+ * @returns {number} Duration in seconds (0 if unknown or not a file source)
+ */
+function getTransportDuration() {
+    if (currentSourceKind === 'compare' && compareState) {
+        return Math.max(...compareState.buffers.map(buffer => buffer.duration));
+    }
+    if (!currentAudioElement || !isFinite(currentAudioElement.duration)) {
+        return 0;
+    }
+    return currentAudioElement.duration;
+}
+
+/**
+ * Get the playback position of the current file source
+ * @returns {number} Position in seconds (0 if there is no file source)
+ */
+function getTransportPosition() {
+    if (currentSourceKind === 'compare' && compareState) {
+        return getComparePosition();
+    }
+    return currentAudioElement ? currentAudioElement.currentTime : 0;
+}
+
+/**
+ * Check whether the current file source is playing
+ * @returns {boolean} True while audio is advancing
+ */
+function isTransportPlaying() {
+    if (currentSourceKind === 'compare' && compareState) {
+        return isAnimating && compareState.sources.length > 0;
+    }
+    return !!currentAudioElement && !currentAudioElement.paused;
+}
+
+/**
+ * Format seconds as m:ss.t for the transport readout
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatTransportTime(seconds) {
+    const safe = isFinite(seconds) && seconds > 0 ? seconds : 0;
+    const minutes = Math.floor(safe / 60);
+    const secs = safe - minutes * 60;
+    return `${minutes}:${secs.toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Snap a time to the nearest bar line using the track BPM
+ * Assumes the first bar starts at 0 s (true for the bundled test material)
+ * @param {number} seconds - Time in seconds
+ * @returns {number} Snapped time in seconds
+ */
+function snapToBar(seconds) {
+    const barSec = calculateViewDuration(HARDCODED_BPM, 1);
+    return Math.round(seconds / barSec) * barSec;
+}
+
+/**
+ * Get the active loop region, using the track end when B is not set
+ * @returns {{start: number, end: number}|null} Loop region in seconds, or null if A is not set
+ */
+function getLoopRegion() {
+    const duration = getTransportDuration();
+    if (loopStartSec === null || duration === 0) {
+        return null;
+    }
+    const end = loopEndSec !== null ? loopEndSec : duration;
+    if (end <= loopStartSec) {
+        return null;
+    }
+    return { start: loopStartSec, end: Math.min(end, duration) };
+}
+
+/**
+ * Update transport readout, progress bar and loop region overlay
+ */
+function updateTransportDisplay() {
+    const duration = getTransportDuration();
+    const position = Math.min(getTransportPosition(), duration);
+    
+    if (transportTime) {
+        transportTime.textContent = `${formatTransportTime(position)} / ${formatTransportTime(duration)}`;
+    }
+    
+    if (transportProgress) {
+        const percent = duration > 0 ? (position / duration) * 100 : 0;
+        transportProgress.style.width = `${Math.max(0, Math.min(100, percent))}%`;
+    }
+    
+    const region = getLoopRegion();
+    if (transportLoopRegion) {
+        if (region) {
+            transportLoopRegion.style.left = `${(region.start / duration) * 100}%`;
+            transportLoopRegion.style.width = `${((region.end - region.start) / duration) * 100}%`;
+            transportLoopRegion.classList.remove('hidden');
+            transportLoopRegion.classList.toggle('opacity-40', !loopEnabled);
+        } else {
+            transportLoopRegion.classList.add('hidden');
+        }
+    }
+    
+    if (loopInfo) {
+        const a = loopStartSec !== null ? formatTransportTime(loopStartSec) : '-';
+        const b = loopEndSec !== null ? formatTransportTime(loopEndSec) : '-';
+        loopInfo.textContent = `A ${a}  B ${b}`;
+    }
+    
+    if (loopToggleBtn) {
+        loopToggleBtn.textContent = loopEnabled ? 'Loop On' : 'Loop Off';
+        loopToggleBtn.classList.toggle('bg-amber-600', loopEnabled);
+        loopToggleBtn.classList.toggle('bg-gray-700', !loopEnabled);
+    }
+}
+
+/**
+ * Per-frame transport update: wrap playback inside the loop region and refresh the readout
+ * Called from the animation loop so the loop jump happens within one frame of B
+ * (timeupdate only fires every ~250 ms, which would overshoot by up to a beat)
+ */
+function updateTransport() {
+    if (getTransportDuration() === 0) return;
+    
+    const region = getLoopRegion();
+    if (loopEnabled && region && isTransportPlaying()) {
+        const position = getTransportPosition();
+        if (position >= region.end || position < region.start - 0.05) {
+            seekTo(region.start);
+        }
+    }
+    
+    // Buffer sources have no "ended" pause like <audio>, so stop compare playback at the end here
+    if (currentSourceKind === 'compare' && isTransportPlaying() && getTransportPosition() >= getTransportDuration()) {
+        stopVisualization();
+        startCompareSources(0);
+        playPauseBtn.textContent = 'Play';
+    }
+    
+    updateTransportDisplay();
+}
+
+/**
+ * Seek the current file source
+ * @param {number} seconds - Target position in seconds
+ */
+function seekTo(seconds) {
+    const duration = getTransportDuration();
+    if (duration === 0) return;
+    const target = Math.max(0, Math.min(duration, seconds));
+    if (currentSourceKind === 'compare' && compareState) {
+        // Restart A and B together at the new offset to keep them sample-synced
+        startCompareSources(target);
+    } else if (currentAudioElement) {
+        currentAudioElement.currentTime = target;
+    }
+    updateTransportDisplay();
+}
+
+/**
+ * Handle click on the transport timeline (seek to the clicked position)
+ * @param {MouseEvent} event - Click event
+ */
+function handleTimelineClick(event) {
+    if (!transportTimeline) return;
+    const rect = transportTimeline.getBoundingClientRect();
+    const ratio = rect.width > 0 ? (event.clientX - rect.left) / rect.width : 0;
+    seekTo(Math.max(0, Math.min(1, ratio)) * getTransportDuration());
+}
+
+/**
+ * Set loop point A (and B automatically when a fixed loop length in bars is selected)
+ */
+function handleSetLoopStart() {
+    if (getTransportDuration() === 0) return;
+    
+    let start = getTransportPosition();
+    if (loopSnapCheck && loopSnapCheck.checked) {
+        start = snapToBar(start);
+    }
+    loopStartSec = Math.max(0, start);
+    
+    const bars = loopLengthSelect ? parseInt(loopLengthSelect.value, 10) : 0;
+    if (bars > 0) {
+        loopEndSec = Math.min(getTransportDuration(), loopStartSec + calculateViewDuration(HARDCODED_BPM, bars));
+    } else if (loopEndSec !== null && loopEndSec <= loopStartSec) {
+        loopEndSec = null;
+    }
+    
+    updateTransportDisplay();
+}
+
+/**
+ * Set loop point B at the current position
+ */
+function handleSetLoopEnd() {
+    if (getTransportDuration() === 0) return;
+    
+    let end = getTransportPosition();
+    if (loopSnapCheck && loopSnapCheck.checked) {
+        end = snapToBar(end);
+    }
+    end = Math.min(getTransportDuration(), end);
+    
+    // Setting B before A swaps the points instead of producing an empty region
+    if (loopStartSec !== null && end < loopStartSec) {
+        loopEndSec = loopStartSec;
+        loopStartSec = end;
+    } else {
+        loopEndSec = end;
+        if (loopStartSec === null) {
+            loopStartSec = 0;
+        }
+    }
+    
+    updateTransportDisplay();
+}
+
+/**
+ * Toggle looping between A and B
+ */
+function handleLoopToggle() {
+    loopEnabled = !loopEnabled;
+    // Jump into the region right away so the loop is audible immediately
+    const region = getLoopRegion();
+    if (loopEnabled && region) {
+        const position = getTransportPosition();
+        if (position < region.start || position >= region.end) {
+            seekTo(region.start);
+        }
+    }
+    updateTransportDisplay();
+}
+
+/**
+ * Clear both loop points and disable looping
+ */
+function handleLoopClear() {
+    loopStartSec = null;
+    loopEndSec = null;
+    loopEnabled = false;
+    updateTransportDisplay();
+}
+
+/**
+ * Handle playback rate dropdown change
+ * The oscilloscope window is defined in bars, so its buffer is resized for the new rate
+ */
+function handlePlaybackRateChange() {
+    const rate = parseFloat(playbackRateSelect.value);
+    if (!isFinite(rate) || rate <= 0) return;
+    
+    // Compare positions are derived from the rate, so rebase the clock before changing it
+    const comparePosition = compareState ? getComparePosition() : 0;
+    
+    playbackRate = rate;
+    if (currentAudioElement) {
+        currentAudioElement.defaultPlaybackRate = rate;
+        currentAudioElement.playbackRate = rate;
+    }
+    if (compareState) {
+        compareState.offsetSec = comparePosition;
+        compareState.startedAt = audioContext.currentTime;
+        compareState.sources.forEach(source => {
+            source.playbackRate.value = rate;
+        });
+    }
+    
+    updateWaveformBufferSize();
+    console.log(`Playback rate updated: ${rate}x`);
+}
+
+/**
+ * Apply Exponential Moving Average (EMA) smoothing to FFT data
+ * @param {Float32Array} fftData - Raw FFT frequency data
+ * @param {Float32Array} smoothed - Persistent smoothed data array
+ * @param {number} alpha - Smoothing factor (0-1, higher = more smoothing)
+ */
+function updateEMA(fftData, smoothed, alpha) {
+    if (!fftData || !smoothed || fftData.length !== smoothed.length) {
+        return;
+    }
+    
+    // On first call, initialize smoothed array with raw FFT data
+    if (!emaInitialized) {
+        for (let i = 0; i < fftData.length; i++) {
+            smoothed[i] = fftData[i];
+        }
+        emaInitialized = true;
+        return;
+    }
+    
+    // Apply EMA smoothing: smoothed[i] = alpha * newValue + (1 - alpha) * oldValue
+    // Note: Lower alpha = more smoothing (slower response), Higher alpha = less smoothing (faster response)
+    // For dB values, we need to handle -Infinity specially
+    for (let i = 0; i < fftData.length; i++) {
+        const newVal = fftData[i];
+        const oldVal = smoothed[i];
+        
+        // Handle -Infinity: if new value is -Infinity, keep old value (don't smooth to -Infinity)
+        // If old value is -Infinity but new is finite, use new value
+        if (!isFinite(newVal) && newVal === -Infinity) {
+            // New value is silence, keep old smoothed value (don't update)
+            continue;
+        } else if (!isFinite(oldVal) && oldVal === -Infinity) {
+            // Old value was silence, new value has signal - use new value
+            smoothed[i] = newVal;
+        } else {
+            // Both values are finite, apply normal EMA
+            smoothed[i] = alpha * newVal + (1 - alpha) * oldVal;
+        }
+    }
+}
+
+/**
+ * Update the per-bin peak-hold trace
+ * A bin captures any level at or above its held value; after peakHoldTimeSec it falls at
+ * peakHoldDecayDbPerSec until the signal catches it again. Infinite hold never falls.
+ * @param {Float32Array} fftData - Raw FFT frequency data (dB)
+ * @param {number} nowSec - Current time in seconds
+ */
+function updatePeakHold(fftData, nowSec) {
+    if (!fftData || !peakHoldData || fftData.length !== peakHoldData.length) {
+        return;
+    }
+    
+    // First frame after a reset: start from the current spectrum
+    if (!peakHoldInitialized) {
+        peakHoldData.set(fftData);
+        peakHoldTimes.fill(nowSec);
+        lastPeakHoldUpdateSec = nowSec;
+        peakHoldInitialized = true;
+        return;
+    }
+    
+    const dt = Math.min(PEAK_HOLD_MAX_STEP_SEC, Math.max(0, nowSec - lastPeakHoldUpdateSec));
+    lastPeakHoldUpdateSec = nowSec;
+    const decayStep = peakHoldDecayDbPerSec * dt;
+    
+    for (let i = 0; i < fftData.length; i++) {
+        const value = fftData[i];
+        const held = peakHoldData[i];
+        
+        if (value >= held || !isFinite(held)) {
+            // New peak (or nothing held yet)
+            peakHoldData[i] = value;
+            peakHoldTimes[i] = nowSec;
+        } else if (!peakHoldInfinite && nowSec - peakHoldTimes[i] > peakHoldTimeSec) {
+            // Hold time elapsed: fall, but never below the current level
+            peakHoldData[i] = isFinite(value) ? Math.max(value, held - decayStep) : held - decayStep;
+        }
+    }
+}
+
+/**
+ * Clear the peak-hold trace (it restarts from the next frame)
+ */
+function resetPeakHold() {
+    peakHoldInitialized = false;
+    console.log('Peak hold reset');
+    
+    // Redraw right away when paused so the reset is visible
+    if (!isAnimating && smoothedData) {
+        draw();
+    }
+}
+
+/**
+ * Recompute the fractional-octave smoothing windows for the current bin count and sample rate
+ */
+function updateOctaveSmoothingRanges() {
+    if (octaveSmoothingFraction > 0 && frequencyBinCount > 0) {
+        octaveSmoothingRanges = computeOctaveSmoothingRanges(frequencyBinCount, getSampleRate(), octaveSmoothingFraction);
+        octaveSmoothingScratch = new Float64Array(frequencyBinCount + 1);
+    } else {
+        octaveSmoothingRanges = null;
+        octaveSmoothingScratch = null;
+    }
+}
+
+/**
+ * Apply the selected fractional-octave smoothing to a dB spectrum
+ * Copies the data unchanged when smoothing is off
+ * @param {Float32Array} source - Per-bin dB data
+ * @param {Float32Array} target - Output array (same length)
+ */
+function smoothSpectrumForDisplay(source, target) {
+    if (!source || !target || source.length !== target.length) return;
+    
+    if (octaveSmoothingRanges && octaveSmoothingRanges.starts.length === source.length) {
+        applyOctaveSmoothing(source, target, octaveSmoothingRanges, octaveSmoothingScratch);
+    } else {
+        target.set(source);
+    }
+}
+
+/**
+ * Refresh the display copies of the live and average spectra
+ */
+function updateDisplaySpectra() {
+    smoothSpectrumForDisplay(smoothedData, liveDisplayData);
+    smoothSpectrumForDisplay(averageData, averageDisplayData);
+    if (isOverlayChannelMode() && secondaryDataInitialized) {
+        smoothSpectrumForDisplay(secondarySmoothedData, secondaryLiveDisplayData);
+        smoothSpectrumForDisplay(secondaryAverageData, secondaryAverageDisplayData);
+    }
+}
+
+/**
+ * (Re)allocate the second-channel spectrum arrays for the current bin count
+ */
+function allocateSecondarySpectrumData() {
+    secondaryFftData = new Float32Array(frequencyBinCount);
+    secondarySmoothedData = new Float32Array(frequencyBinCount);
+    secondaryAverageData = new Float32Array(frequencyBinCount);
+    secondaryLiveDisplayData = new Float32Array(frequencyBinCount);
+    secondaryAverageDisplayData = new Float32Array(frequencyBinCount);
+    secondaryDataInitialized = false;
+}
+
+/**
+ * Check whether the channel mode overlays two signals
+ * @returns {boolean} True for the L+R and M+S overlay modes
+ */
+function isOverlayChannelMode() {
+    return spectrumChannelMode === 'lr' || spectrumChannelMode === 'ms';
+}
+
+/**
+ * Get the signals shown by the current channel mode
+ * @returns {{primary: string, secondary: string|null}} 'left' | 'right' | 'mid' | 'side'; primary feeds the main pipeline, secondary is the overlay
+ */
+function getChannelModeSignals() {
+    switch (spectrumChannelMode) {
+        case 'right':
+            return { primary: 'right', secondary: null };
+        case 'lr':
+            return { primary: 'left', secondary: 'right' };
+        case 'mid':
+            return { primary: 'mid', secondary: null };
+        case 'side':
+            return { primary: 'side', secondary: null };
+        case 'ms':
+            return { primary: 'mid', secondary: 'side' };
+        case 'left':
+        default:
+            return { primary: 'left', secondary: null };
+    }
+}
+
+/**
+ * Parse the FFT size dropdown value
+ * @param {string} value - A power of two, or 'multires'
+ * @returns {{fftSize: number, multiResolution: boolean}} fftSize is NaN for an unparseable value
+ */
+function parseFftSizeSelection(value) {
+    if (value === 'multires') {
+        return { fftSize: MULTIRES_FFT_SIZES[0], multiResolution: true };
+    }
+    return { fftSize: parseInt(value, 10), multiResolution: false };
+}
+
+/**
+ * Set up (or drop) the shorter-FFT layers of the multi-resolution mode
+ * The extra analysers hang off the main ones (an AnalyserNode passes its input through), so they
+ * follow every source without being rewired; they are created once per AudioContext.
+ */
+function updateMultiResolutionAnalysis() {
+    multiResLayerData = {};
+    if (!multiResolutionEnabled || !audioContext) return;
+    
+    if (!multiResAnalysers) {
+        const mainAnalysers = { left: analyserLeft, right: analyserRight, mid: analyserMid, side: analyserSide };
+        multiResAnalysers = {};
+        Object.entries(mainAnalysers).forEach(([signal, mainAnalyser]) => {
+            multiResAnalysers[signal] = MULTIRES_FFT_SIZES.slice(1).map(size => {
+                const layerAnalyser = audioContext.createAnalyser();
+                layerAnalyser.fftSize = size;
+                mainAnalyser.connect(layerAnalyser);
+                return layerAnalyser;
+            });
+        });
+    }
+    
+    Object.keys(CHANNEL_MIX_GAINS).forEach(signal => {
+        multiResLayerData[signal] = MULTIRES_FFT_SIZES.map(size => new Float32Array(size / 2).fill(-Infinity));
+    });
+}
+
+/**
+ * Collect new frames from every custom-engine state
+ * @returns {number[][]} Frame lists: the main state first, then the multi-resolution layers
+ */
+function collectAllEngineFrames() {
+    return [fftEngineState, ...multiResEngineStates].map(state => collectEngineFrames(state));
+}
+
+/**
+ * Read a signal's spectrum from the active engine
+ * In multi-resolution mode the shorter FFTs are stitched over the mids and highs.
+ * @param {string} signal - 'left' | 'right' | 'mid' | 'side'
+ * @param {Float32Array} out - Per-bin dB output
+ * @param {number[][]|null} engineFrames - Frames from collectAllEngineFrames when the custom engine is active
+ */
+function readSignalSpectrum(signal, out, engineFrames) {
+    const mix = CHANNEL_MIX_GAINS[signal] || CHANNEL_MIX_GAINS.left;
+    const layerData = multiResolutionEnabled ? multiResLayerData[signal] : null;
+    const stitch = !!layerData && out.length === MULTIRES_FFT_SIZES[0] / 2;
+    
+    // When stitching, the long FFT keeps its raw spectrum apart from the stitched output
+    const longSpectrum = stitch ? layerData[0] : out;
+    if (engineFrames) {
+        // No new frame since the last animation frame: keep the previous spectrum
+        computeEngineSpectrum(fftEngineState, engineFrames[0], mix, longSpectrum);
+    } else {
+        const analysers = { left: analyserLeft, right: analyserRight, mid: analyserMid, side: analyserSide };
+        (analysers[signal] || analyserLeft).getFloatFrequencyData(longSpectrum);
+    }
+    
+    if (!stitch) return;
+    
+    layerData.slice(1).forEach((data, index) => {
+        if (engineFrames) {
+            computeEngineSpectrum(multiResEngineStates[index], engineFrames[index + 1], mix, data);
+        } else {
+            multiResAnalysers[signal][index].getFloatFrequencyData(data);
+        }
+    });
+    
+    const layers = layerData.map((data, index) => ({ spectrumDb: data, fftSize: MULTIRES_FFT_SIZES[index] }));
+    stitchMultiResolutionSpectra(layers, MULTIRES_CROSSOVERS_HZ, getSampleRate(), out);
+}
+
+/**
+ * Update the overlay channel's live and average spectra
+ * Uses its own initialization flag because updateEMA's shared flag belongs to the primary data
+ * @param {string} signal - Overlay signal ('right' or 'side')
+ * @param {number[][]|null} engineFrames - Frames from collectAllEngineFrames when the custom engine is active
+ */
+function updateSecondarySpectrum(signal, engineFrames) {
+    if (!secondaryFftData || secondaryFftData.length !== frequencyBinCount) return;
+    
+    readSignalSpectrum(signal, secondaryFftData, engineFrames);
+    
+    if (!secondaryDataInitialized) {
+        secondarySmoothedData.set(secondaryFftData);
+        secondaryAverageData.set(secondaryFftData);
+        secondaryDataInitialized = true;
+        return;
+    }
+    
+    updateEMA(secondaryFftData, secondarySmoothedData, SMOOTHED_DATA_ALPHA);
+    updateEMA(secondaryFftData, secondaryAverageData, averageDataAlpha);
+}
+
+/**
+ * Check whether spectra come from the custom FFT engine
+ * @returns {boolean} True when the custom engine is selected and matches the current FFT size
+ */
+function isCustomFftEngineActive() {
+    return fftEngineType === 'custom' && !!captureNode && !!fftEngineState &&
+        !!analyserLeft && fftEngineState.fftSize === analyserLeft.fftSize &&
+        multiResEngineStates.length === (multiResolutionEnabled ? MULTIRES_FFT_SIZES.length - 1 : 0);
+}
+
+/**
+ * Recreate the custom engine's history and window (FFT size, window or overlap changed)
+ * Levels change with the window, so the smoothed / average / peak-hold history restarts
+ */
+function rebuildFftEngineState() {
+    if (!analyserLeft) return;
+    
+    fftEngineState = createFftEngineState({
+        fftSize: analyserLeft.fftSize,
+        windowType: fftWindowType,
+        overlap: fftOverlap
+    });
+    multiResEngineStates = multiResolutionEnabled
+        ? MULTIRES_FFT_SIZES.slice(1).map(size => createFftEngineState({ fftSize: size, windowType: fftWindowType, overlap: fftOverlap }))
+        : [];
+    
+    // Until the first frame is complete, show silence rather than stale analyser data
+    if (fftData) fftData.fill(-Infinity);
+    if (secondaryFftData) secondaryFftData.fill(-Infinity);
+    emaInitialized = false;
+    averageDataInitialized = false;
+    peakHoldInitialized = false;
+    secondaryDataInitialized = false;
+}
+
+/**
+ * Create a stereo-in, no-output worklet node (loading its module once per AudioContext)
+ * @param {URL} moduleUrl - Worklet module
+ * @param {string} processorName - Name the module registers
+ * @param {AudioWorkletNodeOptions} [options] - Extra node options (e.g. processorOptions)
+ * @returns {Promise<AudioWorkletNode|null>} New node, or null without an AudioContext
+ */
+async function ensureWorkletNode(moduleUrl, processorName, options = {}) {
+    const context = audioContext;
+    if (!context) return null;
+    if (!context.audioWorklet) {
+        throw new Error('AudioWorklet is not supported in this browser');
+    }
+    
+    let modules = workletModules.get(context);
+    if (!modules) {
+        modules = new Map();
+        workletModules.set(context, modules);
+    }
+    if (!modules.has(moduleUrl.href)) {
+        modules.set(moduleUrl.href, context.audioWorklet.addModule(moduleUrl));
+    }
+    
+    try {
+        await modules.get(moduleUrl.href);
+    } catch (error) {
+        // Allow a retry on the next attempt
+        modules.delete(moduleUrl.href);
+        throw error;
+    }
+    
+    return new AudioWorkletNode(context, processorName, {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: 2,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'speakers',
+        ...options
+    });
+}
+
+/**
+ * Create the AudioWorklet capture node (once per AudioContext)
+ * @returns {Promise<AudioWorkletNode|null>} Capture node, or null without an AudioContext
+ */
+async function ensureCaptureNode() {
+    if (captureNode && captureNode.context === audioContext) return captureNode;
+    
+    const node = await ensureWorkletNode(new URL('./worklets/capture-processor.js', import.meta.url), 'capture-processor', {
+        processorOptions: { blockSize: CAPTURE_BLOCK_SIZE }
+    });
+    if (!node) return null;
+    
+    captureNode = node;
+    captureNode.port.onmessage = (event) => {
+        if (fftEngineState) {
+            pushEngineSamples(fftEngineState, [event.data.left, event.data.right]);
+        }
+        multiResEngineStates.forEach(state => pushEngineSamples(state, [event.data.left, event.data.right]));
+        if (constantQEnabled) {
+            pushConstantQSamples(event.data.left, event.data.right);
+        }
+    };
+    return captureNode;
+}
+
+/**
+ * Check whether anything consumes captured samples (custom FFT engine or constant-Q view)
+ * @returns {boolean} True when the capture node should be connected
+ */
+function isSampleCaptureNeeded() {
+    return fftEngineType === 'custom' || constantQEnabled;
+}
+
+/**
+ * Feed the current source's up-mix stage into the capture node
+ * (the connection is dropped with the rest of the chain in cleanupTestAudio)
+ */
+function connectCaptureNode() {
+    ensureCaptureNode()
+        .then(node => {
+            if (!node || !channelUpmix || !isSampleCaptureNeeded()) return;
+            channelUpmix.connect(node);
+            if (fftEngineType === 'custom') {
+                rebuildFftEngineState();
+            }
+        })
+        .catch(handleCaptureError);
+}
+
+/**
+ * Disconnect the capture node once neither the custom engine nor the constant-Q view needs it
+ */
+function disconnectUnusedCaptureNode() {
+    if (!captureNode || !channelUpmix || isSampleCaptureNeeded()) return;
+    try {
+        channelUpmix.disconnect(captureNode);
+    } catch (e) {
+        // Not connected
+    }
+}
+
+/**
+ * Turn off every capture consumer when the worklet cannot start
+ * @param {Error} error - Failure from loading the worklet or creating the node
+ */
+function handleCaptureError(error) {
+    if (constantQEnabled) {
+        constantQEnabled = false;
+        if (constantQEnableCheck) constantQEnableCheck.checked = false;
+        if (constantQCanvas) constantQCanvas.classList.add('hidden');
+        setSourceStatus(`Constant-Q view unavailable: ${error.message || 'Unknown error'}`, 'error');
+    }
+    if (fftEngineType === 'custom') {
+        handleFftEngineError(error);
+    }
+}
+
+/**
+ * Create the loudness meter worklet node (once per AudioContext)
+ * @returns {Promise<AudioWorkletNode|null>} Loudness node, or null without an AudioContext
+ */
+async function ensureLoudnessNode() {
+    if (loudnessNode && loudnessNode.context === audioContext) return loudnessNode;
+    
+    const node = await ensureWorkletNode(new URL('./worklets/loudness-processor.js', import.meta.url), 'loudness-processor');
+    if (!node) return null;
+    
+    loudnessNode = node;
+    loudnessNode.port.onmessage = (event) => renderLoudnessReading(event.data);
+    return loudnessNode;
+}
+
+/**
+ * Feed the current source's up-mix stage into the loudness meter and restart the measurement
+ * (the connection is dropped with the rest of the chain in cleanupTestAudio)
+ */
+function connectLoudnessNode() {
+    ensureLoudnessNode()
+        .then(node => {
+            if (!node || !channelUpmix) return;
+            channelUpmix.connect(node);
+            node.port.postMessage({ type: 'reset' });
+            setLoudnessStatus('');
+        })
+        .catch(error => {
+            console.error('Loudness meter unavailable:', error);
+            setLoudnessStatus(`Loudness meter unavailable: ${error.message || 'Unknown error'}`, 'error');
+        });
+}
+
+/**
+ * Show a loudness meter status message
+ * @param {string} message - Message to display
+ * @param {string} state - 'idle' or 'error'
+ */
+function setLoudnessStatus(message, state = 'idle') {
+    setStatusText(loudnessStatus, message, state);
+}
+
+/**
+ * Show a loudness reading from the worklet (numbers and bars)
+ * @param {{momentaryLufs: number, shortTermLufs: number, integratedLufs: number, loudnessRangeLu: number}} reading - From readLoudness
+ */
+function renderLoudnessReading(reading) {
+    const formatLufs = (lufs) => (isFinite(lufs) ? lufs.toFixed(1) : '–');
+    const barWidth = (lufs) => {
+        if (!isFinite(lufs)) return '0%';
+        const normalized = (lufs - LOUDNESS_BAR_MIN_LUFS) / (LOUDNESS_BAR_MAX_LUFS - LOUDNESS_BAR_MIN_LUFS);
+        return `${(Math.max(0, Math.min(1, normalized)) * 100).toFixed(1)}%`;
+    };
+    
+    [
+        [loudnessMomentaryValue, loudnessMomentaryBar, reading.momentaryLufs],
+        [loudnessShortTermValue, loudnessShortTermBar, reading.shortTermLufs],
+        [loudnessIntegratedValue, loudnessIntegratedBar, reading.integratedLufs]
+    ].forEach(([valueEl, barEl, lufs]) => {
+        if (valueEl) valueEl.textContent = formatLufs(lufs);
+        if (barEl) barEl.style.width = barWidth(lufs);
+    });
+    if (loudnessRangeValue) {
+        loudnessRangeValue.textContent = reading.loudnessRangeLu > 0 ? reading.loudnessRangeLu.toFixed(1) : '–';
+    }
+}
+
+/**
+ * Restart the integrated loudness and loudness range measurements
+ */
+function handleLoudnessReset() {
+    if (loudnessNode) {
+        loudnessNode.port.postMessage({ type: 'reset' });
+    } else {
+        renderLoudnessReading({ momentaryLufs: -Infinity, shortTermLufs: -Infinity, integratedLufs: -Infinity, loudnessRangeLu: 0 });
+    }
+}
+
+/**
+ * Fall back to the built-in analyser when the custom engine cannot start
+ * @param {Error} error - Failure from loading the worklet or creating the node
+ */
+function handleFftEngineError(error) {
+    console.error('Custom FFT engine failed:', error);
+    fftEngineType = 'analyser';
+    if (fftEngineSelect) fftEngineSelect.value = 'analyser';
+    updateFftEngineControls();
+    setSourceStatus(`Custom FFT engine unavailable: ${error.message || 'Unknown error'}`, 'error');
+}
+
+/**
+ * Calculate view duration in seconds based on BPM and number of bars
+ * @param {number} bpm - Beats per minute
+ * @param {number} bars - Number of bars (1, 4, or 8)
+ * @returns {number} Duration in seconds
+ */
+function calculateViewDuration(bpm, bars) {
+    const beats = bars * 4; // 4 beats per bar
+    const durationSeconds = (beats / bpm) * 60;
+    return durationSeconds;
+}
+
+/**
+ * Update waveform buffer size based on current view duration
+ * Calculates how many samples are needed to store the requested time duration
+ */
+function updateWaveformBufferSize() {
+    if (!analyserLeft || !audioContext) return;
+    
+    const bpm = HARDCODED_BPM;
+    const bars = parseInt(viewLengthSelect.value) || 4;
+    // Bars are measured in track time: at half speed the same bars take twice as long to arrive
+    const viewDuration = calculateViewDuration(bpm, bars) / getEffectivePlaybackRate();
+    
+    const sampleRate = getSampleRate();
+    
+    // Calculate how many samples we need to store for the view duration
+    const totalSamplesNeeded = Math.ceil(viewDuration * sampleRate);
+    
+    // Buffer size should be at least the number of samples needed
+    // Add some headroom to ensure smooth scrolling
+    waveformBufferSize = Math.max(1024, totalSamplesNeeded);
+    
+    // Resize buffers if needed
+    if (waveformBuffer.length !== waveformBufferSize) {
+        const oldBuffer = waveformBuffer;
+        const oldColorBuffer = waveformColorBuffer;
+        waveformBuffer = new Array(waveformBufferSize).fill(0);
+        waveformColorBuffer = new Array(waveformBufferSize).fill('#808080'); // Default gray color
+        
+        // Copy old data if buffer is growing (preserve recent history)
+        if (oldBuffer.length > 0) {
+            const copyLength = Math.min(oldBuffer.length, waveformBufferSize);
+            const oldStart = Math.max(0, oldBuffer.length - copyLength);
+            for (let i = 0; i < copyLength; i++) {
+                waveformBuffer[waveformBufferSize - copyLength + i] = oldBuffer[oldStart + i];
+                waveformColorBuffer[waveformBufferSize - copyLength + i] = oldColorBuffer[oldStart + i] || '#808080';
+            }
+        }
+        
+        // Reset write index if buffer shrunk significantly
+        if (waveformBufferSize < oldBuffer.length) {
+            waveformWriteIndex = 0;
+        }
+    }
+    
+    console.log('Waveform buffer updated:', {
+        viewDuration: viewDuration.toFixed(3) + 's',
+        bars: bars,
+        sampleRate: sampleRate,
+        bufferSize: waveformBufferSize,
+        samplesNeeded: totalSamplesNeeded
+    });
+}
+
+/**
+ * Calculate frequency band energy and convert to RGB color
+ * @param {Float32Array} fftData - Current FFT frequency data in dB
+ * @param {number} fftSize - FFT size
+ * @returns {string} RGB color string (e.g., "rgb(255, 50, 100)")
+ */
+function calculateFrequencyColor(fftData, fftSize) {
+    if (!fftData || !audioContext) {
+        return 'rgb(128, 128, 128)'; // Default gray
+    }
+    
+    const sampleRate = getSampleRate();
+    const binCount = fftSize / 2;
+    
+    // Calculate bin indices for frequency bands
+    const lowsStartBin = getBinIndex(FREQ_BAND_LOWS_MIN, fftSize);
+    const lowsEndBin = getBinIndex(FREQ_BAND_LOWS_MAX, fftSize);
+    const midsStartBin = getBinIndex(FREQ_BAND_MIDS_MIN, fftSize);
+    const midsEndBin = getBinIndex(FREQ_BAND_MIDS_MAX, fftSize);
+    const highsStartBin = getBinIndex(FREQ_BAND_HIGHS_MIN, fftSize);
+    const highsEndBin = getBinIndex(FREQ_BAND_HIGHS_MAX, fftSize);
+    
+    // Calculate energy in each band (convert dB to linear, sum, then back to dB)
+    let lowsEnergy = 0;
+    let midsEnergy = 0;
+    let highsEnergy = 0;
+    let lowsCount = 0;
+    let midsCount = 0;
+    let highsCount = 0;
+    
+    for (let i = 0; i < fftData.length; i++) {
+        const dbValue = fftData[i];
+        if (!isFinite(dbValue) || dbValue === -Infinity) {
+            continue;
+        }
+        
+        // Convert dB to linear scale for energy calculation
+        const linearValue = Math.pow(10, dbValue / 20);
+        const energy = linearValue * linearValue;
+        
+        if (i >= lowsStartBin && i <= lowsEndBin) {
+            lowsEnergy += energy;
+            lowsCount++;
+        } else if (i >= midsStartBin && i <= midsEndBin) {
+            midsEnergy += energy;
+            midsCount++;
+        } else if (i >= highsStartBin && i <= highsEndBin) {
+            highsEnergy += energy;
+            highsCount++;
+        }
+    }
+    
+    // Calculate average energy per band (avoid division by zero)
+    const lowsAvg = lowsCount > 0 ? lowsEnergy / lowsCount : 0;
+    const midsAvg = midsCount > 0 ? midsEnergy / midsCount : 0;
+    const highsAvg = highsCount > 0 ? highsEnergy / highsCount : 0;
+    
+    // Total energy for normalization
+    const totalEnergy = lowsAvg + midsAvg + highsAvg;
+    
+    // Normalize band energies (0.0 to 1.0)
+    let lowsNorm = 0, midsNorm = 0, highsNorm = 0;
+    
+    if (totalEnergy > 0) {
+        lowsNorm = lowsAvg / totalEnergy;
+        midsNorm = midsAvg / totalEnergy;
+        highsNorm = highsAvg / totalEnergy;
+    }
+    
+    // Map to Cool Color Palette (Blues, Cyans, Whites)
+    // Formula:
+    // R = highsNorm * 255  (Highs -> Red channel: High Treble + Cyan + Blue = White)
+    // G = midsNorm * 255   (Mids -> Green channel: High Mids -> Cyan)
+    // B = 150 + (lowsNorm * 105)  (Base Blue 150 + Lows contribution: Bass-heavy -> Deep Blue)
+    
+    // Clamp normalized values to [0, 1] for safety
+    lowsNorm = Math.max(0, Math.min(1, lowsNorm));
+    midsNorm = Math.max(0, Math.min(1, midsNorm));
+    highsNorm = Math.max(0, Math.min(1, highsNorm));
+    
+    // Calculate RGB values
+    const r = Math.floor(highsNorm * 255);
+    const g = Math.floor(midsNorm * 255);
+    const b = Math.floor(150 + (lowsNorm * 105)); // Base blue of 150, plus lows up to 255
+    
+    // Clamp RGB values to valid range [0, 255]
+    const clampedR = Math.max(0, Math.min(255, r));
+    const clampedG = Math.max(0, Math.min(255, g));
+    const clampedB = Math.max(0, Math.min(255, b));
+    
+    return `rgb(${clampedR}, ${clampedG}, ${clampedB})`;
+}
+
+/**
+ * Get color from circular buffer at a given index (handles wrapping)
+ * @param {number} index - Index in the circular buffer
+ * @returns {string} RGB color string
+ */
+function getBufferColor(index) {
+    // Handle negative indices and wrap around
+    while (index < 0) {
+        index += waveformBufferSize;
+    }
+    index = index % waveformBufferSize;
+    return waveformColorBuffer[index] || 'rgb(128, 128, 128)';
+}
+
+/**
+ * Update waveform buffer with new time-domain data and calculate colors from frequency data
+ * Supports mono sum mode for phase cancellation visualization
+ */
+function updateWaveform() {
+    if (!analyserLeft || !analyserRight || !timeDomainDataLeft || !timeDomainDataRight || waveformBufferSize === 0 || !fftData) return;
+    
+    // Get time-domain data for both channels (raw audio samples) - reuse the same arrays
+    analyserLeft.getFloatTimeDomainData(timeDomainDataLeft);
+    analyserRight.getFloatTimeDomainData(timeDomainDataRight);
+    
+    // Read checkbox state for mono sum mode
+    const useMonoSum = monoScopeCheck && monoScopeCheck.checked;
+    
+    // Estimate: at 60fps, we get ~800 new samples per frame at 48kHz
+    // Add samples from the last portion of time-domain data
+    const samplesToAdd = Math.min(1024, timeDomainDataLeft.length);
+    const startIdx = Math.max(0, timeDomainDataLeft.length - samplesToAdd);
+    
+    // Iterate through new samples and add to circular buffer
+    for (let i = startIdx; i < timeDomainDataLeft.length; i++) {
+        let sample;
+        
+        if (useMonoSum) {
+            // Mono Mode: Calculate mono sum (left + right) / 2
+            // This helps visualize phase cancellation:
+            // If mono sum is quieter than individual channels, there's phase cancellation
+            const left = timeDomainDataLeft[i];
+            const right = timeDomainDataRight[i];
+            
+            if (isFinite(left) && isFinite(right)) {
+                sample = (left + right) / 2;
+            } else if (isFinite(left)) {
+                sample = left;
+            } else if (isFinite(right)) {
+                sample = right;
+            } else {
+                sample = 0; // Both invalid, use zero
+            }
+        } else {
+            // Normal Mode: Use left channel only
+            sample = timeDomainDataLeft[i];
+        }
+        
+        // Push calculated sample into waveform buffer
+        // Color is now calculated dynamically in drawOscilloscope based on amplitude
+        waveformBuffer[waveformWriteIndex] = sample;
+        waveformWriteIndex = (waveformWriteIndex + 1) % waveformBufferSize;
+    }
+}
+
+/**
+ * Calculate Pearson correlation coefficient between two audio buffers
+ * Measures phase correlation: -1 (180° out of phase) to +1 (perfect mono)
+ * @param {Float32Array} leftBuffer - Left channel time-domain data
+ * @param {Float32Array} rightBuffer - Right channel time-domain data
+ * @returns {number} Correlation coefficient (-1 to +1)
+ */
+function calculateCorrelation(leftBuffer, rightBuffer) {
+    if (!leftBuffer || !rightBuffer || leftBuffer.length === 0 || rightBuffer.length === 0) {
+        return 0;
+    }
+    
+    const minLength = Math.min(leftBuffer.length, rightBuffer.length);
+    if (minLength === 0) {
+        return 0;
+    }
+    
+    // Calculate sums for Pearson correlation coefficient
+    let sumLR = 0;  // Sum of (L[i] * R[i])
+    let sumL2 = 0;  // Sum of (L[i]^2)
+    let sumR2 = 0;  // Sum of (R[i]^2)
+    
+    for (let i = 0; i < minLength; i++) {
+        const left = leftBuffer[i];
+        const right = rightBuffer[i];
+        
+        // Skip invalid samples
+        if (!isFinite(left) || !isFinite(right)) {
+            continue;
+        }
+        
+        sumLR += left * right;
+        sumL2 += left * left;
+        sumR2 += right * right;
+    }
+    
+    // Calculate denominator: sqrt(Sum(L[i]^2)) * sqrt(Sum(R[i]^2))
+    const denominator = Math.sqrt(sumL2) * Math.sqrt(sumR2);
+    
+    // Avoid division by zero
+    if (denominator === 0 || !isFinite(denominator)) {
+        return 0;
+    }
+    
+    // Pearson correlation coefficient: Sum(L[i] * R[i]) / (sqrt(Sum(L[i]^2)) * sqrt(Sum(R[i]^2)))
+    const correlation = sumLR / denominator;
+    
+    // Clamp to valid range [-1, 1]
+    return Math.max(-1, Math.min(1, correlation));
+}
+
+/**
+ * Get phase correlation color and glow style based on correlation value and band type
+ * @param {number} correlation - Correlation coefficient (-1 to +1)
+ * @param {string} bandType - Band type: 'low', 'mid', or 'high'
+ * @returns {Object} Object with `color` (CSS color string) and `glow` (CSS box-shadow string)
+ */
+function getPhaseColor(correlation, bandType) {
+    if (!isFinite(correlation)) {
+        return { color: '#6b7280', glow: '0 0 0px rgba(107, 114, 128, 0)' }; // gray-500, no glow
+    }
+    
+    let color;
+    let glowColor;
+    let glowIntensity;
+    
+    // Define thresholds and colors based on band type (4-band system)
+    if (bandType === 'sub') {
+        // Sub: Strict Mono. Green > 0.95, else Yellow/Red
+        if (correlation > 0.95) {
+            color = '#22c55e'; // green-500
+            glowColor = 'rgba(34, 197, 94, 0.8)'; // green-500 with alpha
+            glowIntensity = 8;
+        } else if (correlation > 0.8) {
+            color = '#eab308'; // yellow-500
+            glowColor = 'rgba(234, 179, 8, 0.6)'; // yellow-500 with alpha
+            glowIntensity = 6;
+        } else {
+            color = '#ef4444'; // red-500
+            glowColor = 'rgba(239, 68, 68, 0.4)'; // red-500 with alpha
+            glowIntensity = 4;
+        }
+    } else if (bandType === 'low') {
+        // Low: Mostly Mono. Green > 0.8, else Yellow/Red
+        if (correlation > 0.8) {
+            color = '#22c55e'; // green-500
+            glowColor = 'rgba(34, 197, 94, 0.8)'; // green-500 with alpha
+            glowIntensity = 8;
+        } else if (correlation > 0.5) {
+            color = '#eab308'; // yellow-500
+            glowColor = 'rgba(234, 179, 8, 0.6)'; // yellow-500 with alpha
+            glowIntensity = 6;
+        } else {
+            color = '#ef4444'; // red-500
+            glowColor = 'rgba(239, 68, 68, 0.4)'; // red-500 with alpha
+            glowIntensity = 4;
+        }
+    } else if (bandType === 'mid') {
+        // Mid: Focused. Green > 0.5, else Yellow/Red
+        if (correlation > 0.5) {
+            color = '#22c55e'; // green-500
+            glowColor = 'rgba(34, 197, 94, 0.8)'; // green-500 with alpha
+            glowIntensity = 8;
+        } else if (correlation > 0.0) {
+            color = '#eab308'; // yellow-500
+            glowColor = 'rgba(234, 179, 8, 0.6)'; // yellow-500 with alpha
+            glowIntensity = 6;
+        } else {
+            color = '#ef4444'; // red-500
+            glowColor = 'rgba(239, 68, 68, 0.4)'; // red-500 with alpha
+            glowIntensity = 4;
+        }
+    } else if (bandType === 'high') {
+        // High: Wide. Green > 0.0, else Yellow/Red
+        if (correlation > 0.0) {
+            color = '#22c55e'; // green-500
+            glowColor = 'rgba(34, 197, 94, 0.8)'; // green-500 with alpha
+            glowIntensity = 8;
+        } else if (correlation > -0.5) {
+            color = '#eab308'; // yellow-500
+            glowColor = 'rgba(234, 179, 8, 0.6)'; // yellow-500 with alpha
+            glowIntensity = 6;
+        } else {
+            color = '#ef4444'; // red-500
+            glowColor = 'rgba(239, 68, 68, 0.4)'; // red-500 with alpha
+            glowIntensity = 4;
+        }
+    } else {
+        // Default fallback
+        color = '#6b7280'; // gray-500
+        glowColor = 'rgba(107, 114, 128, 0)'; // gray-500, no glow
+        glowIntensity = 0;
+    }
+    
+    // Create glow style string (box-shadow)
+    const glow = `0 0 ${glowIntensity}px ${glowColor}`;
+    
+    return { color, glow };
+}
+
+/**
+ * Get color for waveform based on frequency content at a given sample
+ * Uses FFT data to determine frequency coloring
+ * @param {number} sampleIndex - Index in the waveform buffer
+ * @param {number} bufferLength - Total buffer length
+ * @returns {string} CSS color string
+ */
+function getWaveformColor(sampleIndex, bufferLength) {
+    if (!fftData || !smoothedData || smoothedData.length === 0) {
+        // Default high-contrast color if no FFT data
+        return '#3b82f6'; // blue-500
+    }
+    
+    // Map sample position to frequency bin (approximate)
+    // Lower frequencies are typically more prominent in the waveform
+    // We'll use a simple mapping: earlier samples = lower frequencies
+    const normalizedPos = sampleIndex / bufferLength;
+    
+    // Map to frequency bins (inverse: lower position = lower frequency)
+    const freqBinIndex = Math.floor((1 - normalizedPos) * smoothedData.length);
+    const binIndex = Math.max(0, Math.min(smoothedData.length - 1, freqBinIndex));
+    
+    // Get energy level from FFT data
+    const energy = smoothedData[binIndex];
+    const normalizedEnergy = isFinite(energy) ? Math.max(0, Math.min(1, (energy - MIN_DB) / (MAX_DB - MIN_DB))) : 0;
+    
+    // Color scheme: lows (blue) -> mids (purple) -> highs (red)
+    // Based on position in buffer and energy
+    if (normalizedPos < 0.33) {
+        // Low frequencies - blue to cyan
+        const intensity = 0.4 + normalizedEnergy * 0.6;
+        return `rgba(59, 130, 246, ${intensity})`; // blue-500
+    } else if (normalizedPos < 0.66) {
+        // Mid frequencies - purple
+        const intensity = 0.4 + normalizedEnergy * 0.6;
+        return `rgba(168, 85, 247, ${intensity})`; // purple-500
+    } else {
+        // High frequencies - red to orange
+        const intensity = 0.4 + normalizedEnergy * 0.6;
+        return `rgba(239, 68, 68, ${intensity})`; // red-500
+    }
+}
+
+/**
+ * Draw the amplitude axis with dBFS tick marks
+ * Shows -INF at center line and one reference line at 0 dBFS (full scale)
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawAmplitudeAxis(ctx, width, height) {
+    if (!ctx) return;
+    
+    const centerY = height / 2;
+    const waveformHeight = height * 0.4; // 80% of height for waveform (40% above and below center)
+    
+    // Clear canvas
+    ctx.fillStyle = '#030712'; // gray-950
+    ctx.fillRect(0, 0, width, height);
+    
+    // Set up drawing style (matching existing UI)
+    ctx.strokeStyle = '#4b5563'; // gray-600
+    ctx.lineWidth = 1;
+    ctx.font = '11px system-ui, -apple-system, sans-serif';
+    ctx.fillStyle = '#9ca3af'; // gray-400
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    
+    // Draw center line (-INF at 0 amplitude)
+    const tickStartX = 2; // Start 2px from left edge
+    const tickEndX = width - 2; // End 2px from right edge
+    
+    ctx.strokeStyle = 'rgba(107, 114, 128, 0.5)'; // gray-500 with transparency
+    ctx.beginPath();
+    ctx.moveTo(tickStartX, centerY);
+    ctx.lineTo(tickEndX, centerY);
+    ctx.stroke();
+    
+    // Draw -INF label at center
+    const centerLabel = '-INF';
+    const labelX = 4; // Position label 4px from left edge
+    const centerTextHeight = 12;
+    const centerPadding = 2;
+    
+    // Measure text to ensure it fits
+    const centerTextMetrics = ctx.measureText(centerLabel);
+    const centerTextWidth = centerTextMetrics.width;
+    
+    // Draw label background (ensure it doesn't exceed canvas width)
+    const bgWidth = Math.min(centerTextWidth + centerPadding * 2, width - labelX - 2);
+    ctx.fillStyle = 'rgba(3, 7, 18, 0.7)'; // gray-950 with transparency
+    ctx.fillRect(
+        labelX,
+        centerY - centerTextHeight / 2 - 1,
+        bgWidth,
+        centerTextHeight + 2
+    );
+    
+    // Draw center label text
+    ctx.fillStyle = '#9ca3af'; // gray-400
+    ctx.fillText(centerLabel, labelX + centerPadding, centerY);
+    
+    // Draw reference line at 0 dBFS (full scale, top of waveform area)
+    // 0 dBFS = amplitude 1.0, maps to top: centerY - waveformHeight
+    const referenceY = centerY - waveformHeight;
+    
+    ctx.strokeStyle = '#4b5563'; // gray-600
+    ctx.beginPath();
+    ctx.moveTo(tickStartX, referenceY);
+    ctx.lineTo(tickEndX, referenceY);
+    ctx.stroke();
+    
+    // Draw 0 dBFS label
+    const referenceLabel = '0 dBFS';
+    const referenceTextMetrics = ctx.measureText(referenceLabel);
+    const referenceTextWidth = referenceTextMetrics.width;
+    
+    // Draw label background (ensure it doesn't exceed canvas width)
+    const refBgWidth = Math.min(referenceTextWidth + centerPadding * 2, width - labelX - 2);
+    ctx.fillStyle = 'rgba(3, 7, 18, 0.7)';
+    ctx.fillRect(
+        labelX,
+        referenceY - centerTextHeight / 2 - 1,
+        refBgWidth,
+        centerTextHeight + 2
+    );
+    
+    ctx.fillStyle = '#9ca3af';
+    ctx.fillText(referenceLabel, labelX + centerPadding, referenceY);
+    
+    // Draw second reference line at 0 dBFS (full scale, bottom of waveform area)
+    // 0 dBFS = amplitude 1.0, maps to bottom: centerY + waveformHeight
+    const referenceYBottom = centerY + waveformHeight;
+    
+    ctx.strokeStyle = '#4b5563'; // gray-600
+    ctx.beginPath();
+    ctx.moveTo(tickStartX, referenceYBottom);
+    ctx.lineTo(tickEndX, referenceYBottom);
+    ctx.stroke();
+    
+    // Draw 0 dBFS label at bottom
+    const refBgWidthBottom = Math.min(referenceTextWidth + centerPadding * 2, width - labelX - 2);
+    ctx.fillStyle = 'rgba(3, 7, 18, 0.7)';
+    ctx.fillRect(
+        labelX,
+        referenceYBottom - centerTextHeight / 2 - 1,
+        refBgWidthBottom,
+        centerTextHeight + 2
+    );
+    
+    ctx.fillStyle = '#9ca3af';
+    ctx.fillText(referenceLabel, labelX + centerPadding, referenceYBottom);
+}
+
+/**
+ * Get sample from circular buffer at a given index (handles wrapping)
+ * @param {number} index - Index in the circular buffer (can be negative or beyond buffer size)
+ * @returns {number} Sample value
  */
 function getBufferSample(index) {
     // Handle negative indices and wrap around
     while (index < 0) {
         index += waveformBufferSize;
     }
-    index = index % waveformBufferSize;
-    return waveformBuffer[index] || 0;
+    index = index % waveformBufferSize;
+    return waveformBuffer[index] || 0;
+}
+
+/**
+ * Draw the oscilloscope waveform with Rekordbox-style multi-colored visualization
+ * Draws vertical lines/rectangles with colors representing frequency content
+ * Shows most recent data on the right, older data on the left
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {AnalyserNode} analyser - Web Audio AnalyserNode (left channel for waveform display)
+ * @param {number} canvasWidth - Canvas width in CSS pixels
+ * @param {number} canvasHeight - Canvas height in CSS pixels
+ */
+function drawOscilloscope(ctx, analyser, canvasWidth, canvasHeight) {
+    if (!ctx || !analyser || waveformBuffer.length === 0) {
+        return;
+    }
+    
+    // Calculate active draw area using same margins as spectrum
+    const activeLeft = MARGIN_LEFT;
+    const activeTop = MARGIN_TOP;
+    const activeRight = canvasWidth - MARGIN_RIGHT;
+    const activeBottom = canvasHeight - MARGIN_BOTTOM;
+    const activeWidth = activeRight - activeLeft;
+    const activeHeight = activeBottom - activeTop;
+    
+    // Map amplitude range (-1.0 to +1.0) to active area (activeBottom to activeTop)
+    // +1.0 maps to activeTop (top of active area)
+    // -1.0 maps to activeBottom (bottom of active area)
+    // 0.0 maps to center
+    const centerY = activeTop + activeHeight / 2;
+    const amplitudeRange = activeHeight / 2; // Half the active height represents amplitude range from 0 to ±1.0
+    
+    const bufferLength = waveformBuffer.length;
+    
+    // Calculate how many samples to show based on view duration
+    const bpm = HARDCODED_BPM;
+    const bars = parseInt(viewLengthSelect.value) || 4;
+    // Bars are measured in track time: at half speed the same bars take twice as long to arrive
+    const viewDuration = calculateViewDuration(bpm, bars) / getEffectivePlaybackRate();
+    const sampleRate = getSampleRate();
+    const samplesToShow = Math.min(bufferLength, Math.ceil(viewDuration * sampleRate));
+    
+    // Calculate buffer index range to display
+    // Newest sample is at writeIndex - 1 (most recent)
+    // Oldest visible sample is at writeIndex - samplesToShow
+    const newestBufferIdx = waveformWriteIndex - 1;
+    const oldestBufferIdx = waveformWriteIndex - samplesToShow;
+    
+    // Clear entire canvas
+    ctx.fillStyle = '#030712'; // gray-950
+    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    
+    // ===== DRAW Y-AXIS LABELS AND GRID (Linear Amplitude Scale) =====
+    ctx.save();
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    
+    // Linear amplitude markers: +1.0 (top), +0.5, 0.0 (center), -0.5, -1.0 (bottom)
+    const amplitudeMarkers = [
+        { label: '+1.0', amplitude: 1.0 },
+        { label: '+0.5', amplitude: 0.5 },
+        { label: ' 0.0', amplitude: 0.0 },  // Center line (will be brighter)
+        { label: '-0.5', amplitude: -0.5 },
+        { label: '-1.0', amplitude: -1.0 },
+    ];
+    
+    for (const marker of amplitudeMarkers) {
+        // Map amplitude (-1.0 to +1.0) to Y coordinate (activeBottom to activeTop)
+        // +1.0 -> activeTop, -1.0 -> activeBottom, 0.0 -> centerY
+        const y = centerY - (marker.amplitude * amplitudeRange);
+        const clampedY = Math.max(activeTop, Math.min(activeBottom, y));
+        
+        // Draw horizontal grid line across active area
+        // Center line (0.0) is slightly brighter
+        if (marker.amplitude === 0.0) {
+            ctx.strokeStyle = 'rgba(75, 85, 99, 0.5)'; // Slightly brighter for center line
+        } else {
+            ctx.strokeStyle = 'rgba(75, 85, 99, 0.3)'; // gray-600 with transparency
+        }
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(activeLeft, clampedY);
+        ctx.lineTo(Math.min(activeRight, canvasWidth - 1), clampedY); // Ensure line doesn't extend past canvas
+        ctx.stroke();
+        
+        // Draw label in left margin
+        ctx.fillStyle = '#9ca3af'; // gray-400
+        const labelX = 8; // Position in left margin
+        ctx.fillText(marker.label, labelX, clampedY);
+    }
+    
+    ctx.restore();
+    
+    // ===== DRAW WAVEFORM IN ACTIVE AREA =====
+    // Save context and clip to active area
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(activeLeft, activeTop, activeWidth, activeHeight);
+    ctx.clip();
+    
+    // Draw waveform using Peak Sampling (scan all samples in pixel's time window)
+    // Most recent data appears on the right, older data scrolls left
+    // x=activeLeft (leftmost) = oldest visible data, x=activeRight-1 (rightmost) = newest data
+    
+    // Calculate samples per pixel for peak sampling
+    const samplesPerPixel = samplesToShow / activeWidth;
+    
+    // Iterate through each pixel column in the active area
+    for (let x = activeLeft; x < activeRight; x++) {
+        // Calculate the normalized position (0.0 to 1.0) within the active area
+        const normalizedX = activeWidth > 1 ? (x - activeLeft) / (activeWidth - 1) : 0;
+        
+        // Calculate the buffer index range for this pixel's time slice
+        const centerBufferIdx = oldestBufferIdx + normalizedX * (newestBufferIdx - oldestBufferIdx);
+        const startBufferIndex = Math.floor(centerBufferIdx - samplesPerPixel / 2);
+        const endBufferIndex = Math.ceil(centerBufferIdx + samplesPerPixel / 2);
+        
+        // Find the peak (maximum absolute amplitude) in this pixel's time slice
+        let maxAmplitude = 0;
+        
+        for (let bufferIdx = startBufferIndex; bufferIdx <= endBufferIndex; bufferIdx++) {
+            const sample = getBufferSample(bufferIdx);
+            
+            // Calculate amplitude (absolute value)
+            const amplitude = Math.abs(sample);
+            
+            // Track the peak
+            if (amplitude > maxAmplitude) {
+                maxAmplitude = amplitude;
+            }
+        }
+        
+        // Clamp maxAmplitude to valid range [0, 1]
+        maxAmplitude = Math.max(0, Math.min(1, maxAmplitude));
+        
+        // Calculate amplitude-based color (matches Spectrogram's gradient style)
+        // Normalized amplitude (0.0 to 1.0)
+        const normalized = maxAmplitude;
+        
+        // Dynamic HSLA coloring:
+        // Hue: shifts from Blue (210) to Cyan (190) as amplitude increases
+        const hue = 210 - (normalized * 20);
+        
+        // Lightness: shifts from Dark (20) to Bright White (90) as amplitude increases
+        const lightness = 20 + (normalized * 70);
+        
+        // Alpha: shifts from Transparent (0.6) to Opaque (1.0) as amplitude increases
+        const alpha = 0.6 + (normalized * 0.4);
+        
+        // Create HSLA color string
+        const color = `hsla(${hue}, 100%, ${lightness}%, ${alpha})`;
+        
+        // Calculate bar height based on peak amplitude
+        const barHeight = maxAmplitude * amplitudeRange;
+        
+        // Draw symmetric vertical bar centered at centerY with amplitude-based color
+        // This creates a solid "envelope" that looks much cleaner than a thin line
+        ctx.fillStyle = color;
+        ctx.fillRect(x, centerY - barHeight, 1, barHeight * 2);
+    }
+    
+    // Restore context (removes clipping)
+    ctx.restore();
+}
+
+/**
+ * Draw the oscilloscope waveform (wrapper for compatibility)
+ */
+function drawOscilloscopeWrapper() {
+    if (!oscilloscopeCtx || !oscilloscopeCanvas || waveformBuffer.length === 0) {
+        return;
+    }
+    
+    // Get CSS dimensions from canvas style or calculate from device pixels
+    // canvas.width is in device pixels after resizeOscilloscopeCanvas is called
+    const dpr = window.devicePixelRatio || 1;
+    let cssWidth = oscilloscopeCanvas.width / dpr;
+    let cssHeight = oscilloscopeCanvas.height / dpr;
+    
+    // If style width is set, use that (more reliable)
+    if (oscilloscopeCanvas.style.width) {
+        cssWidth = parseFloat(oscilloscopeCanvas.style.width);
+    }
+    if (oscilloscopeCanvas.style.height) {
+        cssHeight = parseFloat(oscilloscopeCanvas.style.height);
+    }
+    
+    drawOscilloscope(oscilloscopeCtx, analyserLeft, cssWidth, cssHeight);
+}
+
+/**
+ * Resize oscilloscope canvas to match container size with HiDPI support
+ */
+function resizeOscilloscopeCanvas() {
+    if (!oscilloscopeCanvas || !oscilloscopeContainer) return;
+    
+    // Get container dimensions (clientWidth/clientHeight already account for padding)
+    const containerWidth = oscilloscopeContainer.clientWidth;
+    const containerHeight = oscilloscopeContainer.clientHeight;
+    
+    // Calculate canvas CSS dimensions (single canvas fills container, accounting for padding)
+    // The container has p-4 padding (16px on each side), so clientWidth already accounts for this
+    let cssWidth = containerWidth;
+    let cssHeight = containerWidth / OSCILLOSCOPE_ASPECT_RATIO;
+    
+    if (cssHeight > containerHeight) {
+        cssHeight = containerHeight;
+        cssWidth = containerHeight * OSCILLOSCOPE_ASPECT_RATIO;
+    }
+    
+    // Ensure canvas doesn't exceed container bounds
+    cssWidth = Math.min(cssWidth, containerWidth);
+    cssHeight = Math.min(cssHeight, containerHeight);
+    
+    // Handle devicePixelRatio for HiDPI displays
+    const dpr = window.devicePixelRatio || 1;
+    
+    // Set canvas internal resolution (device pixels)
+    // Note: Setting width/height resets the context transform
+    oscilloscopeCanvas.width = cssWidth * dpr;
+    oscilloscopeCanvas.height = cssHeight * dpr;
+    
+    // Set canvas CSS size (logical pixels) - use explicit pixel values, not percentage
+    oscilloscopeCanvas.style.width = cssWidth + 'px';
+    oscilloscopeCanvas.style.height = cssHeight + 'px';
+    oscilloscopeCanvas.style.maxWidth = '100%'; // Prevent overflow
+    oscilloscopeCanvas.style.maxHeight = '100%'; // Prevent overflow
+    
+    // Reset transform and scale context to account for devicePixelRatio
+    oscilloscopeCtx.setTransform(1, 0, 0, 1, 0, 0);
+    oscilloscopeCtx.scale(dpr, dpr);
+    
+    // Update buffer size when canvas resizes
+    updateWaveformBufferSize();
+    
+    // Redraw if we have data
+    if (waveformBuffer.length > 0) {
+        drawOscilloscopeWrapper();
+    }
+}
+
+/**
+ * Calculate energy (RMS) for a frequency band from FFT data
+ * Uses bin indices (startBin/endBin) if available for efficient computation
+ * @param {Float32Array} fftData - FFT frequency data in dB
+ * @param {Object} bandDef - Band definition object with startBin, endBin properties
+ * @returns {number} Energy in dB (or -Infinity if no energy)
+ */
+function calculateBandEnergy(fftData, bandDef) {
+    if (!fftData || !bandDef) {
+        return -Infinity;
+    }
+    
+    // Use bin indices if available, otherwise fall back to frequency-based lookup
+    if (bandDef.startBin != null && bandDef.endBin != null) {
+        // Use bin indices directly (more efficient and accurate)
+        const validBins = [];
+        const startBin = Math.max(0, Math.min(bandDef.startBin, fftData.length - 1));
+        const endBin = Math.max(startBin, Math.min(bandDef.endBin, fftData.length - 1));
+        
+        for (let i = startBin; i <= endBin; i++) {
+            const dbValue = fftData[i];
+            // Only include finite values (skip -Infinity)
+            if (isFinite(dbValue)) {
+                validBins.push(dbValue);
+            }
+        }
+        
+        if (validBins.length === 0) {
+            return -Infinity;
+        }
+        
+        // Convert dB to linear scale, calculate RMS, then convert back to dB
+        // RMS in linear: sqrt(sum(x^2) / n)
+        // For dB values: x_linear = 10^(dB/20)
+        let sumSquared = 0;
+        for (let i = 0; i < validBins.length; i++) {
+            const linearValue = Math.pow(10, validBins[i] / 20);
+            sumSquared += linearValue * linearValue;
+        }
+        
+        const rmsLinear = Math.sqrt(sumSquared / validBins.length);
+        const rmsDb = 20 * Math.log10(rmsLinear);
+        
+        return rmsDb;
+    } else {
+        // Fallback to frequency-based lookup (for backwards compatibility)
+        return -Infinity;
+    }
+}
+
+/**
+ * Update band states with new energy values and apply decay
+ * Uses normalized 0-1 values with category gain compensation
+ * @param {Float32Array} fftData - Current FFT data in dB
+ * @param {Float32Array} binFrequencies - Array of frequencies for each bin
+ */
+function updateBandStates(fftData, binFrequencies) {
+    if (!fftData || !binFrequencies || bandStates.length === 0) {
+        return;
+    }
+    
+    for (let i = 0; i < bandStates.length; i++) {
+        const bandState = bandStates[i];
+        const bandDef = bandDefinitions[i];
+        
+        // 1. Calculate current energy for this band (in dB)
+        const newEnergy = calculateBandEnergy(fftData, bandDef);
+        
+        // Store raw energy for reference
+        if (isFinite(newEnergy)) {
+            bandState.currentEnergy = newEnergy;
+        }
+        
+        // 2. Apply category gain (tilt compensation)
+        const categoryGain = getCategoryGain(bandState.category, bandDef.center);
+        const compensated = isFinite(newEnergy) ? newEnergy + categoryGain : -Infinity;
+        
+        // 3. Compute how far above threshold (in dB)
+        const above = isFinite(compensated) ? compensated - bandState.threshold : -Infinity;
+        
+        // 4. Normalize to 0-1 using dynamic range window above threshold with gentle curve
+        const linear = isFinite(above) && above > 0 
+            ? Math.max(0, Math.min(1, above / ENERGY_DYNAMIC_RANGE_DB))
+            : 0;
+        
+        // Apply a gentle curve so small values are a bit more visible,
+        // but we don't instantly saturate to 1.0
+        const normalized = Math.pow(linear, 0.8);
+        
+        // 5. Store instant value (drives the main bar, no peak hold)
+        bandState.instantValue = normalized;
+        
+        // 6. Update peakValue with decay logic (only for peak cap indicator)
+        if (normalized > bandState.peakValue) {
+            // If new normalized value is higher, update immediately
+            bandState.peakValue = normalized;
+        } else {
+            // Otherwise, apply decay based on decayMultiplier and globalDecaySpeed
+            const decayFactor = Math.pow(bandState.peakHoldDecayRate, bandState.decayMultiplier * globalDecaySpeed);
+            bandState.peakValue *= decayFactor;
+        }
+        
+        // Ensure peakValue stays in valid range
+        bandState.peakValue = Math.max(0, Math.min(1, bandState.peakValue));
+    }
+}
+
+/**
+ * Draw the band visualizer
+ * Uses instantValue for main bar and peakValue for peak cap indicator
+ */
+/**
+ * Draw Vector Scope (Lissajous curve) visualization
+ * Rotated 45 degrees so Vertical = Mono, Horizontal = Stereo
+ * Uses "Cool" color palette (Blue->Cyan->White) based on amplitude
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {Float32Array} leftData - Left channel time-domain data
+ * @param {Float32Array} rightData - Right channel time-domain data
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {string} color - CSS color string for border/glow (traffic light status) - NOT used for line color
+ */
+function drawScope(ctx, leftData, rightData, width, height, color) {
+    if (!ctx || !leftData || !rightData || leftData.length === 0 || rightData.length === 0) {
+        return;
+    }
+    
+    const centerWidth = width / 2;
+    const centerHeight = height / 2;
+    
+    // Scale factor to fit waveform in canvas (leave some margin)
+    const scale = Math.min(width, height) * 0.4;
+    
+    // Phosphor persistence effect: semi-transparent black overlay
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
+    ctx.fillRect(0, 0, width, height);
+    
+    // Draw center crosshair (subtle grid lines)
+    ctx.strokeStyle = 'rgba(107, 114, 128, 0.2)'; // gray-500 with low opacity
+    ctx.lineWidth = 1;
+    
+    // Vertical line (mono indicator)
+    ctx.beginPath();
+    ctx.moveTo(centerWidth, 0);
+    ctx.lineTo(centerWidth, height);
+    ctx.stroke();
+    
+    // Horizontal line (stereo indicator)
+    ctx.beginPath();
+    ctx.moveTo(0, centerHeight);
+    ctx.lineTo(width, centerHeight);
+    ctx.stroke();
+    
+    // ===== ADAPTIVE SAMPLING (AVOID SPIKES) =====
+    // Calculate step size to draw ~800 points regardless of FFT size
+    // This prevents the scope from becoming a jagged mess at high resolutions
+    const step = Math.max(1, Math.floor(leftData.length / 800));
+    const minLength = Math.min(leftData.length, rightData.length);
+    
+    // Find peak amplitude for normalization (to ensure consistent color scaling)
+    let peakAmplitude = 0;
+    for (let i = 0; i < minLength; i += step) {
+        const left = leftData[i];
+        const right = rightData[i];
+        
+        if (isFinite(left) && isFinite(right)) {
+            // Calculate amplitude at this point (average of both channels)
+            const avg = (left + right) / 2;
+            const amplitude = Math.abs(avg);
+            peakAmplitude = Math.max(peakAmplitude, amplitude);
+        }
+    }
+    
+    // Draw Lissajous curve (rotated 45 degrees) with dynamic amplitude-based coloring
+    // Each point is colored based on its specific amplitude in the band
+    for (let i = 0; i < minLength; i += step) {
+        const left = leftData[i];
+        const right = rightData[i];
+        
+        // Skip invalid samples
+        if (!isFinite(left) || !isFinite(right)) {
+            continue;
+        }
+        
+        // Calculate amplitude at this specific point (average of both channels)
+        const avg = (left + right) / 2;
+        const amplitude = Math.abs(avg);
+        
+        // Normalize amplitude to [0, 1] using peak amplitude for this band
+        // This ensures colors are relative to the band's own amplitude range
+        const normalized = peakAmplitude > 0 
+            ? Math.max(0, Math.min(1, amplitude / peakAmplitude))
+            : 0;
+        
+        // Generate "Cool" color palette based on this point's amplitude
+        // Hue: shifts from Blue (210) to Cyan (190) as amplitude increases
+        const hue = 210 - (normalized * 20);
+        
+        // Lightness: shifts from Dark (20) to Bright White (90) as amplitude increases
+        const lightness = 20 + (normalized * 70);
+        
+        // Alpha: shifts from Transparent (0.6) to Opaque (1.0) as amplitude increases
+        const alpha = 0.6 + (normalized * 0.4);
+        
+        // Create HSLA color string for this specific point
+        const pointColor = `hsla(${hue}, 100%, ${lightness}%, ${alpha})`;
+        
+        // Set color for this point
+        ctx.fillStyle = pointColor;
+        
+        // Lissajous curve math (rotated 45 degrees):
+        // X = centerWidth + ((right - left) * scale)  // Horizontal = Stereo
+        // Y = centerHeight - ((right + left) * scale) // Vertical = Mono
+        // Note: Subtract for Y because screen Y increases downward, but we want positive mono to go up
+        const x = centerWidth + ((right - left) * scale);
+        const y = centerHeight - ((right + left) * scale);
+        
+        // Clamp to canvas bounds
+        const clampedX = Math.max(0, Math.min(width - 1, x));
+        const clampedY = Math.max(0, Math.min(height - 1, y));
+        
+        // Draw a small dot (1 pixel) with amplitude-based color
+        ctx.fillRect(Math.floor(clampedX), Math.floor(clampedY), 1, 1);
+    }
+    
+    // Note: The `color` parameter (traffic light status) is only used for the canvas border
+    // which is set via boxShadow in the calling code. The line color uses the "Cool" palette above.
+}
+
+/**
+ * Resize multi-band vector scope canvases to match container size
+ * Each canvas takes 1/4 of the container width (4-band)
+ */
+function resizeVectorScopeCanvas() {
+    if (!scopeSubCanvas || !scopeLowCanvas || !scopeMidCanvas || !scopeHighCanvas || !vectorScopeContainer) return;
+    
+    // Get container dimensions (accounting for gap-4 = 1rem = 16px, 3 gaps = 48px total)
+    const containerWidth = vectorScopeContainer.clientWidth;
+    const containerHeight = vectorScopeContainer.clientHeight;
+    
+    // Each canvas gets 1/4 of the width (minus gaps)
+    const gap = 16; // gap-4 = 1rem = 16px
+    const totalGaps = gap * 3; // 3 gaps between 4 canvases
+    const canvasWidth = (containerWidth - totalGaps) / 4;
+    const canvasHeight = Math.min(250, containerHeight - 40); // Leave room for labels
+    
+    // Handle devicePixelRatio for HiDPI displays
+    const dpr = window.devicePixelRatio || 1;
+    
+    // Resize all four canvases
+    const canvases = [
+        { canvas: scopeSubCanvas, ctx: scopeSubCtx },
+        { canvas: scopeLowCanvas, ctx: scopeLowCtx },
+        { canvas: scopeMidCanvas, ctx: scopeMidCtx },
+        { canvas: scopeHighCanvas, ctx: scopeHighCtx }
+    ];
+    
+    canvases.forEach(({ canvas, ctx }) => {
+        if (!canvas || !ctx) return;
+        
+        // Set canvas internal resolution (device pixels)
+        canvas.width = canvasWidth * dpr;
+        canvas.height = canvasHeight * dpr;
+        
+        // Set canvas CSS size (logical pixels)
+        canvas.style.width = canvasWidth + 'px';
+        canvas.style.height = canvasHeight + 'px';
+        
+        // Reset transform and scale context to account for devicePixelRatio
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.scale(dpr, dpr);
+    });
+}
+
+/**
+ * Update function: Read FFT data from analyser and apply smoothing
+ */
+function update() {
+    if (!analyserLeft) {
+        if (Math.random() < 0.01) {
+            console.warn('Update: No analyser available');
+        }
+        return;
+    }
+    
+    if (!fftData) {
+        if (Math.random() < 0.01) {
+            console.warn('Update: No fftData array available');
+        }
+        return;
+    }
+    
+    // Read FFT data for the signal selected by the channel mode (for spectrum visualization)
+    const { primary, secondary } = getChannelModeSignals();
+    const engineFrames = isCustomFftEngineActive() ? collectAllEngineFrames() : null;
+    readSignalSpectrum(primary, fftData, engineFrames);
+    
+    // Check if we're getting any valid values (-Infinity is valid, NaN is not)
+    const hasAnyData = Array.from(fftData).some(val => !isNaN(val));
+    
+    if (!hasAnyData && Math.random() < 0.1) {
+        console.warn('FFT data appears to be all NaN. Audio may not be flowing through analyser.');
+    }
+    
+    // Update smoothedData with fixed fast alpha (0.8) for responsive live view
+    if (smoothedData) {
+        updateEMA(fftData, smoothedData, SMOOTHED_DATA_ALPHA);
+    }
+    
+    // Update averageData with variable alpha from slider (for long-term average)
+    if (averageData) {
+        // Use a separate initialization flag for averageData
+        if (!averageDataInitialized) {
+            for (let i = 0; i < fftData.length; i++) {
+                averageData[i] = fftData[i];
+            }
+            averageDataInitialized = true;
+        } else {
+            updateEMA(fftData, averageData, averageDataAlpha);
+        }
+    }
+    
+    // Overlay channel (R or Side) for the L+R and M+S modes
+    if (secondary) {
+        updateSecondarySpectrum(secondary, engineFrames);
+    }
+    
+    // Constant-Q view (runs on captured samples, once per hop)
+    updateConstantQ();
+    
+    // Apply frequency smoothing to the live and average layers
+    updateDisplaySpectra();
+    
+    // Track the strongest peaks of the live spectrum for the labels
+    if (peakLabelsEnabled) {
+        updatePeakLabels();
+    }
+    
+    // Follow / re-measure the harmonic series
+    if (harmonicMode !== 'off') {
+        updateHarmonics();
+    }
+    
+    // Hunt for persistent resonances in the long-term average
+    if (resonanceEnabled && averageDataInitialized) {
+        updateResonances(performance.now() / 1000);
+    }
+    
+    // Spectral descriptors of the raw frame (flux needs frame-to-frame changes)
+    if (descriptorsEnabled) {
+        updateSpectralDescriptors();
+    }
+    
+    // Update peak-hold trace from the raw spectrum so short peaks are caught
+    if (peakHoldEnabled) {
+        updatePeakHold(fftData, performance.now() / 1000);
+    }
+    
+    // Update A/B compare averages (both sources, whichever is audible)
+    updateCompareAverages();
+    
+    // Score A/B band clashes while the files play
+    if (clashEnabled && isTransportPlaying()) {
+        updateClashDetection();
+    }
+    
+    // Update waveform buffer
+    updateWaveform();
+    
+    // Update multi-band time-domain data arrays (for multi-band vector scope)
+    if (analyserSubL && analyserSubR && analyserLowL && analyserLowR && analyserMidL && analyserMidR && analyserHighL && analyserHighR &&
+        timeDomainDataSubL && timeDomainDataSubR && timeDomainDataLowL && timeDomainDataLowR && timeDomainDataMidL && timeDomainDataMidR && 
+        timeDomainDataHighL && timeDomainDataHighR) {
+        analyserSubL.getFloatTimeDomainData(timeDomainDataSubL);
+        analyserSubR.getFloatTimeDomainData(timeDomainDataSubR);
+        analyserLowL.getFloatTimeDomainData(timeDomainDataLowL);
+        analyserLowR.getFloatTimeDomainData(timeDomainDataLowR);
+        analyserMidL.getFloatTimeDomainData(timeDomainDataMidL);
+        analyserMidR.getFloatTimeDomainData(timeDomainDataMidR);
+        analyserHighL.getFloatTimeDomainData(timeDomainDataHighL);
+        analyserHighR.getFloatTimeDomainData(timeDomainDataHighR);
+    }
+    
+    // Update band states with smoothed FFT data
+    if (smoothedData && audioContext) {
+        const binFrequencies = computeBinFrequencies();
+        if (binFrequencies.length > 0) {
+            updateBandStates(smoothedData, binFrequencies);
+        }
+    }
+}
+
+/**
+ * Draw the spectrum with two layers: Live bars (MAX) and Average curve (AVERAGE)
+ * Uses pixel-based loop for "Vision 4X" bar chart aesthetic
+ * @param {Float32Array} smoothed - Smoothed FFT data array (not used directly, kept for compatibility)
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawSpectrum(smoothed, ctx, width, height) {
+    if (!smoothedData || smoothedData.length === 0 || !averageData || averageData.length === 0 || !audioContext || !analyserLeft ||
+        !liveDisplayData || !averageDisplayData) {
+        console.warn('drawSpectrum: No data available', {
+            hasSmoothedData: !!smoothedData,
+            hasAverageData: !!averageData,
+            hasAudioContext: !!audioContext,
+            hasAnalyserLeft: !!analyserLeft
+        });
+        return;
+    }
+    
+    // Calculate active draw area
+    const activeLeft = MARGIN_LEFT;
+    const activeTop = MARGIN_TOP;
+    const activeRight = width - MARGIN_RIGHT;
+    const activeBottom = height - MARGIN_BOTTOM;
+    const activeWidth = activeRight - activeLeft;
+    const activeHeight = activeBottom - activeTop;
+    
+    // Save context and set up clipping for active draw area
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(activeLeft, activeTop, activeWidth, activeHeight);
+    ctx.clip();
+    
+    // Fill background of active draw area
+    ctx.fillStyle = '#030712'; // gray-950
+    ctx.fillRect(activeLeft, activeTop, activeWidth, activeHeight);
+    
+    // A/B clash regions shade the background behind every curve
+    drawClashRegions(ctx, width, height);
+    
+    const fftSize = analyserLeft.fftSize;
+    
+    // Array to store average curve points
+    const averagePoints = [];
+    
+    // Array to store peak-hold trace points
+    const peakHoldPoints = [];
+    const showPeakHold = peakHoldEnabled && peakHoldInitialized && peakHoldData && peakHoldData.length === smoothedData.length;
+    
+    // ===== PIXEL-BASED LOOP =====
+    // Iterate from MARGIN_LEFT to width - MARGIN_RIGHT (one iteration per pixel column)
+    for (let x = activeLeft; x < activeRight; x++) {
+        // Calculate frequency range for this pixel
+        const startFreq = xToFrequency(x, width);
+        const endFreq = xToFrequency(x + 1, width);
+        
+        // Convert frequency range to FFT bin indices
+        const binStart = getBinIndex(startFreq, fftSize);
+        const binEnd = getBinIndex(endFreq, fftSize);
+        
+        // Display tilt for this pixel column (geometric centre of its frequency range)
+        const tiltDb = getTiltDb(Math.sqrt(startFreq * endFreq));
+        
+        // ===== LAYER 1: Live Data (MAX amplitude - "Vision 4X" bars) =====
+        // Find MAX amplitude in the bin range for this pixel
+        let maxDb = -Infinity;
+        for (let binIdx = binStart; binIdx <= binEnd && binIdx < liveDisplayData.length; binIdx++) {
+            const dbValue = liveDisplayData[binIdx];
+            if (isFinite(dbValue) && dbValue > maxDb) {
+                maxDb = dbValue;
+            }
+        }
+        
+        // Draw vertical 1px wide line from bottom up to max amplitude
+        if (isFinite(maxDb)) {
+            maxDb += tiltDb;
+            const y = dbToY(maxDb, height);
+            const clampedY = Math.max(activeTop, Math.min(activeBottom, y));
+            const barHeight = activeBottom - clampedY;
+            
+            if (barHeight > 0) {
+                // Use gradient color based on amplitude
+                const normalized = Math.max(0, Math.min(1, (maxDb - MIN_DB) / (MAX_DB - MIN_DB)));
+                const hue = 180; // Cyan
+                const saturation = 100;
+                const lightness = 20 + (normalized * 80);
+                const alpha = 0.3 + (normalized * 0.7);
+                
+                ctx.fillStyle = `hsla(${hue}, ${saturation}%, ${lightness}%, ${alpha})`;
+                ctx.fillRect(x, clampedY, 1, barHeight);
+            }
+        }
+        
+        // ===== LAYER 2: Average Data (AVERAGE amplitude - smooth curve) =====
+        // Find AVERAGE amplitude in the bin range for this pixel (simple arithmetic mean)
+        let sumDb = 0;
+        let count = 0;
+        for (let binIdx = binStart; binIdx <= binEnd && binIdx < averageDisplayData.length; binIdx++) {
+            const dbValue = averageDisplayData[binIdx];
+            if (isFinite(dbValue)) {
+                sumDb += dbValue;
+                count++;
+            }
+        }
+        
+        // Calculate average dB value
+        if (count > 0) {
+            const avgDb = sumDb / count + tiltDb;
+            const y = dbToY(avgDb, height);
+            const clampedY = Math.max(activeTop, Math.min(activeBottom, y));
+            averagePoints.push({ x: x, y: clampedY });
+        }
+        
+        // ===== LAYER 3: Peak-hold trace (MAX of held values) =====
+        if (showPeakHold) {
+            let heldDb = -Infinity;
+            for (let binIdx = binStart; binIdx <= binEnd && binIdx < peakHoldData.length; binIdx++) {
+                if (peakHoldData[binIdx] > heldDb) {
+                    heldDb = peakHoldData[binIdx];
+                }
+            }
+            if (isFinite(heldDb) && heldDb > MIN_DB) {
+                peakHoldPoints.push({ x: x, y: Math.max(activeTop, Math.min(activeBottom, dbToY(heldDb + tiltDb, height))) });
+            }
+        }
+    }
+    
+    // Draw smooth stroked line connecting averaged points (Layer 2)
+    if (averagePoints.length > 0) {
+        ctx.beginPath();
+        ctx.moveTo(averagePoints[0].x, averagePoints[0].y);
+        for (let i = 1; i < averagePoints.length; i++) {
+            ctx.lineTo(averagePoints[i].x, averagePoints[i].y);
+        }
+        ctx.strokeStyle = '#67e8f9'; // cyan-300 - bright and visible
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+    
+    // Overlay channel (R / Side): live trace and average curve in a second colour
+    if (isOverlayChannelMode() && secondaryDataInitialized) {
+        drawSecondaryChannel(ctx, width, height);
+    }
+    
+    // Draw peak-hold trace (Layer 3) above the average so held resonances stay visible
+    strokeCurve(ctx, peakHoldPoints, peakHoldInfinite ? 'rgba(248, 113, 113, 0.9)' : 'rgba(253, 224, 71, 0.85)', 1); // red-400 / yellow-300
+    
+    // ===== LAYER 4: A/B compare overlays and snapshot curves =====
+    const compareLegendRows = drawCompareOverlay(ctx, width, height);
+    const snapshotLegendRows = drawSnapshotOverlays(ctx, width, height, compareLegendRows);
+    drawEqMatchCurve(ctx, width, height, snapshotLegendRows);
+    
+    // ===== LAYER 5: Harmonic series and resonance markers =====
+    drawHarmonicOverlay(ctx, width, height);
+    drawResonanceMarkers(ctx, width, height);
+    
+    // Top-right annotations: which channel(s) are shown, and the active tilt
+    // (so tilted levels are not mistaken for raw dBFS)
+    const annotations = [];
+    const [primaryLabel, secondaryLabel] = CHANNEL_MODE_LABELS[spectrumChannelMode] || CHANNEL_MODE_LABELS.left;
+    annotations.push({ text: primaryLabel, color: '#67e8f9' }); // cyan-300, same as the average curve
+    if (secondaryLabel) {
+        annotations.push({ text: secondaryLabel, color: SECONDARY_CURVE_COLOR });
+    }
+    if (spectralTiltDbPerOct > 0) {
+        const pivotLabel = spectralTiltPivotHz >= 1000 ? `${spectralTiltPivotHz / 1000} kHz` : `${spectralTiltPivotHz} Hz`;
+        annotations.push({ text: `Tilt +${spectralTiltDbPerOct} dB/oct @ ${pivotLabel}`, color: '#9ca3af' }); // gray-400
+    }
+    ctx.font = '11px system-ui';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    annotations.forEach((annotation, index) => {
+        ctx.fillStyle = annotation.color;
+        ctx.fillText(annotation.text, activeRight - 8, activeTop + 6 + index * 14);
+    });
+    
+    // Restore context (removes clipping)
+    ctx.restore();
+}
+
+/**
+ * Compute a per-pixel average curve (arithmetic mean of dB over the bins in each pixel column)
+ * Same reduction as the main average curve, for overlays drawn on top of the spectrum
+ * @param {Float32Array} data - dB data (one value per FFT bin)
+ * @param {number} width - Canvas width
+ * @param {number} fftSize - FFT size the data was computed with
+ * @returns {Array<{x: number, db: number}>} Curve points (pixels without finite data are skipped)
+ */
+function computePixelCurve(data, width, fftSize) {
+    const points = [];
+    for (let x = MARGIN_LEFT; x < width - MARGIN_RIGHT; x++) {
+        const binStart = getBinIndex(xToFrequency(x, width), fftSize);
+        const binEnd = getBinIndex(xToFrequency(x + 1, width), fftSize);
+        
+        let sumDb = 0;
+        let count = 0;
+        for (let binIdx = binStart; binIdx <= binEnd && binIdx < data.length; binIdx++) {
+            if (isFinite(data[binIdx])) {
+                sumDb += data[binIdx];
+                count++;
+            }
+        }
+        
+        if (count > 0) {
+            points.push({ x, db: sumDb / count });
+        }
+    }
+    return points;
+}
+
+/**
+ * Stroke a curve through a list of points
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {Array<{x: number, y: number}>} points - Points in canvas coordinates
+ * @param {string} color - Stroke color
+ * @param {number} lineWidth - Line width in pixels
+ */
+function strokeCurve(ctx, points, color, lineWidth) {
+    if (points.length === 0) return;
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(points[i].x, points[i].y);
+    }
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.stroke();
 }
 
 /**
- * Draw the oscilloscope waveform with Rekordbox-style multi-colored visualization
- * Draws vertical lines/rectangles with colors representing frequency content
- * Shows most recent data on the right, older data on the left
+ * Draw the overlay channel of the L+R / M+S modes: thin live trace (per-pixel max) and average curve
  * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
- * @param {AnalyserNode} analyser - Web Audio AnalyserNode (left channel for waveform display)
- * @param {number} canvasWidth - Canvas width in CSS pixels
- * @param {number} canvasHeight - Canvas height in CSS pixels
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
  */
-function drawOscilloscope(ctx, analyser, canvasWidth, canvasHeight) {
-    if (!ctx || !analyser || waveformBuffer.length === 0) {
-        return;
+function drawSecondaryChannel(ctx, width, height) {
+    const fftSize = analyserLeft.fftSize;
+    const livePoints = [];
+    const averagePoints = [];
+    const clampY = (db) => Math.max(MARGIN_TOP, Math.min(height - MARGIN_BOTTOM, dbToY(db, height)));
+    
+    for (let x = MARGIN_LEFT; x < width - MARGIN_RIGHT; x++) {
+        const startFreq = xToFrequency(x, width);
+        const endFreq = xToFrequency(x + 1, width);
+        const binStart = getBinIndex(startFreq, fftSize);
+        const binEnd = getBinIndex(endFreq, fftSize);
+        const tiltDb = getTiltDb(Math.sqrt(startFreq * endFreq));
+        
+        let maxDb = -Infinity;
+        let sumDb = 0;
+        let count = 0;
+        for (let binIdx = binStart; binIdx <= binEnd && binIdx < secondaryLiveDisplayData.length; binIdx++) {
+            if (isFinite(secondaryLiveDisplayData[binIdx]) && secondaryLiveDisplayData[binIdx] > maxDb) {
+                maxDb = secondaryLiveDisplayData[binIdx];
+            }
+            if (isFinite(secondaryAverageDisplayData[binIdx])) {
+                sumDb += secondaryAverageDisplayData[binIdx];
+                count++;
+            }
+        }
+        
+        if (isFinite(maxDb)) {
+            livePoints.push({ x, y: clampY(maxDb + tiltDb) });
+        }
+        if (count > 0) {
+            averagePoints.push({ x, y: clampY(sumDb / count + tiltDb) });
+        }
     }
     
-    // Calculate active draw area using same margins as spectrum
-    const activeLeft = MARGIN_LEFT;
-    const activeTop = MARGIN_TOP;
-    const activeRight = canvasWidth - MARGIN_RIGHT;
-    const activeBottom = canvasHeight - MARGIN_BOTTOM;
-    const activeWidth = activeRight - activeLeft;
-    const activeHeight = activeBottom - activeTop;
+    strokeCurve(ctx, livePoints, 'rgba(251, 146, 60, 0.45)', 1); // orange-400, faint like the live bars
+    strokeCurve(ctx, averagePoints, SECONDARY_CURVE_COLOR, 2);
+}
+
+/**
+ * Draw the A/B compare overlays: A and B average curves and the B − A difference curve
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawCompareOverlay(ctx, width, height) {
+    if (!compareState || !compareAverageInitialized || !compareAverageA || compareAverageA.length !== frequencyBinCount) return 0;
     
-    // Map amplitude range (-1.0 to +1.0) to active area (activeBottom to activeTop)
-    // +1.0 maps to activeTop (top of active area)
-    // -1.0 maps to activeBottom (bottom of active area)
-    // 0.0 maps to center
-    const centerY = activeTop + activeHeight / 2;
-    const amplitudeRange = activeHeight / 2; // Half the active height represents amplitude range from 0 to ±1.0
+    const showCurves = !compareOverlayCheck || compareOverlayCheck.checked;
+    const showDiff = !!(compareDiffCheck && compareDiffCheck.checked);
+    if (!showCurves && !showDiff) return 0;
     
-    const bufferLength = waveformBuffer.length;
+    const fftSize = analyserLeft.fftSize;
     
-    // Calculate how many samples to show based on view duration
-    const bpm = HARDCODED_BPM;
-    const bars = parseInt(viewLengthSelect.value) || 4;
-    const viewDuration = calculateViewDuration(bpm, bars);
+    // Same frequency smoothing as the main average curve, so the three curves are comparable
+    smoothSpectrumForDisplay(compareAverageA, compareDisplayDataA);
+    smoothSpectrumForDisplay(compareAverageB, compareDisplayDataB);
+    
+    const curveA = computePixelCurve(compareDisplayDataA, width, fftSize);
+    const curveB = computePixelCurve(compareDisplayDataB, width, fftSize);
+    const legend = [];
+    
+    if (showCurves) {
+        // Same display tilt as the main curve (the difference curve is unaffected: tilt cancels out)
+        const toPoint = (p) => {
+            const db = p.db + getTiltDb(Math.sqrt(xToFrequency(p.x, width) * xToFrequency(p.x + 1, width)));
+            return { x: p.x, y: Math.max(MARGIN_TOP, Math.min(height - MARGIN_BOTTOM, dbToY(db, height))) };
+        };
+        strokeCurve(ctx, curveA.map(toPoint), '#fbbf24', 1.5); // amber-400
+        strokeCurve(ctx, curveB.map(toPoint), '#e879f9', 1.5); // fuchsia-400
+        legend.push({ label: 'A (ref)', color: '#fbbf24' }, { label: 'B (mix)', color: '#e879f9' });
+    }
+    
+    if (showDiff) {
+        // Curves share pixel columns; pair them up by x
+        const bByX = new Map(curveB.map(p => [p.x, p.db]));
+        const diffPoints = [];
+        curveA.forEach(p => {
+            if (bByX.has(p.x)) {
+                diffPoints.push({ x: p.x, y: diffDbToY(bByX.get(p.x) - p.db, height) });
+            }
+        });
+        
+        // 0 dB reference line for the difference curve
+        const zeroY = diffDbToY(0, height);
+        ctx.save();
+        ctx.setLineDash([4, 4]);
+        ctx.strokeStyle = 'rgba(74, 222, 128, 0.4)'; // green-400
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(MARGIN_LEFT, zeroY);
+        ctx.lineTo(width - MARGIN_RIGHT, zeroY);
+        ctx.stroke();
+        ctx.restore();
+        
+        strokeCurve(ctx, diffPoints, '#4ade80', 1.5); // green-400
+        legend.push({ label: `B − A (±${COMPARE_DIFF_RANGE_DB} dB)`, color: '#4ade80' });
+    }
+    
+    // Legend in the top-left corner of the plot
+    ctx.font = '11px system-ui';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    legend.forEach((item, index) => {
+        ctx.fillStyle = item.color;
+        ctx.fillText(item.label, MARGIN_LEFT + 8, MARGIN_TOP + 6 + index * 14);
+    });
+    return legend.length;
+}
+
+/**
+ * Get a snapshot's spectrum on the current bin grid (cached until the FFT size or sample rate changes)
+ * @param {Object} entry - Entry of spectrumSnapshots
+ * @returns {Float32Array} Per-bin dB levels, frequencyBinCount long
+ */
+function getSnapshotSpectrum(entry) {
     const sampleRate = getSampleRate();
-    const samplesToShow = Math.min(bufferLength, Math.ceil(viewDuration * sampleRate));
+    const key = `${frequencyBinCount}@${sampleRate}`;
+    if (entry.resampledKey !== key) {
+        entry.resampled = resampleSnapshotSpectrum(entry.snapshot, frequencyBinCount, sampleRate);
+        entry.resampledKey = key;
+    }
+    return entry.resampled;
+}
+
+/**
+ * Draw visible snapshot curves and the live-average-minus-snapshot difference curve
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} legendRow - First free legend row in the top-left corner (below the compare legend)
+ * @returns {number} First legend row still free after this overlay
+ */
+function drawSnapshotOverlays(ctx, width, height, legendRow) {
+    if (spectrumSnapshots.length === 0 || !averageDisplayData) return legendRow;
     
-    // Calculate buffer index range to display
-    // Newest sample is at writeIndex - 1 (most recent)
-    // Oldest visible sample is at writeIndex - samplesToShow
-    const newestBufferIdx = waveformWriteIndex - 1;
-    const oldestBufferIdx = waveformWriteIndex - samplesToShow;
+    const fftSize = analyserLeft.fftSize;
+    const legend = [];
     
-    // Clear entire canvas
-    ctx.fillStyle = '#030712'; // gray-950
-    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    spectrumSnapshots.forEach((entry, index) => {
+        const showCurve = entry.visible;
+        const showDiff = index === snapshotDiffIndex && averageDataInitialized;
+        if (!showCurve && !showDiff) return;
+        
+        // Same frequency smoothing as the live average, so the curves are comparable
+        smoothSpectrumForDisplay(getSnapshotSpectrum(entry), snapshotDisplayData);
+        const curve = computePixelCurve(snapshotDisplayData, width, fftSize);
+        
+        if (showCurve) {
+            const points = curve.map(p => {
+                const db = p.db + getTiltDb(Math.sqrt(xToFrequency(p.x, width) * xToFrequency(p.x + 1, width)));
+                return { x: p.x, y: Math.max(MARGIN_TOP, Math.min(height - MARGIN_BOTTOM, dbToY(db, height))) };
+            });
+            strokeCurve(ctx, points, entry.color, 1.5);
+            legend.push({ label: entry.snapshot.name, color: entry.color });
+        }
+        
+        if (showDiff) {
+            // Live average − snapshot, on the same ±COMPARE_DIFF_RANGE_DB scale as the A/B difference (tilt cancels out)
+            const liveByX = new Map(computePixelCurve(averageDisplayData, width, fftSize).map(p => [p.x, p.db]));
+            const diffPoints = [];
+            curve.forEach(p => {
+                if (liveByX.has(p.x)) {
+                    diffPoints.push({ x: p.x, y: diffDbToY(liveByX.get(p.x) - p.db, height) });
+                }
+            });
+            
+            ctx.save();
+            ctx.setLineDash([6, 3]);
+            strokeCurve(ctx, diffPoints, entry.color, 1.5);
+            ctx.restore();
+            legend.push({ label: `Live − ${entry.snapshot.name} (±${COMPARE_DIFF_RANGE_DB} dB, dashed)`, color: entry.color });
+        }
+    });
     
-    // ===== DRAW Y-AXIS LABELS AND GRID (Linear Amplitude Scale) =====
+    ctx.font = '11px system-ui';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    legend.forEach((item, index) => {
+        ctx.fillStyle = item.color;
+        ctx.fillText(item.label, MARGIN_LEFT + 8, MARGIN_TOP + 6 + (legendRow + index) * 14);
+    });
+    return legendRow + legend.length;
+}
+
+/**
+ * Draw the EQ match target (dashed) and the fitted EQ curve on the difference scale
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} legendRow - First free legend row in the top-left corner
+ */
+function drawEqMatchCurve(ctx, width, height, legendRow) {
+    if (!eqMatchResult || (eqMatchShowCheck && !eqMatchShowCheck.checked)) return;
+    
+    // Target: the smoothed reference − mix difference the bands were fitted to
+    const targetPoints = [];
+    eqMatchResult.grid.forEach((freq, i) => {
+        if (isFrequencyInView(freq)) {
+            targetPoints.push({ x: frequencyToX(freq, width), y: diffDbToY(eqMatchResult.targetDb[i], height) });
+        }
+    });
     ctx.save();
-    ctx.font = '10px monospace';
+    ctx.setLineDash([3, 3]);
+    strokeCurve(ctx, targetPoints, 'rgba(248, 250, 252, 0.45)', 1);
+    ctx.restore();
+    
+    // Fitted curve: summed band responses at each pixel column
+    const frequencies = [];
+    for (let x = MARGIN_LEFT; x < width - MARGIN_RIGHT; x++) {
+        frequencies.push(xToFrequency(x + 0.5, width));
+    }
+    const response = eqResponseDb(eqMatchResult.bands, frequencies, eqMatchResult.sampleRate);
+    strokeCurve(ctx, frequencies.map((freq, i) => ({ x: MARGIN_LEFT + i, y: diffDbToY(response[i], height) })), EQ_MATCH_CURVE_COLOR, 2);
+    
+    ctx.font = '11px system-ui';
     ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = EQ_MATCH_CURVE_COLOR;
+    ctx.fillText(
+        `EQ match → ${eqMatchResult.referenceName} (${eqMatchResult.bands.length} bands, ±${COMPARE_DIFF_RANGE_DB} dB)`,
+        MARGIN_LEFT + 8,
+        MARGIN_TOP + 6 + legendRow * 14
+    );
+}
+
+/**
+ * Draw markers at the harmonics of the selected fundamental, labelled with their level relative to it
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawHarmonicOverlay(ctx, width, height) {
+    if (harmonicMode === 'off' || harmonicLevels.length === 0) return;
+    
+    ctx.save();
+    ctx.font = '10px system-ui';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    
+    let lastLabelX = -Infinity;
+    harmonicLevels.forEach(harmonic => {
+        if (!isFrequencyInView(harmonic.frequency)) return;
+        const x = Math.round(frequencyToX(harmonic.frequency, width)) + 0.5;
+        const y = dbToY(harmonic.db + getTiltDb(harmonic.frequency), height);
+        
+        ctx.strokeStyle = HARMONIC_COLOR;
+        ctx.globalAlpha = harmonic.number === 1 ? 0.9 : 0.5;
+        ctx.lineWidth = 1;
+        ctx.setLineDash(harmonic.number === 1 ? [] : [2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x, height - MARGIN_BOTTOM);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+        
+        // Level dot on the measured peak
+        ctx.fillStyle = HARMONIC_COLOR;
+        ctx.beginPath();
+        ctx.arc(x, y, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+        
+        if (x - lastLabelX < HARMONIC_LABEL_MIN_GAP_PX) return;
+        lastLabelX = x;
+        const label = harmonic.number === 1
+            ? `f0 ${formatFrequencyLabel(harmonic.frequency)}`
+            : `${harmonic.number}× ${isFinite(harmonic.relativeDb) ? harmonic.relativeDb.toFixed(1) : '-inf'}`;
+        ctx.fillStyle = '#e9d5ff'; // purple-200
+        ctx.fillText(label, x, Math.max(MARGIN_TOP + 12, y - 5));
+    });
+    
+    ctx.restore();
+}
+
+/**
+ * Mark the ranked resonances on the spectrum (numbered by severity)
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawResonanceMarkers(ctx, width, height) {
+    if (!resonanceEnabled || resonanceResults.length === 0) return;
+    
+    ctx.save();
+    ctx.font = 'bold 10px system-ui';
+    ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
     
-    // Linear amplitude markers: +1.0 (top), +0.5, 0.0 (center), -0.5, -1.0 (bottom)
-    const amplitudeMarkers = [
-        { label: '+1.0', amplitude: 1.0 },
-        { label: '+0.5', amplitude: 0.5 },
-        { label: ' 0.0', amplitude: 0.0 },  // Center line (will be brighter)
-        { label: '-0.5', amplitude: -0.5 },
-        { label: '-1.0', amplitude: -1.0 },
+    resonanceResults.forEach((resonance, index) => {
+        if (!isFrequencyInView(resonance.frequency)) return;
+        const x = frequencyToX(resonance.frequency, width);
+        const y = Math.max(MARGIN_TOP + 8, dbToY(resonance.levelDb + getTiltDb(resonance.frequency), height) - 12);
+        
+        ctx.strokeStyle = RESONANCE_COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(x, y, 7, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = RESONANCE_COLOR;
+        ctx.fillText(String(index + 1), x, y + 0.5);
+    });
+    
+    ctx.restore();
+}
+
+/**
+ * Choose frequency grid lines for the current viewport
+ * @param {number} width - Canvas width
+ * @returns {number[]} Tick frequencies in Hz, ascending
+ */
+function computeFrequencyTicks(width) {
+    return selectFrequencyTicks(spectrumView.minFreq, spectrumView.maxFreq, freq => frequencyToX(freq, width), FREQUENCY_TICK_MIN_GAP_PX);
+}
+
+/**
+ * Choose frequency ticks for an axis that leave room for their labels
+ * On the linear scale: the finest 1/2/5 × 10^n Hz step that fits. On the other scales, candidates
+ * are tried from most to least important (decades, then 2/5, then the other multiples, then
+ * finer steps) and kept only if they are far enough from the ones already chosen.
+ * @param {number} minFreq - Lowest frequency on the axis
+ * @param {number} maxFreq - Highest frequency on the axis
+ * @param {function(number): number} toPixel - Frequency → pixel position along the axis
+ * @param {number} minGapPx - Minimum distance between ticks
+ * @returns {number[]} Tick frequencies in Hz, ascending
+ */
+function selectFrequencyTicks(minFreq, maxFreq, toPixel, minGapPx) {
+    if (frequencyAxisScale === 'linear') {
+        const pixelsPerHz = Math.abs(toPixel(maxFreq) - toPixel(minFreq)) / (maxFreq - minFreq);
+        let step = 1;
+        for (let decade = 1; decade <= MAX_FREQ; decade *= 10) {
+            const fitting = [1, 2, 5].map(m => m * decade).find(candidate => candidate * pixelsPerHz >= minGapPx);
+            if (fitting) {
+                step = fitting;
+                break;
+            }
+        }
+        const ticks = [];
+        for (let freq = Math.ceil(minFreq / step) * step; freq <= maxFreq; freq += step) {
+            ticks.push(freq);
+        }
+        return ticks;
+    }
+    
+    const tiers = [
+        [1],
+        [2, 5],
+        [3, 4, 6, 7, 8, 9],
+        [1.5, 2.5, 3.5, 4.5, 5.5, 6.5, 7.5, 8.5, 9.5],
+        [1.1, 1.2, 1.3, 1.4, 1.6, 1.7, 1.8, 1.9, 2.2, 2.4, 2.6, 2.8, 3.2, 3.4, 3.6, 3.8, 4.2, 4.4, 4.6, 4.8]
     ];
+    const accepted = [];
+    
+    tiers.forEach(multipliers => {
+        for (let decade = 1; decade <= MAX_FREQ; decade *= 10) {
+            multipliers.forEach(multiplier => {
+                const freq = decade * multiplier;
+                if (freq < minFreq || freq > maxFreq) return;
+                const position = toPixel(freq);
+                if (accepted.every(tick => Math.abs(tick.position - position) >= minGapPx)) {
+                    accepted.push({ freq, position });
+                }
+            });
+        }
+    });
+    
+    return accepted.map(tick => tick.freq).sort((a, b) => a - b);
+}
+
+/**
+ * Choose dB grid lines for the current viewport: the finest 1/2/5/10/20 dB step that fits
+ * @param {number} height - Canvas height
+ * @returns {number[]} Tick values in dB, descending (top to bottom)
+ */
+function computeDbTicks(height) {
+    const { minDb, maxDb } = spectrumView;
+    const pixelsPerDb = (height - MARGIN_TOP - MARGIN_BOTTOM) / (maxDb - minDb);
+    const step = [1, 2, 5, 10, 20].find(candidate => candidate * pixelsPerDb >= DB_TICK_MIN_GAP_PX) || 20;
+    
+    const ticks = [];
+    for (let db = Math.floor(maxDb / step) * step; db >= minDb; db -= step) {
+        ticks.push(db);
+    }
+    return ticks;
+}
+
+/**
+ * Draw frequency markers (vertical lines and labels)
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawFrequencyMarkers(ctx, width, height) {
+    const frequencies = computeFrequencyTicks(width);
+    
+    // Calculate active draw area boundaries
+    const activeTop = MARGIN_TOP;
+    const activeBottom = height - MARGIN_BOTTOM;
+    const labelY = height - MARGIN_BOTTOM + 15; // Position labels in the bottom margin area
+    
+    // Set up styling for grid lines (subtle, low opacity)
+    ctx.strokeStyle = 'rgba(107, 114, 128, 0.3)'; // gray-500 with low opacity
+    ctx.lineWidth = 1;
+    
+    // Set up styling for labels
+    ctx.font = '11px system-ui, -apple-system, sans-serif';
+    ctx.fillStyle = '#9ca3af'; // gray-400
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    
+    for (const freq of frequencies) {
+        const x = frequencyToX(freq, width);
+        
+        // Draw vertical grid line extending only across the active draw area
+        ctx.beginPath();
+        ctx.moveTo(x, activeTop);
+        ctx.lineTo(x, activeBottom);
+        ctx.stroke();
+        
+        // Format label (parseFloat drops trailing zeros: 1.50 → 1.5)
+        let label;
+        if (freq >= 1000) {
+            label = `${parseFloat((freq / 1000).toFixed(2))} kHz`;
+        } else {
+            label = `${parseFloat(freq.toFixed(1))} Hz`;
+        }
+        
+        // Draw label in the bottom margin area
+        ctx.fillText(label, x, labelY);
+    }
+}
+
+/**
+ * Draw dB scale markers on the left side (vertical axis)
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawDbMarkers(ctx, width, height) {
+    // dB values to display (from the top of the viewport down), spaced to fit the zoom level
+    const dbValues = computeDbTicks(height);
+    
+    // Calculate active draw area boundaries
+    const activeLeft = MARGIN_LEFT;
+    const activeRight = width - MARGIN_RIGHT;
+    const labelX = 8; // Position labels in the left margin area
+    
+    // Set up styling for grid lines (subtle, low opacity)
+    ctx.strokeStyle = 'rgba(75, 85, 99, 0.3)'; // gray-600 with low opacity
+    ctx.lineWidth = 0.5;
+    
+    // Set up styling for labels
+    ctx.font = '11px system-ui, -apple-system, sans-serif';
+    ctx.fillStyle = '#9ca3af'; // gray-400
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
     
-    for (const marker of amplitudeMarkers) {
-        // Map amplitude (-1.0 to +1.0) to Y coordinate (activeBottom to activeTop)
-        // +1.0 -> activeTop, -1.0 -> activeBottom, 0.0 -> centerY
-        const y = centerY - (marker.amplitude * amplitudeRange);
-        const clampedY = Math.max(activeTop, Math.min(activeBottom, y));
+    for (const db of dbValues) {
+        const y = dbToY(db, height);
         
-        // Draw horizontal grid line across active area
-        // Center line (0.0) is slightly brighter
-        if (marker.amplitude === 0.0) {
-            ctx.strokeStyle = 'rgba(75, 85, 99, 0.5)'; // Slightly brighter for center line
-        } else {
-            ctx.strokeStyle = 'rgba(75, 85, 99, 0.3)'; // gray-600 with transparency
-        }
-        ctx.lineWidth = 1;
+        // Draw horizontal grid line extending only across the active draw area
         ctx.beginPath();
-        ctx.moveTo(activeLeft, clampedY);
-        ctx.lineTo(Math.min(activeRight, canvasWidth - 1), clampedY); // Ensure line doesn't extend past canvas
+        ctx.moveTo(activeLeft, y);
+        ctx.lineTo(activeRight, y);
         ctx.stroke();
         
-        // Draw label in left margin
-        ctx.fillStyle = '#9ca3af'; // gray-400
-        const labelX = 8; // Position in left margin
-        ctx.fillText(marker.label, labelX, clampedY);
+        // Format label
+        const label = `${db} dB`;
+        
+        // Draw label text in the left margin area
+        ctx.fillText(label, labelX, y);
+    }
+}
+
+/**
+ * Colormap anchor colours (evenly spaced from quiet to loud)
+ * Approximations of the matplotlib perceptual maps plus a cyan map matching the spectrum bars
+ */
+const SPECTROGRAM_COLORMAPS = {
+    magma: [[0, 0, 4], [40, 11, 84], [101, 21, 110], [159, 42, 99], [212, 72, 66], [245, 125, 21], [250, 193, 39], [252, 253, 191]],
+    viridis: [[68, 1, 84], [70, 50, 126], [54, 92, 141], [39, 127, 142], [31, 161, 135], [74, 193, 109], [160, 218, 57], [253, 231, 37]],
+    inferno: [[0, 0, 4], [31, 12, 72], [85, 15, 109], [136, 34, 106], [186, 54, 85], [227, 89, 51], [249, 140, 10], [249, 201, 50], [252, 255, 164]],
+    cyan: [[3, 7, 18], [8, 47, 73], [14, 116, 144], [34, 211, 238], [207, 250, 254]],
+    grayscale: [[0, 0, 0], [255, 255, 255]]
+};
+
+/**
+ * Build a 256-entry RGB lookup table by linear interpolation between colormap anchors
+ * @param {string} name - Colormap name (key of SPECTROGRAM_COLORMAPS)
+ * @returns {Uint8ClampedArray} 256 × [r, g, b]
+ */
+function buildColormapLut(name) {
+    const stops = SPECTROGRAM_COLORMAPS[name] || SPECTROGRAM_COLORMAPS.magma;
+    const lut = new Uint8ClampedArray(256 * 3);
+    for (let i = 0; i < 256; i++) {
+        const position = (i / 255) * (stops.length - 1);
+        const index = Math.min(stops.length - 2, Math.floor(position));
+        const t = position - index;
+        for (let c = 0; c < 3; c++) {
+            lut[i * 3 + c] = stops[index][c] + (stops[index + 1][c] - stops[index][c]) * t;
+        }
+    }
+    return lut;
+}
+
+/**
+ * Get the spectrogram dB range from the floor / ceiling selects
+ * @returns {{floor: number, ceiling: number}} Range in dB (ceiling always above floor)
+ */
+function getSpectrogramRange() {
+    const floor = spectrogramFloorSelect ? parseFloat(spectrogramFloorSelect.value) : -100;
+    const ceiling = spectrogramCeilingSelect ? parseFloat(spectrogramCeilingSelect.value) : 0;
+    if (!isFinite(floor) || !isFinite(ceiling) || ceiling <= floor) {
+        return { floor: MIN_DB, ceiling: MAX_DB };
     }
+    return { floor, ceiling };
+}
+
+/**
+ * Map a spectrogram row to the frequency at its centre (row 0 is the top = MAX_FREQ)
+ * @param {number} row - Row index
+ * @param {number} rows - Total rows
+ * @returns {number} Frequency in Hz
+ */
+function spectrogramRowToFrequency(row, rows) {
+    return normalizedToFrequency(1 - (row + 0.5) / rows);
+}
+
+/**
+ * Resize the spectrogram canvas and its offscreen history image (history is cleared)
+ */
+function resizeSpectrogramCanvas() {
+    if (!spectrogramCanvas || !spectrogramContainer) return;
     
-    ctx.restore();
+    const width = Math.floor(spectrogramContainer.clientWidth);
+    const height = Math.floor(width / SPECTROGRAM_ASPECT_RATIO);
+    if (width <= SPECTROGRAM_AXIS_WIDTH || height <= 0) return;
     
-    // ===== DRAW WAVEFORM IN ACTIVE AREA =====
-    // Save context and clip to active area
-    ctx.save();
-    ctx.beginPath();
-    ctx.rect(activeLeft, activeTop, activeWidth, activeHeight);
-    ctx.clip();
+    spectrogramCanvas.width = width;
+    spectrogramCanvas.height = height;
     
-    // Draw waveform using Peak Sampling (scan all samples in pixel's time window)
-    // Most recent data appears on the right, older data scrolls left
-    // x=activeLeft (leftmost) = oldest visible data, x=activeRight-1 (rightmost) = newest data
+    spectrogramImageCanvas = document.createElement('canvas');
+    spectrogramImageCanvas.width = width - SPECTROGRAM_AXIS_WIDTH;
+    spectrogramImageCanvas.height = height;
+    spectrogramImageCtx = spectrogramImageCanvas.getContext('2d');
+    spectrogramImageCtx.fillStyle = '#030712'; // gray-950
+    spectrogramImageCtx.fillRect(0, 0, spectrogramImageCanvas.width, height);
     
-    // Calculate samples per pixel for peak sampling
-    const samplesPerPixel = samplesToShow / activeWidth;
+    spectrogramColumns = [];
+    spectrogramColumnValues = new Float32Array(height);
+    spectrogramScrollAccumulator = 0;
     
-    // Iterate through each pixel column in the active area
-    for (let x = activeLeft; x < activeRight; x++) {
-        // Calculate the normalized position (0.0 to 1.0) within the active area
-        const normalizedX = activeWidth > 1 ? (x - activeLeft) / (activeWidth - 1) : 0;
-        
-        // Calculate the buffer index range for this pixel's time slice
-        const centerBufferIdx = oldestBufferIdx + normalizedX * (newestBufferIdx - oldestBufferIdx);
-        const startBufferIndex = Math.floor(centerBufferIdx - samplesPerPixel / 2);
-        const endBufferIndex = Math.ceil(centerBufferIdx + samplesPerPixel / 2);
-        
-        // Find the peak (maximum absolute amplitude) in this pixel's time slice
-        let maxAmplitude = 0;
+    drawSpectrogram();
+}
+
+/**
+ * Compute this frame's spectrogram column (max dB of the FFT bins in each row)
+ * @param {Float32Array} data - Per-bin dB data
+ * @param {number} fftSize - FFT size the data was computed with
+ * @param {Float32Array} out - Output (one value per row)
+ */
+function computeSpectrogramColumn(data, fftSize, out) {
+    const rows = out.length;
+    for (let row = 0; row < rows; row++) {
+        // Row covers the band between its lower and upper edges
+        const highFreq = normalizedToFrequency(1 - row / rows);
+        const lowFreq = normalizedToFrequency(1 - (row + 1) / rows);
+        const binStart = getBinIndex(lowFreq, fftSize);
+        const binEnd = getBinIndex(highFreq, fftSize);
         
-        for (let bufferIdx = startBufferIndex; bufferIdx <= endBufferIndex; bufferIdx++) {
-            const sample = getBufferSample(bufferIdx);
-            
-            // Calculate amplitude (absolute value)
-            const amplitude = Math.abs(sample);
-            
-            // Track the peak
-            if (amplitude > maxAmplitude) {
-                maxAmplitude = amplitude;
+        let maxDb = -Infinity;
+        for (let binIdx = binStart; binIdx <= binEnd && binIdx < data.length; binIdx++) {
+            if (data[binIdx] > maxDb) {
+                maxDb = data[binIdx];
             }
         }
-        
-        // Clamp maxAmplitude to valid range [0, 1]
-        maxAmplitude = Math.max(0, Math.min(1, maxAmplitude));
-        
-        // Calculate amplitude-based color (matches Spectrogram's gradient style)
-        // Normalized amplitude (0.0 to 1.0)
-        const normalized = maxAmplitude;
-        
-        // Dynamic HSLA coloring:
-        // Hue: shifts from Blue (210) to Cyan (190) as amplitude increases
-        const hue = 210 - (normalized * 20);
-        
-        // Lightness: shifts from Dark (20) to Bright White (90) as amplitude increases
-        const lightness = 20 + (normalized * 70);
-        
-        // Alpha: shifts from Transparent (0.6) to Opaque (1.0) as amplitude increases
-        const alpha = 0.6 + (normalized * 0.4);
-        
-        // Create HSLA color string
-        const color = `hsla(${hue}, 100%, ${lightness}%, ${alpha})`;
-        
-        // Calculate bar height based on peak amplitude
-        const barHeight = maxAmplitude * amplitudeRange;
-        
-        // Draw symmetric vertical bar centered at centerY with amplitude-based color
-        // This creates a solid "envelope" that looks much cleaner than a thin line
-        ctx.fillStyle = color;
-        ctx.fillRect(x, centerY - barHeight, 1, barHeight * 2);
+        out[row] = maxDb;
     }
-    
-    // Restore context (removes clipping)
-    ctx.restore();
 }
 
 /**
- * Draw the oscilloscope waveform (wrapper for compatibility)
+ * Paint one stored column into the offscreen image at x
+ * @param {Float32Array} values - dB per row
+ * @param {number} x - Column in the offscreen image
+ * @param {number} columnWidth - Width in pixels
  */
-function drawOscilloscopeWrapper() {
-    if (!oscilloscopeCtx || !oscilloscopeCanvas || waveformBuffer.length === 0) {
-        return;
-    }
-    
-    // Get CSS dimensions from canvas style or calculate from device pixels
-    // canvas.width is in device pixels after resizeOscilloscopeCanvas is called
-    const dpr = window.devicePixelRatio || 1;
-    let cssWidth = oscilloscopeCanvas.width / dpr;
-    let cssHeight = oscilloscopeCanvas.height / dpr;
-    
-    // If style width is set, use that (more reliable)
-    if (oscilloscopeCanvas.style.width) {
-        cssWidth = parseFloat(oscilloscopeCanvas.style.width);
-    }
-    if (oscilloscopeCanvas.style.height) {
-        cssHeight = parseFloat(oscilloscopeCanvas.style.height);
+function paintSpectrogramColumn(values, x, columnWidth) {
+    const rows = values.length;
+    const image = spectrogramImageCtx.createImageData(columnWidth, rows);
+    const { floor, ceiling } = getSpectrogramRange();
+    const scale = 255 / (ceiling - floor);
+    
+    for (let row = 0; row < rows; row++) {
+        const db = values[row];
+        const index = isFinite(db) ? Math.max(0, Math.min(255, Math.round((db - floor) * scale))) : 0;
+        for (let col = 0; col < columnWidth; col++) {
+            const offset = (row * columnWidth + col) * 4;
+            image.data[offset] = spectrogramLut[index * 3];
+            image.data[offset + 1] = spectrogramLut[index * 3 + 1];
+            image.data[offset + 2] = spectrogramLut[index * 3 + 2];
+            image.data[offset + 3] = 255;
+        }
     }
     
-    drawOscilloscope(oscilloscopeCtx, analyserLeft, cssWidth, cssHeight);
+    spectrogramImageCtx.putImageData(image, x, 0);
 }
 
 /**
- * Resize oscilloscope canvas to match container size with HiDPI support
+ * Repaint the whole offscreen image from the stored columns (after a colormap or range change)
  */
-function resizeOscilloscopeCanvas() {
-    if (!oscilloscopeCanvas || !oscilloscopeContainer) return;
-    
-    // Get container dimensions (clientWidth/clientHeight already account for padding)
-    const containerWidth = oscilloscopeContainer.clientWidth;
-    const containerHeight = oscilloscopeContainer.clientHeight;
+function repaintSpectrogramHistory() {
+    if (!spectrogramImageCtx) return;
+    const width = spectrogramImageCanvas.width;
+    spectrogramImageCtx.fillStyle = '#030712'; // gray-950
+    spectrogramImageCtx.fillRect(0, 0, width, spectrogramImageCanvas.height);
+    
+    const offset = width - spectrogramColumns.length;
+    spectrogramColumns.forEach((column, index) => {
+        paintSpectrogramColumn(column.values, offset + index, 1);
+    });
+    drawSpectrogram();
+}
+
+/**
+ * Add the current FFT frame to the spectrogram (called once per animation frame)
+ * Scrolls the history left by the selected speed and paints the new column at the right edge.
+ */
+function updateSpectrogram() {
+    if (spectrogramPaused || !spectrogramImageCtx || !fftData || !analyserLeft) return;
     
-    // Calculate canvas CSS dimensions (single canvas fills container, accounting for padding)
-    // The container has p-4 padding (16px on each side), so clientWidth already accounts for this
-    let cssWidth = containerWidth;
-    let cssHeight = containerWidth / OSCILLOSCOPE_ASPECT_RATIO;
+    const speed = spectrogramSpeedSelect ? parseFloat(spectrogramSpeedSelect.value) || 1 : 1;
+    spectrogramScrollAccumulator += speed;
+    const step = Math.floor(spectrogramScrollAccumulator);
+    if (step < 1) return;
+    spectrogramScrollAccumulator -= step;
     
-    if (cssHeight > containerHeight) {
-        cssHeight = containerHeight;
-        cssWidth = containerHeight * OSCILLOSCOPE_ASPECT_RATIO;
-    }
+    computeSpectrogramColumn(fftData, analyserLeft.fftSize, spectrogramColumnValues);
     
-    // Ensure canvas doesn't exceed container bounds
-    cssWidth = Math.min(cssWidth, containerWidth);
-    cssHeight = Math.min(cssHeight, containerHeight);
+    const width = spectrogramImageCanvas.width;
+    const height = spectrogramImageCanvas.height;
     
-    // Handle devicePixelRatio for HiDPI displays
-    const dpr = window.devicePixelRatio || 1;
+    // Shift existing history left (canvas-to-self copy) and paint the new column(s) on the right
+    spectrogramImageCtx.drawImage(spectrogramImageCanvas, step, 0, width - step, height, 0, 0, width - step, height);
+    paintSpectrogramColumn(spectrogramColumnValues, width - step, step);
     
-    // Set canvas internal resolution (device pixels)
-    // Note: Setting width/height resets the context transform
-    oscilloscopeCanvas.width = cssWidth * dpr;
-    oscilloscopeCanvas.height = cssHeight * dpr;
+    // Store one entry per pixel column for the hover readout
+    const column = {
+        values: Float32Array.from(spectrogramColumnValues),
+        wallTime: performance.now() / 1000,
+        trackTime: getTransportDuration() > 0 ? getTransportPosition() : null
+    };
+    for (let i = 0; i < step; i++) {
+        spectrogramColumns.push(column);
+    }
+    if (spectrogramColumns.length > width) {
+        spectrogramColumns.splice(0, spectrogramColumns.length - width);
+    }
+}
+
+/**
+ * Draw the spectrogram: history image, frequency axis and hover crosshair
+ */
+function drawSpectrogram() {
+    if (!spectrogramCtx || !spectrogramImageCanvas) return;
+    
+    const width = spectrogramCanvas.width;
+    const height = spectrogramCanvas.height;
+    
+    spectrogramCtx.fillStyle = '#030712'; // gray-950
+    spectrogramCtx.fillRect(0, 0, SPECTROGRAM_AXIS_WIDTH, height);
+    spectrogramCtx.drawImage(spectrogramImageCanvas, SPECTROGRAM_AXIS_WIDTH, 0);
+    
+    // Frequency labels / grid (same tick selection as the spectrum markers)
+    spectrogramCtx.font = '10px system-ui, -apple-system, sans-serif';
+    spectrogramCtx.textAlign = 'right';
+    spectrogramCtx.textBaseline = 'middle';
+    spectrogramCtx.strokeStyle = 'rgba(229, 231, 235, 0.15)'; // gray-200
+    spectrogramCtx.lineWidth = 1;
+    const rowOfFrequency = freq => (1 - frequencyToNormalized(freq)) * height;
+    selectFrequencyTicks(MIN_FREQ, MAX_FREQ, rowOfFrequency, SPECTROGRAM_TICK_MIN_GAP_PX).forEach(freq => {
+        const y = Math.round(rowOfFrequency(freq)) + 0.5;
+        spectrogramCtx.beginPath();
+        spectrogramCtx.moveTo(SPECTROGRAM_AXIS_WIDTH, y);
+        spectrogramCtx.lineTo(width, y);
+        spectrogramCtx.stroke();
+        spectrogramCtx.fillStyle = '#9ca3af'; // gray-400
+        spectrogramCtx.fillText(freq >= 1000 ? `${parseFloat((freq / 1000).toFixed(2))}k` : `${freq}`, SPECTROGRAM_AXIS_WIDTH - 6, y);
+    });
     
-    // Set canvas CSS size (logical pixels) - use explicit pixel values, not percentage
-    oscilloscopeCanvas.style.width = cssWidth + 'px';
-    oscilloscopeCanvas.style.height = cssHeight + 'px';
-    oscilloscopeCanvas.style.maxWidth = '100%'; // Prevent overflow
-    oscilloscopeCanvas.style.maxHeight = '100%'; // Prevent overflow
+    if (spectrogramPaused) {
+        spectrogramCtx.fillStyle = 'rgba(251, 191, 36, 0.9)'; // amber-400
+        spectrogramCtx.textAlign = 'left';
+        spectrogramCtx.textBaseline = 'top';
+        spectrogramCtx.fillText('PAUSED', SPECTROGRAM_AXIS_WIDTH + 6, 6);
+    }
     
-    // Reset transform and scale context to account for devicePixelRatio
-    oscilloscopeCtx.setTransform(1, 0, 0, 1, 0, 0);
-    oscilloscopeCtx.scale(dpr, dpr);
+    if (spectrogramHover && spectrogramHover.x >= SPECTROGRAM_AXIS_WIDTH) {
+        spectrogramCtx.strokeStyle = 'rgba(229, 231, 235, 0.5)';
+        spectrogramCtx.beginPath();
+        spectrogramCtx.moveTo(Math.round(spectrogramHover.x) + 0.5, 0);
+        spectrogramCtx.lineTo(Math.round(spectrogramHover.x) + 0.5, height);
+        spectrogramCtx.moveTo(SPECTROGRAM_AXIS_WIDTH, Math.round(spectrogramHover.y) + 0.5);
+        spectrogramCtx.lineTo(width, Math.round(spectrogramHover.y) + 0.5);
+        spectrogramCtx.stroke();
+    }
+}
+
+/**
+ * Update the hover readout (time, frequency, note and level under the pointer)
+ */
+function updateSpectrogramReadout() {
+    if (!spectrogramReadout) return;
     
-    // Update buffer size when canvas resizes
-    updateWaveformBufferSize();
+    if (!spectrogramHover || spectrogramHover.x < SPECTROGRAM_AXIS_WIDTH) {
+        spectrogramReadout.textContent = 'Hover to read time / frequency / level';
+        return;
+    }
     
-    // Redraw if we have data
-    if (waveformBuffer.length > 0) {
-        drawOscilloscopeWrapper();
+    const height = spectrogramCanvas.height;
+    const row = Math.max(0, Math.min(height - 1, Math.floor(spectrogramHover.y)));
+    const freq = spectrogramRowToFrequency(row, height);
+    const imageX = Math.floor(spectrogramHover.x - SPECTROGRAM_AXIS_WIDTH);
+    const columnIndex = imageX - (spectrogramImageCanvas.width - spectrogramColumns.length);
+    const column = spectrogramColumns[columnIndex];
+    
+    const parts = [];
+    if (column) {
+        const newest = spectrogramColumns[spectrogramColumns.length - 1];
+        const age = newest.wallTime - column.wallTime;
+        parts.push(column.trackTime !== null ? `${formatTransportTime(column.trackTime)} (-${age.toFixed(1)} s)` : `-${age.toFixed(1)} s`);
     }
+    parts.push(`${formatFrequencyLabel(freq)} ${formatNoteLabel(freq)}`);
+    if (column) {
+        parts.push(formatDbLabel(column.values[row]));
+    }
+    spectrogramReadout.textContent = parts.join(' · ');
 }
 
 /**
- * Calculate energy (RMS) for a frequency band from FFT data
- * Uses bin indices (startBin/endBin) if available for efficient computation
- * @param {Float32Array} fftData - FFT frequency data in dB
- * @param {Object} bandDef - Band definition object with startBin, endBin properties
- * @returns {number} Energy in dB (or -Infinity if no energy)
+ * Handle pointer movement over the spectrogram
+ * @param {MouseEvent} event - Mouse event
  */
-function calculateBandEnergy(fftData, bandDef) {
-    if (!fftData || !bandDef) {
-        return -Infinity;
+function handleSpectrogramMouseMove(event) {
+    const rect = spectrogramCanvas.getBoundingClientRect();
+    const scaleX = rect.width > 0 ? spectrogramCanvas.width / rect.width : 1;
+    const scaleY = rect.height > 0 ? spectrogramCanvas.height / rect.height : 1;
+    spectrogramHover = {
+        x: (event.clientX - rect.left) * scaleX,
+        y: (event.clientY - rect.top) * scaleY
+    };
+    updateSpectrogramReadout();
+    if (!isAnimating) {
+        drawSpectrogram();
     }
-    
-    // Use bin indices if available, otherwise fall back to frequency-based lookup
-    if (bandDef.startBin != null && bandDef.endBin != null) {
-        // Use bin indices directly (more efficient and accurate)
-        const validBins = [];
-        const startBin = Math.max(0, Math.min(bandDef.startBin, fftData.length - 1));
-        const endBin = Math.max(startBin, Math.min(bandDef.endBin, fftData.length - 1));
-        
-        for (let i = startBin; i <= endBin; i++) {
-            const dbValue = fftData[i];
-            // Only include finite values (skip -Infinity)
-            if (isFinite(dbValue)) {
-                validBins.push(dbValue);
-            }
-        }
-        
-        if (validBins.length === 0) {
-            return -Infinity;
-        }
-        
-        // Convert dB to linear scale, calculate RMS, then convert back to dB
-        // RMS in linear: sqrt(sum(x^2) / n)
-        // For dB values: x_linear = 10^(dB/20)
-        let sumSquared = 0;
-        for (let i = 0; i < validBins.length; i++) {
-            const linearValue = Math.pow(10, validBins[i] / 20);
-            sumSquared += linearValue * linearValue;
-        }
-        
-        const rmsLinear = Math.sqrt(sumSquared / validBins.length);
-        const rmsDb = 20 * Math.log10(rmsLinear);
-        
-        return rmsDb;
-    } else {
-        // Fallback to frequency-based lookup (for backwards compatibility)
-        return -Infinity;
+}
+
+/**
+ * Clear the hover readout when the pointer leaves the spectrogram
+ */
+function handleSpectrogramMouseLeave() {
+    spectrogramHover = null;
+    updateSpectrogramReadout();
+    if (!isAnimating) {
+        drawSpectrogram();
+    }
+}
+
+/**
+ * Toggle spectrogram scrolling (the rest of the analyzer keeps running)
+ */
+function handleSpectrogramPause() {
+    spectrogramPaused = !spectrogramPaused;
+    if (spectrogramPauseBtn) {
+        spectrogramPauseBtn.textContent = spectrogramPaused ? 'Resume' : 'Pause';
+        spectrogramPauseBtn.classList.toggle('bg-amber-600', spectrogramPaused);
+        spectrogramPauseBtn.classList.toggle('bg-gray-700', !spectrogramPaused);
     }
+    drawSpectrogram();
 }
 
 /**
- * Update band states with new energy values and apply decay
- * Uses normalized 0-1 values with category gain compensation
- * @param {Float32Array} fftData - Current FFT data in dB
- * @param {Float32Array} binFrequencies - Array of frequencies for each bin
+ * Handle colormap or dB range change (rebuild the lookup and repaint history)
  */
-function updateBandStates(fftData, binFrequencies) {
-    if (!fftData || !binFrequencies || bandStates.length === 0) {
-        return;
+function handleSpectrogramDisplayChange() {
+    spectrogramLut = buildColormapLut(spectrogramColormapSelect ? spectrogramColormapSelect.value : 'magma');
+    repaintSpectrogramHistory();
+}
+
+/**
+ * Build the constant-Q kernel and sample history for the current sample rate
+ */
+function ensureConstantQKernel() {
+    const sampleRate = getSampleRate();
+    if (constantQKernel && constantQKernel.sampleRate === sampleRate) return;
+    
+    constantQKernel = createConstantQKernel({ sampleRate, binsPerOctave: CONSTANT_Q_BINS_PER_OCTAVE });
+    constantQHistory = [new Float32Array(constantQKernel.fftSize), new Float32Array(constantQKernel.fftSize)];
+    constantQFrame = new Float32Array(constantQKernel.fftSize);
+    constantQData = new Float32Array(constantQKernel.frequencies.length).fill(-Infinity);
+    constantQNoteData = new Float32Array(PIANO_NOTE_COUNT).fill(-Infinity);
+    constantQWritten = 0;
+    constantQLastTransform = 0;
+    constantQLoudNotes = [];
+}
+
+/**
+ * Append a captured block to the constant-Q sample history
+ * @param {Float32Array} left - Left channel block
+ * @param {Float32Array} right - Right channel block
+ */
+function pushConstantQSamples(left, right) {
+    if (!constantQHistory) return;
+    
+    const capacity = constantQHistory[0].length;
+    [left, right].forEach((block, channel) => {
+        const history = constantQHistory[channel];
+        let writeIndex = constantQWritten % capacity;
+        for (let i = 0; i < block.length; i++) {
+            history[writeIndex] = block[i];
+            writeIndex = writeIndex + 1 === capacity ? 0 : writeIndex + 1;
+        }
+    });
+    constantQWritten += left.length;
+}
+
+/**
+ * Run the constant-Q transform once a hop of new samples has arrived
+ * Analyses the channel mode's primary signal and updates the loudest-note list
+ */
+function updateConstantQ() {
+    if (!constantQEnabled || !audioContext) return;
+    ensureConstantQKernel();
+    if (constantQWritten - constantQLastTransform < CONSTANT_Q_HOP) return;
+    constantQLastTransform = constantQWritten;
+    
+    const [leftGain, rightGain] = CHANNEL_MIX_GAINS[getChannelModeSignals().primary] || CHANNEL_MIX_GAINS.left;
+    const [left, right] = constantQHistory;
+    const capacity = constantQFrame.length;
+    let readIndex = constantQWritten % capacity; // Oldest sample
+    for (let i = 0; i < capacity; i++) {
+        constantQFrame[i] = leftGain * left[readIndex] + rightGain * right[readIndex];
+        readIndex = readIndex + 1 === capacity ? 0 : readIndex + 1;
     }
     
-    for (let i = 0; i < bandStates.length; i++) {
-        const bandState = bandStates[i];
-        const bandDef = bandDefinitions[i];
-        
-        // 1. Calculate current energy for this band (in dB)
-        const newEnergy = calculateBandEnergy(fftData, bandDef);
-        
-        // Store raw energy for reference
-        if (isFinite(newEnergy)) {
-            bandState.currentEnergy = newEnergy;
-        }
-        
-        // 2. Apply category gain (tilt compensation)
-        const categoryGain = getCategoryGain(bandState.category);
-        const compensated = isFinite(newEnergy) ? newEnergy + categoryGain : -Infinity;
-        
-        // 3. Compute how far above threshold (in dB)
-        const above = isFinite(compensated) ? compensated - bandState.threshold : -Infinity;
-        
-        // 4. Normalize to 0-1 using dynamic range window above threshold with gentle curve
-        const linear = isFinite(above) && above > 0 
-            ? Math.max(0, Math.min(1, above / ENERGY_DYNAMIC_RANGE_DB))
-            : 0;
-        
-        // Apply a gentle curve so small values are a bit more visible,
-        // but we don't instantly saturate to 1.0
-        const normalized = Math.pow(linear, 0.8);
-        
-        // 5. Store instant value (drives the main bar, no peak hold)
-        bandState.instantValue = normalized;
-        
-        // 6. Update peakValue with decay logic (only for peak cap indicator)
-        if (normalized > bandState.peakValue) {
-            // If new normalized value is higher, update immediately
-            bandState.peakValue = normalized;
-        } else {
-            // Otherwise, apply decay based on decayMultiplier and globalDecaySpeed
-            const decayFactor = Math.pow(bandState.peakHoldDecayRate, bandState.decayMultiplier * globalDecaySpeed);
-            bandState.peakValue *= decayFactor;
-        }
-        
-        // Ensure peakValue stays in valid range
-        bandState.peakValue = Math.max(0, Math.min(1, bandState.peakValue));
+    computeConstantQSpectrum(constantQKernel, constantQFrame, constantQData);
+    constantQNoteLevels(constantQKernel, constantQData, PIANO_LOWEST_MIDI, constantQNoteData);
+    constantQLoudNotes = findLoudestNotes(constantQNoteData, PIANO_LOWEST_MIDI, { count: CONSTANT_Q_HIGHLIGHT_COUNT });
+    
+    if (constantQNotesEl) {
+        constantQNotesEl.textContent = constantQLoudNotes.length > 0
+            ? constantQLoudNotes.map(note => `${note.label} ${note.levelDb.toFixed(1)} dB`).join('  ·  ')
+            : 'No clear notes';
     }
 }
 
 /**
- * Draw the band visualizer
- * Uses instantValue for main bar and peakValue for peak cap indicator
+ * Resize the constant-Q canvas to its container width
  */
+function resizeConstantQCanvas() {
+    if (!constantQCanvas || !constantQContainer || constantQCanvas.classList.contains('hidden')) return;
+    
+    const width = Math.floor(constantQCanvas.clientWidth);
+    if (width <= 0) return;
+    constantQCanvas.width = width;
+    constantQCanvas.height = Math.floor(width / CONSTANT_Q_ASPECT_RATIO);
+    drawConstantQ();
+}
+
 /**
- * Draw Vector Scope (Lissajous curve) visualization
- * Rotated 45 degrees so Vertical = Mono, Horizontal = Stereo
- * Uses "Cool" color palette (Blue->Cyan->White) based on amplitude
- * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
- * @param {Float32Array} leftData - Left channel time-domain data
- * @param {Float32Array} rightData - Right channel time-domain data
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
- * @param {string} color - CSS color string for border/glow (traffic light status) - NOT used for line color
+ * Draw the constant-Q spectrum above a piano keyboard (one equal-width column per semitone)
+ * The loudest notes light up on the keyboard and are labelled above their peaks.
  */
-function drawScope(ctx, leftData, rightData, width, height, color) {
-    if (!ctx || !leftData || !rightData || leftData.length === 0 || rightData.length === 0) {
-        return;
+function drawConstantQ() {
+    if (!constantQEnabled || !constantQCtx || !constantQCanvas) return;
+    
+    const width = constantQCanvas.width;
+    const height = constantQCanvas.height;
+    const plotHeight = height - CONSTANT_Q_KEYBOARD_HEIGHT;
+    const keyWidth = width / PIANO_NOTE_COUNT;
+    const midiToX = (midi) => (midi - PIANO_LOWEST_MIDI + 0.5) * keyWidth;
+    const levelToY = (db) => plotHeight * (1 - (Math.max(MIN_DB, Math.min(MAX_DB, db)) - MIN_DB) / (MAX_DB - MIN_DB));
+    
+    constantQCtx.fillStyle = '#030712'; // gray-950
+    constantQCtx.fillRect(0, 0, width, height);
+    
+    // Octave lines at every C
+    constantQCtx.strokeStyle = 'rgba(75, 85, 99, 0.5)'; // gray-600
+    constantQCtx.lineWidth = 1;
+    for (let midi = PIANO_LOWEST_MIDI; midi <= PIANO_HIGHEST_MIDI; midi++) {
+        if (midi % 12 !== 0) continue;
+        const x = Math.round(midiToX(midi) - keyWidth / 2) + 0.5;
+        constantQCtx.beginPath();
+        constantQCtx.moveTo(x, 0);
+        constantQCtx.lineTo(x, plotHeight);
+        constantQCtx.stroke();
     }
     
-    const centerWidth = width / 2;
-    const centerHeight = height / 2;
-    
-    // Scale factor to fit waveform in canvas (leave some margin)
-    const scale = Math.min(width, height) * 0.4;
-    
-    // Phosphor persistence effect: semi-transparent black overlay
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
-    ctx.fillRect(0, 0, width, height);
-    
-    // Draw center crosshair (subtle grid lines)
-    ctx.strokeStyle = 'rgba(107, 114, 128, 0.2)'; // gray-500 with low opacity
-    ctx.lineWidth = 1;
-    
-    // Vertical line (mono indicator)
-    ctx.beginPath();
-    ctx.moveTo(centerWidth, 0);
-    ctx.lineTo(centerWidth, height);
-    ctx.stroke();
+    // Spectrum bars (bins are a fraction of a semitone wide)
+    if (constantQData && constantQKernel) {
+        const binsPerSemitone = constantQKernel.binsPerOctave / 12;
+        const barWidth = Math.max(1, keyWidth / binsPerSemitone);
+        constantQCtx.fillStyle = 'rgba(103, 232, 249, 0.75)'; // cyan-300
+        for (let k = 0; k < constantQData.length; k++) {
+            if (!isFinite(constantQData[k])) continue;
+            const x = midiToX(PIANO_LOWEST_MIDI + k / binsPerSemitone) - barWidth / 2;
+            const y = levelToY(constantQData[k]);
+            constantQCtx.fillRect(x, y, barWidth, plotHeight - y);
+        }
+    }
     
-    // Horizontal line (stereo indicator)
-    ctx.beginPath();
-    ctx.moveTo(0, centerHeight);
-    ctx.lineTo(width, centerHeight);
-    ctx.stroke();
+    // Keyboard: white keys first, then the shorter black keys on top
+    const loudLevels = new Map(constantQLoudNotes.map(note => [note.midi, note.levelDb]));
+    const maxLoudDb = constantQLoudNotes.length > 0 ? constantQLoudNotes[0].levelDb : 0;
+    [false, true].forEach(drawBlackKeys => {
+        for (let midi = PIANO_LOWEST_MIDI; midi <= PIANO_HIGHEST_MIDI; midi++) {
+            const isBlack = BLACK_KEY_PITCH_CLASSES.has(midi % 12);
+            if (isBlack !== drawBlackKeys) continue;
+            
+            const x = midiToX(midi) - keyWidth / 2;
+            const keyHeight = isBlack ? CONSTANT_Q_KEYBOARD_HEIGHT * 0.6 : CONSTANT_Q_KEYBOARD_HEIGHT;
+            if (loudLevels.has(midi)) {
+                // Brightness follows level relative to the loudest note
+                const alpha = 0.45 + 0.55 * Math.max(0, 1 - (maxLoudDb - loudLevels.get(midi)) / 24);
+                constantQCtx.fillStyle = `rgba(52, 211, 153, ${alpha.toFixed(2)})`; // emerald-400
+            } else {
+                constantQCtx.fillStyle = isBlack ? '#111827' : '#e5e7eb'; // gray-900 / gray-200
+            }
+            constantQCtx.fillRect(x, plotHeight, keyWidth, keyHeight);
+            constantQCtx.strokeStyle = '#374151'; // gray-700
+            constantQCtx.strokeRect(x + 0.5, plotHeight + 0.5, keyWidth - 1, keyHeight - 1);
+        }
+    });
     
-    // ===== ADAPTIVE SAMPLING (AVOID SPIKES) =====
-    // Calculate step size to draw ~800 points regardless of FFT size
-    // This prevents the scope from becoming a jagged mess at high resolutions
-    const step = Math.max(1, Math.floor(leftData.length / 800));
-    const minLength = Math.min(leftData.length, rightData.length);
+    // Octave labels on the C keys
+    constantQCtx.font = '9px system-ui';
+    constantQCtx.textAlign = 'center';
+    constantQCtx.textBaseline = 'bottom';
+    constantQCtx.fillStyle = '#4b5563'; // gray-600
+    for (let midi = PIANO_LOWEST_MIDI; midi <= PIANO_HIGHEST_MIDI; midi++) {
+        if (midi % 12 === 0 && !loudLevels.has(midi)) {
+            constantQCtx.fillText(`C${midi / 12 - 1}`, midiToX(midi), height - 2);
+        }
+    }
     
-    // Find peak amplitude for normalization (to ensure consistent color scaling)
-    let peakAmplitude = 0;
-    for (let i = 0; i < minLength; i += step) {
-        const left = leftData[i];
-        const right = rightData[i];
-        
-        if (isFinite(left) && isFinite(right)) {
-            // Calculate amplitude at this point (average of both channels)
-            const avg = (left + right) / 2;
-            const amplitude = Math.abs(avg);
-            peakAmplitude = Math.max(peakAmplitude, amplitude);
+    // Names of the loudest notes above their peaks
+    constantQCtx.font = '11px system-ui';
+    constantQCtx.fillStyle = '#6ee7b7'; // emerald-300
+    constantQLoudNotes.forEach(note => {
+        const x = Math.max(12, Math.min(width - 12, midiToX(note.midi)));
+        constantQCtx.fillText(note.label, x, Math.max(12, levelToY(note.levelDb) - 3));
+    });
+}
+
+/**
+ * Handle the constant-Q view toggle (starts / stops sample capture as needed)
+ */
+function handleConstantQToggle() {
+    constantQEnabled = !!(constantQEnableCheck && constantQEnableCheck.checked);
+    if (constantQCanvas) constantQCanvas.classList.toggle('hidden', !constantQEnabled);
+    
+    if (constantQEnabled) {
+        if (audioContext) ensureConstantQKernel();
+        // Without a running source the capture is connected by the next connectSourceToAnalysers
+        if (audioContext && channelUpmix) {
+            connectCaptureNode();
         }
+        resizeConstantQCanvas();
+    } else {
+        disconnectUnusedCaptureNode();
+        constantQLoudNotes = [];
+        if (constantQNotesEl) constantQNotesEl.textContent = 'Loudest notes are highlighted on the keyboard';
     }
+}
+
+/**
+ * Format a frequency for readouts (one decimal below 100 Hz, kHz above 1 kHz)
+ * @param {number} freq - Frequency in Hz
+ * @returns {string} Label, e.g. "55.2 Hz", "440 Hz", "1.25 kHz"
+ */
+function formatFrequencyLabel(freq) {
+    if (freq >= 10000) return `${(freq / 1000).toFixed(1)} kHz`;
+    if (freq >= 1000) return `${(freq / 1000).toFixed(2)} kHz`;
+    if (freq >= 100) return `${Math.round(freq)} Hz`;
+    return `${freq.toFixed(1)} Hz`;
+}
+
+/**
+ * Format the nearest note and cents offset for a frequency
+ * @param {number} freq - Frequency in Hz
+ * @returns {string} Label, e.g. "A1 +6c" (empty for invalid frequencies)
+ */
+function formatNoteLabel(freq) {
+    const note = frequencyToNote(freq);
+    return note ? `${note.label} ${formatCents(note.cents)}` : '';
+}
+
+/**
+ * Format a dB value for readouts
+ * @param {number} db - Level in dB
+ * @returns {string} Label, e.g. "-23.4 dB"
+ */
+function formatDbLabel(db) {
+    return isFinite(db) ? `${db.toFixed(1)} dB` : '-inf dB';
+}
+
+/**
+ * Convert a pointer event to canvas pixel coordinates
+ * @param {MouseEvent} event - Mouse event on the spectrum canvas
+ * @returns {{x: number, y: number}} Position in canvas pixels
+ */
+function getCanvasPointerPosition(event) {
+    const rect = canvas.getBoundingClientRect();
+    const scaleX = rect.width > 0 ? canvas.width / rect.width : 1;
+    const scaleY = rect.height > 0 ? canvas.height / rect.height : 1;
+    return {
+        x: (event.clientX - rect.left) * scaleX,
+        y: (event.clientY - rect.top) * scaleY
+    };
+}
+
+/**
+ * Check whether a canvas position is inside the plot area
+ * @param {{x: number, y: number}} position - Canvas pixel position
+ * @returns {boolean} True inside the active draw area
+ */
+function isInsidePlotArea(position) {
+    return position.x >= MARGIN_LEFT && position.x < canvas.width - MARGIN_RIGHT &&
+        position.y >= MARGIN_TOP && position.y <= canvas.height - MARGIN_BOTTOM;
+}
+
+/**
+ * Read the displayed spectrum values at a frequency
+ * Uses the same per-pixel reduction and tilt as drawSpectrum (max for live, mean for average),
+ * so the readout matches what is drawn under the cursor.
+ * @param {number} freq - Frequency in Hz
+ * @param {number} width - Canvas width
+ * @returns {{liveDb: number, avgDb: number, peak: {freq: number, db: number}|null}|null} Readout, or null without data
+ */
+function getSpectrumReadout(freq, width) {
+    if (!liveDisplayData || !averageDisplayData || !analyserLeft || !audioContext) return null;
     
-    // Draw Lissajous curve (rotated 45 degrees) with dynamic amplitude-based coloring
-    // Each point is colored based on its specific amplitude in the band
-    for (let i = 0; i < minLength; i += step) {
-        const left = leftData[i];
-        const right = rightData[i];
-        
-        // Skip invalid samples
-        if (!isFinite(left) || !isFinite(right)) {
-            continue;
+    const fftSize = analyserLeft.fftSize;
+    const x = Math.floor(frequencyToX(freq, width));
+    const startFreq = xToFrequency(x, width);
+    const endFreq = xToFrequency(x + 1, width);
+    const binStart = getBinIndex(startFreq, fftSize);
+    const binEnd = getBinIndex(endFreq, fftSize);
+    
+    let liveDb = -Infinity;
+    let sumDb = 0;
+    let count = 0;
+    for (let binIdx = binStart; binIdx <= binEnd && binIdx < liveDisplayData.length; binIdx++) {
+        if (isFinite(liveDisplayData[binIdx]) && liveDisplayData[binIdx] > liveDb) {
+            liveDb = liveDisplayData[binIdx];
+        }
+        if (isFinite(averageDisplayData[binIdx])) {
+            sumDb += averageDisplayData[binIdx];
+            count++;
         }
-        
-        // Calculate amplitude at this specific point (average of both channels)
-        const avg = (left + right) / 2;
-        const amplitude = Math.abs(avg);
-        
-        // Normalize amplitude to [0, 1] using peak amplitude for this band
-        // This ensures colors are relative to the band's own amplitude range
-        const normalized = peakAmplitude > 0 
-            ? Math.max(0, Math.min(1, amplitude / peakAmplitude))
-            : 0;
-        
-        // Generate "Cool" color palette based on this point's amplitude
-        // Hue: shifts from Blue (210) to Cyan (190) as amplitude increases
-        const hue = 210 - (normalized * 20);
-        
-        // Lightness: shifts from Dark (20) to Bright White (90) as amplitude increases
-        const lightness = 20 + (normalized * 70);
-        
-        // Alpha: shifts from Transparent (0.6) to Opaque (1.0) as amplitude increases
-        const alpha = 0.6 + (normalized * 0.4);
-        
-        // Create HSLA color string for this specific point
-        const pointColor = `hsla(${hue}, 100%, ${lightness}%, ${alpha})`;
-        
-        // Set color for this point
-        ctx.fillStyle = pointColor;
-        
-        // Lissajous curve math (rotated 45 degrees):
-        // X = centerWidth + ((right - left) * scale)  // Horizontal = Stereo
-        // Y = centerHeight - ((right + left) * scale) // Vertical = Mono
-        // Note: Subtract for Y because screen Y increases downward, but we want positive mono to go up
-        const x = centerWidth + ((right - left) * scale);
-        const y = centerHeight - ((right + left) * scale);
-        
-        // Clamp to canvas bounds
-        const clampedX = Math.max(0, Math.min(width - 1, x));
-        const clampedY = Math.max(0, Math.min(height - 1, y));
-        
-        // Draw a small dot (1 pixel) with amplitude-based color
-        ctx.fillRect(Math.floor(clampedX), Math.floor(clampedY), 1, 1);
     }
+    const avgDb = count > 0 ? sumDb / count : -Infinity;
+    const tiltDb = getTiltDb(Math.sqrt(startFreq * endFreq));
     
-    // Note: The `color` parameter (traffic light status) is only used for the canvas border
-    // which is set via boxShadow in the calling code. The line color uses the "Cool" palette above.
+    // Nearest peak of the average curve (the stable layer), found by climbing from the cursor bin
+    const binWidthHz = getSampleRate() / fftSize;
+    const found = findNearestPeak(averageDisplayData, freq / binWidthHz, { minDb: MIN_DB });
+    const peak = found ? { freq: found.bin * binWidthHz, db: found.db + getTiltDb(found.bin * binWidthHz) } : null;
+    
+    return { liveDb: liveDb + tiltDb, avgDb: avgDb + tiltDb, peak };
 }
 
 /**
- * Resize multi-band vector scope canvases to match container size
- * Each canvas takes 1/4 of the container width (4-band)
+ * Draw a text box with one line per entry, kept inside the plot area
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {Array<{text: string, color: string}>} lines - Lines to draw
+ * @param {number} anchorX - Preferred left edge (flipped to the other side near the right edge)
+ * @param {number} anchorY - Preferred top edge
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
  */
-function resizeVectorScopeCanvas() {
-    if (!scopeSubCanvas || !scopeLowCanvas || !scopeMidCanvas || !scopeHighCanvas || !vectorScopeContainer) return;
-    
-    // Get container dimensions (accounting for gap-4 = 1rem = 16px, 3 gaps = 48px total)
-    const containerWidth = vectorScopeContainer.clientWidth;
-    const containerHeight = vectorScopeContainer.clientHeight;
+function drawReadoutBox(ctx, lines, anchorX, anchorY, width, height) {
+    const padding = 6;
+    const lineHeight = 14;
+    ctx.font = '11px system-ui, -apple-system, sans-serif';
+    const boxWidth = Math.max(...lines.map(line => ctx.measureText(line.text).width)) + padding * 2;
+    const boxHeight = lines.length * lineHeight + padding * 2;
     
-    // Each canvas gets 1/4 of the width (minus gaps)
-    const gap = 16; // gap-4 = 1rem = 16px
-    const totalGaps = gap * 3; // 3 gaps between 4 canvases
-    const canvasWidth = (containerWidth - totalGaps) / 4;
-    const canvasHeight = Math.min(250, containerHeight - 40); // Leave room for labels
+    let left = anchorX + 12;
+    if (left + boxWidth > width - MARGIN_RIGHT) {
+        left = anchorX - 12 - boxWidth;
+    }
+    const top = Math.max(MARGIN_TOP, Math.min(height - MARGIN_BOTTOM - boxHeight, anchorY + 12));
     
-    // Handle devicePixelRatio for HiDPI displays
-    const dpr = window.devicePixelRatio || 1;
+    ctx.fillStyle = 'rgba(17, 24, 39, 0.9)'; // gray-900
+    ctx.strokeStyle = 'rgba(75, 85, 99, 0.8)'; // gray-600
+    ctx.lineWidth = 1;
+    ctx.fillRect(left, top, boxWidth, boxHeight);
+    ctx.strokeRect(left + 0.5, top + 0.5, boxWidth - 1, boxHeight - 1);
     
-    // Resize all four canvases
-    const canvases = [
-        { canvas: scopeSubCanvas, ctx: scopeSubCtx },
-        { canvas: scopeLowCanvas, ctx: scopeLowCtx },
-        { canvas: scopeMidCanvas, ctx: scopeMidCtx },
-        { canvas: scopeHighCanvas, ctx: scopeHighCtx }
-    ];
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    lines.forEach((line, index) => {
+        ctx.fillStyle = line.color;
+        ctx.fillText(line.text, left + padding, top + padding + index * lineHeight);
+    });
+}
+
+/**
+ * Draw pinned frequency markers with their current average level
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawPinnedMarkers(ctx, width, height) {
+    if (pinnedMarkers.length === 0) return;
     
-    canvases.forEach(({ canvas, ctx }) => {
-        if (!canvas || !ctx) return;
+    ctx.save();
+    ctx.font = '10px system-ui, -apple-system, sans-serif';
+    ctx.textBaseline = 'top';
+    
+    pinnedMarkers.forEach((freq, index) => {
+        if (!isFrequencyInView(freq)) return;
+        const x = Math.round(frequencyToX(freq, width)) + 0.5;
         
-        // Set canvas internal resolution (device pixels)
-        canvas.width = canvasWidth * dpr;
-        canvas.height = canvasHeight * dpr;
+        ctx.setLineDash([3, 3]);
+        ctx.strokeStyle = 'rgba(251, 146, 60, 0.8)'; // orange-400
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, MARGIN_TOP);
+        ctx.lineTo(x, height - MARGIN_BOTTOM);
+        ctx.stroke();
+        ctx.setLineDash([]);
         
-        // Set canvas CSS size (logical pixels)
-        canvas.style.width = canvasWidth + 'px';
-        canvas.style.height = canvasHeight + 'px';
+        // Stagger labels so neighbouring markers stay readable
+        const readout = getSpectrumReadout(freq, width);
+        const label = `${formatFrequencyLabel(freq)} ${formatNoteLabel(freq)}${readout ? `  ${formatDbLabel(readout.avgDb)}` : ''}`;
+        const labelWidth = ctx.measureText(label).width;
+        const labelX = Math.min(width - MARGIN_RIGHT - labelWidth - 2, x + 3);
+        const labelY = MARGIN_TOP + 22 + (index % 4) * 13;
         
-        // Reset transform and scale context to account for devicePixelRatio
-        ctx.setTransform(1, 0, 0, 1, 0, 0);
-        ctx.scale(dpr, dpr);
+        ctx.fillStyle = 'rgba(17, 24, 39, 0.8)'; // gray-900
+        ctx.fillRect(labelX - 2, labelY - 1, labelWidth + 4, 12);
+        ctx.fillStyle = '#fdba74'; // orange-300
+        ctx.textAlign = 'left';
+        ctx.fillText(label, labelX, labelY);
     });
+    
+    ctx.restore();
 }
 
 /**
- * Update function: Read FFT data from analyser and apply smoothing
+ * Detect this frame's most prominent peaks in the visible range and advance the peak tracks
+ * Peaks come from the live spectrum before octave smoothing so interpolation sees the real bin shape.
  */
-function update() {
-    if (!analyserLeft) {
-        if (Math.random() < 0.01) {
-            console.warn('Update: No analyser available');
-        }
-        return;
-    }
+function updatePeakLabels() {
+    if (!smoothedData || !audioContext) return;
+    
+    const fftSize = smoothedData.length * 2;
+    const binWidthHz = getSampleRate() / fftSize;
+    const peaks = findSpectralPeaks(smoothedData, {
+        maxPeaks: peakLabelCount,
+        minProminenceDb: peakLabelProminenceDb,
+        minDb: PEAK_LABEL_MIN_DB,
+        minBin: getBinIndex(spectrumView.minFreq, fftSize),
+        maxBin: getBinIndex(spectrumView.maxFreq, fftSize)
+    });
     
-    if (!fftData) {
-        if (Math.random() < 0.01) {
-            console.warn('Update: No fftData array available');
-        }
-        return;
-    }
+    peakTracks = trackSpectralPeaks(
+        peakTracks,
+        peaks.map(peak => ({ frequency: peak.bin * binWidthHz, db: peak.db })),
+        { holdFrames: PEAK_LABEL_HOLD_FRAMES }
+    );
+}
+
+/**
+ * Draw labels ("55.2 Hz A1 +6c") above the tracked spectral peaks
+ * Labels that would overlap a louder peak's label keep only their marker.
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawPeakLabels(ctx, width, height) {
+    if (!peakLabelsEnabled) return;
     
-    // Read FFT data from left analyser (for spectrum visualization)
-    analyserLeft.getFloatFrequencyData(fftData);
+    const visible = peakTracks
+        .filter(track => track.age >= PEAK_LABEL_MIN_AGE && isFrequencyInView(track.frequency))
+        .sort((a, b) => b.db - a.db)
+        .slice(0, peakLabelCount);
+    if (visible.length === 0) return;
     
-    // Check if we're getting any valid values (-Infinity is valid, NaN is not)
-    const hasAnyData = Array.from(fftData).some(val => !isNaN(val));
+    ctx.save();
+    ctx.font = '10px system-ui, -apple-system, sans-serif';
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
     
-    if (!hasAnyData && Math.random() < 0.1) {
-        console.warn('FFT data appears to be all NaN. Audio may not be flowing through analyser.');
-    }
+    const placed = [];
+    visible.forEach(track => {
+        const x = frequencyToX(track.frequency, width);
+        const y = Math.max(MARGIN_TOP + 14, dbToY(track.db + getTiltDb(track.frequency), height));
+        
+        // Marker: small downward triangle just above the peak
+        ctx.fillStyle = '#fde047'; // yellow-300
+        ctx.beginPath();
+        ctx.moveTo(x, y - 2);
+        ctx.lineTo(x - 3, y - 7);
+        ctx.lineTo(x + 3, y - 7);
+        ctx.closePath();
+        ctx.fill();
+        
+        const label = `${formatFrequencyLabel(track.frequency)} ${formatNoteLabel(track.frequency)}`;
+        const labelWidth = ctx.measureText(label).width;
+        const box = {
+            left: Math.max(MARGIN_LEFT, Math.min(width - MARGIN_RIGHT - labelWidth - 4, x - labelWidth / 2 - 2)),
+            top: y - 21
+        };
+        box.right = box.left + labelWidth + 4;
+        box.bottom = box.top + 12;
+        if (placed.some(other => box.left < other.right && box.right > other.left && box.top < other.bottom && box.bottom > other.top)) {
+            return;
+        }
+        placed.push(box);
+        
+        ctx.fillStyle = 'rgba(17, 24, 39, 0.8)'; // gray-900
+        ctx.fillRect(box.left, box.top, labelWidth + 4, 12);
+        ctx.fillStyle = '#fef08a'; // yellow-200
+        ctx.fillText(label, box.left + 2, box.bottom);
+    });
     
-    // Update smoothedData with fixed fast alpha (0.8) for responsive live view
-    if (smoothedData) {
-        updateEMA(fftData, smoothedData, SMOOTHED_DATA_ALPHA);
+    ctx.restore();
+}
+
+/**
+ * Handle peak label settings changes (enable, count, prominence)
+ */
+function handlePeakLabelSettingsChange() {
+    if (peakLabelsCheck) {
+        peakLabelsEnabled = peakLabelsCheck.checked;
     }
-    
-    // Update averageData with variable alpha from slider (for long-term average)
-    if (averageData) {
-        // Use a separate initialization flag for averageData
-        if (!averageDataInitialized) {
-            for (let i = 0; i < fftData.length; i++) {
-                averageData[i] = fftData[i];
-            }
-            averageDataInitialized = true;
-        } else {
-            updateEMA(fftData, averageData, averageDataAlpha);
-        }
+    if (peakLabelsCountSelect) {
+        const raw = parseInt(peakLabelsCountSelect.value, 10);
+        if (!Number.isNaN(raw)) peakLabelCount = raw;
     }
-    
-    // Update waveform buffer
-    updateWaveform();
-    
-    // Update multi-band time-domain data arrays (for multi-band vector scope)
-    if (analyserSubL && analyserSubR && analyserLowL && analyserLowR && analyserMidL && analyserMidR && analyserHighL && analyserHighR &&
-        timeDomainDataSubL && timeDomainDataSubR && timeDomainDataLowL && timeDomainDataLowR && timeDomainDataMidL && timeDomainDataMidR && 
-        timeDomainDataHighL && timeDomainDataHighR) {
-        analyserSubL.getFloatTimeDomainData(timeDomainDataSubL);
-        analyserSubR.getFloatTimeDomainData(timeDomainDataSubR);
-        analyserLowL.getFloatTimeDomainData(timeDomainDataLowL);
-        analyserLowR.getFloatTimeDomainData(timeDomainDataLowR);
-        analyserMidL.getFloatTimeDomainData(timeDomainDataMidL);
-        analyserMidR.getFloatTimeDomainData(timeDomainDataMidR);
-        analyserHighL.getFloatTimeDomainData(timeDomainDataHighL);
-        analyserHighR.getFloatTimeDomainData(timeDomainDataHighR);
+    if (peakLabelsProminenceSelect) {
+        const raw = parseFloat(peakLabelsProminenceSelect.value);
+        if (!Number.isNaN(raw)) peakLabelProminenceDb = raw;
     }
     
-    // Update band states with smoothed FFT data
-    if (smoothedData && audioContext) {
-        const binFrequencies = computeBinFrequencies();
-        if (binFrequencies.length > 0) {
-            updateBandStates(smoothedData, binFrequencies);
-        }
-    }
+    [peakLabelsCountSelect, peakLabelsProminenceSelect].forEach(select => {
+        if (select) select.disabled = !peakLabelsEnabled;
+    });
+    
+    // Start tracking afresh so stale labels do not reappear
+    peakTracks = [];
+    redrawIfPaused();
 }
 
 /**
- * Draw the spectrum with two layers: Live bars (MAX) and Average curve (AVERAGE)
- * Uses pixel-based loop for "Vision 4X" bar chart aesthetic
- * @param {Float32Array} smoothed - Smoothed FFT data array (not used directly, kept for compatibility)
+ * Draw the crosshair and its readout at the pointer position
  * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
  */
-function drawSpectrum(smoothed, ctx, width, height) {
-    if (!smoothedData || smoothedData.length === 0 || !averageData || averageData.length === 0 || !audioContext || !analyserLeft) {
-        console.warn('drawSpectrum: No data available', {
-            hasSmoothedData: !!smoothedData,
-            hasAverageData: !!averageData,
-            hasAudioContext: !!audioContext,
-            hasAnalyserLeft: !!analyserLeft
-        });
-        return;
-    }
+function drawCrosshair(ctx, width, height) {
+    if (!crosshairPosition || !isInsidePlotArea(crosshairPosition)) return;
     
-    // Calculate active draw area
-    const activeLeft = MARGIN_LEFT;
-    const activeTop = MARGIN_TOP;
-    const activeRight = width - MARGIN_RIGHT;
-    const activeBottom = height - MARGIN_BOTTOM;
-    const activeWidth = activeRight - activeLeft;
-    const activeHeight = activeBottom - activeTop;
+    const { x, y } = crosshairPosition;
+    const freq = xToFrequency(x, width);
     
-    // Save context and set up clipping for active draw area
     ctx.save();
+    ctx.strokeStyle = 'rgba(229, 231, 235, 0.35)'; // gray-200
+    ctx.lineWidth = 1;
     ctx.beginPath();
-    ctx.rect(activeLeft, activeTop, activeWidth, activeHeight);
-    ctx.clip();
-    
-    // Fill background of active draw area
-    ctx.fillStyle = '#030712'; // gray-950
-    ctx.fillRect(activeLeft, activeTop, activeWidth, activeHeight);
-    
-    const fftSize = analyserLeft.fftSize;
-    
-    // Array to store average curve points
-    const averagePoints = [];
+    ctx.moveTo(Math.round(x) + 0.5, MARGIN_TOP);
+    ctx.lineTo(Math.round(x) + 0.5, height - MARGIN_BOTTOM);
+    ctx.moveTo(MARGIN_LEFT, Math.round(y) + 0.5);
+    ctx.lineTo(width - MARGIN_RIGHT, Math.round(y) + 0.5);
+    ctx.stroke();
     
-    // ===== PIXEL-BASED LOOP =====
-    // Iterate from MARGIN_LEFT to width - MARGIN_RIGHT (one iteration per pixel column)
-    for (let x = activeLeft; x < activeRight; x++) {
-        // Calculate frequency range for this pixel
-        const startFreq = xToFrequency(x, width);
-        const endFreq = xToFrequency(x + 1, width);
-        
-        // Convert frequency range to FFT bin indices
-        const binStart = getBinIndex(startFreq, fftSize);
-        const binEnd = getBinIndex(endFreq, fftSize);
-        
-        // ===== LAYER 1: Live Data (MAX amplitude - "Vision 4X" bars) =====
-        // Find MAX amplitude in the bin range for this pixel
-        let maxDb = -Infinity;
-        for (let binIdx = binStart; binIdx <= binEnd && binIdx < smoothedData.length; binIdx++) {
-            const dbValue = smoothedData[binIdx];
-            if (isFinite(dbValue) && dbValue > maxDb) {
-                maxDb = dbValue;
-            }
-        }
-        
-        // Draw vertical 1px wide line from bottom up to max amplitude
-        if (isFinite(maxDb)) {
-            const y = dbToY(maxDb, height);
-            const clampedY = Math.max(activeTop, Math.min(activeBottom, y));
-            const barHeight = activeBottom - clampedY;
+    const lines = [{ text: `${formatFrequencyLabel(freq)}  ${formatNoteLabel(freq)}`, color: '#f9fafb' }];
+    const readout = getSpectrumReadout(freq, width);
+    if (readout) {
+        lines.push(
+            { text: `Live ${formatDbLabel(readout.liveDb)}`, color: '#22d3ee' },   // cyan-400
+            { text: `Avg  ${formatDbLabel(readout.avgDb)}`, color: '#67e8f9' }     // cyan-300
+        );
+        if (readout.peak) {
+            lines.push({
+                text: `Peak ${formatFrequencyLabel(readout.peak.freq)} ${formatNoteLabel(readout.peak.freq)}  ${formatDbLabel(readout.peak.db)}`,
+                color: '#fde047' // yellow-300
+            });
             
-            if (barHeight > 0) {
-                // Use gradient color based on amplitude
-                const normalized = Math.max(0, Math.min(1, (maxDb - MIN_DB) / (MAX_DB - MIN_DB)));
-                const hue = 180; // Cyan
-                const saturation = 100;
-                const lightness = 20 + (normalized * 80);
-                const alpha = 0.3 + (normalized * 0.7);
-                
-                ctx.fillStyle = `hsla(${hue}, ${saturation}%, ${lightness}%, ${alpha})`;
-                ctx.fillRect(x, clampedY, 1, barHeight);
-            }
-        }
-        
-        // ===== LAYER 2: Average Data (AVERAGE amplitude - smooth curve) =====
-        // Find AVERAGE amplitude in the bin range for this pixel (simple arithmetic mean)
-        let sumDb = 0;
-        let count = 0;
-        for (let binIdx = binStart; binIdx <= binEnd && binIdx < averageData.length; binIdx++) {
-            const dbValue = averageData[binIdx];
-            if (isFinite(dbValue)) {
-                sumDb += dbValue;
-                count++;
-            }
-        }
-        
-        // Calculate average dB value
-        if (count > 0) {
-            const avgDb = sumDb / count;
-            const y = dbToY(avgDb, height);
-            const clampedY = Math.max(activeTop, Math.min(activeBottom, y));
-            averagePoints.push({ x: x, y: clampedY });
-        }
-    }
-    
-    // Draw smooth stroked line connecting averaged points (Layer 2)
-    if (averagePoints.length > 0) {
-        ctx.beginPath();
-        ctx.moveTo(averagePoints[0].x, averagePoints[0].y);
-        for (let i = 1; i < averagePoints.length; i++) {
-            ctx.lineTo(averagePoints[i].x, averagePoints[i].y);
+            // Mark the peak on the curve
+            const peakX = frequencyToX(readout.peak.freq, width);
+            const peakY = Math.max(MARGIN_TOP, Math.min(height - MARGIN_BOTTOM, dbToY(readout.peak.db, height)));
+            ctx.strokeStyle = '#fde047';
+            ctx.beginPath();
+            ctx.arc(peakX, peakY, 4, 0, Math.PI * 2);
+            ctx.stroke();
         }
-        ctx.strokeStyle = '#67e8f9'; // cyan-300 - bright and visible
-        ctx.lineWidth = 2;
-        ctx.stroke();
     }
     
-    // Restore context (removes clipping)
+    drawReadoutBox(ctx, lines, x, y, width, height);
     ctx.restore();
 }
 
 /**
- * Draw frequency markers (vertical lines and labels)
- * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
+ * Redraw the spectrum when paused so pointer interactions are visible without the animation loop
  */
-function drawFrequencyMarkers(ctx, width, height) {
-    const frequencies = [100, 1000, 10000]; // 100 Hz, 1 kHz, 10 kHz
+function redrawIfPaused() {
+    if (!isAnimating) {
+        draw();
+    }
+}
+
+/**
+ * Handle pointer movement over the spectrum canvas (crosshair)
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleSpectrumMouseMove(event) {
+    crosshairPosition = getCanvasPointerPosition(event);
+    redrawIfPaused();
+}
+
+/**
+ * Hide the crosshair when the pointer leaves the spectrum canvas
+ */
+function handleSpectrumMouseLeave() {
+    crosshairPosition = null;
+    redrawIfPaused();
+}
+
+/**
+ * Handle click on the spectrum canvas: pin a marker, remove the marker under the pointer,
+ * or clear all markers with Shift+click
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleSpectrumClick(event) {
+    // Releasing a pan drag is not a click
+    if (suppressNextSpectrumClick) {
+        suppressNextSpectrumClick = false;
+        return;
+    }
     
-    // Calculate active draw area boundaries
-    const activeTop = MARGIN_TOP;
-    const activeBottom = height - MARGIN_BOTTOM;
-    const labelY = height - MARGIN_BOTTOM + 15; // Position labels in the bottom margin area
+    const position = getCanvasPointerPosition(event);
     
-    // Set up styling for grid lines (subtle, low opacity)
-    ctx.strokeStyle = 'rgba(107, 114, 128, 0.3)'; // gray-500 with low opacity
-    ctx.lineWidth = 1;
+    if (event.shiftKey) {
+        pinnedMarkers = [];
+        redrawIfPaused();
+        return;
+    }
     
-    // Set up styling for labels
-    ctx.font = '11px system-ui, -apple-system, sans-serif';
-    ctx.fillStyle = '#9ca3af'; // gray-400
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
+    if (!isInsidePlotArea(position)) return;
     
-    for (const freq of frequencies) {
-        const x = frequencyToX(freq, width);
-        
-        // Draw vertical grid line extending only across the active draw area
-        ctx.beginPath();
-        ctx.moveTo(x, activeTop);
-        ctx.lineTo(x, activeBottom);
-        ctx.stroke();
-        
-        // Format label
-        let label;
-        if (freq >= 1000) {
-            label = `${freq / 1000} kHz`;
-        } else {
-            label = `${freq} Hz`;
+    // Alt-click: use the peak under the pointer as the harmonic overlay's fundamental
+    if (event.altKey) {
+        if (smoothedData && audioContext) {
+            const fftSize = smoothedData.length * 2;
+            const peak = findNearestPeak(smoothedData, getBinIndex(xToFrequency(position.x, canvas.width), fftSize));
+            if (peak) {
+                setHarmonicFundamental((peak.bin * getSampleRate()) / fftSize);
+            }
+        }
+        return;
+    }
+    
+    const existingIndex = pinnedMarkers.findIndex(freq =>
+        Math.abs(frequencyToX(freq, canvas.width) - position.x) <= MARKER_HIT_TOLERANCE_PX
+    );
+    
+    if (existingIndex >= 0) {
+        pinnedMarkers.splice(existingIndex, 1);
+    } else {
+        pinnedMarkers.push(xToFrequency(position.x, canvas.width));
+        if (pinnedMarkers.length > MAX_PINNED_MARKERS) {
+            pinnedMarkers.shift();
         }
-        
-        // Draw label in the bottom margin area
-        ctx.fillText(label, x, labelY);
     }
+    
+    redrawIfPaused();
 }
 
 /**
- * Draw dB scale markers on the left side (vertical axis)
- * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
+ * Keep a range inside its limits with at least a minimum span, preserving its span when it is shifted
+ * @param {number} low - Range start
+ * @param {number} high - Range end
+ * @param {number} lowerLimit - Smallest allowed value
+ * @param {number} upperLimit - Largest allowed value
+ * @param {number} minSpan - Smallest allowed span
+ * @returns {number[]} [low, high]
  */
-function drawDbMarkers(ctx, width, height) {
-    // dB values to display (from MAX_DB to MIN_DB, top to bottom)
-    // Show markers every 10 dB from 0 dB (top) down to -100 dB (bottom)
-    const dbValues = [0, -10, -20, -30, -40, -50, -60, -70, -80, -90, -100];
+function constrainViewRange(low, high, lowerLimit, upperLimit, minSpan) {
+    let span = Math.min(upperLimit - lowerLimit, Math.max(minSpan, high - low));
+    let start = low + ((high - low) - span) / 2; // Grow a too-small span around its centre
+    start = Math.max(lowerLimit, Math.min(upperLimit - span, start));
+    return [start, start + span];
+}
+
+/**
+ * Set the spectrum viewport (clamped to the axis limits) and sync the range inputs
+ * @param {{minFreq: number, maxFreq: number, minDb: number, maxDb: number}} view - Requested viewport
+ */
+function setSpectrumView(view) {
+    // Frequencies are constrained on the display axis, so the minimum span looks the same everywhere
+    const [startNormalized, endNormalized] = constrainViewRange(
+        frequencyToNormalized(Math.min(view.minFreq, view.maxFreq)),
+        frequencyToNormalized(Math.max(view.minFreq, view.maxFreq)),
+        0, 1, MIN_VIEW_SPAN_NORMALIZED
+    );
+    const [minDb, maxDb] = constrainViewRange(
+        Math.min(view.minDb, view.maxDb),
+        Math.max(view.minDb, view.maxDb),
+        VIEW_DB_LOWER_LIMIT, VIEW_DB_UPPER_LIMIT, MIN_VIEW_SPAN_DB
+    );
     
-    // Calculate active draw area boundaries
-    const activeLeft = MARGIN_LEFT;
-    const activeRight = width - MARGIN_RIGHT;
-    const labelX = 8; // Position labels in the left margin area
+    spectrumView = {
+        minFreq: normalizedToFrequency(startNormalized),
+        maxFreq: normalizedToFrequency(endNormalized),
+        minDb,
+        maxDb
+    };
     
-    // Set up styling for grid lines (subtle, low opacity)
-    ctx.strokeStyle = 'rgba(75, 85, 99, 0.3)'; // gray-600 with low opacity
-    ctx.lineWidth = 0.5;
+    if (viewMinFreqInput) viewMinFreqInput.value = String(Math.round(spectrumView.minFreq));
+    if (viewMaxFreqInput) viewMaxFreqInput.value = String(Math.round(spectrumView.maxFreq));
+    if (viewMinDbInput) viewMinDbInput.value = String(Math.round(spectrumView.minDb));
+    if (viewMaxDbInput) viewMaxDbInput.value = String(Math.round(spectrumView.maxDb));
     
-    // Set up styling for labels
-    ctx.font = '11px system-ui, -apple-system, sans-serif';
-    ctx.fillStyle = '#9ca3af'; // gray-400
-    ctx.textAlign = 'left';
-    ctx.textBaseline = 'middle';
+    redrawIfPaused();
+}
+
+/**
+ * Reset the spectrum viewport to the full frequency and dB range
+ */
+function resetSpectrumView() {
+    setSpectrumView({ minFreq: MIN_FREQ, maxFreq: MAX_FREQ, minDb: MIN_DB, maxDb: MAX_DB });
+}
+
+/**
+ * Handle frequency axis scale change
+ * The spectrum, markers, bands and spectrogram all map through frequencyToNormalized, so they
+ * switch together; bands are re-spaced and the spectrogram history (painted with the old row
+ * mapping) restarts.
+ */
+function handleFrequencyScaleChange() {
+    if (!frequencyScaleSelect) return;
+    frequencyAxisScale = frequencyScaleSelect.value;
     
-    for (const db of dbValues) {
-        const y = dbToY(db, height);
-        
-        // Draw horizontal grid line extending only across the active draw area
-        ctx.beginPath();
-        ctx.moveTo(activeLeft, y);
-        ctx.lineTo(activeRight, y);
-        ctx.stroke();
-        
-        // Format label
-        const label = `${db} dB`;
-        
-        // Draw label text in the left margin area
-        ctx.fillText(label, labelX, y);
+    bandDefinitions = generateScaleBands(BAND_COUNT, BAND_MIN_FREQ, BAND_MAX_FREQ);
+    computeBandBinIndices();
+    initializeBandStates();
+    
+    resizeSpectrogramCanvas();
+    
+    // Re-apply the viewport so its minimum span is enforced on the new axis
+    setSpectrumView(spectrumView);
+    
+    console.log(`Frequency axis scale updated: ${frequencyAxisScale}`);
+}
+
+/**
+ * Handle the numeric viewport inputs
+ */
+function handleViewRangeInput() {
+    const read = (input, fallback) => {
+        const value = input ? parseFloat(input.value) : NaN;
+        return isFinite(value) ? value : fallback;
+    };
+    setSpectrumView({
+        minFreq: read(viewMinFreqInput, spectrumView.minFreq),
+        maxFreq: read(viewMaxFreqInput, spectrumView.maxFreq),
+        minDb: read(viewMinDbInput, spectrumView.minDb),
+        maxDb: read(viewMaxDbInput, spectrumView.maxDb)
+    });
+}
+
+/**
+ * Zoom the spectrum with the mouse wheel, anchored at the pointer
+ * Plain wheel zooms frequency; Shift+wheel zooms the dB range
+ * @param {WheelEvent} event - Wheel event
+ */
+function handleSpectrumWheel(event) {
+    const position = getCanvasPointerPosition(event);
+    if (!isInsidePlotArea(position)) return;
+    event.preventDefault();
+    
+    // Shift turns vertical wheel movement into deltaX in some browsers
+    const delta = event.deltaY || event.deltaX;
+    if (delta === 0) return;
+    const factor = delta > 0 ? VIEW_WHEEL_ZOOM_STEP : 1 / VIEW_WHEEL_ZOOM_STEP;
+    
+    if (event.shiftKey) {
+        const anchorDb = yToDb(position.y, canvas.height);
+        setSpectrumView({
+            ...spectrumView,
+            minDb: anchorDb - (anchorDb - spectrumView.minDb) * factor,
+            maxDb: anchorDb + (spectrumView.maxDb - anchorDb) * factor
+        });
+    } else {
+        const viewStart = frequencyToNormalized(spectrumView.minFreq);
+        const viewEnd = frequencyToNormalized(spectrumView.maxFreq);
+        const anchor = frequencyToNormalized(xToFrequency(position.x, canvas.width));
+        setSpectrumView({
+            ...spectrumView,
+            minFreq: normalizedToFrequency(anchor - (anchor - viewStart) * factor),
+            maxFreq: normalizedToFrequency(anchor + (viewEnd - anchor) * factor)
+        });
     }
 }
 
+/**
+ * Start a potential pan drag on the spectrum canvas
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleSpectrumMouseDown(event) {
+    if (event.button !== 0) return;
+    const position = getCanvasPointerPosition(event);
+    if (!isInsidePlotArea(position)) return;
+    
+    spectrumDrag = { startX: position.x, startY: position.y, startView: { ...spectrumView }, moved: false };
+}
+
+/**
+ * Pan the spectrum while dragging (frequency horizontally, dB vertically)
+ * Listens on the window so the drag continues outside the canvas
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleSpectrumDragMove(event) {
+    if (!spectrumDrag) return;
+    
+    const position = getCanvasPointerPosition(event);
+    const dx = position.x - spectrumDrag.startX;
+    const dy = position.y - spectrumDrag.startY;
+    if (!spectrumDrag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+    spectrumDrag.moved = true;
+    
+    const { startView } = spectrumDrag;
+    const activeWidth = canvas.width - MARGIN_LEFT - MARGIN_RIGHT;
+    const activeHeight = canvas.height - MARGIN_TOP - MARGIN_BOTTOM;
+    const viewStart = frequencyToNormalized(startView.minFreq);
+    const viewEnd = frequencyToNormalized(startView.maxFreq);
+    const shiftNormalized = (-dx / activeWidth) * (viewEnd - viewStart);
+    const shiftDb = (dy / activeHeight) * (startView.maxDb - startView.minDb);
+    
+    setSpectrumView({
+        minFreq: normalizedToFrequency(viewStart + shiftNormalized),
+        maxFreq: normalizedToFrequency(viewEnd + shiftNormalized),
+        minDb: startView.minDb + shiftDb,
+        maxDb: startView.maxDb + shiftDb
+    });
+}
+
+/**
+ * Finish a pan drag; a press that moved does not count as a click
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleSpectrumDragEnd(event) {
+    if (!spectrumDrag) return;
+    // The browser only fires click when the button is released over the canvas
+    suppressNextSpectrumClick = spectrumDrag.moved && event.target === canvas;
+    spectrumDrag = null;
+}
+
 /**
  * Resize canvas to match container size
  */
@@ -2590,6 +6710,13 @@ function draw() {
     // Draw dB scale markers on the left
     drawDbMarkers(ctx, canvas.width, canvas.height);
     
+    // Automatic peak labels under the user's own markers
+    drawPeakLabels(ctx, canvas.width, canvas.height);
+    
+    // Draw pinned markers and the crosshair readout last so they sit above the grid
+    drawPinnedMarkers(ctx, canvas.width, canvas.height);
+    drawCrosshair(ctx, canvas.width, canvas.height);
+    
     // Draw multi-band vector scopes with phase correlation
     const dpr = window.devicePixelRatio || 1;
     
@@ -2651,6 +6778,16 @@ function draw() {
     
     // Draw oscilloscope (axis is now drawn internally)
     drawOscilloscopeWrapper();
+    
+    // Draw scrolling spectrogram and keep its hover readout current as it scrolls
+    drawSpectrogram();
+    if (spectrogramHover) {
+        updateSpectrogramReadout();
+    }
+    
+    drawConstantQ();
+    drawClashTimeline();
+    drawDescriptorSparklines();
 }
 
 let frameCount = 0;
@@ -2677,6 +6814,8 @@ function animate() {
     }
     
     update();
+    updateTransport();
+    updateSpectrogram();
     draw();
     
     animationFrameId = requestAnimationFrame(animate);
@@ -2761,6 +6900,53 @@ function stopVisualization() {
  * Handle play/pause button click
  */
 function handlePlayPause() {
+    // Generator: Play starts the signal, Pause suspends the AudioContext (silences output)
+    if (audioSourceSelect.value === GENERATOR_SOURCE) {
+        if (currentSourceKind === 'generator' && isAnimating) {
+            stopVisualization();
+            playPauseBtn.textContent = 'Play';
+        } else {
+            startGenerator();
+        }
+        return;
+    }
+    
+    // A/B compare: both sources run continuously; Play/Pause resumes/suspends the AudioContext clock
+    if (audioSourceSelect.value === AB_COMPARE_SOURCE) {
+        if (!compareState) {
+            setupCompare();
+        } else if (isAnimating) {
+            stopVisualization();
+            playPauseBtn.textContent = 'Play';
+        } else {
+            startVisualization();
+            playPauseBtn.textContent = 'Pause';
+        }
+        return;
+    }
+    
+    // Tab capture: same as live input (the share picker opens on Play if nothing is shared)
+    if (audioSourceSelect.value === TAB_CAPTURE_SOURCE) {
+        if (hasMediaStreamOfKind('tab') && isAnimating) {
+            stopVisualization();
+            playPauseBtn.textContent = 'Play';
+        } else {
+            startTabCapture();
+        }
+        return;
+    }
+    
+    // Live input: Play opens the stream / resumes the display, Pause freezes it
+    if (audioSourceSelect.value === LIVE_INPUT_SOURCE) {
+        if (hasMediaStreamOfKind('live') && isAnimating) {
+            stopVisualization();
+            playPauseBtn.textContent = 'Play';
+        } else {
+            startLiveInput();
+        }
+        return;
+    }
+    
     if (!currentAudioElement) {
         // If no audio is set up, set up the selected audio file
         const selectedPath = audioSourceSelect.value;
@@ -2828,17 +7014,188 @@ function handlePlayPause() {
  */
 function handleAudioSourceChange() {
     const selectedPath = audioSourceSelect.value;
+    const isLiveInput = selectedPath === LIVE_INPUT_SOURCE;
+    const isGenerator = selectedPath === GENERATOR_SOURCE;
+    const isCompare = selectedPath === AB_COMPARE_SOURCE;
     
     // If audio is currently playing, stop it first
     if (currentAudioElement && !currentAudioElement.paused) {
         currentAudioElement.pause();
     }
     
-    // Set up new audio source
-    setupTestAudio(selectedPath);
+    // Device picker is only relevant for live input
+    if (inputDeviceContainer) {
+        inputDeviceContainer.classList.toggle('hidden', !isLiveInput);
+    }
+    if (generatorControls) {
+        generatorControls.classList.toggle('hidden', !isGenerator);
+    }
+    if (compareControls) {
+        compareControls.classList.toggle('hidden', !isCompare);
+    }
+    setSourceStatus('');
     
     // Update button text
     playPauseBtn.textContent = 'Play';
+    
+    // Loop points belong to the previous track
+    loopStartSec = null;
+    loopEndSec = null;
+    loopEnabled = false;
+    
+    if (isLiveInput) {
+        // The dropdown change is a user gesture, so the stream and AudioContext can start right away
+        startLiveInput();
+        updateTransportDisplay();
+        return;
+    }
+    
+    if (selectedPath === TAB_CAPTURE_SOURCE) {
+        // getDisplayMedia also needs a user gesture; the dropdown change counts
+        startTabCapture();
+        updateTransportDisplay();
+        return;
+    }
+    
+    if (isGenerator) {
+        // Set up but wait for Play, so selecting the generator never starts a loud signal by surprise
+        setupGenerator();
+        stopVisualization();
+        updateTransportDisplay();
+        return;
+    }
+    
+    if (isCompare) {
+        populateCompareSelects();
+        setupCompare();
+        updateTransportDisplay();
+        return;
+    }
+    
+    // Set up new audio source
+    setupTestAudio(selectedPath);
+    updateTransportDisplay();
+}
+
+/**
+ * Get a human-readable name for an audio source value (file name for session files)
+ * @param {string} audioPath - Dropdown value (test file path or session object URL)
+ * @returns {string} Display name
+ */
+function getSourceDisplayName(audioPath) {
+    const sessionFile = sessionFiles.get(audioPath);
+    if (sessionFile) {
+        return sessionFile.name;
+    }
+    return audioPath.split('/').pop() || audioPath;
+}
+
+/**
+ * Check whether a file looks like audio the browser may be able to decode
+ * @param {File} file - Candidate file
+ * @returns {boolean} True for audio MIME types or known audio extensions
+ */
+function isSupportedAudioFile(file) {
+    if (file.type && file.type.startsWith('audio/')) {
+        return true;
+    }
+    const extension = file.name.split('.').pop().toLowerCase();
+    return SUPPORTED_AUDIO_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Get (or create) the "Session Files" option group in the audio source dropdown
+ * @returns {HTMLOptGroupElement} Option group holding session file entries
+ */
+function getSessionFilesGroup() {
+    let group = document.getElementById('session-files-group');
+    if (!group) {
+        group = document.createElement('optgroup');
+        group.id = 'session-files-group';
+        group.label = 'Session Files';
+        audioSourceSelect.appendChild(group);
+    }
+    return group;
+}
+
+/**
+ * Add local files to the session list and switch to the first one
+ * Each file gets an object URL that the <audio> element plays directly;
+ * offline analysis decodes the File's ArrayBuffer instead of fetching.
+ * @param {FileList|File[]} files - Files from the file picker or a drop event
+ */
+function addSessionFiles(files) {
+    const accepted = Array.from(files).filter(isSupportedAudioFile);
+    const rejectedCount = files.length - accepted.length;
+    
+    if (accepted.length === 0) {
+        setSourceStatus('No supported audio files (WAV, MP3, FLAC, OGG, M4A).', 'error');
+        return;
+    }
+    
+    const group = getSessionFilesGroup();
+    const existingNames = new Set(Array.from(sessionFiles.values(), entry => entry.name));
+    let firstUrl = null;
+    
+    accepted.forEach(file => {
+        // Disambiguate repeated names so the dropdown entries stay distinguishable
+        let name = file.name;
+        for (let n = 2; existingNames.has(name); n++) {
+            name = `${file.name} (${n})`;
+        }
+        existingNames.add(name);
+        
+        const url = URL.createObjectURL(file);
+        sessionFiles.set(url, { name, file });
+        
+        const option = document.createElement('option');
+        option.value = url;
+        option.textContent = name;
+        group.appendChild(option);
+        
+        if (!firstUrl) {
+            firstUrl = url;
+        }
+    });
+    
+    console.log(`Added ${accepted.length} session file(s)`, accepted.map(file => file.name));
+    
+    populateCompareSelects();
+    
+    if (audioSourceSelect.value === AB_COMPARE_SOURCE && compareSelectB) {
+        // In A/B mode a dropped file is most likely the mix to check against the reference
+        compareSelectB.value = firstUrl;
+        setupCompare();
+    } else {
+        // Switch to the first new file through the normal source change path
+        audioSourceSelect.value = firstUrl;
+        handleAudioSourceChange();
+    }
+    
+    if (rejectedCount > 0) {
+        setSourceStatus(`Skipped ${rejectedCount} unsupported file(s).`, 'error');
+    } else {
+        setSourceStatus(`Loaded ${accepted.length} file(s).`, 'success');
+    }
+}
+
+/**
+ * Handle file picker selection
+ */
+function handleAudioFileInput() {
+    if (!audioFileInput || !audioFileInput.files || audioFileInput.files.length === 0) return;
+    addSessionFiles(audioFileInput.files);
+    // Reset so choosing the same file again still fires a change event
+    audioFileInput.value = '';
+}
+
+/**
+ * Check whether a drag event carries files (as opposed to text or elements)
+ * @param {DragEvent} event - Drag event
+ * @returns {boolean} True if files are being dragged
+ */
+function isFileDrag(event) {
+    return !!event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
 }
 
 /**
@@ -2862,6 +7219,118 @@ function handleSmoothingChange() {
     console.log(`Average smoothing updated: ${Math.round(sliderValue)}% -> alpha = ${averageDataAlpha.toFixed(3)}`);
 }
 
+/**
+ * Handle fractional-octave smoothing dropdown change
+ */
+function handleOctaveSmoothingChange() {
+    const fraction = parseInt(octaveSmoothingSelect.value, 10);
+    octaveSmoothingFraction = isFinite(fraction) && fraction > 0 ? fraction : 0;
+    updateOctaveSmoothingRanges();
+    
+    // Redraw right away when paused so the new smoothing is visible
+    if (!isAnimating && smoothedData && liveDisplayData) {
+        updateDisplaySpectra();
+        draw();
+    }
+    
+    console.log(`Frequency smoothing updated: ${octaveSmoothingFraction > 0 ? `1/${octaveSmoothingFraction} octave` : 'off'}`);
+}
+
+/**
+ * Enable the window / overlap controls only for the custom engine
+ */
+function updateFftEngineControls() {
+    const isCustom = fftEngineType === 'custom';
+    if (fftWindowSelect) fftWindowSelect.disabled = !isCustom;
+    if (fftOverlapSelect) fftOverlapSelect.disabled = !isCustom;
+}
+
+/**
+ * Handle FFT engine change (built-in AnalyserNode ↔ custom AudioWorklet FFT)
+ */
+function handleFftEngineChange() {
+    if (!fftEngineSelect) return;
+    fftEngineType = fftEngineSelect.value === 'custom' ? 'custom' : 'analyser';
+    updateFftEngineControls();
+    
+    if (fftEngineType === 'custom') {
+        // Without a running source the capture is connected by the next connectSourceToAnalysers
+        if (audioContext && channelUpmix) {
+            connectCaptureNode();
+        }
+    } else {
+        disconnectUnusedCaptureNode();
+        emaInitialized = false;
+        averageDataInitialized = false;
+        peakHoldInitialized = false;
+        secondaryDataInitialized = false;
+    }
+    
+    console.log(`FFT engine updated: ${fftEngineType}`);
+}
+
+/**
+ * Handle custom engine window / overlap change
+ */
+function handleFftWindowChange() {
+    if (fftWindowSelect) fftWindowType = fftWindowSelect.value;
+    if (fftOverlapSelect) {
+        const overlap = parseFloat(fftOverlapSelect.value);
+        fftOverlap = isFinite(overlap) ? overlap : 0.5;
+    }
+    
+    if (fftEngineType === 'custom') {
+        rebuildFftEngineState();
+    }
+    
+    console.log(`FFT window updated: ${fftWindowType}, overlap ${Math.round(fftOverlap * 1000) / 10}%`);
+}
+
+/**
+ * Handle spectrum channel mode change
+ * The primary pipeline (live, average, peak hold, spectrogram) switches signal, so its history restarts
+ */
+function handleChannelModeChange() {
+    if (!channelModeSelect) return;
+    spectrumChannelMode = CHANNEL_MODE_LABELS[channelModeSelect.value] ? channelModeSelect.value : 'mid';
+    
+    emaInitialized = false;
+    averageDataInitialized = false;
+    peakHoldInitialized = false;
+    secondaryDataInitialized = false;
+    
+    if (!isAnimating && smoothedData) {
+        draw();
+    }
+    
+    console.log(`Spectrum channel mode updated: ${spectrumChannelMode}`);
+}
+
+/**
+ * Handle spectral tilt (slope / pivot) changes
+ */
+function handleTiltChange() {
+    if (tiltSelect) {
+        const slope = parseFloat(tiltSelect.value);
+        spectralTiltDbPerOct = isFinite(slope) && slope > 0 ? slope : 0;
+    }
+    if (tiltPivotInput) {
+        const pivot = parseFloat(tiltPivotInput.value);
+        if (isFinite(pivot) && pivot >= MIN_FREQ && pivot <= MAX_FREQ) {
+            spectralTiltPivotHz = pivot;
+        } else {
+            tiltPivotInput.value = spectralTiltPivotHz;
+        }
+    }
+    
+    // Redraw right away when paused so the new tilt is visible
+    if (!isAnimating && smoothedData && liveDisplayData) {
+        draw();
+    }
+    
+    console.log(`Spectral tilt updated: ${spectralTiltDbPerOct} dB/oct around ${spectralTiltPivotHz} Hz`);
+}
+
 /**
  * Handle view length dropdown change
  */
@@ -2889,6 +7358,70 @@ function handleDecaySpeedChange() {
     }
 }
 
+/**
+ * Handle peak-hold settings changes (enable, infinite hold, hold time, decay rate)
+ */
+function handlePeakHoldSettingsChange() {
+    if (peakHoldCheck) {
+        peakHoldEnabled = peakHoldCheck.checked;
+    }
+    if (peakHoldInfiniteCheck) {
+        peakHoldInfinite = peakHoldInfiniteCheck.checked;
+    }
+    if (peakHoldTimeSlider) {
+        const raw = parseFloat(peakHoldTimeSlider.value);
+        if (!Number.isNaN(raw)) {
+            peakHoldTimeSec = raw;
+        }
+    }
+    if (peakHoldDecaySlider) {
+        const raw = parseFloat(peakHoldDecaySlider.value);
+        if (!Number.isNaN(raw)) {
+            peakHoldDecayDbPerSec = raw;
+        }
+    }
+    
+    if (peakHoldTimeValue) {
+        peakHoldTimeValue.textContent = peakHoldTimeSec.toFixed(1);
+    }
+    if (peakHoldDecayValue) {
+        peakHoldDecayValue.textContent = Math.round(peakHoldDecayDbPerSec);
+    }
+    
+    // Hold time and decay do not apply to infinite hold
+    [peakHoldTimeSlider, peakHoldDecaySlider].forEach(slider => {
+        if (slider) {
+            slider.disabled = peakHoldInfinite;
+        }
+    });
+    
+    // Turning the trace back on starts a fresh capture
+    if (!peakHoldEnabled) {
+        peakHoldInitialized = false;
+    }
+}
+
+/**
+ * Handle global keyboard shortcuts
+ * Ignored while typing in form fields so inputs keep their normal behaviour
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleKeyboardShortcut(event) {
+    const target = event.target;
+    if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) return;
+    if (target && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName))) return;
+    
+    switch (event.key) {
+        case 'r':
+        case 'R':
+            resetPeakHold();
+            event.preventDefault();
+            break;
+        default:
+            break;
+    }
+}
+
 /**
  * @param {string} message
  * @param {'idle'|'running'|'success'|'error'} state
@@ -2917,11 +7450,18 @@ function encodeAudioPath(audioPath) {
 }
 
 /**
+ * Read the raw bytes of an audio source: session files are read directly,
+ * bundled test files are fetched by path (with the WAV → MP3 fallback).
+ *
  * @param {string} audioPath
- * @returns {Promise<{audioBuffer: Float32Array, sampleRate: number}>}
+ * @returns {Promise<ArrayBuffer>}
  */
-async function decodeAudioToMono(audioPath) {
-    const { audioContext: ctx } = initializeAudioContext();
+async function loadAudioArrayBuffer(audioPath) {
+    const sessionFile = sessionFiles.get(audioPath);
+    if (sessionFile) {
+        return sessionFile.file.arrayBuffer();
+    }
+
     const encodedPath = encodeAudioPath(audioPath);
     let response = await fetch(encodedPath);
 
@@ -2934,8 +7474,25 @@ async function decodeAudioToMono(audioPath) {
         throw new Error(`Failed to load audio file (${response.status} ${response.statusText})`);
     }
 
-    const arrayBuffer = await response.arrayBuffer();
-    const decoded = await ctx.decodeAudioData(arrayBuffer.slice(0));
+    return response.arrayBuffer();
+}
+
+/**
+ * @param {string} audioPath
+ * @returns {Promise<AudioBuffer>}
+ */
+async function decodeAudioFile(audioPath) {
+    const { audioContext: ctx } = initializeAudioContext();
+    const arrayBuffer = await loadAudioArrayBuffer(audioPath);
+    return ctx.decodeAudioData(arrayBuffer.slice(0));
+}
+
+/**
+ * @param {string} audioPath
+ * @returns {Promise<{audioBuffer: Float32Array, sampleRate: number}>}
+ */
+async function decodeAudioToMono(audioPath) {
+    const decoded = await decodeAudioFile(audioPath);
 
     const mono = new Float32Array(decoded.length);
     const channelCount = decoded.numberOfChannels;
@@ -3040,142 +7597,811 @@ function renderPianoRoll(result) {
         rollCtx.fillText('No note events', width / 2, height / 2);
         return;
     }
-
-    let minPitch = 127;
-    let maxPitch = 0;
-    let totalSec = 0;
-
-    for (let i = 0; i < notes.length; i++) {
-        const note = notes[i];
-        if (note.pitchMidi < minPitch) minPitch = note.pitchMidi;
-        if (note.pitchMidi > maxPitch) maxPitch = note.pitchMidi;
-        const end = note.startSec + note.durationSec;
-        if (end > totalSec) totalSec = end;
+
+    let minPitch = 127;
+    let maxPitch = 0;
+    let totalSec = 0;
+
+    for (let i = 0; i < notes.length; i++) {
+        const note = notes[i];
+        if (note.pitchMidi < minPitch) minPitch = note.pitchMidi;
+        if (note.pitchMidi > maxPitch) maxPitch = note.pitchMidi;
+        const end = note.startSec + note.durationSec;
+        if (end > totalSec) totalSec = end;
+    }
+
+    const pitchRange = Math.max(1, maxPitch - minPitch + 1);
+
+    for (let i = 0; i < notes.length; i++) {
+        const note = notes[i];
+        const x = (note.startSec / totalSec) * width;
+        const w = Math.max(1, (note.durationSec / totalSec) * width);
+        const yRatio = (note.pitchMidi - minPitch) / pitchRange;
+        const y = height - (yRatio * (height - 12)) - 10;
+        const isMelody = result.melodyNotes.includes(note);
+        rollCtx.fillStyle = isMelody ? 'rgba(16,185,129,0.85)' : 'rgba(59,130,246,0.7)';
+        rollCtx.fillRect(x, y, w, 6);
+    }
+}
+
+/**
+ * @param {import('./analysis/types.js').AnalysisResult} result
+ */
+function renderAnalysisSummary(result) {
+    if (analysisKeyEstimate) {
+        analysisKeyEstimate.textContent = result.keyEstimate
+            ? `Key: ${result.keyEstimate.label} (${Math.round(result.keyEstimate.confidence * 100)}%)`
+            : 'Key: No stable key';
+    }
+
+    if (analysisAtonalBadge) {
+        analysisAtonalBadge.textContent = result.isAtonal
+            ? `Atonality: Atonal (${result.atonalScore.toFixed(2)})`
+            : `Atonality: Tonal (${result.atonalScore.toFixed(2)})`;
+        analysisAtonalBadge.className = result.isAtonal
+            ? 'text-red-300'
+            : 'text-emerald-300';
+    }
+
+    renderChordTimeline(result);
+    renderPianoRoll(result);
+}
+
+async function handleAnalyzeSample() {
+    if (!audioSourceSelect?.value) {
+        setAnalysisStatus('Select an audio source first.', 'error');
+        return;
+    }
+    
+    if ([LIVE_INPUT_SOURCE, TAB_CAPTURE_SOURCE, GENERATOR_SOURCE, AB_COMPARE_SOURCE].includes(audioSourceSelect.value)) {
+        setAnalysisStatus('Offline analysis needs an audio file source.', 'error');
+        return;
+    }
+
+    const runToken = ++analysisRunToken;
+    analysisRunning = true;
+    offlineAnalysisResult = null;
+
+    if (analyzeSampleBtn) analyzeSampleBtn.disabled = true;
+    if (cancelAnalysisBtn) cancelAnalysisBtn.disabled = false;
+    if (exportMidiBtn) exportMidiBtn.disabled = true;
+
+    try {
+        setAnalysisStatus('Decoding audio sample...', 'running');
+        const decoded = await decodeAudioToMono(audioSourceSelect.value);
+
+        if (runToken !== analysisRunToken) {
+            return;
+        }
+
+        let audioBuffer = decoded.audioBuffer;
+        const loopRegion = analysisOptLoopRegion?.checked ? getLoopRegion() : null;
+        if (analysisOptLoopRegion?.checked && !loopRegion) {
+            setAnalysisStatus('Set loop point A (and B) to analyze a region.', 'error');
+            return;
+        }
+        if (loopRegion) {
+            const startSample = Math.floor(loopRegion.start * decoded.sampleRate);
+            const endSample = Math.min(audioBuffer.length, Math.ceil(loopRegion.end * decoded.sampleRate));
+            audioBuffer = audioBuffer.slice(startSample, endSample);
+        }
+
+        setAnalysisStatus(loopRegion
+            ? `Running offline analysis on ${formatTransportTime(loopRegion.start)}-${formatTransportTime(loopRegion.end)}...`
+            : 'Running offline analysis...', 'running');
+        const result = await analyzeSampleToMidi({
+            audioBuffer,
+            sampleRate: decoded.sampleRate,
+            options: getOfflineAnalysisOptions()
+        });
+
+        if (runToken !== analysisRunToken) {
+            return;
+        }
+
+        offlineAnalysisResult = result;
+        renderAnalysisSummary(result);
+        setAnalysisStatus('Analysis complete.', 'success');
+        if (exportMidiBtn) exportMidiBtn.disabled = false;
+    } catch (error) {
+        console.error('Offline analysis failed:', error);
+        setAnalysisStatus(`Analysis failed: ${error.message || 'Unknown error'}`, 'error');
+    } finally {
+        if (runToken === analysisRunToken) {
+            analysisRunning = false;
+            if (analyzeSampleBtn) analyzeSampleBtn.disabled = false;
+            if (cancelAnalysisBtn) cancelAnalysisBtn.disabled = true;
+        }
+    }
+}
+
+function handleCancelAnalysis() {
+    if (!analysisRunning) return;
+    analysisRunToken += 1;
+    analysisRunning = false;
+    setAnalysisStatus('Analysis canceled.', 'idle');
+    if (analyzeSampleBtn) analyzeSampleBtn.disabled = false;
+    if (cancelAnalysisBtn) cancelAnalysisBtn.disabled = true;
+}
+
+function handleExportMidi() {
+    if (!offlineAnalysisResult) {
+        setAnalysisStatus('No analysis result to export.', 'error');
+        return;
+    }
+
+    try {
+        const bytes = exportToMidi(offlineAnalysisResult, {
+            includeMelody: !!analysisOptMelody?.checked,
+            includeChords: !!analysisOptChords?.checked,
+            tempoBpm: 120,
+            ppq: 480,
+            chordBaseOctave: 4
+        });
+
+        const blob = new Blob([bytes], { type: 'audio/midi' });
+        const url = URL.createObjectURL(blob);
+        const download = document.createElement('a');
+        const sourceName = getSourceDisplayName(audioSourceSelect?.value || '').replace(/\.[^/.]+$/, '') || 'analysis';
+        download.href = url;
+        download.download = `${sourceName}_analysis.mid`;
+        download.click();
+        URL.revokeObjectURL(url);
+        setAnalysisStatus('MIDI exported.', 'success');
+    } catch (error) {
+        console.error('MIDI export failed:', error);
+        setAnalysisStatus(`MIDI export failed: ${error.message || 'Unknown error'}`, 'error');
+    }
+}
+
+/**
+ * Show a message next to the snapshot controls
+ * @param {string} message - Status message
+ * @param {string} state - 'idle' | 'success' | 'error'
+ */
+function setSnapshotStatus(message, state = 'idle') {
+    setStatusText(snapshotStatus, message, state);
+}
+
+/**
+ * Add snapshots to free slots, each with the first unused colour
+ * @param {Array<Object>} snapshots - Snapshots from createSpectrumSnapshot / parseSnapshots
+ * @returns {number} Number of snapshots added (the rest did not fit)
+ */
+function addSnapshots(snapshots) {
+    let added = 0;
+    snapshots.forEach(snapshot => {
+        if (spectrumSnapshots.length >= MAX_SNAPSHOTS) return;
+        const usedColors = new Set(spectrumSnapshots.map(entry => entry.color));
+        const color = SNAPSHOT_COLORS.find(c => !usedColors.has(c));
+        spectrumSnapshots.push({ snapshot, color, visible: true, resampled: null, resampledKey: '' });
+        added++;
+    });
+    return added;
+}
+
+/**
+ * Persist snapshots to localStorage so they survive reloads
+ */
+function saveSnapshotsToStorage() {
+    try {
+        localStorage.setItem(SNAPSHOT_STORAGE_KEY, serializeSnapshots(spectrumSnapshots.map(entry => entry.snapshot)));
+    } catch (error) {
+        // Quota exceeded (large FFT sizes) or storage disabled; snapshots still work for this session
+        console.warn('Could not save snapshots to localStorage:', error);
+        setSnapshotStatus('Snapshots not saved (browser storage full or disabled)', 'error');
+    }
+}
+
+/**
+ * Restore snapshots saved by saveSnapshotsToStorage
+ */
+function loadSnapshotsFromStorage() {
+    try {
+        const stored = localStorage.getItem(SNAPSHOT_STORAGE_KEY);
+        if (stored) {
+            addSnapshots(parseSnapshots(stored));
+        }
+    } catch (error) {
+        console.warn('Could not restore snapshots from localStorage:', error);
+    }
+}
+
+/**
+ * Rebuild the snapshot slot list and the difference-curve dropdown
+ */
+function renderSnapshotList() {
+    if (snapshotList) {
+        snapshotList.replaceChildren();
+        spectrumSnapshots.forEach((entry, index) => {
+            const item = document.createElement('label');
+            item.className = 'inline-flex items-center gap-2 bg-gray-900 border border-gray-700 rounded px-2 py-1';
+            
+            const visibleCheck = document.createElement('input');
+            visibleCheck.type = 'checkbox';
+            visibleCheck.checked = entry.visible;
+            visibleCheck.style.accentColor = entry.color;
+            visibleCheck.title = 'Show curve';
+            visibleCheck.addEventListener('change', () => {
+                entry.visible = visibleCheck.checked;
+                redrawIfPaused();
+            });
+            
+            const name = document.createElement('span');
+            name.textContent = entry.snapshot.name;
+            name.style.color = entry.color;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.textContent = '×';
+            removeBtn.title = `Delete ${entry.snapshot.name}`;
+            removeBtn.className = 'text-gray-400 hover:text-red-400 focus:outline-none';
+            removeBtn.addEventListener('click', (event) => {
+                event.preventDefault();
+                handleSnapshotDelete(index);
+            });
+            
+            item.append(visibleCheck, name, removeBtn);
+            snapshotList.appendChild(item);
+        });
+    }
+    
+    if (snapshotDiffSelect) {
+        snapshotDiffSelect.replaceChildren(new Option('None', '-1'));
+        spectrumSnapshots.forEach((entry, index) => {
+            snapshotDiffSelect.appendChild(new Option(entry.snapshot.name, String(index)));
+        });
+        snapshotDiffSelect.value = String(snapshotDiffIndex);
+    }
+    
+    if (eqMatchReferenceSelect) {
+        const previous = eqMatchReferenceSelect.value;
+        eqMatchReferenceSelect.replaceChildren();
+        spectrumSnapshots.forEach((entry, index) => {
+            eqMatchReferenceSelect.appendChild(new Option(entry.snapshot.name, String(index)));
+        });
+        if (parseInt(previous, 10) < spectrumSnapshots.length) {
+            eqMatchReferenceSelect.value = previous;
+        }
+    }
+    if (eqMatchFitBtn) eqMatchFitBtn.disabled = spectrumSnapshots.length === 0;
+    
+    if (snapshotCaptureBtn) snapshotCaptureBtn.disabled = spectrumSnapshots.length >= MAX_SNAPSHOTS;
+    if (snapshotExportBtn) snapshotExportBtn.disabled = spectrumSnapshots.length === 0;
+}
+
+/**
+ * Capture the current average spectrum into a new snapshot slot
+ */
+function handleSnapshotCapture() {
+    if (!averageData || !averageDataInitialized) {
+        setSnapshotStatus('Nothing to capture yet - start playback first', 'error');
+        return;
+    }
+    if (spectrumSnapshots.length >= MAX_SNAPSHOTS) {
+        setSnapshotStatus(`All ${MAX_SNAPSHOTS} slots are in use - delete one first`, 'error');
+        return;
+    }
+    
+    const typedName = snapshotNameInput ? snapshotNameInput.value.trim() : '';
+    const name = typedName || `Snapshot ${spectrumSnapshots.length + 1}`;
+    addSnapshots([createSpectrumSnapshot(name, averageData, getSampleRate())]);
+    if (snapshotNameInput) snapshotNameInput.value = '';
+    
+    renderSnapshotList();
+    setSnapshotStatus(`Captured "${name}"`, 'success');
+    saveSnapshotsToStorage();
+    redrawIfPaused();
+}
+
+/**
+ * Delete a snapshot slot
+ * @param {number} index - Index into spectrumSnapshots
+ */
+function handleSnapshotDelete(index) {
+    const [removed] = spectrumSnapshots.splice(index, 1);
+    if (!removed) return;
+    
+    // Keep the difference curve pointing at the same snapshot
+    if (snapshotDiffIndex === index) {
+        snapshotDiffIndex = -1;
+    } else if (snapshotDiffIndex > index) {
+        snapshotDiffIndex--;
+    }
+    
+    renderSnapshotList();
+    setSnapshotStatus(`Deleted "${removed.snapshot.name}"`);
+    saveSnapshotsToStorage();
+    redrawIfPaused();
+}
+
+/**
+ * Handle difference-curve snapshot selection
+ */
+function handleSnapshotDiffChange() {
+    if (!snapshotDiffSelect) return;
+    const index = parseInt(snapshotDiffSelect.value, 10);
+    snapshotDiffIndex = index >= 0 && index < spectrumSnapshots.length ? index : -1;
+    redrawIfPaused();
+}
+
+/**
+ * Download all snapshots as a JSON file
+ */
+function handleSnapshotExport() {
+    if (spectrumSnapshots.length === 0) return;
+    
+    const blob = new Blob([serializeSnapshots(spectrumSnapshots.map(entry => entry.snapshot))], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const download = document.createElement('a');
+    download.href = url;
+    download.download = 'spectrum_snapshots.json';
+    download.click();
+    URL.revokeObjectURL(url);
+    setSnapshotStatus(`Exported ${spectrumSnapshots.length} snapshot(s)`, 'success');
+}
+
+/**
+ * Load snapshots from a JSON file chosen in the import file picker
+ */
+async function handleSnapshotImport() {
+    const file = snapshotFileInput && snapshotFileInput.files ? snapshotFileInput.files[0] : null;
+    if (!file) return;
+    
+    try {
+        const snapshots = parseSnapshots(await file.text());
+        const added = addSnapshots(snapshots);
+        renderSnapshotList();
+        saveSnapshotsToStorage();
+        redrawIfPaused();
+        
+        const skipped = snapshots.length - added;
+        setSnapshotStatus(
+            skipped > 0 ? `Imported ${added}, skipped ${skipped} (all ${MAX_SNAPSHOTS} slots in use)` : `Imported ${added} snapshot(s)`,
+            added > 0 ? 'success' : 'error'
+        );
+    } catch (error) {
+        console.error('Snapshot import failed:', error);
+        setSnapshotStatus(`Import failed: ${error.message || 'Unknown error'}`, 'error');
+    } finally {
+        // Allow importing the same file again
+        snapshotFileInput.value = '';
+    }
+}
+
+/**
+ * Show a message next to the EQ match controls
+ * @param {string} message - Status message
+ * @param {string} state - 'idle' | 'success' | 'error'
+ */
+function setEqMatchStatus(message, state = 'idle') {
+    setStatusText(eqMatchStatus, message, state);
+}
+
+/**
+ * Show a harmonic overlay status message
+ * @param {string} message - Message to display
+ * @param {string} state - 'idle', 'success' or 'error'
+ */
+function setHarmonicsStatus(message, state = 'idle') {
+    setStatusText(harmonicsStatus, message, state);
+}
+
+/**
+ * Re-measure the harmonic levels from the live spectrum (auto mode first follows the fundamental)
+ * A differing auto estimate must persist for a few frames so the overlay does not jump on transients.
+ */
+function updateHarmonics() {
+    if (!smoothedData || !audioContext) return;
+    const sampleRate = getSampleRate();
+    
+    if (harmonicMode === 'auto') {
+        const estimate = estimateFundamental(smoothedData, sampleRate);
+        const centsFrom = (a, b) => Math.abs(1200 * Math.log2(a / b));
+        if (estimate && harmonicFundamentalHz && centsFrom(estimate, harmonicFundamentalHz) < HARMONIC_SAME_NOTE_CENTS) {
+            // Same note: follow small drifts smoothly (in log frequency)
+            harmonicFundamentalHz = Math.exp(HARMONIC_AUTO_SMOOTHING * Math.log(harmonicFundamentalHz) + (1 - HARMONIC_AUTO_SMOOTHING) * Math.log(estimate));
+            harmonicPendingHz = null;
+            harmonicPendingFrames = 0;
+        } else if (estimate) {
+            if (harmonicPendingHz && centsFrom(estimate, harmonicPendingHz) < HARMONIC_SAME_NOTE_CENTS) {
+                harmonicPendingFrames++;
+            } else {
+                harmonicPendingHz = estimate;
+                harmonicPendingFrames = 1;
+            }
+            if (!harmonicFundamentalHz || harmonicPendingFrames >= HARMONIC_AUTO_SWITCH_FRAMES) {
+                harmonicFundamentalHz = estimate;
+                harmonicPendingHz = null;
+                harmonicPendingFrames = 0;
+            }
+        }
+    }
+    
+    harmonicLevels = harmonicFundamentalHz ? measureHarmonics(smoothedData, harmonicFundamentalHz, sampleRate, { maxFrequency: MAX_FREQ }) : [];
+    
+    const now = performance.now();
+    if (now - harmonicListUpdatedAt >= HARMONIC_LIST_INTERVAL_MS) {
+        harmonicListUpdatedAt = now;
+        renderHarmonicsList();
     }
+}
 
-    const pitchRange = Math.max(1, maxPitch - minPitch + 1);
+/**
+ * Render the harmonic level table and the export button state
+ */
+function renderHarmonicsList() {
+    if (harmonicsExportBtn) {
+        harmonicsExportBtn.disabled = harmonicLevels.length === 0;
+    }
+    if (!harmonicsList) return;
+    
+    harmonicsList.textContent = harmonicMode === 'off' ? '' : harmonicLevels.map(harmonic => {
+        const name = harmonic.number === 1 ? 'f0' : `${harmonic.number}×`;
+        return `${name.padStart(4)}  ${formatFrequencyLabel(harmonic.frequency).padStart(10)}  ${formatNoteLabel(harmonic.frequency).padEnd(8)}  `
+            + `${formatDbLabel(harmonic.db).padStart(9)}  ${isFinite(harmonic.relativeDb) ? harmonic.relativeDb.toFixed(1).padStart(6) : '  -inf'} dB rel`;
+    }).join('\n');
+}
 
-    for (let i = 0; i < notes.length; i++) {
-        const note = notes[i];
-        const x = (note.startSec / totalSec) * width;
-        const w = Math.max(1, (note.durationSec / totalSec) * width);
-        const yRatio = (note.pitchMidi - minPitch) / pitchRange;
-        const y = height - (yRatio * (height - 12)) - 10;
-        const isMelody = result.melodyNotes.includes(note);
-        rollCtx.fillStyle = isMelody ? 'rgba(16,185,129,0.85)' : 'rgba(59,130,246,0.7)';
-        rollCtx.fillRect(x, y, w, 6);
+/**
+ * Select the fundamental (typed, or Alt-clicked on the spectrum) and switch to manual mode
+ * @param {number} frequency - Fundamental in Hz
+ */
+function setHarmonicFundamental(frequency) {
+    harmonicFundamentalHz = frequency;
+    harmonicMode = 'manual';
+    if (harmonicsModeSelect) harmonicsModeSelect.value = 'manual';
+    if (harmonicsFundamentalInput) {
+        // Plain Hz so Set / Enter can read it straight back (the note goes in the status line)
+        harmonicsFundamentalInput.value = `${frequency.toFixed(2)} Hz`;
     }
+    
+    harmonicLevels = smoothedData && audioContext ? measureHarmonics(smoothedData, frequency, getSampleRate(), { maxFrequency: MAX_FREQ }) : [];
+    renderHarmonicsList();
+    setHarmonicsStatus(`Fundamental ${formatFrequencyLabel(frequency)} (${formatNoteLabel(frequency)})`, 'success');
+    redrawIfPaused();
 }
 
 /**
- * @param {import('./analysis/types.js').AnalysisResult} result
+ * Handle harmonic overlay mode change (off / manual / auto)
  */
-function renderAnalysisSummary(result) {
-    if (analysisKeyEstimate) {
-        analysisKeyEstimate.textContent = result.keyEstimate
-            ? `Key: ${result.keyEstimate.label} (${Math.round(result.keyEstimate.confidence * 100)}%)`
-            : 'Key: No stable key';
+function handleHarmonicsModeChange() {
+    harmonicMode = harmonicsModeSelect ? harmonicsModeSelect.value : 'off';
+    harmonicPendingHz = null;
+    harmonicPendingFrames = 0;
+    
+    if (harmonicMode === 'off') {
+        harmonicLevels = [];
+        setHarmonicsStatus('Alt-click a peak or type a frequency / note');
+    } else if (harmonicMode === 'auto') {
+        setHarmonicsStatus('Following the strongest harmonic series');
+    } else if (!harmonicFundamentalHz) {
+        setHarmonicsStatus('Alt-click a peak or type a frequency / note');
     }
+    renderHarmonicsList();
+    redrawIfPaused();
+}
 
-    if (analysisAtonalBadge) {
-        analysisAtonalBadge.textContent = result.isAtonal
-            ? `Atonality: Atonal (${result.atonalScore.toFixed(2)})`
-            : `Atonality: Tonal (${result.atonalScore.toFixed(2)})`;
-        analysisAtonalBadge.className = result.isAtonal
-            ? 'text-red-300'
-            : 'text-emerald-300';
+/**
+ * Set the fundamental from the typed frequency or note name
+ */
+function handleHarmonicsFundamentalSubmit() {
+    if (!harmonicsFundamentalInput) return;
+    const frequency = parsePitchInput(harmonicsFundamentalInput.value);
+    if (!frequency || frequency < MIN_FREQ || frequency > MAX_FREQ) {
+        setHarmonicsStatus('Enter a frequency (e.g. 55, 1.2k) or a note (e.g. A1, C#3)', 'error');
+        return;
     }
+    setHarmonicFundamental(frequency);
+}
 
-    renderChordTimeline(result);
-    renderPianoRoll(result);
+/**
+ * Download the current harmonic levels as CSV
+ */
+function handleHarmonicsExport() {
+    if (harmonicLevels.length === 0) return;
+    
+    const blob = new Blob([`${formatHarmonicsCsv(harmonicLevels)}\n`], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const download = document.createElement('a');
+    download.href = url;
+    download.download = `harmonics_${harmonicLevels[0].frequency.toFixed(1).replace('.', '_')}Hz.csv`;
+    download.click();
+    URL.revokeObjectURL(url);
+    setHarmonicsStatus(`Exported ${harmonicLevels.length} harmonics`, 'success');
 }
 
-async function handleAnalyzeSample() {
-    if (!audioSourceSelect?.value) {
-        setAnalysisStatus('Select an audio source first.', 'error');
-        return;
+/**
+ * Show a resonance detector status message
+ * @param {string} message - Message to display
+ * @param {string} state - 'idle', 'success' or 'error'
+ */
+function setResonanceStatus(message, state = 'idle') {
+    setStatusText(resonanceStatus, message, state);
+}
+
+/**
+ * Find this frame's resonance candidates in the long-term average and rank the persistent ones
+ * @param {number} nowSec - Current time in seconds
+ */
+function updateResonances(nowSec) {
+    if (!averageData || !audioContext) return;
+    const sampleRate = getSampleRate();
+    
+    if (!resonanceBaselineData || resonanceBaselineData.length !== averageData.length) {
+        resonanceBaselineRanges = computeOctaveSmoothingRanges(averageData.length, sampleRate, RESONANCE_BASELINE_FRACTION);
+        resonanceBaselineData = new Float32Array(averageData.length);
+        resonanceBaselineScratch = new Float64Array(averageData.length + 1);
+        resonanceTracks = [];
+    }
+    
+    computeResonanceBaseline(averageData, resonanceBaselineRanges, resonanceBaselineData, resonanceBaselineScratch);
+    const candidates = findResonanceCandidates(averageData, resonanceBaselineData, sampleRate, {
+        thresholdDb: resonanceThresholdDb,
+        minQ: RESONANCE_MIN_Q,
+        minFrequency: MIN_FREQ,
+        maxFrequency: MAX_FREQ
+    });
+    resonanceTracks = updateResonanceTracks(resonanceTracks, candidates, nowSec);
+    resonanceResults = rankResonances(resonanceTracks, nowSec, resonanceMinDurationSec).slice(0, RESONANCE_MAX_LISTED);
+    
+    if (performance.now() - resonanceListUpdatedAt >= RESONANCE_LIST_INTERVAL_MS) {
+        resonanceListUpdatedAt = performance.now();
+        renderResonanceList();
     }
+}
 
-    const runToken = ++analysisRunToken;
-    analysisRunning = true;
-    offlineAnalysisResult = null;
+/**
+ * Render the ranked resonance list (frequency, note, Q and excess above the baseline)
+ */
+function renderResonanceList() {
+    if (resonanceList) {
+        resonanceList.textContent = resonanceResults.map((resonance, index) =>
+            `${String(index + 1).padStart(2)}. ${formatFrequencyLabel(resonance.frequency).padStart(10)}  `
+            + `${formatNoteLabel(resonance.frequency).padEnd(8)}  Q ${resonance.q.toFixed(1).padStart(4)}  +${resonance.db.toFixed(1)} dB`
+        ).join('\n');
+    }
+    if (resonanceEnabled) {
+        setResonanceStatus(resonanceResults.length > 0
+            ? `${resonanceResults.length} resonance${resonanceResults.length === 1 ? '' : 's'} above +${resonanceThresholdDb} dB for ${resonanceMinDurationSec} s`
+            : 'No persistent resonances');
+    }
+}
 
-    if (analyzeSampleBtn) analyzeSampleBtn.disabled = true;
-    if (cancelAnalysisBtn) cancelAnalysisBtn.disabled = false;
-    if (exportMidiBtn) exportMidiBtn.disabled = true;
+/**
+ * Handle resonance detector settings (enable, threshold, minimum duration); restarts the search
+ */
+function handleResonanceSettingsChange() {
+    if (resonanceEnableCheck) {
+        resonanceEnabled = resonanceEnableCheck.checked;
+    }
+    if (resonanceThresholdSelect) {
+        const raw = parseFloat(resonanceThresholdSelect.value);
+        if (!Number.isNaN(raw)) resonanceThresholdDb = raw;
+    }
+    if (resonanceDurationSelect) {
+        const raw = parseFloat(resonanceDurationSelect.value);
+        if (!Number.isNaN(raw)) resonanceMinDurationSec = raw;
+    }
+    
+    resonanceTracks = [];
+    resonanceResults = [];
+    renderResonanceList();
+    if (!resonanceEnabled) {
+        setResonanceStatus('Flags narrow peaks of the average that stay above the 1-octave baseline');
+    }
+    redrawIfPaused();
+}
 
-    try {
-        setAnalysisStatus('Decoding audio sample...', 'running');
-        const decoded = await decodeAudioToMono(audioSourceSelect.value);
+/**
+ * Build the descriptor panel cells (label, value and sparkline canvas per descriptor)
+ */
+function buildDescriptorPanel() {
+    if (!descriptorGrid) return;
+    
+    descriptorGrid.replaceChildren();
+    descriptorViews = SPECTRAL_DESCRIPTORS.map(descriptor => {
+        const cell = document.createElement('div');
+        cell.className = 'bg-gray-900 border border-gray-700 rounded px-2 py-1';
+    
+        const header = document.createElement('div');
+        header.className = 'flex items-baseline justify-between gap-2 text-xs';
+        const label = document.createElement('span');
+        label.className = 'text-gray-400';
+        label.textContent = descriptor.label;
+        const valueEl = document.createElement('span');
+        valueEl.className = 'font-mono text-gray-100';
+        valueEl.textContent = '–';
+        header.append(label, valueEl);
+    
+        const canvas = document.createElement('canvas');
+        canvas.className = 'w-full h-7 mt-1';
+        canvas.width = 160;
+        canvas.height = 28;
+    
+        cell.append(header, canvas);
+        descriptorGrid.appendChild(cell);
+        return { descriptor, valueEl, canvas, ctx: canvas.getContext('2d') };
+    });
+}
 
-        if (runToken !== analysisRunToken) {
-            return;
-        }
+/**
+ * Clear the descriptor history (toggle, FFT size change)
+ */
+function resetSpectralDescriptors() {
+    descriptorPreviousMagnitudes = null;
+    descriptorHistory = null;
+    descriptorHistoryIndex = 0;
+    descriptorHistoryCount = 0;
+    descriptorViews.forEach(view => {
+        view.valueEl.textContent = '–';
+    });
+}
 
-        setAnalysisStatus('Running offline analysis...', 'running');
-        const result = await analyzeSampleToMidi({
-            audioBuffer: decoded.audioBuffer,
-            sampleRate: decoded.sampleRate,
-            options: getOfflineAnalysisOptions()
+/**
+ * Compute this frame's spectral descriptors and append them to the sparkline history
+ */
+function updateSpectralDescriptors() {
+    if (!fftData || !audioContext) return;
+    
+    if (!descriptorPreviousMagnitudes || descriptorPreviousMagnitudes.length !== fftData.length) {
+        resetSpectralDescriptors();
+        descriptorPreviousMagnitudes = new Float32Array(fftData.length);
+        descriptorHistory = {};
+        SPECTRAL_DESCRIPTORS.forEach(descriptor => {
+            descriptorHistory[descriptor.key] = new Float32Array(DESCRIPTOR_HISTORY_LENGTH);
+        });
+    }
+    
+    const values = computeSpectralDescriptors(fftData, getSampleRate(), {
+        minFrequency: MIN_FREQ,
+        maxFrequency: MAX_FREQ,
+        previousMagnitudes: descriptorPreviousMagnitudes
+    });
+    // The first frame has nothing to compare against, so its flux is not meaningful
+    if (descriptorHistoryCount === 0) values.flux = 0;
+    
+    SPECTRAL_DESCRIPTORS.forEach(descriptor => {
+        descriptorHistory[descriptor.key][descriptorHistoryIndex] = values[descriptor.key];
+    });
+    descriptorHistoryIndex = (descriptorHistoryIndex + 1) % DESCRIPTOR_HISTORY_LENGTH;
+    descriptorHistoryCount = Math.min(descriptorHistoryCount + 1, DESCRIPTOR_HISTORY_LENGTH);
+    
+    if (performance.now() - descriptorTextUpdatedAt >= DESCRIPTOR_TEXT_INTERVAL_MS) {
+        descriptorTextUpdatedAt = performance.now();
+        descriptorViews.forEach(view => {
+            view.valueEl.textContent = view.descriptor.format(values[view.descriptor.key]);
         });
+    }
+}
 
-        if (runToken !== analysisRunToken) {
-            return;
+/**
+ * Draw each descriptor's history as a sparkline, scaled to its own min / max over the history
+ */
+function drawDescriptorSparklines() {
+    if (!descriptorsEnabled || !descriptorHistory) return;
+    
+    descriptorViews.forEach(({ descriptor, canvas, ctx }) => {
+        if (!ctx) return;
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.clearRect(0, 0, width, height);
+        if (descriptorHistoryCount < 2) return;
+    
+        const history = descriptorHistory[descriptor.key];
+        const oldest = (descriptorHistoryIndex - descriptorHistoryCount + DESCRIPTOR_HISTORY_LENGTH) % DESCRIPTOR_HISTORY_LENGTH;
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < descriptorHistoryCount; i++) {
+            const value = history[(oldest + i) % DESCRIPTOR_HISTORY_LENGTH];
+            if (value < min) min = value;
+            if (value > max) max = value;
         }
-
-        offlineAnalysisResult = result;
-        renderAnalysisSummary(result);
-        setAnalysisStatus('Analysis complete.', 'success');
-        if (exportMidiBtn) exportMidiBtn.disabled = false;
-    } catch (error) {
-        console.error('Offline analysis failed:', error);
-        setAnalysisStatus(`Analysis failed: ${error.message || 'Unknown error'}`, 'error');
-    } finally {
-        if (runToken === analysisRunToken) {
-            analysisRunning = false;
-            if (analyzeSampleBtn) analyzeSampleBtn.disabled = false;
-            if (cancelAnalysisBtn) cancelAnalysisBtn.disabled = true;
+        // Keep a flat history in the middle instead of stretching noise to full height
+        const range = Math.max(max - min, Math.abs(max) * 0.01, 1e-6);
+        const mid = (min + max) / 2;
+    
+        ctx.strokeStyle = DESCRIPTOR_SPARKLINE_COLOR;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 0; i < descriptorHistoryCount; i++) {
+            const value = history[(oldest + i) % DESCRIPTOR_HISTORY_LENGTH];
+            const x = (i / (DESCRIPTOR_HISTORY_LENGTH - 1)) * (width - 1);
+            const y = height / 2 - ((value - mid) / range) * (height - 4);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
         }
-    }
+        ctx.stroke();
+    });
 }
 
-function handleCancelAnalysis() {
-    if (!analysisRunning) return;
-    analysisRunToken += 1;
-    analysisRunning = false;
-    setAnalysisStatus('Analysis canceled.', 'idle');
-    if (analyzeSampleBtn) analyzeSampleBtn.disabled = false;
-    if (cancelAnalysisBtn) cancelAnalysisBtn.disabled = true;
+/**
+ * Handle the spectral descriptor panel toggle
+ */
+function handleDescriptorToggle() {
+    descriptorsEnabled = !!(descriptorEnableCheck && descriptorEnableCheck.checked);
+    if (descriptorGrid) descriptorGrid.classList.toggle('hidden', !descriptorsEnabled);
+    resetSpectralDescriptors();
+    drawDescriptorSparklines();
 }
 
-function handleExportMidi() {
-    if (!offlineAnalysisResult) {
-        setAnalysisStatus('No analysis result to export.', 'error');
+/**
+ * Fit parametric EQ bands that move the live average (mix) towards the selected snapshot (reference)
+ */
+function handleEqMatchFit() {
+    const entry = eqMatchReferenceSelect ? spectrumSnapshots[parseInt(eqMatchReferenceSelect.value, 10)] : null;
+    if (!entry) {
+        setEqMatchStatus('Capture or import a reference snapshot first', 'error');
         return;
     }
+    if (!averageData || !averageDataInitialized) {
+        setEqMatchStatus('Play the mix first so its average spectrum builds up', 'error');
+        return;
+    }
+    
+    const sampleRate = getSampleRate();
+    const maxBands = eqMatchBandsSelect ? parseInt(eqMatchBandsSelect.value, 10) : 6;
+    const maxGainDb = eqMatchMaxGainSelect ? parseFloat(eqMatchMaxGainSelect.value) : 6;
+    
+    // Smooth both spectra the same way before differencing, so narrow FFT detail does not become EQ bands
+    const ranges = computeOctaveSmoothingRanges(frequencyBinCount, sampleRate, EQ_MATCH_SMOOTHING_FRACTION);
+    const referenceSmoothed = applyOctaveSmoothing(getSnapshotSpectrum(entry), new Float32Array(frequencyBinCount), ranges);
+    const mixSmoothed = applyOctaveSmoothing(averageData, new Float32Array(frequencyBinCount), ranges);
+    
+    const grid = logFrequencyGrid(MIN_FREQ, MAX_FREQ, EQ_MATCH_POINTS_PER_OCTAVE);
+    const { targetDb, offsetDb } = computeEqMatchTarget(referenceSmoothed, mixSmoothed, sampleRate, grid);
+    const bands = fitParametricEq(grid, targetDb, { maxBands, maxGainDb, sampleRate });
+    
+    eqMatchResult = { referenceName: entry.snapshot.name, offsetDb, sampleRate, bands, grid, targetDb };
+    
+    if (eqMatchBandList) {
+        eqMatchBandList.textContent = bands.length > 0 ? formatEqBandsText(bands) : 'Mix already matches the reference (no bands needed)';
+    }
+    if (eqMatchExportJsonBtn) eqMatchExportJsonBtn.disabled = false;
+    if (eqMatchExportTextBtn) eqMatchExportTextBtn.disabled = false;
+    setEqMatchStatus(`Fitted ${bands.length} band(s); reference is ${Math.abs(offsetDb).toFixed(1)} dB ${offsetDb >= 0 ? 'louder' : 'quieter'} overall`, 'success');
+    redrawIfPaused();
+}
 
-    try {
-        const bytes = exportToMidi(offlineAnalysisResult, {
-            includeMelody: !!analysisOptMelody?.checked,
-            includeChords: !!analysisOptChords?.checked,
-            tempoBpm: 120,
-            ppq: 480,
-            chordBaseOctave: 4
-        });
-
-        const blob = new Blob([bytes], { type: 'audio/midi' });
-        const url = URL.createObjectURL(blob);
-        const download = document.createElement('a');
-        const sourceName = audioSourceSelect?.value?.split('/').pop()?.replace(/\.[^/.]+$/, '') || 'analysis';
-        download.href = url;
-        download.download = `${sourceName}_analysis.mid`;
-        download.click();
-        URL.revokeObjectURL(url);
-        setAnalysisStatus('MIDI exported.', 'success');
-    } catch (error) {
-        console.error('MIDI export failed:', error);
-        setAnalysisStatus(`MIDI export failed: ${error.message || 'Unknown error'}`, 'error');
+/**
+ * Download the fitted EQ bands
+ * @param {string} format - 'json' | 'text'
+ */
+function handleEqMatchExport(format) {
+    if (!eqMatchResult) return;
+    
+    const fileBase = `eq_match_${eqMatchResult.referenceName.replace(/[^\w-]+/g, '_')}`;
+    let contents;
+    let type;
+    if (format === 'json') {
+        contents = JSON.stringify({
+            reference: eqMatchResult.referenceName,
+            levelOffsetDb: Math.round(eqMatchResult.offsetDb * 10) / 10,
+            bands: eqMatchResult.bands.map(band => ({
+                type: band.type,
+                frequency: Math.round(band.frequency * 10) / 10,
+                gainDb: Math.round(band.gainDb * 10) / 10,
+                q: Math.round(band.q * 100) / 100
+            }))
+        }, null, 2);
+        type = 'application/json';
+    } else {
+        contents = `EQ match towards "${eqMatchResult.referenceName}" (reference level offset ${eqMatchResult.offsetDb.toFixed(1)} dB)\n`
+            + `${formatEqBandsText(eqMatchResult.bands)}\n`;
+        type = 'text/plain';
     }
+    
+    const blob = new Blob([contents], { type });
+    const url = URL.createObjectURL(blob);
+    const download = document.createElement('a');
+    download.href = url;
+    download.download = `${fileBase}.${format === 'json' ? 'json' : 'txt'}`;
+    download.click();
+    URL.revokeObjectURL(url);
+    setEqMatchStatus(`Exported ${format === 'json' ? 'JSON' : 'text'}`, 'success');
 }
 
 // Settings menu toggle
@@ -3205,21 +8431,182 @@ document.addEventListener('click', (event) => {
 
 playPauseBtn.addEventListener('click', handlePlayPause);
 audioSourceSelect.addEventListener('change', handleAudioSourceChange);
+if (inputDeviceSelect) {
+    inputDeviceSelect.addEventListener('change', handleInputDeviceChange);
+}
+[
+    generatorTypeSelect, generatorFrequencyInput, generatorTonesInput,
+    generatorSweepStartInput, generatorSweepEndInput, generatorSweepDurationInput,
+    generatorChannelsSelect, generatorInvertCheck
+].forEach(control => {
+    if (control) {
+        control.addEventListener('change', handleGeneratorSettingChange);
+    }
+});
+if (generatorLevelSlider) {
+    generatorLevelSlider.addEventListener('input', handleGeneratorSettingChange);
+}
+updateGeneratorFieldVisibility();
+if (compareSelectA) {
+    compareSelectA.addEventListener('change', handleCompareSelectionChange);
+}
+if (compareSelectB) {
+    compareSelectB.addEventListener('change', handleCompareSelectionChange);
+}
+if (compareSwitchBtn) {
+    compareSwitchBtn.addEventListener('click', handleCompareSwitch);
+}
+if (compareMatchCheck) {
+    compareMatchCheck.addEventListener('change', applyCompareLoudnessMatch);
+}
+populateCompareSelects();
+if (transportTimeline) {
+    transportTimeline.addEventListener('click', handleTimelineClick);
+}
+if (loopSetABtn) {
+    loopSetABtn.addEventListener('click', handleSetLoopStart);
+}
+if (loopSetBBtn) {
+    loopSetBBtn.addEventListener('click', handleSetLoopEnd);
+}
+if (loopToggleBtn) {
+    loopToggleBtn.addEventListener('click', handleLoopToggle);
+}
+if (loopClearBtn) {
+    loopClearBtn.addEventListener('click', handleLoopClear);
+}
+if (playbackRateSelect) {
+    playbackRateSelect.addEventListener('change', handlePlaybackRateChange);
+}
+if (openFilesBtn && audioFileInput) {
+    openFilesBtn.addEventListener('click', () => audioFileInput.click());
+    audioFileInput.addEventListener('change', handleAudioFileInput);
+}
+[peakHoldCheck, peakHoldInfiniteCheck].forEach(control => {
+    if (control) {
+        control.addEventListener('change', handlePeakHoldSettingsChange);
+    }
+});
+[peakHoldTimeSlider, peakHoldDecaySlider].forEach(control => {
+    if (control) {
+        control.addEventListener('input', handlePeakHoldSettingsChange);
+    }
+});
+if (peakHoldResetBtn) {
+    peakHoldResetBtn.addEventListener('click', resetPeakHold);
+}
+handlePeakHoldSettingsChange();
+[peakLabelsCheck, peakLabelsCountSelect, peakLabelsProminenceSelect].forEach(control => {
+    if (control) {
+        control.addEventListener('change', handlePeakLabelSettingsChange);
+    }
+});
+handlePeakLabelSettingsChange();
+document.addEventListener('keydown', handleKeyboardShortcut);
+if (spectrogramCanvas) {
+    spectrogramCanvas.addEventListener('mousemove', handleSpectrogramMouseMove);
+    spectrogramCanvas.addEventListener('mouseleave', handleSpectrogramMouseLeave);
+}
+if (spectrogramPauseBtn) {
+    spectrogramPauseBtn.addEventListener('click', handleSpectrogramPause);
+}
+[spectrogramColormapSelect, spectrogramFloorSelect, spectrogramCeilingSelect].forEach(control => {
+    if (control) {
+        control.addEventListener('change', handleSpectrogramDisplayChange);
+    }
+});
+if (canvas) {
+    canvas.addEventListener('mousemove', handleSpectrumMouseMove);
+    canvas.addEventListener('mouseleave', handleSpectrumMouseLeave);
+    canvas.addEventListener('click', handleSpectrumClick);
+    canvas.addEventListener('dblclick', resetSpectrumView);
+    canvas.addEventListener('mousedown', handleSpectrumMouseDown);
+    canvas.addEventListener('wheel', handleSpectrumWheel, { passive: false });
+    window.addEventListener('mousemove', handleSpectrumDragMove);
+    window.addEventListener('mouseup', handleSpectrumDragEnd);
+}
+[viewMinFreqInput, viewMaxFreqInput, viewMinDbInput, viewMaxDbInput].forEach(control => {
+    if (control) control.addEventListener('change', handleViewRangeInput);
+});
+if (frequencyScaleSelect) {
+    frequencyScaleSelect.addEventListener('change', handleFrequencyScaleChange);
+}
+if (viewResetBtn) {
+    viewResetBtn.addEventListener('click', resetSpectrumView);
+}
+
+// Drag-and-drop audio files anywhere on the page
+let dragDepth = 0; // dragenter/dragleave fire for every child element, so count nesting
+document.addEventListener('dragenter', (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth++;
+    if (dropOverlay) dropOverlay.classList.remove('hidden');
+});
+document.addEventListener('dragover', (event) => {
+    if (!isFileDrag(event)) return;
+    // Required to allow dropping
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+});
+document.addEventListener('dragleave', (event) => {
+    if (!isFileDrag(event)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0 && dropOverlay) dropOverlay.classList.add('hidden');
+});
+document.addEventListener('drop', (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    dragDepth = 0;
+    if (dropOverlay) dropOverlay.classList.add('hidden');
+    addSessionFiles(event.dataTransfer.files);
+});
+if (navigator.mediaDevices?.addEventListener) {
+    // Keep the device list current when interfaces are plugged in or removed
+    navigator.mediaDevices.addEventListener('devicechange', () => {
+        populateInputDevices().catch(err => console.warn('Could not list input devices:', err));
+    });
+}
 smoothingSlider.addEventListener('input', handleSmoothingChange);
+if (octaveSmoothingSelect) {
+    octaveSmoothingSelect.addEventListener('change', handleOctaveSmoothingChange);
+    handleOctaveSmoothingChange();
+}
+if (channelModeSelect) {
+    channelModeSelect.addEventListener('change', handleChannelModeChange);
+    handleChannelModeChange();
+}
+[tiltSelect, tiltPivotInput].forEach(control => {
+    if (control) {
+        control.addEventListener('change', handleTiltChange);
+    }
+});
+handleTiltChange();
 viewLengthSelect.addEventListener('change', handleViewLengthChange);
 if (decaySpeedSlider) {
     decaySpeedSlider.addEventListener('input', handleDecaySpeedChange);
 }
 if (fftSizeSelect) {
     fftSizeSelect.addEventListener('change', (e) => {
-        const newSize = parseInt(e.target.value, 10);
+        const { fftSize: newSize, multiResolution } = parseFftSizeSelection(e.target.value);
         if (isFinite(newSize) && newSize > 0) {
+            multiResolutionEnabled = multiResolution;
             updateFFTSize(newSize);
         } else {
             console.warn('Invalid FFT size value:', e.target.value);
         }
     });
 }
+if (fftEngineSelect) {
+    fftEngineSelect.addEventListener('change', handleFftEngineChange);
+}
+if (constantQEnableCheck) {
+    constantQEnableCheck.addEventListener('change', handleConstantQToggle);
+}
+[fftWindowSelect, fftOverlapSelect].forEach(control => {
+    if (control) control.addEventListener('change', handleFftWindowChange);
+});
+updateFftEngineControls();
 
 // Mono scope checkbox - no event listener needed
 // The checkbox state is checked in updateWaveform() each frame, so changes take effect automatically
@@ -3232,6 +8619,70 @@ if (analyzeSampleBtn) {
 if (cancelAnalysisBtn) {
     cancelAnalysisBtn.addEventListener('click', handleCancelAnalysis);
 }
+if (snapshotCaptureBtn) {
+    snapshotCaptureBtn.addEventListener('click', handleSnapshotCapture);
+}
+if (snapshotNameInput) {
+    snapshotNameInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') handleSnapshotCapture();
+    });
+}
+if (snapshotDiffSelect) {
+    snapshotDiffSelect.addEventListener('change', handleSnapshotDiffChange);
+}
+if (snapshotExportBtn) {
+    snapshotExportBtn.addEventListener('click', handleSnapshotExport);
+}
+if (snapshotImportBtn && snapshotFileInput) {
+    snapshotImportBtn.addEventListener('click', () => snapshotFileInput.click());
+    snapshotFileInput.addEventListener('change', handleSnapshotImport);
+}
+if (eqMatchFitBtn) {
+    eqMatchFitBtn.addEventListener('click', handleEqMatchFit);
+}
+if (eqMatchShowCheck) {
+    eqMatchShowCheck.addEventListener('change', redrawIfPaused);
+}
+if (eqMatchExportJsonBtn) {
+    eqMatchExportJsonBtn.addEventListener('click', () => handleEqMatchExport('json'));
+}
+if (eqMatchExportTextBtn) {
+    eqMatchExportTextBtn.addEventListener('click', () => handleEqMatchExport('text'));
+}
+if (harmonicsModeSelect) {
+    harmonicsModeSelect.addEventListener('change', handleHarmonicsModeChange);
+}
+if (harmonicsSetBtn) {
+    harmonicsSetBtn.addEventListener('click', handleHarmonicsFundamentalSubmit);
+}
+if (harmonicsFundamentalInput) {
+    harmonicsFundamentalInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') handleHarmonicsFundamentalSubmit();
+    });
+}
+if (harmonicsExportBtn) {
+    harmonicsExportBtn.addEventListener('click', handleHarmonicsExport);
+}
+if (loudnessResetBtn) {
+    loudnessResetBtn.addEventListener('click', handleLoudnessReset);
+}
+if (clashEnableCheck) {
+    clashEnableCheck.addEventListener('change', handleClashToggle);
+}
+if (descriptorEnableCheck) {
+    buildDescriptorPanel();
+    descriptorEnableCheck.addEventListener('change', handleDescriptorToggle);
+}
+if (clashResetBtn) {
+    clashResetBtn.addEventListener('click', resetClashDetection);
+}
+[resonanceEnableCheck, resonanceThresholdSelect, resonanceDurationSelect].forEach(control => {
+    if (control) {
+        control.addEventListener('change', handleResonanceSettingsChange);
+    }
+});
+loadSnapshotsFromStorage();
+renderSnapshotList();
 if (exportMidiBtn) {
     exportMidiBtn.addEventListener('click', handleExportMidi);
 }
@@ -3247,6 +8698,8 @@ setAnalysisStatus('Idle', 'idle');
 resizeCanvas();
 resizeVectorScopeCanvas();
 resizeOscilloscopeCanvas();
+spectrogramLut = buildColormapLut(spectrogramColormapSelect ? spectrogramColormapSelect.value : 'magma');
+resizeSpectrogramCanvas();
 
 // Test canvas rendering
 if (ctx && canvas) {
@@ -3317,6 +8770,9 @@ window.addEventListener('resize', () => {
         resizeCanvas();
         resizeVectorScopeCanvas();
         resizeOscilloscopeCanvas();
+        resizeSpectrogramCanvas();
+        resizeConstantQCanvas();
+        resizeClashTimelineCanvas();
         if (offlineAnalysisResult) {
             renderAnalysisSummary(offlineAnalysisResult);
         }
@@ -3325,7 +8781,7 @@ window.addEventListener('resize', () => {
 
 // Initialize with the default selected audio file
 const defaultPath = audioSourceSelect.value;
-if (defaultPath) {
+if (defaultPath && ![LIVE_INPUT_SOURCE, TAB_CAPTURE_SOURCE, GENERATOR_SOURCE, AB_COMPARE_SOURCE].includes(defaultPath)) {
     setupTestAudio(defaultPath);
 }
 
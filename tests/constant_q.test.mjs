@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PIANO_HIGHEST_MIDI,
+    PIANO_LOWEST_MIDI,
+    computeConstantQSpectrum,
+    constantQNoteLevels,
+    createConstantQKernel,
+    findLoudestNotes
+} from '../analysis/constant_q.js';
+import { midiToFrequency } from '../analysis/pitch.js';
+import { generateSineTones } from '../analysis/test_signals.js';
+
+const SAMPLE_RATE = 48000;
+const kernel = createConstantQKernel({ sampleRate: SAMPLE_RATE });
+
+/**
+ * @param {number[]} frequencies
+ * @param {number} levelDbfs
+ * @returns {Float32Array}
+ */
+function analyseTones(frequencies, levelDbfs) {
+    const tones = generateSineTones(frequencies, { sampleRate: SAMPLE_RATE, durationSec: kernel.fftSize / SAMPLE_RATE, levelDbfs });
+    return computeConstantQSpectrum(kernel, tones.subarray(0, kernel.fftSize), new Float32Array(kernel.frequencies.length));
+}
+
+test('the default kernel spans the piano at 36 bins per octave', () => {
+    assert.equal(kernel.frequencies.length, (PIANO_HIGHEST_MIDI - PIANO_LOWEST_MIDI) * 3 + 1);
+    assert.ok(Math.abs(kernel.frequencies[0] - 27.5) < 1e-3);
+    assert.ok(Math.abs(kernel.frequencies[kernel.frequencies.length - 1] - midiToFrequency(PIANO_HIGHEST_MIDI)) < 0.01);
+    assert.ok(kernel.fftSize >= kernel.windowLengths[0]);
+});
+
+test('a full-scale sine on a bin centre reads 0 dB and the neighbouring notes stay well below', () => {
+    for (const midi of [33, 69, 100]) {
+        const spectrum = analyseTones([midiToFrequency(midi)], 0);
+        const bin = (midi - PIANO_LOWEST_MIDI) * 3;
+        assert.ok(Math.abs(spectrum[bin]) < 0.1, `MIDI ${midi} reads ${spectrum[bin].toFixed(2)} dB`);
+        assert.ok(spectrum[bin + 3] < -20 && spectrum[bin - 3] < -20);
+    }
+});
+
+test('the loudest notes of a chord are named in level order', () => {
+    const chord = [57, 61, 64].map(midi => midiToFrequency(midi)); // A3, C#4, E4
+    const tones = generateSineTones(chord.slice(0, 1), { sampleRate: SAMPLE_RATE, durationSec: kernel.fftSize / SAMPLE_RATE, levelDbfs: -6 });
+    const quieter = generateSineTones(chord.slice(1), { sampleRate: SAMPLE_RATE, durationSec: kernel.fftSize / SAMPLE_RATE, levelDbfs: -12 });
+    const mixed = tones.map((sample, i) => sample + quieter[i]);
+
+    const spectrum = computeConstantQSpectrum(kernel, mixed.subarray(0, kernel.fftSize), new Float32Array(kernel.frequencies.length));
+    const levels = constantQNoteLevels(kernel, spectrum, PIANO_LOWEST_MIDI, new Float32Array(88));
+    const notes = findLoudestNotes(levels, PIANO_LOWEST_MIDI, { count: 3 });
+
+    assert.equal(notes[0].label, 'A3');
+    assert.deepEqual(notes.slice(1).map(note => note.label).sort(), ['C#4', 'E4']);
+});
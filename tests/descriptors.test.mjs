@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSpectralDescriptors } from '../analysis/descriptors.js';
+
+const SAMPLE_RATE = 48000;
+const BIN_COUNT = 4096;
+const BIN_WIDTH = SAMPLE_RATE / (BIN_COUNT * 2);
+
+/**
+ * @param {(frequency: number) => number} levelDb
+ * @returns {Float32Array}
+ */
+function spectrum(levelDb) {
+    const spectrumDb = new Float32Array(BIN_COUNT);
+    for (let bin = 0; bin < BIN_COUNT; bin++) {
+        spectrumDb[bin] = levelDb(bin * BIN_WIDTH);
+    }
+    return spectrumDb;
+}
+
+test('flat spectrum is maximally flat, centred mid-band and has no crest', () => {
+    const descriptors = computeSpectralDescriptors(spectrum(() => -40), SAMPLE_RATE);
+
+    assert.ok(Math.abs(descriptors.flatness - 1) < 1e-6);
+    assert.ok(Math.abs(descriptors.crestDb) < 1e-6);
+    assert.ok(Math.abs(descriptors.centroid - 10010) < 2 * BIN_WIDTH);
+    // Uniform over 20 Hz - 20 kHz: standard deviation = width / √12
+    assert.ok(Math.abs(descriptors.spread - 19980 / Math.sqrt(12)) < 10);
+    assert.ok(Math.abs(descriptors.rolloff85 - (20 + 0.85 * 19980)) < 2 * BIN_WIDTH);
+    assert.ok(Math.abs(descriptors.rolloff95 - (20 + 0.95 * 19980)) < 2 * BIN_WIDTH);
+});
+
+test('a single tone is tonal: centroid and rolloff at the tone, flatness near 0, high crest', () => {
+    const toneBin = Math.round(1000 / BIN_WIDTH);
+    const descriptors = computeSpectralDescriptors(
+        spectrum(frequency => (Math.round(frequency / BIN_WIDTH) === toneBin ? -6 : -Infinity)),
+        SAMPLE_RATE
+    );
+
+    assert.ok(Math.abs(descriptors.centroid - toneBin * BIN_WIDTH) < 1e-6);
+    assert.ok(descriptors.spread < 1e-6);
+    assert.equal(descriptors.rolloff85, toneBin * BIN_WIDTH);
+    assert.equal(descriptors.rolloff95, toneBin * BIN_WIDTH);
+    assert.ok(descriptors.flatness < 1e-3);
+    assert.ok(descriptors.crestDb > 30);
+});
+
+test('brighter spectra have a higher centroid and rolloff', () => {
+    const dark = computeSpectralDescriptors(spectrum(frequency => -20 - 6 * Math.log2(frequency / 100)), SAMPLE_RATE);
+    const bright = computeSpectralDescriptors(spectrum(frequency => -60 + 3 * Math.log2(frequency / 100)), SAMPLE_RATE);
+
+    assert.ok(bright.centroid > dark.centroid * 2);
+    assert.ok(bright.rolloff85 > dark.rolloff85);
+    assert.ok(bright.rolloff95 >= bright.rolloff85);
+});
+
+test('flux is zero for a repeated frame, ignores level changes and rises on new content', () => {
+    const previousMagnitudes = new Float32Array(BIN_COUNT);
+    const lowTone = spectrum(frequency => (Math.abs(frequency - 500) < BIN_WIDTH ? -10 : -90));
+    const highTone = spectrum(frequency => (Math.abs(frequency - 5000) < BIN_WIDTH ? -10 : -90));
+
+    computeSpectralDescriptors(lowTone, SAMPLE_RATE, { previousMagnitudes });
+    assert.ok(computeSpectralDescriptors(lowTone, SAMPLE_RATE, { previousMagnitudes }).flux < 1e-6);
+
+    const louder = lowTone.map(db => db + 12);
+    assert.ok(computeSpectralDescriptors(louder, SAMPLE_RATE, { previousMagnitudes }).flux < 1e-6);
+
+    const change = computeSpectralDescriptors(highTone, SAMPLE_RATE, { previousMagnitudes }).flux;
+    assert.ok(change > 0.5 && change <= 1 + 1e-6);
+});
+
+test('silence reads zeros', () => {
+    const descriptors = computeSpectralDescriptors(spectrum(() => -Infinity), SAMPLE_RATE);
+    assert.deepEqual(descriptors, { centroid: 0, spread: 0, flatness: 0, rolloff85: 0, rolloff95: 0, flux: 0, crestDb: 0 });
+});
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    computeEqMatchTarget,
+    eqBandResponseDb,
+    eqResponseDb,
+    fitParametricEq,
+    formatEqBandsText,
+    logFrequencyGrid
+} from '../analysis/eq_match.js';
+
+const SAMPLE_RATE = 48000;
+const GRID = logFrequencyGrid(20, 20000, 12);
+
+test('band responses hit their gain at the centre / in the shelf region', () => {
+    const peak = { type: 'peaking', frequency: 1000, gainDb: 6, q: 1.4 };
+    assert.ok(Math.abs(eqBandResponseDb(peak, 1000, SAMPLE_RATE) - 6) < 1e-6);
+    assert.ok(Math.abs(eqBandResponseDb(peak, 100, SAMPLE_RATE)) < 0.1);
+
+    const lowShelf = { type: 'lowshelf', frequency: 200, gainDb: -4, q: Math.SQRT1_2 };
+    assert.ok(Math.abs(eqBandResponseDb(lowShelf, 20, SAMPLE_RATE) + 4) < 0.1);
+    assert.ok(Math.abs(eqBandResponseDb(lowShelf, 5000, SAMPLE_RATE)) < 0.1);
+});
+
+test('fitParametricEq recovers a single peaking band', () => {
+    const target = eqResponseDb([{ type: 'peaking', frequency: 2000, gainDb: -5, q: 2 }], GRID, SAMPLE_RATE);
+    const bands = fitParametricEq(GRID, target, { maxBands: 4, maxGainDb: 12, sampleRate: SAMPLE_RATE });
+    const main = bands.reduce((a, b) => (Math.abs(b.gainDb) > Math.abs(a.gainDb) ? b : a));
+
+    assert.equal(main.type, 'peaking');
+    assert.ok(Math.abs(Math.log2(main.frequency / 2000)) < 1 / 12);
+    assert.ok(Math.abs(main.gainDb + 5) < 0.75);
+
+    const residual = eqResponseDb(bands, GRID, SAMPLE_RATE).map((value, i) => Math.abs(value - target[i]));
+    assert.ok(Math.max(...residual) < 1);
+});
+
+test('fitParametricEq respects band count and gain limits', () => {
+    const target = eqResponseDb([
+        { type: 'lowshelf', frequency: 100, gainDb: 9, q: Math.SQRT1_2 },
+        { type: 'peaking', frequency: 500, gainDb: -8, q: 3 },
+        { type: 'peaking', frequency: 3000, gainDb: 7, q: 1 }
+    ], GRID, SAMPLE_RATE);
+    const bands = fitParametricEq(GRID, target, { maxBands: 2, maxGainDb: 3, sampleRate: SAMPLE_RATE });
+
+    assert.ok(bands.length <= 2);
+    assert.ok(bands.every(band => Math.abs(band.gainDb) <= 3));
+    assert.deepEqual(fitParametricEq(GRID, new Float64Array(GRID.length)), []);
+});
+
+test('computeEqMatchTarget removes the level offset between reference and mix', () => {
+    const reference = new Float32Array(1024).fill(-20);
+    const mix = new Float32Array(1024).fill(-30);
+    const { targetDb, offsetDb } = computeEqMatchTarget(reference, mix, SAMPLE_RATE, GRID);
+
+    assert.ok(Math.abs(offsetDb - 10) < 1e-6);
+    assert.ok(targetDb.every(value => Math.abs(value) < 1e-6));
+});
+
+test('formatEqBandsText lists bands as DAW-style lines', () => {
+    const text = formatEqBandsText([
+        { type: 'lowshelf', frequency: 80, gainDb: 2.04, q: Math.SQRT1_2 },
+        { type: 'peaking', frequency: 2500, gainDb: -3.46, q: 1.414 }
+    ]);
+    assert.equal(text, '1. Low Shelf  80 Hz  +2.0 dB  Q 0.71\n2. Peak  2.50 kHz  -3.5 dB  Q 1.41');
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    WINDOW_TYPES,
+    collectEngineFrames,
+    computeEngineSpectrum,
+    createAnalysisWindow,
+    createFftEngineState,
+    pushEngineSamples,
+    windowCoherentGain
+} from '../analysis/fft_engine.js';
+import { generateSineTones } from '../analysis/test_signals.js';
+
+const SAMPLE_RATE = 48000;
+const FFT_SIZE = 4096;
+const BIN_WIDTH = SAMPLE_RATE / FFT_SIZE;
+
+/**
+ * @param {string} windowType
+ * @param {number} frequency
+ * @returns {{spectrum: Float32Array, frames: number}}
+ */
+function analyseSine(windowType, frequency) {
+    const state = createFftEngineState({ fftSize: FFT_SIZE, windowType, overlap: 0.5 });
+    const sine = generateSineTones([frequency], { sampleRate: SAMPLE_RATE, durationSec: 0.25, levelDbfs: 0 });
+    pushEngineSamples(state, [sine, sine]);
+
+    const spectrum = new Float32Array(FFT_SIZE / 2);
+    const frames = collectEngineFrames(state);
+    computeEngineSpectrum(state, frames, [1, 0], spectrum);
+    return { spectrum, frames: frames.length };
+}
+
+test('coherent gains match the textbook values', () => {
+    assert.ok(Math.abs(windowCoherentGain(createAnalysisWindow('hann', 4096)) - 0.5) < 1e-3);
+    assert.ok(Math.abs(windowCoherentGain(createAnalysisWindow('hamming', 4096)) - 0.54) < 1e-3);
+    assert.ok(Math.abs(windowCoherentGain(createAnalysisWindow('blackman-harris', 4096)) - 0.35875) < 1e-3);
+    assert.ok(Math.abs(windowCoherentGain(createAnalysisWindow('flattop', 4096)) - 0.2156) < 1e-3);
+});
+
+test('a 0 dBFS sine centred on a bin reads 0 dB with every window', () => {
+    for (const windowType of WINDOW_TYPES) {
+        const { spectrum } = analyseSine(windowType, 100 * BIN_WIDTH);
+        assert.ok(Math.abs(spectrum[100]) < 0.05, `${windowType} reads ${spectrum[100].toFixed(3)} dB`);
+    }
+});
+
+test('flat-top reads the true level halfway between bins', () => {
+    const { spectrum } = analyseSine('flattop', 100.5 * BIN_WIDTH);
+    const peak = Math.max(spectrum[100], spectrum[101]);
+    assert.ok(Math.abs(peak) < 0.05);
+
+    // Hann scallops by about 1.4 dB at the same position
+    const hann = analyseSine('hann', 100.5 * BIN_WIDTH).spectrum;
+    assert.ok(Math.max(hann[100], hann[101]) < -1.2);
+});
+
+test('overlap sets the number of frames per block of samples', () => {
+    const state = createFftEngineState({ fftSize: 1024, overlap: 0.75 });
+    pushEngineSamples(state, [new Float32Array(2048)]);
+
+    // Frames end at 1024, 1280, ..., 2048
+    assert.equal(collectEngineFrames(state).length, 5);
+    assert.equal(collectEngineFrames(state).length, 0);
+    assert.equal(computeEngineSpectrum(state, [], [1, 0], new Float32Array(512)), false);
+});
+
+test('mid and side mixes separate correlated and opposite-polarity content', () => {
+    const state = createFftEngineState({ fftSize: 1024, overlap: 0 });
+    const tone = generateSineTones([1000], { sampleRate: SAMPLE_RATE, durationSec: 1024 / SAMPLE_RATE, levelDbfs: 0 });
+    const inverted = tone.map(sample => -sample);
+    pushEngineSamples(state, [tone, inverted]);
+
+    const frames = collectEngineFrames(state);
+    const mid = new Float32Array(512);
+    const side = new Float32Array(512);
+    computeEngineSpectrum(state, frames, [0.5, 0.5], mid);
+    computeEngineSpectrum(state, frames, [0.5, -0.5], side);
+
+    assert.ok(Math.max(...side) > -1);
+    assert.ok(Math.max(...mid.filter(isFinite)) < -100 || mid.every(value => !isFinite(value)));
+});
@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FREQUENCY_SCALES, frequencyToScale, scaleToFrequency } from '../analysis/frequency_scales.js';
+
+test('scale mappings match their published reference points', () => {
+    assert.ok(Math.abs(frequencyToScale(1000, 'mel') - 1000) < 0.5);
+    assert.ok(Math.abs(frequencyToScale(1000, 'bark') - 8.53) < 0.01);
+    assert.ok(Math.abs(frequencyToScale(1000, 'erb') - 15.62) < 0.01);
+    assert.equal(frequencyToScale(1000, 'log'), 3);
+    assert.equal(frequencyToScale(1000, 'linear'), 1000);
+    assert.equal(frequencyToScale(1000, 'unknown'), 3);
+});
+
+test('every scale round-trips and increases monotonically across the audio band', () => {
+    for (const scale of FREQUENCY_SCALES) {
+        let previous = -Infinity;
+        for (const hz of [20, 50, 100, 440, 1000, 5000, 12000, 20000]) {
+            const value = frequencyToScale(hz, scale);
+            assert.ok(value > previous, `${scale} is not increasing at ${hz} Hz`);
+            assert.ok(Math.abs(scaleToFrequency(value, scale) - hz) / hz < 1e-9, `${scale} does not round-trip at ${hz} Hz`);
+            previous = value;
+        }
+    }
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateFundamental, formatHarmonicsCsv, measureHarmonics, parsePitchInput } from '../analysis/harmonics.js';
+import { collectEngineFrames, computeEngineSpectrum, createFftEngineState, pushEngineSamples } from '../analysis/fft_engine.js';
+import { generateSineTones } from '../analysis/test_signals.js';
+
+const SAMPLE_RATE = 48000;
+const FFT_SIZE = 8192;
+
+/**
+ * Spectrum of a harmonic tone whose nth partial has amplitude 0.5^(n-1).
+ * @param {number} fundamentalHz
+ * @param {number} partials
+ * @returns {Float32Array}
+ */
+function harmonicToneSpectrum(fundamentalHz, partials) {
+    const signal = new Float32Array(FFT_SIZE);
+    for (let n = 1; n <= partials; n++) {
+        const partial = generateSineTones([n * fundamentalHz], { sampleRate: SAMPLE_RATE, durationSec: FFT_SIZE / SAMPLE_RATE, levelDbfs: -6 * (n - 1) - 6 });
+        partial.forEach((sample, i) => { signal[i] += sample; });
+    }
+
+    const state = createFftEngineState({ fftSize: FFT_SIZE, windowType: 'blackman-harris', overlap: 0 });
+    pushEngineSamples(state, [signal]);
+    const spectrum = new Float32Array(FFT_SIZE / 2);
+    computeEngineSpectrum(state, collectEngineFrames(state), [1, 0], spectrum);
+    return spectrum;
+}
+
+test('parsePitchInput reads frequencies and note names', () => {
+    assert.equal(parsePitchInput('55'), 55);
+    assert.equal(parsePitchInput('55.2 Hz'), 55.2);
+    assert.equal(parsePitchInput('1.2k'), 1200);
+    assert.equal(parsePitchInput('1.5 kHz'), 1500);
+    assert.ok(Math.abs(parsePitchInput('A1') - 55) < 1e-9);
+    assert.ok(Math.abs(parsePitchInput('a4') - 440) < 1e-9);
+    assert.ok(Math.abs(parsePitchInput('Bb2') - parsePitchInput('A#2')) < 1e-9);
+    assert.ok(Math.abs(parsePitchInput('A4 +100c') - parsePitchInput('A#4')) < 1e-9);
+    assert.equal(parsePitchInput('H2'), null);
+    assert.equal(parsePitchInput(''), null);
+});
+
+test('measureHarmonics reads each partial relative to the fundamental up to the frequency limit', () => {
+    const spectrum = harmonicToneSpectrum(110, 4);
+    const harmonics = measureHarmonics(spectrum, 110, SAMPLE_RATE, { maxFrequency: 1000 });
+
+    assert.equal(harmonics.length, 9);
+    assert.equal(harmonics[0].relativeDb, 0);
+    [-6, -12, -18].forEach((expected, i) => {
+        assert.ok(Math.abs(harmonics[i + 1].relativeDb - expected) < 0.3, `H${i + 2} reads ${harmonics[i + 1].relativeDb.toFixed(2)} dB`);
+        assert.ok(Math.abs(harmonics[i + 1].frequency - 110 * (i + 2)) < 0.5);
+    });
+
+    const csv = formatHarmonicsCsv(harmonics.slice(0, 2)).split('\n');
+    assert.equal(csv[0], 'harmonic,expected_hz,measured_hz,note,cents,level_db,relative_db');
+    assert.ok(csv[1].startsWith('1,110.00,'));
+    assert.ok(csv[1].includes(',A2,'));
+});
+
+test('estimateFundamental picks the root of the series rather than its loudest partial alone', () => {
+    const spectrum = harmonicToneSpectrum(82.41, 6);
+    const fundamental = estimateFundamental(spectrum, SAMPLE_RATE);
+    assert.ok(Math.abs(fundamental - 82.41) < 0.5, `estimated ${fundamental}`);
+});
@@ -0,0 +1,140 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    computeLoudnessMatchGains,
+    createLoudnessMeter,
+    kWeightingCoefficients,
+    measureIntegratedLoudness,
+    measureRmsDbfs,
+    pushLoudnessSamples,
+    readLoudness,
+    resetLoudnessMeter
+} from '../analysis/loudness.js';
+import { generateSineTones } from '../analysis/test_signals.js';
+
+test('measureRmsDbfs reads a full-scale sine at -3 dBFS', () => {
+    const sine = generateSineTones([1000], { sampleRate: 48000, durationSec: 1, levelDbfs: 0 });
+
+    assert.ok(Math.abs(measureRmsDbfs([sine]) - (-3.0103)) < 0.01);
+    assert.ok(Math.abs(measureRmsDbfs([sine, sine]) - (-3.0103)) < 0.01);
+    assert.equal(measureRmsDbfs([new Float32Array(16)]), -Infinity);
+});
+
+test('computeLoudnessMatchGains only attenuates the louder source', () => {
+    assert.deepEqual(computeLoudnessMatchGains(-10, -16), { gainDbA: -6, gainDbB: 0 });
+    assert.deepEqual(computeLoudnessMatchGains(-20, -14), { gainDbA: 0, gainDbB: -6 });
+    assert.deepEqual(computeLoudnessMatchGains(-Infinity, -14), { gainDbA: 0, gainDbB: 0 });
+});
+
+const SAMPLE_RATE = 48000;
+
+/**
+ * Stereo 1 kHz sine sequence as used by EBU Tech 3341 / 3342 (same signal in both channels).
+ * @param {{levelDbfs: number, durationSec: number}[]} segments
+ * @returns {Float32Array} One channel
+ */
+function sineSequence(segments) {
+    const parts = segments.map(({ levelDbfs, durationSec }) =>
+        generateSineTones([1000], { sampleRate: SAMPLE_RATE, durationSec, levelDbfs }));
+    const out = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+}
+
+/**
+ * @param {Float32Array} signal
+ * @returns {import('../analysis/loudness.js').LoudnessReading}
+ */
+function meterStereo(signal) {
+    const meter = createLoudnessMeter(SAMPLE_RATE);
+    pushLoudnessSamples(meter, [signal, signal]);
+    return readLoudness(meter);
+}
+
+test('kWeightingCoefficients reproduce the ITU-R BS.1770 table at 48 kHz', () => {
+    const [shelf, highPass] = kWeightingCoefficients(SAMPLE_RATE);
+    const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} vs ${expected}`);
+
+    close(shelf.b0, 1.53512485958697);
+    close(shelf.b1, -2.69169618940638);
+    close(shelf.b2, 1.19839281085285);
+    close(shelf.a1, -1.69065929318241);
+    close(shelf.a2, 0.73248077421585);
+    close(highPass.a1, -1.99004745483398);
+    close(highPass.a2, 0.99007225036621);
+    assert.deepEqual([highPass.b0, highPass.b1, highPass.b2], [1, -2, 1]);
+});
+
+test('EBU Tech 3341 cases 1 and 2: steady sines read their level as M, S and I', () => {
+    [-23, -33].forEach(levelDbfs => {
+        const reading = meterStereo(sineSequence([{ levelDbfs, durationSec: 20 }]));
+        assert.ok(Math.abs(reading.momentaryLufs - levelDbfs) <= 0.1, `M ${reading.momentaryLufs}`);
+        assert.ok(Math.abs(reading.shortTermLufs - levelDbfs) <= 0.1, `S ${reading.shortTermLufs}`);
+        assert.ok(Math.abs(reading.integratedLufs - levelDbfs) <= 0.1, `I ${reading.integratedLufs}`);
+    });
+});
+
+test('EBU Tech 3341 cases 3 to 5: gating gives I = -23.0 LUFS', () => {
+    const cases = [
+        [[-36, 10], [-23, 60], [-36, 10]],
+        [[-72, 10], [-36, 10], [-23, 60], [-36, 10], [-72, 10]],
+        [[-26, 20], [-20, 20.1], [-26, 20]]
+    ];
+    cases.forEach(segments => {
+        const reading = meterStereo(sineSequence(segments.map(([levelDbfs, durationSec]) => ({ levelDbfs, durationSec }))));
+        assert.ok(Math.abs(reading.integratedLufs + 23) <= 0.1, `I ${reading.integratedLufs}`);
+    });
+});
+
+test('EBU Tech 3341 case 9: short-term loudness stays at -23.0 LUFS once the window has filled', () => {
+    const period = sineSequence([{ levelDbfs: -20, durationSec: 1.34 }, { levelDbfs: -30, durationSec: 1.66 }]);
+    const meter = createLoudnessMeter(SAMPLE_RATE);
+    const chunk = SAMPLE_RATE / 10;
+    let checked = 0;
+
+    for (let repeat = 0; repeat < 5; repeat++) {
+        for (let offset = 0; offset < period.length; offset += chunk) {
+            const block = period.subarray(offset, offset + chunk);
+            pushLoudnessSamples(meter, [block, block]);
+            const { shortTermLufs } = readLoudness(meter);
+            if (meter.stepCount >= 30) {
+                assert.ok(Math.abs(shortTermLufs + 23) <= 0.1, `S ${shortTermLufs} after ${meter.stepCount} steps`);
+                checked++;
+            }
+        }
+    }
+    assert.ok(checked > 100);
+});
+
+test('EBU Tech 3342 cases 1, 3 and 4: loudness range within 1 LU', () => {
+    const cases = [
+        { segments: [[-20, 20], [-30, 20]], expected: 10 },
+        { segments: [[-40, 20], [-20, 20]], expected: 20 },
+        { segments: [[-50, 20], [-35, 20], [-20, 20], [-35, 20], [-50, 20]], expected: 15 }
+    ];
+    cases.forEach(({ segments, expected }) => {
+        const reading = meterStereo(sineSequence(segments.map(([levelDbfs, durationSec]) => ({ levelDbfs, durationSec }))));
+        assert.ok(Math.abs(reading.loudnessRangeLu - expected) <= 1, `LRA ${reading.loudnessRangeLu}, expected ${expected}`);
+    });
+});
+
+test('measureIntegratedLoudness weights channels by count; reset and silence read -Infinity', () => {
+    const sine = sineSequence([{ levelDbfs: -23, durationSec: 5 }]);
+    assert.ok(Math.abs(measureIntegratedLoudness([sine, sine], SAMPLE_RATE) + 23) <= 0.1);
+    assert.ok(Math.abs(measureIntegratedLoudness([sine], SAMPLE_RATE) + 26.01) <= 0.1);
+    assert.equal(measureIntegratedLoudness([new Float32Array(SAMPLE_RATE)], SAMPLE_RATE), -Infinity);
+
+    const meter = createLoudnessMeter(SAMPLE_RATE);
+    pushLoudnessSamples(meter, [sine, sine]);
+    resetLoudnessMeter(meter);
+    assert.deepEqual(readLoudness(meter), {
+        momentaryLufs: -Infinity,
+        shortTermLufs: -Infinity,
+        integratedLufs: -Infinity,
+        loudnessRangeLu: 0
+    });
+});
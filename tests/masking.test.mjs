@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    addClashFrame,
+    clashTimelineValue,
+    computeClashScores,
+    createClashTimeline,
+    findClashRegions
+} from '../analysis/masking.js';
+
+const BANDS = Array.from({ length: 6 }, (_, i) => ({ min: 20 * Math.pow(2, i * 1.5), max: 20 * Math.pow(2, (i + 1) * 1.5) }));
+
+test('clash scores are high only where both sources are significant', () => {
+    // A (kick) is loud in bands 0-1, B (bass) in bands 1-2; band 1 is shared
+    const kick = [-10, -12, -50, -60, -70, -80];
+    const bass = [-60, -20, -18, -40, -60, -90];
+    const scores = computeClashScores(kick, bass, new Float32Array(6), { rangeDb: 24 });
+
+    assert.ok(scores[1] > 0.8);
+    assert.equal(scores[0], 0);
+    assert.equal(scores[2], 0);
+    assert.equal(scores[5], 0);
+
+    // Significance is relative to each source's own loudest band, so a quiet stem still clashes
+    const quietBass = bass.map(db => db - 20);
+    const quietScores = computeClashScores(kick, quietBass, new Float32Array(6), { rangeDb: 24, floorDb: -90 });
+    assert.ok(Math.abs(quietScores[1] - scores[1]) < 1e-6);
+});
+
+test('the timeline averages frames per cell and regions merge adjacent clashing bands', () => {
+    const timeline = createClashTimeline(4, 6);
+    assert.equal(addClashFrame(timeline, 0.1, Float32Array.from([0, 0.9, 0.8, 0, 0, 0.5])), 0);
+    assert.equal(addClashFrame(timeline, 0.2, Float32Array.from([0, 0.7, 0.6, 0, 0, 0.1])), 0);
+    assert.equal(addClashFrame(timeline, 0.9, Float32Array.from([0, 0.8, 0.7, 0, 0, 0])), 3);
+
+    assert.ok(Math.abs(clashTimelineValue(timeline, 0, 1) - 0.8) < 1e-6);
+    assert.equal(clashTimelineValue(timeline, 1, 1), -1);
+
+    const regions = findClashRegions(timeline, BANDS, { threshold: 0.35 });
+    assert.equal(regions.length, 1);
+    assert.equal(regions[0].firstBand, 1);
+    assert.equal(regions[0].lastBand, 2);
+    assert.equal(regions[0].minFreq, BANDS[1].min);
+    assert.ok(Math.abs(regions[0].score - 0.75) < 1e-6);
+    assert.ok(Math.abs(regions[0].peakScore - 0.8) < 1e-6);
+
+    assert.equal(findClashRegions(timeline, BANDS, { threshold: 0.1 }).length, 2);
+});
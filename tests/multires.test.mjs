@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { stitchMultiResolutionSpectra } from '../analysis/multires.js';
+
+const SAMPLE_RATE = 48000;
+
+/**
+ * @param {number} fftSize
+ * @param {number} levelDb
+ * @returns {{spectrumDb: Float32Array, fftSize: number}}
+ */
+function flatLayer(fftSize, levelDb) {
+    return { spectrumDb: new Float32Array(fftSize / 2).fill(levelDb), fftSize };
+}
+
+test('each region takes its own layer and the crossfades sit between them', () => {
+    const layers = [flatLayer(16384, -10), flatLayer(4096, -20), flatLayer(1024, -30)];
+    const out = new Float32Array(8192);
+    stitchMultiResolutionSpectra(layers, [250, 2500], SAMPLE_RATE, out, { blendOctaves: 0.5 });
+
+    const binAt = (hz) => Math.round((hz * 16384) / SAMPLE_RATE);
+    assert.equal(out[binAt(100)], -10);
+    assert.equal(out[binAt(800)], -20);
+    assert.equal(out[binAt(10000)], -30);
+
+    // Halfway through each crossfade the levels average
+    assert.ok(Math.abs(out[binAt(250)] + 15) < 0.2);
+    assert.ok(Math.abs(out[binAt(2500)] + 25) < 0.2);
+
+    // Monotonic through the blend window
+    for (let bin = binAt(200); bin < binAt(320); bin++) {
+        assert.ok(out[bin + 1] <= out[bin] + 1e-6);
+    }
+});
+
+test('coarser layers are interpolated onto the fine grid and the base may be stitched in place', () => {
+    const base = flatLayer(16384, -50);
+    const coarse = { spectrumDb: new Float32Array(512).map((_, bin) => -bin * 0.1), fftSize: 1024 };
+
+    stitchMultiResolutionSpectra([base, coarse], [1000], SAMPLE_RATE, base.spectrumDb, { blendOctaves: 0.1 });
+
+    // 10 kHz sits at coarse bin 213.33
+    const fineBin = Math.round((10000 * 16384) / SAMPLE_RATE);
+    const expected = -((fineBin * SAMPLE_RATE) / 16384) * (1024 / SAMPLE_RATE) * 0.1;
+    assert.ok(Math.abs(base.spectrumDb[fineBin] - expected) < 1e-4);
+    assert.equal(base.spectrumDb[10], -50);
+});
+
+test('stitching unchanged layers again gives the same output', () => {
+    const layers = [
+        { spectrumDb: new Float32Array(8192).map((_, bin) => -10 - bin * 0.01), fftSize: 16384 },
+        flatLayer(4096, -20),
+        flatLayer(1024, -30)
+    ];
+    const out = new Float32Array(8192);
+    stitchMultiResolutionSpectra(layers, [250, 2500], SAMPLE_RATE, out);
+    const first = Float32Array.from(out);
+
+    for (let call = 0; call < 10; call++) {
+        stitchMultiResolutionSpectra(layers, [250, 2500], SAMPLE_RATE, out);
+    }
+    assert.deepEqual(out, first);
+});
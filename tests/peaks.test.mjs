@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { findNearestPeak, findSpectralPeaks, interpolatePeak, trackSpectralPeaks } from '../analysis/peaks.js';
+
+test('interpolatePeak recovers the vertex of a sampled parabola', () => {
+    const trueBin = 10.3;
+    const spectrum = new Float32Array(20);
+    for (let i = 0; i < spectrum.length; i++) {
+        spectrum[i] = -2 * (i - trueBin) * (i - trueBin);
+    }
+
+    const peak = interpolatePeak(spectrum, 10);
+    assert.ok(Math.abs(peak.bin - trueBin) < 1e-6);
+    assert.ok(Math.abs(peak.db) < 1e-5);
+});
+
+test('findNearestPeak climbs to the local maximum on either side', () => {
+    const spectrum = Float32Array.from([-90, -80, -40, -60, -70, -65, -30, -50, -90]);
+
+    assert.equal(Math.round(findNearestPeak(spectrum, 3).bin), 2);
+    assert.equal(Math.round(findNearestPeak(spectrum, 4.6).bin), 6);
+    assert.equal(findNearestPeak(spectrum, 3, { minDb: -35 }), null);
+});
+
+test('findSpectralPeaks keeps prominent peaks loudest first and skips ripples', () => {
+    const spectrum = new Float32Array(200).fill(-80);
+    // Two tones on a floor, plus a 2 dB ripple on the upper skirt of the first
+    [[50, -10], [51, -14], [49, -14], [120, -30], [121, -33], [119, -33]].forEach(([bin, db]) => { spectrum[bin] = db; });
+    [-18, -22, -26, -24, -30, -40, -60].forEach((db, i) => { spectrum[52 + i] = db; });
+
+    const peaks = findSpectralPeaks(spectrum, { maxPeaks: 5, minProminenceDb: 10 });
+    assert.deepEqual(peaks.map(peak => Math.round(peak.bin)), [50, 120]);
+    assert.ok(Math.abs(peaks[0].prominenceDb - 70) < 1e-6);
+
+    // A lower threshold admits the ripple
+    assert.equal(findSpectralPeaks(spectrum, { minProminenceDb: 1.5 }).length, 3);
+    assert.equal(findSpectralPeaks(spectrum, { maxPeaks: 1 }).length, 1);
+});
+
+test('trackSpectralPeaks keeps ids across small moves and holds missing peaks briefly', () => {
+    let tracks = trackSpectralPeaks([], [{ frequency: 440, db: -10 }, { frequency: 1000, db: -20 }]);
+    const ids = tracks.map(track => track.id);
+    assert.equal(new Set(ids).size, 2);
+
+    tracks = trackSpectralPeaks(tracks, [{ frequency: 442, db: -11 }], { holdFrames: 1 });
+    const moved = tracks.find(track => track.id === ids[0]);
+    assert.equal(moved.age, 2);
+    assert.ok(moved.frequency > 440 && moved.frequency < 442);
+    assert.equal(tracks.find(track => track.id === ids[1]).missed, 1);
+
+    // A jump of more than the tolerance starts a new track; the held one then expires
+    tracks = trackSpectralPeaks(tracks, [{ frequency: 470, db: -10 }], { holdFrames: 1 });
+    assert.equal(tracks.filter(track => track.missed === 0).length, 1);
+    assert.ok(!tracks.some(track => track.id === ids[1]));
+    assert.ok(!ids.includes(tracks.find(track => track.missed === 0).id));
+});
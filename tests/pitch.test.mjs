@@ -0,0 +1,18 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { formatCents, frequencyToNote, midiToFrequency } from '../analysis/pitch.js';
+
+test('frequencyToNote names notes and measures cents from equal temperament', () => {
+    assert.equal(frequencyToNote(440).label, 'A4');
+    assert.equal(frequencyToNote(27.5).label, 'A0');
+    assert.equal(frequencyToNote(261.63).label, 'C4');
+
+    const sharp = frequencyToNote(445);
+    assert.equal(sharp.label, 'A4');
+    assert.ok(Math.abs(sharp.cents - 19.56) < 0.01);
+    assert.equal(formatCents(sharp.cents), '+20c');
+    assert.equal(formatCents(-6.4), '-6c');
+
+    assert.ok(Math.abs(midiToFrequency(69) - 440) < 1e-9);
+    assert.equal(frequencyToNote(0), null);
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    computeResonanceBaseline,
+    findResonanceCandidates,
+    rankResonances,
+    updateResonanceTracks
+} from '../analysis/resonances.js';
+import { computeOctaveSmoothingRanges } from '../analysis/spectral_smoothing.js';
+
+const SAMPLE_RATE = 48000;
+const BIN_COUNT = 8192;
+const BIN_WIDTH = SAMPLE_RATE / (BIN_COUNT * 2);
+
+/**
+ * Sloped spectrum with resonant bumps added in power.
+ * @param {{frequency: number, q: number, gainDb: number}[]} resonances
+ * @returns {Float32Array}
+ */
+function spectrumWithResonances(resonances) {
+    const spectrum = new Float32Array(BIN_COUNT);
+    for (let bin = 1; bin < BIN_COUNT; bin++) {
+        const frequency = bin * BIN_WIDTH;
+        let power = 1;
+        resonances.forEach(({ frequency: centre, q, gainDb }) => {
+            const detune = 2 * q * (frequency - centre) / centre;
+            power += (Math.pow(10, gainDb / 10) - 1) / (1 + detune * detune);
+        });
+        spectrum[bin] = -30 - 3 * Math.log2(frequency / 1000) + 10 * Math.log10(power);
+    }
+    spectrum[0] = spectrum[1];
+    return spectrum;
+}
+
+/**
+ * @param {Float32Array} spectrum
+ * @returns {Float32Array}
+ */
+function baselineOf(spectrum) {
+    const ranges = computeOctaveSmoothingRanges(BIN_COUNT, SAMPLE_RATE, 1);
+    return computeResonanceBaseline(spectrum, ranges, new Float32Array(BIN_COUNT), new Float64Array(BIN_COUNT + 1));
+}
+
+test('a narrow resonance is found with its frequency, excess and Q; a broad bump is not', () => {
+    const spectrum = spectrumWithResonances([
+        { frequency: 3000, q: 10, gainDb: 12 },
+        { frequency: 300, q: 0.7, gainDb: 8 }
+    ]);
+    const candidates = findResonanceCandidates(spectrum, baselineOf(spectrum), SAMPLE_RATE, { thresholdDb: 6 });
+
+    assert.equal(candidates.length, 1);
+    const [resonance] = candidates;
+    assert.ok(Math.abs(resonance.frequency - 3000) < 10);
+    assert.ok(resonance.excessDb > 6 && resonance.excessDb < 12.5, `excess ${resonance.excessDb.toFixed(2)} dB`);
+    assert.ok(resonance.q > 7 && resonance.q < 14, `Q ${resonance.q.toFixed(2)}`);
+});
+
+test('only resonances that persist for the minimum time are ranked, most severe first', () => {
+    const steady = spectrumWithResonances([{ frequency: 3000, q: 10, gainDb: 14 }, { frequency: 6500, q: 12, gainDb: 18 }]);
+    const withTransient = spectrumWithResonances([
+        { frequency: 3000, q: 10, gainDb: 14 },
+        { frequency: 6500, q: 12, gainDb: 18 },
+        { frequency: 1200, q: 15, gainDb: 20 }
+    ]);
+    const find = (spectrum) => findResonanceCandidates(spectrum, baselineOf(spectrum), SAMPLE_RATE);
+
+    let tracks = updateResonanceTracks([], find(steady), 0);
+    tracks = updateResonanceTracks(tracks, find(steady), 1);
+    tracks = updateResonanceTracks(tracks, find(withTransient), 2);
+    assert.equal(rankResonances(tracks, 2, 2).length, 2);
+
+    const ranked = rankResonances(tracks, 2.5, 2);
+    assert.deepEqual(ranked.map(track => Math.round(track.frequency / 100) * 100), [6500, 3000]);
+    assert.ok(ranked.every(track => track.q > 5 && isFinite(track.levelDb)));
+});
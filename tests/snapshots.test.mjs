@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createSpectrumSnapshot,
+    parseSnapshots,
+    resampleSnapshotSpectrum,
+    serializeSnapshots
+} from '../analysis/snapshots.js';
+
+test('snapshots round-trip through JSON, keeping silent bins silent', () => {
+    const snapshot = createSpectrumSnapshot('Chorus', Float32Array.from([-Infinity, -12.3456, -40]), 48000, 1234);
+    const [parsed] = parseSnapshots(serializeSnapshots([snapshot]));
+
+    assert.equal(parsed.name, 'Chorus');
+    assert.equal(parsed.sampleRate, 48000);
+    assert.equal(parsed.createdAt, 1234);
+    assert.equal(parsed.db[0], -Infinity);
+    assert.ok(Math.abs(parsed.db[1] - (-12.35)) < 1e-4);
+    assert.equal(parsed.db[2], -40);
+});
+
+test('parseSnapshots rejects foreign or malformed documents', () => {
+    assert.throws(() => parseSnapshots('{"hello": 1}'), /Not a spectrum snapshot file/);
+    assert.throws(
+        () => parseSnapshots('{"format": "rta-spectrum-snapshots", "version": 1, "snapshots": [{"name": "x"}]}'),
+        /Snapshot 1 is malformed/
+    );
+});
+
+test('resampleSnapshotSpectrum maps levels by frequency across FFT sizes', () => {
+    // 4 bins at 8 kHz: 0, 1, 2, 3 kHz
+    const snapshot = createSpectrumSnapshot('ramp', Float32Array.from([0, -10, -20, -30]), 8000);
+    const finer = resampleSnapshotSpectrum(snapshot, 8, 8000);
+
+    assert.deepEqual(Array.from(finer.slice(0, 7)), [0, -5, -10, -15, -20, -25, -30]);
+    assert.equal(finer[7], -Infinity);
+
+    const same = resampleSnapshotSpectrum(snapshot, 4, 8000);
+    assert.deepEqual(Array.from(same), [0, -10, -20, -30]);
+    assert.notEqual(same, snapshot.db);
+});
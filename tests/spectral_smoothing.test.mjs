@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyOctaveSmoothing, computeOctaveSmoothingRanges } from '../analysis/spectral_smoothing.js';
+
+const SAMPLE_RATE = 48000;
+const BIN_COUNT = 2048;
+const BIN_WIDTH = SAMPLE_RATE / (2 * BIN_COUNT);
+
+test('octave smoothing windows widen with frequency and with coarser fractions', () => {
+    const third = computeOctaveSmoothingRanges(BIN_COUNT, SAMPLE_RATE, 3);
+    const twelfth = computeOctaveSmoothingRanges(BIN_COUNT, SAMPLE_RATE, 12);
+    const width = (ranges, bin) => ranges.ends[bin] - ranges.starts[bin] + 1;
+
+    assert.equal(width(third, 2), 1);
+    assert.ok(width(third, 1000) > width(third, 100));
+    assert.ok(width(third, 1000) > width(twelfth, 1000));
+
+    // 1/3 octave around bin 1000 spans about 23% of its frequency
+    const bandwidthHz = width(third, 1000) * BIN_WIDTH;
+    assert.ok(Math.abs(bandwidthHz / (1000 * BIN_WIDTH) - 0.2316) < 0.01);
+});
+
+test('applyOctaveSmoothing averages power, not dB', () => {
+    const ranges = { starts: Int32Array.from([0, 0]), ends: Int32Array.from([1, 1]) };
+    const output = applyOctaveSmoothing(Float32Array.from([0, -Infinity]), new Float32Array(2), ranges);
+
+    assert.ok(Math.abs(output[0] - (-3.0103)) < 1e-3);
+    assert.equal(output[1], output[0]);
+});
+
+test('applyOctaveSmoothing leaves a flat spectrum flat and spreads a single peak', () => {
+    const ranges = computeOctaveSmoothingRanges(BIN_COUNT, SAMPLE_RATE, 6);
+    const flat = new Float32Array(BIN_COUNT).fill(-40);
+    const smoothedFlat = applyOctaveSmoothing(flat, new Float32Array(BIN_COUNT), ranges, new Float64Array(BIN_COUNT + 1));
+
+    assert.ok(smoothedFlat.every(value => Math.abs(value + 40) < 1e-3));
+
+    const peak = new Float32Array(BIN_COUNT).fill(-120);
+    peak[800] = 0;
+    const smoothedPeak = applyOctaveSmoothing(peak, new Float32Array(BIN_COUNT), ranges);
+
+    assert.ok(smoothedPeak[800] < -10);
+    assert.ok(smoothedPeak[780] > -30);
+    assert.ok(smoothedPeak[400] < -100);
+});
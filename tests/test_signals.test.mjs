@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateImpulseTrain,
+    generateLogSweep,
+    generateNoise,
+    generateSineTones
+} from '../analysis/test_signals.js';
+import { computeStftFrames } from '../analysis/stft.js';
+
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function peak(buffer) {
+    return buffer.reduce((acc, value) => Math.max(acc, Math.abs(value)), 0);
+}
+
+function averageBandPowerDb(buffer, sampleRate, minHz, maxHz) {
+    const { spectra, binFrequenciesHz } = computeStftFrames(buffer, { sampleRate, frameSize: 4096, hopSize: 4096 });
+    let sum = 0;
+    let count = 0;
+    for (const spectrum of spectra) {
+        for (let bin = 0; bin < spectrum.length; bin++) {
+            if (binFrequenciesHz[bin] >= minHz && binFrequenciesHz[bin] < maxHz) {
+                sum += spectrum[bin] * spectrum[bin];
+                count += 1;
+            }
+        }
+    }
+    return 10 * Math.log10(sum / count);
+}
+
+test('generateSineTones peaks at the requested dBFS level', () => {
+    const sine = generateSineTones([1000], { sampleRate: 48000, durationSec: 0.5, levelDbfs: -6 });
+
+    assert.equal(sine.length, 24000);
+    assert.ok(Math.abs(peak(sine) - Math.pow(10, -6 / 20)) < 1e-3);
+});
+
+test('generateLogSweep keeps full level and sweeps upward', () => {
+    const sampleRate = 48000;
+    const sweep = generateLogSweep(20, 20000, { sampleRate, durationSec: 2, levelDbfs: 0 });
+
+    assert.ok(peak(sweep) > 0.99 && peak(sweep) <= 1);
+
+    const crossings = (start, end) => {
+        let count = 0;
+        for (let i = start + 1; i < end; i++) {
+            if ((sweep[i - 1] < 0) !== (sweep[i] < 0)) count += 1;
+        }
+        return count;
+    };
+
+    assert.ok(crossings(sweep.length - 4800, sweep.length) > 10 * crossings(0, 4800));
+});
+
+test('pink noise falls about 3 dB per octave', () => {
+    const sampleRate = 48000;
+    const pink = generateNoise('pink', { sampleRate, durationSec: 8, levelDbfs: -1, random: seededRandom(7) });
+    const low = averageBandPowerDb(pink, sampleRate, 500, 1000);
+    const high = averageBandPowerDb(pink, sampleRate, 4000, 8000);
+
+    assert.ok(Math.abs(peak(pink) - Math.pow(10, -1 / 20)) < 1e-6);
+    assert.ok(Math.abs((low - high) - 9) < 1.5, `expected ~9 dB over 3 octaves, got ${(low - high).toFixed(2)}`);
+});
+
+test('generateImpulseTrain returns one period with a single impulse', () => {
+    const impulses = generateImpulseTrain(100, { sampleRate: 48000, levelDbfs: 0 });
+
+    assert.equal(impulses.length, 480);
+    assert.equal(impulses[0], 1);
+    assert.equal(peak(impulses.subarray(1)), 0);
+});
@@ -0,0 +1,48 @@
+/**
+ * Sample capture for the custom FFT engine.
+ * Copies the (stereo) input into fixed-size blocks and posts each full block to the main thread,
+ * where analysis/fft_engine.js windows and transforms it. The node has no outputs, so it is
+ * rendered as a sink like an AnalyserNode and never reaches the speakers.
+ */
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.blockSize = (options.processorOptions && options.processorOptions.blockSize) || 1024;
+        this.allocateBlock();
+    }
+
+    allocateBlock() {
+        this.left = new Float32Array(this.blockSize);
+        this.right = new Float32Array(this.blockSize);
+        this.filled = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) {
+            // Nothing connected right now; keep the node alive for the next source
+            return true;
+        }
+
+        const left = input[0];
+        const right = input[1] || input[0];
+        let offset = 0;
+
+        while (offset < left.length) {
+            const count = Math.min(left.length - offset, this.blockSize - this.filled);
+            this.left.set(left.subarray(offset, offset + count), this.filled);
+            this.right.set(right.subarray(offset, offset + count), this.filled);
+            this.filled += count;
+            offset += count;
+
+            if (this.filled === this.blockSize) {
+                this.port.postMessage({ left: this.left, right: this.right }, [this.left.buffer, this.right.buffer]);
+                this.allocateBlock();
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
@@ -0,0 +1,35 @@
+import { createLoudnessMeter, pushLoudnessSamples, readLoudness, resetLoudnessMeter } from '../analysis/loudness.js';
+
+/**
+ * Loudness metering (ITU-R BS.1770 / EBU R128) on the audio thread.
+ * K-weights the stereo input with analysis/loudness.js and posts a reading every 100 ms;
+ * the main thread posts { type: 'reset' } to restart the integrated and range measurements.
+ * Like the capture node it has no outputs and never reaches the speakers.
+ */
+class LoudnessProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.meter = createLoudnessMeter(sampleRate, 2);
+        this.port.onmessage = (event) => {
+            if (event.data && event.data.type === 'reset') {
+                resetLoudnessMeter(this.meter);
+                this.port.postMessage(readLoudness(this.meter));
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) {
+            // Between sources: keep metering state until the next connect resets it
+            return true;
+        }
+
+        if (pushLoudnessSamples(this.meter, input) > 0) {
+            this.port.postMessage(readLoudness(this.meter));
+        }
+        return true;
+    }
+}
+
+registerProcessor('loudness-processor', LoudnessProcessor);